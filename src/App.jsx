@@ -1,30 +1,81 @@
 import {
   createBrowserRouter,
   RouterProvider,
-  Navigate,
   redirect,
+  data,
 } from "react-router-dom";
 import "./App.css";
 import Home from "./components/Home";
+import Analytics from "./components/Analytics";
+import Trash from "./components/Trash";
+import AdminConsole from "./components/AdminConsole";
+import Settings from "./components/Settings";
+import ApiKeys from "./components/ApiKeys";
+import Workspaces from "./components/Workspaces";
+import WorkspaceMembers from "./components/WorkspaceMembers";
 import Login from "./components/Login";
 import Signup from "./components/Signup";
+import CheckInbox from "./components/CheckInbox";
+import VerifyEmail from "./components/VerifyEmail";
+import ForgotPassword from "./components/ForgotPassword";
+import ResetPassword from "./components/ResetPassword";
+import LinkGate from "./components/LinkGate";
+import NotFound from "./components/NotFound";
+import Toaster from "./components/Toaster";
+import ConfirmDialog from "./components/ConfirmDialog";
+import RouteError from "./components/RouteError";
 import store from "./redux/store";
-import { verifyAuth } from "./redux/slices/authSlice";
+import { verifyAuth, logout, sessionExpired } from "./redux/slices/authSlice";
+import { setSessionExpiredHandler } from "./utils/axiosConfig";
+import { withRedirectParam } from "./utils/redirect";
+import { isAdmin } from "./utils/auth";
 
 // Loader factory that takes store and returns loader function
-const createProtectedLoader = (reduxStore) => async () => {
-  try {
-    const action = await reduxStore.dispatch(verifyAuth());
-    if (action.type === verifyAuth.fulfilled.type) {
-      return action.payload; // Return user data from the authentication check
+const createProtectedLoader =
+  (reduxStore) =>
+  async ({ request }) => {
+    // Remember where the user was going so login can bring them back
+    const { pathname, search } = new URL(request.url);
+    const loginPath = withRedirectParam("/login", `${pathname}${search}`);
+    try {
+      const action = await reduxStore.dispatch(verifyAuth());
+      if (action.type === verifyAuth.fulfilled.type) {
+        return action.payload; // Return user data from the authentication check
+      }
+    } catch {
+      return redirect(loginPath);
     }
-  } catch (e) {
-    // eslint-disable-line no-unused-vars
-    return redirect("/login");
-  }
-  return redirect("/login");
+    return redirect(loginPath);
+  };
+
+// Like the protected loader, but signed-in users without the admin role get
+// the 403 page from RouteError rather than being sent anywhere else
+const createAdminLoader = (reduxStore) => {
+  const protectedLoader = createProtectedLoader(reduxStore);
+  return async (args) => {
+    const result = await protectedLoader(args);
+    if (result instanceof Response) {
+      return result; // Not signed in: on to the login page
+    }
+    if (!isAdmin(result)) {
+      throw data(null, { status: 403, statusText: "Forbidden" });
+    }
+    return result;
+  };
 };
 
+// Paging, sorting and searching the link list only change the query
+// string, so they don't need the session checked again
+const skipListQueryChanges = ({
+  currentUrl,
+  nextUrl,
+  defaultShouldRevalidate,
+}) =>
+  currentUrl.pathname === nextUrl.pathname &&
+  currentUrl.search !== nextUrl.search
+    ? false
+    : defaultShouldRevalidate;
+
 // Root component that wraps the protected route
 const ProtectedRoute = () => {
   return <Home />;
@@ -35,23 +86,117 @@ const router = createBrowserRouter([
     path: "/",
     element: <ProtectedRoute />,
     loader: createProtectedLoader(store),
+    shouldRevalidate: skipListQueryChanges,
+    errorElement: <RouteError />,
+  },
+  {
+    path: "/urls/:id",
+    element: <Analytics />,
+    loader: createProtectedLoader(store),
+    errorElement: <RouteError />,
+  },
+  {
+    path: "/trash",
+    element: <Trash />,
+    loader: createProtectedLoader(store),
+    errorElement: <RouteError />,
+  },
+  {
+    path: "/settings",
+    element: <Settings />,
+    loader: createProtectedLoader(store),
+    errorElement: <RouteError />,
+  },
+  {
+    path: "/api-keys",
+    element: <ApiKeys />,
+    loader: createProtectedLoader(store),
+    errorElement: <RouteError />,
+  },
+  {
+    path: "/workspaces",
+    element: <Workspaces />,
+    loader: createProtectedLoader(store),
+    errorElement: <RouteError />,
+  },
+  {
+    path: "/workspaces/:id",
+    element: <WorkspaceMembers />,
+    loader: createProtectedLoader(store),
+    errorElement: <RouteError />,
+  },
+  {
+    path: "/admin",
+    element: <AdminConsole />,
+    loader: createAdminLoader(store),
+    errorElement: <RouteError />,
   },
   {
     path: "/login",
     element: <Login />,
+    errorElement: <RouteError />,
   },
   {
     path: "/signup",
     element: <Signup />,
+    errorElement: <RouteError />,
+  },
+  {
+    path: "/check-inbox",
+    element: <CheckInbox />,
+    errorElement: <RouteError />,
+  },
+  {
+    path: "/verify-email/:token",
+    element: <VerifyEmail />,
+    errorElement: <RouteError />,
+  },
+  {
+    path: "/forgot-password",
+    element: <ForgotPassword />,
+    errorElement: <RouteError />,
+  },
+  {
+    path: "/reset-password/:token",
+    element: <ResetPassword />,
+    errorElement: <RouteError />,
+  },
+  {
+    // Public: where the API sends visitors of protected short links
+    path: "/go/:code",
+    element: <LinkGate />,
+    errorElement: <RouteError />,
   },
   {
     path: "*",
-    element: <Navigate to="/" replace />,
+    element: <NotFound />,
   },
 ]);
 
+// A request got a 401 and the session could not be refreshed. Several
+// requests can fail together, so only the first one triggers the logout.
+let handlingSessionExpiry = false;
+setSessionExpiredHandler(() => {
+  if (handlingSessionExpiry || !store.getState().auth.isAuthenticated) {
+    return;
+  }
+  handlingSessionExpiry = true;
+  store.dispatch(logout()).finally(() => {
+    store.dispatch(sessionExpired());
+    const { pathname, search } = router.state.location;
+    router.navigate(withRedirectParam("/login", `${pathname}${search}`));
+    handlingSessionExpiry = false;
+  });
+});
+
 function App() {
-  return <RouterProvider router={router} />;
+  return (
+    <>
+      <RouterProvider router={router} />
+      <Toaster />
+      <ConfirmDialog />
+    </>
+  );
 }
 
 export default App;
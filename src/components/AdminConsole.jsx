@@ -0,0 +1,53 @@
+import { Link, useSearchParams } from "react-router-dom";
+import { useTranslation } from "../i18n/useTranslation";
+import AdminReports from "./AdminReports";
+import AdminUsers from "./AdminUsers";
+import AdminLinks from "./AdminLinks";
+import "./Auth.css";
+import "./Home.css";
+import "./Settings.css";
+
+const TABS = ["reports", "users", "links"];
+
+// Moderation for site admins; the route loader has already checked the
+// role. The open tab is kept in ?tab= so it survives a reload.
+const AdminConsole = () => {
+  const { t } = useTranslation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tab = TABS.includes(searchParams.get("tab"))
+    ? searchParams.get("tab")
+    : TABS[0];
+
+  return (
+    <div className="home-container settings-page">
+      <div className="user-info">
+        <div>
+          <Link to="/" className="back-link">
+            &larr; {t("admin.back")}
+          </Link>
+          <h2>{t("admin.title")}</h2>
+        </div>
+      </div>
+
+      <div className="mode-tabs" role="group" aria-label={t("admin.sections")}>
+        {TABS.map((item) => (
+          <button
+            key={item}
+            type="button"
+            className={`preset-button${tab === item ? " active" : ""}`}
+            aria-pressed={tab === item}
+            onClick={() => setSearchParams({ tab: item })}
+          >
+            {t(`admin.tab.${item}`)}
+          </button>
+        ))}
+      </div>
+
+      {tab === "reports" && <AdminReports />}
+      {tab === "users" && <AdminUsers />}
+      {tab === "links" && <AdminLinks />}
+    </div>
+  );
+};
+
+export default AdminConsole;
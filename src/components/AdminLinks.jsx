@@ -0,0 +1,184 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  fetchAdminUrls,
+  disableUrl,
+  enableUrl,
+} from "../redux/slices/adminSlice";
+import { notify, closeNotification } from "../redux/slices/notificationSlice";
+import { formatDate } from "../utils/format";
+import { translate } from "../i18n";
+import { useTranslation } from "../i18n/useTranslation";
+import DisableLinkForm from "./DisableLinkForm";
+import Pagination from "./Pagination";
+
+const INITIAL_QUERY = { q: "", status: "", page: 1, limit: 25 };
+
+// Every user's links, newest first, with who owns them and how many open
+// reports they have. Disabled links stop redirecting until re-enabled.
+const AdminLinks = () => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const { items, total, isLoading, pendingIds } = useSelector(
+    (state) => state.admin.urls,
+  );
+  const [query, setQuery] = useState(INITIAL_QUERY);
+  const [search, setSearch] = useState("");
+  const [disablingId, setDisablingId] = useState(null);
+
+  useEffect(() => {
+    let current = true;
+    let retryToastId = null;
+    const load = () =>
+      dispatch(fetchAdminUrls(query))
+        .unwrap()
+        .catch((message) => {
+          if (current) {
+            retryToastId = dispatch(
+              notify({
+                level: "error",
+                message,
+                actions: [{ label: translate("common.retry"), onClick: load }],
+              }),
+            );
+          }
+        });
+    load();
+    return () => {
+      current = false;
+      if (retryToastId) {
+        dispatch(closeNotification(retryToastId));
+      }
+    };
+  }, [query, dispatch]);
+
+  const updateQuery = (changes) =>
+    setQuery((prev) => ({ ...prev, page: 1, ...changes }));
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateQuery({ q: search.trim() });
+  };
+
+  const handleDisable = (urlId, { reason, note }) => {
+    dispatch(disableUrl({ urlId, reason, note }))
+      .unwrap()
+      .then(() => setDisablingId(null))
+      .catch(() => {});
+  };
+
+  return (
+    <section className="settings-section">
+      <form onSubmit={handleSearch} className="admin-filters">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder={t("admin.searchLinks")}
+          aria-label={t("admin.searchLinks")}
+        />
+        <select
+          value={query.status}
+          onChange={(e) => updateQuery({ status: e.target.value })}
+          aria-label={t("admin.statusFilter")}
+        >
+          <option value="">{t("admin.allLinks")}</option>
+          <option value="reported">{t("admin.reportedLinks")}</option>
+          <option value="disabled">{t("admin.disabledLinks")}</option>
+        </select>
+        <button type="submit" className="preset-button">
+          {t("admin.search")}
+        </button>
+      </form>
+
+      {isLoading && items.length === 0 ? (
+        <p>{t("common.loading")}</p>
+      ) : items.length === 0 ? (
+        <p className="field-hint">{t("admin.noLinks")}</p>
+      ) : (
+        <ul className="session-list">
+          {items.map((url) => {
+            const pending = pendingIds.includes(url.id);
+            return (
+              <li key={url.id} className="session-item admin-item">
+                <div className="admin-item-row">
+                  <div>
+                    <strong>{url.shortUrl}</strong>
+                    {url.disabled && (
+                      <span className="admin-flag">
+                        {t(`admin.reason.${url.disabled.reason}`)}
+                      </span>
+                    )}
+                    {url.openReports > 0 && (
+                      <span className="admin-flag reported">
+                        {t("admin.openReports", { count: url.openReports })}
+                      </span>
+                    )}
+                    <div className="trash-destination">{url.longUrl}</div>
+                    <div className="field-hint">
+                      {t("admin.owner", { email: url.ownerEmail })} ·{" "}
+                      {t("urlItem.created", {
+                        date: formatDate(url.createdAt),
+                      })}
+                    </div>
+                    {url.disabled && (
+                      <div className="field-hint">
+                        {t("admin.disabledAt", {
+                          date: formatDate(url.disabled.at),
+                        })}
+                        {url.disabled.note && ` · ${url.disabled.note}`}
+                      </div>
+                    )}
+                  </div>
+                  <div className="url-actions">
+                    {url.disabled ? (
+                      <button
+                        type="button"
+                        className="copy-button"
+                        onClick={() => dispatch(enableUrl(url.id))}
+                        disabled={pending}
+                      >
+                        {t("admin.enable")}
+                      </button>
+                    ) : (
+                      disablingId !== url.id && (
+                        <button
+                          type="button"
+                          className="delete-button"
+                          onClick={() => setDisablingId(url.id)}
+                          disabled={pending}
+                        >
+                          {t("admin.disable")}
+                        </button>
+                      )
+                    )}
+                  </div>
+                </div>
+                {disablingId === url.id && !url.disabled && (
+                  <DisableLinkForm
+                    id={`disable-${url.id}`}
+                    disabled={pending}
+                    onSubmit={(values) => handleDisable(url.id, values)}
+                    onCancel={() => setDisablingId(null)}
+                  />
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {total > query.limit && (
+        <Pagination
+          page={query.page}
+          limit={query.limit}
+          total={total}
+          onChange={(changes) => updateQuery(changes)}
+          disabled={isLoading}
+        />
+      )}
+    </section>
+  );
+};
+
+export default AdminLinks;
@@ -0,0 +1,176 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  fetchAbuseReports,
+  resolveReport,
+  REPORT_STATUSES,
+} from "../redux/slices/adminSlice";
+import { notify, closeNotification } from "../redux/slices/notificationSlice";
+import { formatDate } from "../utils/format";
+import { translate } from "../i18n";
+import { useTranslation } from "../i18n/useTranslation";
+import DisableLinkForm from "./DisableLinkForm";
+
+// Abuse reports, newest first. An open report either disables the link,
+// which settles every open report against it, or is dismissed.
+const AdminReports = () => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const { items, status, isLoading, pendingIds } = useSelector(
+    (state) => state.admin.reports,
+  );
+  const [filter, setFilter] = useState(status);
+  const [disablingId, setDisablingId] = useState(null);
+
+  useEffect(() => {
+    let current = true;
+    let retryToastId = null;
+    const load = () =>
+      dispatch(fetchAbuseReports(filter))
+        .unwrap()
+        .catch((message) => {
+          if (current) {
+            retryToastId = dispatch(
+              notify({
+                level: "error",
+                message,
+                actions: [{ label: translate("common.retry"), onClick: load }],
+              }),
+            );
+          }
+        });
+    load();
+    return () => {
+      current = false;
+      if (retryToastId) {
+        dispatch(closeNotification(retryToastId));
+      }
+    };
+  }, [filter, dispatch]);
+
+  const handleDisable = (reportId, { reason, note }) => {
+    dispatch(resolveReport({ reportId, action: "disable", reason, note }))
+      .unwrap()
+      .then(() => setDisablingId(null))
+      .catch(() => {});
+  };
+
+  return (
+    <section className="settings-section">
+      <div className="admin-filters">
+        <select
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          aria-label={t("admin.statusFilter")}
+        >
+          {REPORT_STATUSES.map((item) => (
+            <option key={item} value={item}>
+              {t(`admin.reports.${item}`)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {isLoading && items.length === 0 ? (
+        <p>{t("common.loading")}</p>
+      ) : items.length === 0 ? (
+        <p className="field-hint">
+          {t(filter === "open" ? "admin.queueEmpty" : "admin.noReports")}
+        </p>
+      ) : (
+        <ul className="session-list">
+          {items.map((report) => {
+            const pending = pendingIds.includes(report.id);
+            const isOpen = report.status === "open";
+            // The link may have been deleted since it was reported
+            const canDisable = isOpen && report.url && !report.url.disabled;
+            return (
+              <li key={report.id} className="session-item admin-item">
+                <div className="admin-item-row">
+                  <div>
+                    <strong>{t(`admin.reason.${report.reason}`)}</strong>
+                    {report.status !== "open" && (
+                      <span className="current-session">
+                        {t(`admin.reports.${report.status}`)}
+                      </span>
+                    )}
+                    <div>
+                      {report.url ? (
+                        <>
+                          {report.url.shortUrl}
+                          {report.url.disabled && (
+                            <span className="admin-flag">
+                              {t("admin.disabledFlag")}
+                            </span>
+                          )}
+                          <div className="trash-destination">
+                            {report.url.longUrl}
+                          </div>
+                        </>
+                      ) : (
+                        <span className="field-hint">
+                          {t("admin.linkGone")}
+                        </span>
+                      )}
+                    </div>
+                    {report.details && (
+                      <p className="admin-report-details">{report.details}</p>
+                    )}
+                    <div className="field-hint">
+                      {t("admin.reportedBy", {
+                        email: report.reporterEmail || t("admin.anonymous"),
+                        date: formatDate(report.createdAt),
+                      })}
+                      {report.url &&
+                        ` · ${t("admin.owner", { email: report.url.ownerEmail })}`}
+                    </div>
+                  </div>
+                  {isOpen && disablingId !== report.id && (
+                    <div className="url-actions">
+                      {canDisable && (
+                        <button
+                          type="button"
+                          className="delete-button"
+                          onClick={() => setDisablingId(report.id)}
+                          disabled={pending}
+                        >
+                          {t("admin.disable")}
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        className="copy-button"
+                        onClick={() =>
+                          dispatch(
+                            resolveReport({
+                              reportId: report.id,
+                              action: "dismiss",
+                            }),
+                          )
+                        }
+                        disabled={pending}
+                      >
+                        {t("admin.dismiss")}
+                      </button>
+                    </div>
+                  )}
+                </div>
+                {canDisable && disablingId === report.id && (
+                  <DisableLinkForm
+                    id={`report-${report.id}`}
+                    initialReason={report.reason}
+                    disabled={pending}
+                    onSubmit={(values) => handleDisable(report.id, values)}
+                    onCancel={() => setDisablingId(null)}
+                  />
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default AdminReports;
@@ -0,0 +1,208 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  fetchAdminUsers,
+  suspendUser,
+  reactivateUser,
+} from "../redux/slices/adminSlice";
+import { notify, closeNotification } from "../redux/slices/notificationSlice";
+import { formatDate } from "../utils/format";
+import { translate } from "../i18n";
+import { useTranslation } from "../i18n/useTranslation";
+import Pagination from "./Pagination";
+
+const INITIAL_QUERY = { q: "", status: "", page: 1, limit: 25 };
+
+// Every account, searchable by name or email. Suspending one signs it out
+// everywhere and blocks logging in until it's reactivated.
+const AdminUsers = () => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const { items, total, isLoading, pendingIds } = useSelector(
+    (state) => state.admin.users,
+  );
+  const [query, setQuery] = useState(INITIAL_QUERY);
+  const [search, setSearch] = useState("");
+  // { userId, reason } while a suspension is being written
+  const [suspending, setSuspending] = useState(null);
+
+  useEffect(() => {
+    let current = true;
+    let retryToastId = null;
+    const load = () =>
+      dispatch(fetchAdminUsers(query))
+        .unwrap()
+        .catch((message) => {
+          if (current) {
+            retryToastId = dispatch(
+              notify({
+                level: "error",
+                message,
+                actions: [{ label: translate("common.retry"), onClick: load }],
+              }),
+            );
+          }
+        });
+    load();
+    return () => {
+      current = false;
+      if (retryToastId) {
+        dispatch(closeNotification(retryToastId));
+      }
+    };
+  }, [query, dispatch]);
+
+  const updateQuery = (changes) =>
+    setQuery((prev) => ({ ...prev, page: 1, ...changes }));
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateQuery({ q: search.trim() });
+  };
+
+  const handleSuspend = (e) => {
+    e.preventDefault();
+    dispatch(suspendUser(suspending))
+      .unwrap()
+      .then(() => setSuspending(null))
+      .catch(() => {});
+  };
+
+  return (
+    <section className="settings-section">
+      <form onSubmit={handleSearch} className="admin-filters">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder={t("admin.searchUsers")}
+          aria-label={t("admin.searchUsers")}
+        />
+        <select
+          value={query.status}
+          onChange={(e) => updateQuery({ status: e.target.value })}
+          aria-label={t("admin.statusFilter")}
+        >
+          <option value="">{t("admin.allUsers")}</option>
+          <option value="active">{t("admin.activeUsers")}</option>
+          <option value="suspended">{t("admin.suspendedUsers")}</option>
+        </select>
+        <button type="submit" className="preset-button">
+          {t("admin.search")}
+        </button>
+      </form>
+
+      {isLoading && items.length === 0 ? (
+        <p>{t("common.loading")}</p>
+      ) : items.length === 0 ? (
+        <p className="field-hint">{t("admin.noUsers")}</p>
+      ) : (
+        <ul className="session-list">
+          {items.map((user) => {
+            const pending = pendingIds.includes(user.id);
+            return (
+              <li key={user.id} className="session-item admin-item">
+                <div className="admin-item-row">
+                  <div>
+                    <strong>{user.fullName}</strong>
+                    {user.role === "admin" && (
+                      <span className="current-session">
+                        {t("admin.adminRole")}
+                      </span>
+                    )}
+                    {user.suspended && (
+                      <span className="admin-flag">
+                        {t("admin.suspendedFlag")}
+                      </span>
+                    )}
+                    <div className="field-hint">
+                      {user.emailId} ·{" "}
+                      {t("admin.linkCount", { count: user.linkCount })}
+                    </div>
+                    {user.suspended && (
+                      <div className="field-hint">
+                        {t("admin.suspendedAt", {
+                          date: formatDate(user.suspended.at),
+                        })}
+                        {user.suspended.reason && ` · ${user.suspended.reason}`}
+                      </div>
+                    )}
+                  </div>
+                  {user.role !== "admin" && (
+                    <div className="url-actions">
+                      {user.suspended ? (
+                        <button
+                          type="button"
+                          className="copy-button"
+                          onClick={() => dispatch(reactivateUser(user.id))}
+                          disabled={pending}
+                        >
+                          {t("admin.reactivate")}
+                        </button>
+                      ) : (
+                        suspending?.userId !== user.id && (
+                          <button
+                            type="button"
+                            className="delete-button"
+                            onClick={() =>
+                              setSuspending({ userId: user.id, reason: "" })
+                            }
+                            disabled={pending}
+                          >
+                            {t("admin.suspend")}
+                          </button>
+                        )
+                      )}
+                    </div>
+                  )}
+                </div>
+                {suspending?.userId === user.id && (
+                  <form onSubmit={handleSuspend} className="admin-disable-form">
+                    <input
+                      type="text"
+                      value={suspending.reason}
+                      onChange={(e) =>
+                        setSuspending({ ...suspending, reason: e.target.value })
+                      }
+                      placeholder={t("admin.suspendReason")}
+                      aria-label={t("admin.suspendReason")}
+                      maxLength={200}
+                      disabled={pending}
+                    />
+                    <button
+                      type="submit"
+                      className="delete-button"
+                      disabled={pending}
+                    >
+                      {t("admin.suspend")}
+                    </button>
+                    <button
+                      type="button"
+                      className="link-button"
+                      onClick={() => setSuspending(null)}
+                      disabled={pending}
+                    >
+                      {t("common.cancel")}
+                    </button>
+                  </form>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {total > query.limit && (
+        <Pagination
+          page={query.page}
+          limit={query.limit}
+          total={total}
+          onChange={(changes) => updateQuery(changes)}
+          disabled={isLoading}
+        />
+      )}
+    </section>
+  );
+};
+
+export default AdminUsers;
@@ -0,0 +1,127 @@
+import { useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  ANALYTICS_RANGES,
+  fetchUrlAnalytics,
+  setRange,
+} from "../redux/slices/analyticsSlice";
+import { formatNumber } from "../i18n";
+import { useTranslation } from "../i18n/useTranslation";
+import { ClickChart, BreakdownChart } from "./Charts";
+import "./Home.css";
+import "./Analytics.css";
+
+const Analytics = () => {
+  const { t, locale } = useTranslation();
+  const { id } = useParams();
+  const dispatch = useDispatch();
+  const { range, data, isLoading, error } = useSelector(
+    (state) => state.analytics,
+  );
+  // Fall back to the list entry while the analytics response is loading
+  const listUrl = useSelector((state) =>
+    state.urls.urls.find((url) => String(url.id) === id),
+  );
+
+  useEffect(() => {
+    dispatch(fetchUrlAnalytics({ urlId: id, range }));
+  }, [id, range, dispatch]);
+
+  const url = data?.url || listUrl;
+
+  const renderBody = () => {
+    if (isLoading && !data) {
+      return <div className="analytics-state">{t("analytics.loading")}</div>;
+    }
+    if (error) {
+      return (
+        <div className="analytics-state">
+          <div className="error-message">{error}</div>
+          <button
+            className="auth-button"
+            onClick={() => dispatch(fetchUrlAnalytics({ urlId: id, range }))}
+          >
+            {t("common.tryAgain")}
+          </button>
+        </div>
+      );
+    }
+    if (!data) {
+      return null;
+    }
+    if (data.totalClicks === 0) {
+      return <div className="analytics-state">{t("analytics.empty")}</div>;
+    }
+    return (
+      <>
+        <div className="analytics-card">
+          <h4>{t("analytics.clicksOverTime")}</h4>
+          <ClickChart points={data.clicksOverTime} />
+        </div>
+        <div className="breakdown-grid">
+          <BreakdownChart
+            title={t("analytics.referrers")}
+            items={data.referrers}
+          />
+          <BreakdownChart
+            title={t("analytics.countries")}
+            items={data.countries}
+          />
+          <BreakdownChart title={t("analytics.devices")} items={data.devices} />
+          <BreakdownChart
+            title={t("analytics.browsers")}
+            items={data.browsers}
+          />
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="home-container analytics-page">
+      <div className="user-info">
+        <div>
+          <Link to="/" className="back-link">
+            &larr; {t("common.backToLinks")}
+          </Link>
+          <h2>{t("analytics.title")}</h2>
+          {url && (
+            <>
+              <p className="analytics-url">{url.shortUrl}</p>
+              <p className="analytics-url">&rarr; {url.longUrl}</p>
+            </>
+          )}
+        </div>
+        {data && (
+          <div className="analytics-total">
+            <span>{formatNumber(data.totalClicks, locale)}</span>
+            {t("analytics.total", { count: data.totalClicks })}
+          </div>
+        )}
+      </div>
+
+      <div
+        className="range-picker"
+        role="group"
+        aria-label={t("analytics.rangeLabel")}
+      >
+        {ANALYTICS_RANGES.map((option) => (
+          <button
+            key={option.id}
+            className={`preset-button${option.id === range ? " active" : ""}`}
+            aria-pressed={option.id === range}
+            onClick={() => dispatch(setRange(option.id))}
+            disabled={isLoading && option.id === range}
+          >
+            {t(option.labelKey)}
+          </button>
+        ))}
+      </div>
+
+      {renderBody()}
+    </div>
+  );
+};
+
+export default Analytics;
@@ -0,0 +1,126 @@
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { API_KEY_SCOPES, createApiKey } from "../redux/slices/apiKeySlice";
+import { useTranslation } from "../i18n/useTranslation";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXPIRY_OPTIONS = [
+  { id: "30d", labelKey: "apiKeys.expiry.30d", days: 30 },
+  { id: "90d", labelKey: "apiKeys.expiry.90d", days: 90 },
+  { id: "1y", labelKey: "apiKeys.expiry.1y", days: 365 },
+  { id: "never", labelKey: "apiKeys.expiry.never", days: null },
+];
+
+const initialForm = {
+  name: "",
+  scopes: ["links:read", "links:create"],
+  expiry: "90d",
+};
+
+const ApiKeyForm = () => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const isCreating = useSelector((state) => state.apiKeys.isCreating);
+  const [formData, setFormData] = useState(initialForm);
+  const [validationError, setValidationError] = useState("");
+
+  const toggleScope = (scope) => {
+    setFormData((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter((item) => item !== scope)
+        : [...prev.scopes, scope],
+    }));
+    setValidationError("");
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const name = formData.name.trim();
+    if (!name) {
+      setValidationError(t("apiKeys.nameRequired"));
+      return;
+    }
+    if (formData.scopes.length === 0) {
+      setValidationError(t("apiKeys.scopeRequired"));
+      return;
+    }
+    const { days } = EXPIRY_OPTIONS.find(
+      (option) => option.id === formData.expiry,
+    );
+    dispatch(
+      createApiKey({
+        name,
+        // Keep the order of API_KEY_SCOPES, not the order they were ticked
+        scopes: API_KEY_SCOPES.map((scope) => scope.id).filter((id) =>
+          formData.scopes.includes(id),
+        ),
+        expiresAt: days
+          ? new Date(Date.now() + days * DAY_MS).toISOString()
+          : null,
+      }),
+    )
+      .unwrap()
+      .then(() => setFormData(initialForm))
+      .catch(() => {});
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="settings-form">
+      {validationError && (
+        <div className="error-message">{validationError}</div>
+      )}
+      <div className="form-group">
+        <label htmlFor="apiKeyName">{t("common.name")}</label>
+        <input
+          type="text"
+          id="apiKeyName"
+          value={formData.name}
+          onChange={(e) => {
+            setFormData((prev) => ({ ...prev, name: e.target.value }));
+            setValidationError("");
+          }}
+          placeholder={t("apiKeys.namePlaceholder")}
+          maxLength={60}
+          disabled={isCreating}
+        />
+      </div>
+      <fieldset className="scope-options" disabled={isCreating}>
+        <legend className="field-label">{t("apiKeys.permissions")}</legend>
+        {API_KEY_SCOPES.map((scope) => (
+          <label key={scope.id}>
+            <input
+              type="checkbox"
+              checked={formData.scopes.includes(scope.id)}
+              onChange={() => toggleScope(scope.id)}
+            />{" "}
+            {t(scope.labelKey)}
+          </label>
+        ))}
+      </fieldset>
+      <div className="form-group">
+        <label htmlFor="apiKeyExpiry">{t("apiKeys.expiresAfter")}</label>
+        <select
+          id="apiKeyExpiry"
+          value={formData.expiry}
+          onChange={(e) =>
+            setFormData((prev) => ({ ...prev, expiry: e.target.value }))
+          }
+          disabled={isCreating}
+        >
+          {EXPIRY_OPTIONS.map((option) => (
+            <option key={option.id} value={option.id}>
+              {t(option.labelKey)}
+            </option>
+          ))}
+        </select>
+      </div>
+      <button type="submit" className="auth-button" disabled={isCreating}>
+        {isCreating ? t("common.creating") : t("apiKeys.create")}
+      </button>
+    </form>
+  );
+};
+
+export default ApiKeyForm;
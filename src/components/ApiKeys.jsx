@@ -0,0 +1,155 @@
+import { useEffect } from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  API_KEY_SCOPES,
+  fetchApiKeys,
+  revokeApiKey,
+  clearCreatedSecret,
+} from "../redux/slices/apiKeySlice";
+import { confirm } from "../redux/slices/notificationSlice";
+import { formatDate, isExpired } from "../utils/format";
+import { useTranslation } from "../i18n/useTranslation";
+import ApiKeyForm from "./ApiKeyForm";
+import ApiTryIt from "./ApiTryIt";
+import CopyButton from "./CopyButton";
+import "./Auth.css";
+import "./Home.css";
+import "./Settings.css";
+
+const ApiKeys = () => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const { keys, createdSecret, revokingIds, isLoading, error } = useSelector(
+    (state) => state.apiKeys,
+  );
+
+  const scopeLabel = (id) => {
+    const scope = API_KEY_SCOPES.find((item) => item.id === id);
+    return scope ? t(scope.labelKey) : id;
+  };
+
+  useEffect(() => {
+    dispatch(fetchApiKeys());
+    // The secret must not survive leaving the page
+    return () => dispatch(clearCreatedSecret());
+  }, [dispatch]);
+
+  const handleRevoke = async (key) => {
+    if (
+      await dispatch(
+        confirm({
+          title: t("apiKeys.revokeTitle"),
+          message: t("apiKeys.revokeMessage", { name: key.name }),
+          confirmLabel: t("apiKeys.revoke"),
+          danger: true,
+        }),
+      )
+    ) {
+      dispatch(revokeApiKey(key.id));
+    }
+  };
+
+  return (
+    <div className="home-container settings-page">
+      <div className="user-info">
+        <div>
+          <Link to="/" className="back-link">
+            &larr; {t("common.backToLinks")}
+          </Link>
+          <h2>{t("apiKeys.title")}</h2>
+        </div>
+      </div>
+
+      <section className="settings-section">
+        <h3>{t("apiKeys.createTitle")}</h3>
+        <p className="field-hint">{t("apiKeys.createHint")}</p>
+        <ApiKeyForm />
+      </section>
+
+      {createdSecret && (
+        <section className="settings-section new-key">
+          <h3>{t("apiKeys.newKey", { name: createdSecret.name })}</h3>
+          <div className="info-message">{t("apiKeys.copyNow")}</div>
+          <div className="secret-row">
+            <code className="code-block secret-value">
+              {createdSecret.secret}
+            </code>
+            <CopyButton text={createdSecret.secret} />
+          </div>
+          <button
+            type="button"
+            className="link-button"
+            onClick={() => dispatch(clearCreatedSecret())}
+          >
+            {t("apiKeys.stored")}
+          </button>
+        </section>
+      )}
+
+      <section className="settings-section">
+        <h3>{t("apiKeys.yourKeys")}</h3>
+        {error && <div className="error-message">{error}</div>}
+        {isLoading && keys.length === 0 ? (
+          <p>{t("apiKeys.loading")}</p>
+        ) : keys.length === 0 ? (
+          <p className="field-hint">{t("apiKeys.empty")}</p>
+        ) : (
+          <ul className="session-list">
+            {keys.map((key) => (
+              <li key={key.id} className="session-item">
+                <div>
+                  <strong>{key.name}</strong>{" "}
+                  <code className="key-prefix">{key.prefix}…</code>
+                  <div className="key-scopes">
+                    {key.scopes.map((scope) => (
+                      <span key={scope} className="key-scope">
+                        {scopeLabel(scope)}
+                      </span>
+                    ))}
+                  </div>
+                  <div className="field-hint">
+                    {t("apiKeys.created", { date: formatDate(key.createdAt) })}
+                    {" · "}
+                    {key.expiresAt
+                      ? t(
+                          isExpired(key)
+                            ? "apiKeys.expired"
+                            : "apiKeys.expires",
+                          {
+                            date: formatDate(key.expiresAt),
+                          },
+                        )
+                      : t("apiKeys.neverExpires")}
+                    {" · "}
+                    {key.lastUsedAt
+                      ? t("apiKeys.lastUsed", {
+                          date: formatDate(key.lastUsedAt),
+                        })
+                      : t("apiKeys.neverUsed")}
+                  </div>
+                </div>
+                <button
+                  className="delete-button"
+                  onClick={() => handleRevoke(key)}
+                  disabled={revokingIds.includes(key.id)}
+                >
+                  {revokingIds.includes(key.id)
+                    ? t("apiKeys.revoking")
+                    : t("apiKeys.revoke")}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="settings-section">
+        <h3>{t("apiKeys.tryIt")}</h3>
+        <ApiTryIt secret={createdSecret?.secret} />
+      </section>
+    </div>
+  );
+};
+
+export default ApiKeys;
@@ -0,0 +1,94 @@
+import { useMemo, useState } from "react";
+import axiosInstance from "../utils/axiosConfig";
+import { buildCurlExample, buildFetchExample } from "../utils/apiExamples";
+import { useTranslation } from "../i18n/useTranslation";
+import CopyButton from "./CopyButton";
+
+// Labels are the names of the tools, so they aren't translated
+const FORMATS = [
+  { id: "curl", label: "curl", build: buildCurlExample },
+  { id: "fetch", label: "JavaScript", build: buildFetchExample },
+];
+
+const KEY_PLACEHOLDER = "YOUR_API_KEY";
+
+// Example request for the shorten endpoint. Uses the key that was just
+// created when its secret is still on screen.
+const ApiTryIt = ({ secret }) => {
+  const { t, tRich } = useTranslation();
+  const [format, setFormat] = useState("curl");
+  const [longUrl, setLongUrl] = useState("https://example.com/my-page");
+  const [customAlias, setCustomAlias] = useState("");
+
+  const example = useMemo(() => {
+    // Same body the app itself sends to /urls/create
+    const body = { base_url: longUrl.trim() };
+    if (customAlias.trim()) {
+      body.custom_alias = customAlias.trim();
+    }
+    const { build } = FORMATS.find((item) => item.id === format);
+    return build({
+      endpoint: `${axiosInstance.defaults.baseURL}/urls/create`,
+      apiKey: secret || KEY_PLACEHOLDER,
+      body,
+    });
+  }, [format, longUrl, customAlias, secret]);
+
+  return (
+    <div className="try-it">
+      <div className="try-it-fields">
+        <div className="form-group">
+          <label htmlFor="tryItUrl">{t("apiKeys.tryUrl")}</label>
+          <input
+            type="url"
+            id="tryItUrl"
+            value={longUrl}
+            onChange={(e) => setLongUrl(e.target.value)}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="tryItAlias">{t("apiKeys.tryAlias")}</label>
+          <input
+            type="text"
+            id="tryItAlias"
+            value={customAlias}
+            onChange={(e) => setCustomAlias(e.target.value)}
+          />
+        </div>
+      </div>
+      <div
+        className="mode-tabs"
+        role="group"
+        aria-label={t("apiKeys.formatLabel")}
+      >
+        {FORMATS.map((item) => (
+          <button
+            key={item.id}
+            type="button"
+            className={`preset-button${format === item.id ? " active" : ""}`}
+            aria-pressed={format === item.id}
+            onClick={() => setFormat(item.id)}
+          >
+            {item.label}
+          </button>
+        ))}
+      </div>
+      <pre className="code-block">
+        <code>{example}</code>
+      </pre>
+      <div className="settings-actions">
+        <CopyButton text={example} />
+        {!secret && (
+          <span className="field-hint">
+            {t("apiKeys.replaceKey", { placeholder: KEY_PLACEHOLDER })}
+          </span>
+        )}
+      </div>
+      <p className="field-hint">
+        {tRich("apiKeys.tryHint", { field: <code>shortUrl</code> })}
+      </p>
+    </div>
+  );
+};
+
+export default ApiTryIt;
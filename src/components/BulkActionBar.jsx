@@ -0,0 +1,285 @@
+import { useState } from "react";
+import { useDispatch } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import { updateUrl, deleteUrl } from "../redux/slices/urlSlice";
+import { notify, confirm } from "../redux/slices/notificationSlice";
+import { mapWithConcurrency } from "../utils/concurrency";
+import { validateExpiry, toIsoOrNull } from "../utils/urlValidation";
+import { useTranslation } from "../i18n/useTranslation";
+import ExportMenu from "./ExportMenu";
+
+const CONCURRENCY = 4;
+
+// Thunk rejections are either a message or { message, fieldErrors }
+const failureMessage = (reason) =>
+  typeof reason === "string" ? reason : reason?.message;
+
+// Actions on the ticked links. `urls` are the selected rows on this page;
+// with `matching` ({ count, load }) the selection is every link matching
+// the current filter instead, loaded when an action runs. `onSettled` gets
+// the action and the ids that failed, which stay selected for a retry.
+const BulkActionBar = ({ urls, matching, canEdit, onClear, onSettled }) => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { t } = useTranslation();
+  const [expiry, setExpiry] = useState("");
+  const [expiryError, setExpiryError] = useState(null);
+  // { action, done, total } while an action runs; `total` is null while
+  // the matching links are still loading
+  const [progress, setProgress] = useState(null);
+  // { action, done, total, failures: [{ url, message }] } after a partial
+  // failure
+  const [summary, setSummary] = useState(null);
+  const count = matching ? matching.count : urls.length;
+  const isRunning = progress !== null;
+
+  const loadTargets = async (action) => {
+    if (!matching) {
+      return urls;
+    }
+    setProgress({ action, done: 0, total: null });
+    try {
+      return await matching.load();
+    } catch (message) {
+      setProgress(null);
+      dispatch(notify({ level: "error", message }));
+      return null;
+    }
+  };
+
+  // Runs `worker` on each link and reports a partial failure in the bar.
+  // Resolves with the number of links that succeeded.
+  const runOnEach = async (action, targets, worker) => {
+    setSummary(null);
+    setProgress({ action, done: 0, total: targets.length });
+    const results = await mapWithConcurrency(
+      targets,
+      CONCURRENCY,
+      async (url) => {
+        try {
+          return await worker(url);
+        } finally {
+          setProgress((prev) => ({ ...prev, done: prev.done + 1 }));
+        }
+      },
+    );
+    setProgress(null);
+
+    const failures = targets
+      .map((url, index) => ({ url, result: results[index] }))
+      .filter(({ result }) => result.status === "rejected")
+      .map(({ url, result }) => ({
+        url,
+        message: failureMessage(result.reason) || t("bulk.failed"),
+      }));
+    const done = targets.length - failures.length;
+    if (failures.length) {
+      setSummary({ action, done, total: targets.length, failures });
+    }
+    onSettled(
+      action,
+      failures.map(({ url }) => url.id),
+    );
+    return done;
+  };
+
+  const handleDelete = async () => {
+    const confirmed = await dispatch(
+      confirm({
+        title: t("bulk.deleteTitle"),
+        message: t("bulk.deleteMessage", { count }),
+        confirmLabel: t("common.delete"),
+        danger: true,
+      }),
+    );
+    const targets = confirmed && (await loadTargets("delete"));
+    if (!targets) {
+      return;
+    }
+    const done = await runOnEach("delete", targets, (url) =>
+      dispatch(deleteUrl(url.id)).unwrap(),
+    );
+    if (done) {
+      dispatch(
+        notify({
+          level: "success",
+          message: t("bulk.deleted", { count: done }),
+          actions: [
+            { label: t("bulk.viewTrash"), onClick: () => navigate("/trash") },
+          ],
+        }),
+      );
+    }
+  };
+
+  // An empty value clears the expiry
+  const handleExpiry = async (value) => {
+    const error = validateExpiry(value);
+    setExpiryError(error);
+    if (error) {
+      return;
+    }
+    const targets = await loadTargets("expiry");
+    if (!targets) {
+      return;
+    }
+    const expiresAt = toIsoOrNull(value);
+    const done = await runOnEach("expiry", targets, (url) =>
+      dispatch(updateUrl({ urlId: url.id, changes: { expiresAt } })).unwrap(),
+    );
+    if (done) {
+      setExpiry("");
+      dispatch(
+        notify({
+          level: "success",
+          message: t("bulk.expiryUpdated", { count: done }),
+        }),
+      );
+    }
+  };
+
+  const handleCopy = async () => {
+    const targets = await loadTargets("copy");
+    if (!targets) {
+      return;
+    }
+    setProgress(null);
+    try {
+      await navigator.clipboard.writeText(
+        targets.map((url) => url.shortUrl).join("\n"),
+      );
+      dispatch(
+        notify({
+          level: "success",
+          message: t("bulk.copied", { count: targets.length }),
+        }),
+      );
+    } catch {
+      dispatch(notify({ level: "error", message: t("bulk.copyFailed") }));
+    }
+  };
+
+  const exportScope = matching
+    ? {
+        id: "selection",
+        label: t("bulk.selection"),
+        count,
+        load: matching.load,
+      }
+    : { id: "selection", label: t("bulk.selection"), urls };
+
+  return (
+    <div
+      className="bulk-action-bar"
+      role="region"
+      aria-label={t("bulk.actions")}
+    >
+      <div className="bulk-action-row">
+        <strong>{t("bulk.selected", { count })}</strong>
+        <button
+          type="button"
+          className="copy-button"
+          onClick={handleCopy}
+          disabled={isRunning}
+        >
+          {t("bulk.copy")}
+        </button>
+        <ExportMenu scopes={[exportScope]} />
+        {canEdit && (
+          <button
+            type="button"
+            className="delete-button"
+            onClick={handleDelete}
+            disabled={isRunning}
+          >
+            {t("common.delete")}
+          </button>
+        )}
+        <button
+          type="button"
+          className="link-button"
+          onClick={onClear}
+          disabled={isRunning}
+        >
+          {t("bulk.clear")}
+        </button>
+      </div>
+
+      {canEdit && (
+        <div className="bulk-action-row">
+          <label htmlFor="bulkExpiry">{t("bulk.expiry")}</label>
+          <input
+            type="datetime-local"
+            id="bulkExpiry"
+            value={expiry}
+            onChange={(e) => {
+              setExpiry(e.target.value);
+              setExpiryError(null);
+            }}
+            aria-invalid={Boolean(expiryError)}
+            disabled={isRunning}
+          />
+          <button
+            type="button"
+            className="preset-button"
+            onClick={() => handleExpiry(expiry)}
+            disabled={isRunning || !expiry}
+          >
+            {t("bulk.setExpiry")}
+          </button>
+          <button
+            type="button"
+            className="preset-button"
+            onClick={() => handleExpiry("")}
+            disabled={isRunning}
+          >
+            {t("bulk.removeExpiry")}
+          </button>
+          {expiryError && <span className="field-error">{expiryError}</span>}
+        </div>
+      )}
+
+      <div role="status" aria-live="polite">
+        {progress &&
+          (progress.total === null ? (
+            <p className="bulk-action-progress">{t("bulk.loading")}</p>
+          ) : (
+            <p className="bulk-action-progress">
+              <progress value={progress.done} max={progress.total} />
+              {t(`bulk.progress.${progress.action}`, {
+                done: progress.done,
+                total: progress.total,
+              })}
+            </p>
+          ))}
+        {summary && (
+          <div className="bulk-action-failures">
+            <p>
+              {t(`bulk.partial.${summary.action}`, {
+                done: summary.done,
+                count: summary.total,
+              })}
+            </p>
+            <ul>
+              {summary.failures.map(({ url, message }) => (
+                <li key={url.id}>
+                  <strong>{url.shortUrl}</strong>: {message}
+                </li>
+              ))}
+            </ul>
+            <p className="field-hint">{t("bulk.failedKept")}</p>
+            <button
+              type="button"
+              className="link-button"
+              onClick={() => setSummary(null)}
+            >
+              {t("bulk.dismiss")}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionBar;
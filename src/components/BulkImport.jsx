@@ -0,0 +1,214 @@
+import { useState } from "react";
+import { useDispatch } from "react-redux";
+import { shortenUrlInBulk } from "../redux/slices/urlSlice";
+import { parseBulkInput, MAX_BULK_ROWS } from "../utils/bulkImport";
+import { mapWithConcurrency } from "../utils/concurrency";
+import { formatDate } from "../utils/format";
+import { useTranslation } from "../i18n/useTranslation";
+import "./BulkImport.css";
+
+const CONCURRENCY = 4;
+
+// invalid | ready | pending | success | failed
+const withStatus = (row) => ({
+  ...row,
+  status: row.errors.length ? "invalid" : "ready",
+  shortUrl: null,
+  error: row.errors.join("; ") || null,
+});
+
+const BulkImport = () => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const [input, setInput] = useState("");
+  const [rows, setRows] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [fileError, setFileError] = useState("");
+
+  const updateRow = (id, changes) => {
+    setRows((prev) =>
+      prev.map((row) => (row.id === id ? { ...row, ...changes } : row)),
+    );
+  };
+
+  const loadRows = (text) => {
+    setRows(parseBulkInput(text).map(withStatus));
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    setFileError("");
+    if (!file) {
+      return;
+    }
+    try {
+      const text = await file.text();
+      setInput(text);
+      loadRows(text);
+    } catch {
+      setFileError(t("bulkImport.readFailed"));
+    }
+    // Allow picking the same file again after editing it
+    e.target.value = "";
+  };
+
+  const submitRows = async (targets) => {
+    setIsSubmitting(true);
+    targets.forEach((row) => updateRow(row.id, { status: "pending" }));
+
+    await mapWithConcurrency(targets, CONCURRENCY, async (row) => {
+      try {
+        const created = await dispatch(
+          shortenUrlInBulk({
+            longUrl: row.longUrl,
+            customAlias: row.customAlias,
+            expiresAt: row.expiresAt,
+          }),
+        ).unwrap();
+        updateRow(row.id, {
+          status: "success",
+          shortUrl: created?.shortUrl,
+          error: null,
+        });
+      } catch (message) {
+        updateRow(row.id, { status: "failed", error: String(message) });
+      }
+    });
+
+    setIsSubmitting(false);
+  };
+
+  const counts = rows.reduce((acc, row) => {
+    acc[row.status] = (acc[row.status] || 0) + 1;
+    return acc;
+  }, {});
+  const readyRows = rows.filter((row) => row.status === "ready");
+  const failedRows = rows.filter((row) => row.status === "failed");
+
+  return (
+    <div className="bulk-import">
+      <label htmlFor="bulkInput">{t("bulkImport.inputLabel")}</label>
+      <textarea
+        id="bulkInput"
+        rows={6}
+        value={input}
+        onChange={(e) => setInput(e.target.value)}
+        placeholder={
+          "url,alias,expiry\nhttps://example.com/spring,spring-sale,2030-01-01"
+        }
+        disabled={isSubmitting}
+      />
+      <div className="bulk-controls">
+        <input
+          type="file"
+          accept=".csv,.txt,text/csv,text/plain"
+          onChange={handleFileChange}
+          disabled={isSubmitting}
+          aria-label={t("bulkImport.upload")}
+        />
+        <button
+          type="button"
+          className="preset-button"
+          onClick={() => loadRows(input)}
+          disabled={isSubmitting || !input.trim()}
+        >
+          {t("bulkImport.check")}
+        </button>
+        <button
+          type="button"
+          className="auth-button"
+          onClick={() => submitRows(readyRows)}
+          disabled={isSubmitting || readyRows.length === 0}
+        >
+          {isSubmitting
+            ? t("bulkImport.shortening")
+            : t("bulkImport.shorten", { count: readyRows.length })}
+        </button>
+        {failedRows.length > 0 && (
+          <button
+            type="button"
+            className="preset-button"
+            onClick={() => submitRows(failedRows)}
+            disabled={isSubmitting}
+          >
+            {t("bulkImport.retryFailed", { count: failedRows.length })}
+          </button>
+        )}
+      </div>
+      {fileError && <div className="field-error">{fileError}</div>}
+
+      {rows.length > 0 && (
+        <>
+          <p className="bulk-summary" aria-live="polite">
+            {t("bulkImport.summary", {
+              count: rows.length,
+              success: counts.success || 0,
+              failed: counts.failed || 0,
+              invalid: counts.invalid || 0,
+            })}
+            {rows.length === MAX_BULK_ROWS &&
+              t("bulkImport.limited", { max: MAX_BULK_ROWS })}
+          </p>
+          <div className="bulk-table-wrapper">
+            <table className="bulk-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>{t("bulkImport.url")}</th>
+                  <th>{t("bulkImport.alias")}</th>
+                  <th>{t("bulkImport.expires")}</th>
+                  <th>{t("bulkImport.result")}</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.id} className={`bulk-row ${row.status}`}>
+                    <td>{row.rowNumber}</td>
+                    <td className="bulk-url">{row.longUrl}</td>
+                    <td>{row.customAlias || "-"}</td>
+                    <td>
+                      {row.expiresAt
+                        ? formatDate(row.expiresAt)
+                        : t("bulkImport.never")}
+                    </td>
+                    <td>
+                      {row.status === "success" && (
+                        <a
+                          href={row.shortUrl}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="shortened-url"
+                        >
+                          {row.shortUrl}
+                        </a>
+                      )}
+                      {row.status === "pending" && t("bulkImport.shortening")}
+                      {row.status === "ready" && t("bulkImport.ready")}
+                      {(row.status === "failed" || row.status === "invalid") &&
+                        row.error}
+                    </td>
+                    <td>
+                      {row.status === "failed" && (
+                        <button
+                          type="button"
+                          className="preset-button"
+                          onClick={() => submitRows([row])}
+                          disabled={isSubmitting}
+                        >
+                          {t("common.retry")}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BulkImport;
@@ -0,0 +1,136 @@
+// Lightweight SVG/CSS charts so the analytics page doesn't need a charting
+// library.
+
+import { formatNumber } from "../i18n";
+import { useTranslation } from "../i18n/useTranslation";
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 200;
+const AXIS_PADDING = 28;
+
+const formatBucket = (value, locale) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return String(value);
+  }
+  return date.toLocaleDateString(locale, { month: "short", day: "numeric" });
+};
+
+export const ClickChart = ({ points }) => {
+  const { t, locale } = useTranslation();
+  const maxClicks = Math.max(1, ...points.map((point) => point.clicks));
+  const plotWidth = CHART_WIDTH - AXIS_PADDING;
+  const plotHeight = CHART_HEIGHT - AXIS_PADDING;
+  const slot = plotWidth / Math.max(points.length, 1);
+  const barWidth = Math.max(2, slot * 0.7);
+  // Show roughly six labels regardless of how many buckets there are
+  const labelEvery = Math.max(1, Math.ceil(points.length / 6));
+  const total = points.reduce((sum, point) => sum + point.clicks, 0);
+
+  return (
+    <svg
+      className="click-chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      role="img"
+      aria-label={t("analytics.chartLabel", {
+        total,
+        count: points.length,
+      })}
+    >
+      <line
+        x1={AXIS_PADDING}
+        y1={plotHeight}
+        x2={CHART_WIDTH}
+        y2={plotHeight}
+        className="chart-axis"
+      />
+      <text
+        x={AXIS_PADDING - 4}
+        y={10}
+        className="chart-label"
+        textAnchor="end"
+      >
+        {formatNumber(maxClicks, locale)}
+      </text>
+      <text
+        x={AXIS_PADDING - 4}
+        y={plotHeight}
+        className="chart-label"
+        textAnchor="end"
+      >
+        0
+      </text>
+      {points.map((point, index) => {
+        const height = (point.clicks / maxClicks) * (plotHeight - 8);
+        const x = AXIS_PADDING + index * slot + (slot - barWidth) / 2;
+        return (
+          <g key={`${point.date}-${index}`}>
+            <rect
+              x={x}
+              y={plotHeight - height}
+              width={barWidth}
+              height={height}
+              className="chart-bar"
+            >
+              <title>
+                {t("analytics.bucketClicks", {
+                  date: formatBucket(point.date, locale),
+                  count: point.clicks,
+                })}
+              </title>
+            </rect>
+            {index % labelEvery === 0 && (
+              <text
+                x={x + barWidth / 2}
+                y={CHART_HEIGHT - 8}
+                className="chart-label"
+                textAnchor="middle"
+              >
+                {formatBucket(point.date, locale)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export const BreakdownChart = ({ title, items, limit = 8 }) => {
+  const { t } = useTranslation();
+  const visible = items.slice(0, limit);
+  const total = items.reduce((sum, item) => sum + item.count, 0);
+
+  return (
+    <div className="breakdown">
+      <h4>{title}</h4>
+      {visible.length === 0 ? (
+        <p className="breakdown-empty">{t("analytics.noData")}</p>
+      ) : (
+        <ul>
+          {visible.map((item) => {
+            const percent = total ? Math.round((item.count / total) * 100) : 0;
+            return (
+              <li key={item.name}>
+                <div className="breakdown-row">
+                  <span className="breakdown-name">
+                    {item.name || t("analytics.direct")}
+                  </span>
+                  <span className="breakdown-count">
+                    {t("analytics.share", { count: item.count, percent })}
+                  </span>
+                </div>
+                <div className="breakdown-track">
+                  <div
+                    className="breakdown-bar"
+                    style={{ width: `${percent}%` }}
+                  />
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,46 @@
+import { Link, useSearchParams } from "react-router-dom";
+import { useSelector } from "react-redux";
+import {
+  REDIRECT_PARAM,
+  getSafeRedirect,
+  withRedirectParam,
+} from "../utils/redirect";
+import { useTranslation } from "../i18n/useTranslation";
+import ResendVerification from "./ResendVerification";
+import "./Auth.css";
+
+// Shown after signup until the user clicks the link in their email
+const CheckInbox = () => {
+  const { t, tRich } = useTranslation();
+  const [searchParams] = useSearchParams();
+  const loginPath = withRedirectParam(
+    "/login",
+    getSafeRedirect(searchParams.get(REDIRECT_PARAM)),
+  );
+  const pendingEmail = useSelector(
+    (state) => state.auth.emailVerification.pendingEmail,
+  );
+
+  return (
+    <div className="auth-container">
+      <h2>{t("checkInbox.title")}</h2>
+      {pendingEmail ? (
+        <p>
+          {tRich("checkInbox.sentTo", {
+            email: <strong>{pendingEmail}</strong>,
+          })}
+        </p>
+      ) : (
+        <p>{t("checkInbox.generic")}</p>
+      )}
+      <p className="status-detail">{t("checkInbox.spam")}</p>
+      {pendingEmail && <ResendVerification email={pendingEmail} />}
+      <p className="auth-link">
+        {t("checkInbox.alreadyVerified")}{" "}
+        <Link to={loginPath}>{t("signup.loginLink")}</Link>
+      </p>
+    </div>
+  );
+};
+
+export default CheckInbox;
@@ -0,0 +1,96 @@
+import { useEffect, useRef } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { answerConfirmation } from "../redux/slices/notificationSlice";
+import { useTranslation } from "../i18n/useTranslation";
+import "./Dialog.css";
+
+const FOCUSABLE =
+  "button:not([disabled]), [href], input:not([disabled]), select, textarea";
+
+// Tab and Shift+Tab wrap around inside the dialog
+const keepFocusInside = (e, container) => {
+  const elements = container.querySelectorAll(FOCUSABLE);
+  const first = elements[0];
+  const last = elements[elements.length - 1];
+  if (e.shiftKey && document.activeElement === first) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+};
+
+// Answers the confirm() thunk. Cancel has focus first, so pressing Enter
+// by reflex never deletes anything; Escape or the backdrop also cancel.
+const ConfirmDialog = () => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const confirmation = useSelector((state) => state.notifications.confirmation);
+  const dialogRef = useRef(null);
+  const cancelRef = useRef(null);
+
+  useEffect(() => {
+    if (!confirmation) {
+      return;
+    }
+    const returnFocusTo = document.activeElement;
+    cancelRef.current?.focus();
+
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") {
+        dispatch(answerConfirmation(false));
+      } else if (e.key === "Tab" && dialogRef.current) {
+        keepFocusInside(e, dialogRef.current);
+      }
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.removeEventListener("keydown", handleKeyDown);
+      returnFocusTo?.focus?.();
+    };
+  }, [confirmation, dispatch]);
+
+  if (!confirmation) {
+    return null;
+  }
+
+  const { title, message, confirmLabel, danger } = confirmation;
+  const cancel = () => dispatch(answerConfirmation(false));
+
+  return (
+    <div className="dialog-backdrop" onClick={cancel}>
+      <div
+        ref={dialogRef}
+        className="dialog confirm-dialog"
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="confirm-dialog-title"
+        aria-describedby="confirm-dialog-message"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 id="confirm-dialog-title">{title}</h3>
+        <p id="confirm-dialog-message">{message}</p>
+        <div className="dialog-actions">
+          <button
+            ref={cancelRef}
+            type="button"
+            className="preset-button"
+            onClick={cancel}
+          >
+            {t("common.cancel")}
+          </button>
+          <button
+            type="button"
+            className={danger ? "delete-button" : "copy-button"}
+            onClick={() => dispatch(answerConfirmation(true))}
+          >
+            {confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConfirmDialog;
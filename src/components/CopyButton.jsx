@@ -0,0 +1,39 @@
+import { useEffect, useState } from "react";
+import { useTranslation } from "../i18n/useTranslation";
+
+const FEEDBACK_MS = 2000;
+
+// Copies `text` and briefly confirms it in the button label
+const CopyButton = ({ text, label, className = "copy-button" }) => {
+  const { t } = useTranslation();
+  const [status, setStatus] = useState("idle"); // idle | copied | failed
+
+  useEffect(() => {
+    if (status === "idle") {
+      return;
+    }
+    const timer = setTimeout(() => setStatus("idle"), FEEDBACK_MS);
+    return () => clearTimeout(timer);
+  }, [status]);
+
+  const handleClick = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setStatus("copied");
+    } catch {
+      setStatus("failed");
+    }
+  };
+
+  return (
+    <button type="button" className={className} onClick={handleClick}>
+      {status === "copied"
+        ? t("common.copied")
+        : status === "failed"
+          ? t("common.copyFailed")
+          : label || t("common.copy")}
+    </button>
+  );
+};
+
+export default CopyButton;
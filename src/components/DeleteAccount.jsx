@@ -0,0 +1,60 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { deleteAccount } from "../redux/slices/accountSlice";
+import { useTranslation } from "../i18n/useTranslation";
+
+const DeleteAccount = ({ user }) => {
+  const { t, tRich } = useTranslation();
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { isSaving, error } = useSelector((state) => state.account.deletion);
+  const [confirmation, setConfirmation] = useState("");
+  const email = user?.emailId || user?.email || "";
+  const confirmed = email !== "" && confirmation.trim() === email;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!confirmed) {
+      return;
+    }
+    dispatch(deleteAccount())
+      .unwrap()
+      .then(() => navigate("/login", { replace: true }))
+      .catch(() => {});
+  };
+
+  return (
+    <section className="settings-section danger-zone">
+      <h3>{t("settings.deleteTitle")}</h3>
+      <p>{t("settings.deleteWarning")}</p>
+      {error && <div className="error-message">{error}</div>}
+      <form onSubmit={handleSubmit} className="settings-form">
+        <div className="form-group">
+          <label htmlFor="deleteConfirmation">
+            {tRich("settings.deleteConfirm", {
+              email: <strong>{email}</strong>,
+            })}
+          </label>
+          <input
+            type="text"
+            id="deleteConfirmation"
+            value={confirmation}
+            onChange={(e) => setConfirmation(e.target.value)}
+            autoComplete="off"
+            disabled={isSaving}
+          />
+        </div>
+        <button
+          type="submit"
+          className="delete-button"
+          disabled={!confirmed || isSaving}
+        >
+          {isSaving ? t("settings.deleting") : t("settings.deleteSubmit")}
+        </button>
+      </form>
+    </section>
+  );
+};
+
+export default DeleteAccount;
@@ -0,0 +1,62 @@
+import { useState } from "react";
+import { ABUSE_REASONS } from "../redux/slices/adminSlice";
+import { useTranslation } from "../i18n/useTranslation";
+
+// Reason and note for taking a link down. `initialReason` preselects the
+// reason it was reported for; `onSubmit` gets { reason, note }.
+const DisableLinkForm = ({
+  id,
+  initialReason = "phishing",
+  disabled,
+  onSubmit,
+  onCancel,
+}) => {
+  const { t } = useTranslation();
+  const [reason, setReason] = useState(initialReason);
+  const [note, setNote] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ reason, note: note.trim() });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="admin-disable-form">
+      <label htmlFor={`${id}-reason`}>{t("admin.reasonLabel")}</label>
+      <select
+        id={`${id}-reason`}
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        disabled={disabled}
+      >
+        {ABUSE_REASONS.map((item) => (
+          <option key={item} value={item}>
+            {t(`admin.reason.${item}`)}
+          </option>
+        ))}
+      </select>
+      <input
+        type="text"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder={t("admin.notePlaceholder")}
+        aria-label={t("admin.note")}
+        maxLength={200}
+        disabled={disabled}
+      />
+      <button type="submit" className="delete-button" disabled={disabled}>
+        {t("admin.disable")}
+      </button>
+      <button
+        type="button"
+        className="link-button"
+        onClick={onCancel}
+        disabled={disabled}
+      >
+        {t("common.cancel")}
+      </button>
+    </form>
+  );
+};
+
+export default DisableLinkForm;
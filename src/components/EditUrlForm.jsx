@@ -0,0 +1,247 @@
+import { useState } from "react";
+import { useDispatch } from "react-redux";
+import { confirm } from "../redux/slices/notificationSlice";
+import {
+  EXPIRY_PRESETS,
+  validateLongUrl,
+  validateAlias,
+  validateExpiry,
+  validateLinkPassword,
+  validateMaxClicks,
+  validateStartsAt,
+  toDateTimeLocal,
+  toIsoOrNull,
+  toLimitOrNull,
+} from "../utils/urlValidation";
+import TagPicker from "./TagPicker";
+import FolderSelect from "./FolderSelect";
+import LinkAccessFields from "./LinkAccessFields";
+import { useTranslation } from "../i18n/useTranslation";
+
+const toEditDraft = (url) => ({
+  longUrl: url.longUrl || "",
+  customAlias: url.customAlias || "",
+  expiresAt: url.expiresAt ? toDateTimeLocal(new Date(url.expiresAt)) : "",
+  folderId: url.folderId ?? null,
+  tagIds: url.tagIds || [],
+  // The saved password is never sent back; blank keeps it
+  password: "",
+  removePassword: false,
+  maxClicks: url.maxClicks ? String(url.maxClicks) : "",
+  startsAt: url.startsAt ? toDateTimeLocal(new Date(url.startsAt)) : "",
+});
+
+const sameIds = (a, b) =>
+  a.length === b.length && a.every((id) => b.includes(id));
+
+// Only the fields that differ from the saved link, in thunk format
+const diffChanges = (url, draft) => {
+  const original = toEditDraft(url);
+  const changes = {};
+  if (draft.longUrl.trim() !== original.longUrl) {
+    changes.longUrl = draft.longUrl.trim();
+  }
+  if (draft.customAlias.trim() !== original.customAlias) {
+    changes.customAlias = draft.customAlias.trim() || null;
+  }
+  if (draft.expiresAt !== original.expiresAt) {
+    changes.expiresAt = toIsoOrNull(draft.expiresAt);
+  }
+  if (draft.folderId !== original.folderId) {
+    changes.folderId = draft.folderId;
+  }
+  if (!sameIds(draft.tagIds, original.tagIds)) {
+    changes.tagIds = draft.tagIds;
+  }
+  if (draft.removePassword) {
+    changes.password = null;
+  } else if (draft.password) {
+    changes.password = draft.password;
+  }
+  if (draft.maxClicks !== original.maxClicks) {
+    changes.maxClicks = toLimitOrNull(draft.maxClicks);
+  }
+  if (draft.startsAt !== original.startsAt) {
+    changes.startsAt = toIsoOrNull(draft.startsAt);
+  }
+  return changes;
+};
+
+const EditUrlForm = ({
+  url,
+  initialDraft,
+  initialErrors,
+  onSave,
+  onCancel,
+}) => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const [draft, setDraft] = useState(initialDraft || toEditDraft(url));
+  const [errors, setErrors] = useState(initialErrors || {});
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setDraft((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: null }));
+  };
+
+  const setField = (name, value) => {
+    setDraft((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: null }));
+  };
+
+  const applyPreset = (preset) => {
+    const expiresAt =
+      preset.durationMs === null
+        ? ""
+        : toDateTimeLocal(new Date(Date.now() + preset.durationMs));
+    setDraft((prev) => ({ ...prev, expiresAt }));
+    setErrors((prev) => ({ ...prev, expiresAt: null }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    // An expiry that's already passed can stay as it is, so expired links
+    // can still be edited; only a new one has to be in the future
+    const expiryChanged = draft.expiresAt !== toEditDraft(url).expiresAt;
+    const validation = {
+      longUrl: validateLongUrl(draft.longUrl),
+      customAlias: validateAlias(draft.customAlias),
+      expiresAt: expiryChanged ? validateExpiry(draft.expiresAt) : null,
+      password: validateLinkPassword(draft.password),
+      maxClicks: validateMaxClicks(draft.maxClicks, url.clicks),
+      startsAt: validateStartsAt(draft.startsAt, draft.expiresAt),
+    };
+    setErrors(validation);
+    if (Object.values(validation).some(Boolean)) {
+      return;
+    }
+
+    const changes = diffChanges(url, draft);
+    if (Object.keys(changes).length === 0) {
+      onCancel();
+      return;
+    }
+
+    // Changing where a link points affects everyone who already has it
+    if (
+      changes.longUrl &&
+      url.clicks > 0 &&
+      !(await dispatch(
+        confirm({
+          title: t("linkForm.changeDestinationTitle"),
+          message: t("linkForm.changeDestinationMessage", {
+            count: url.clicks,
+          }),
+          confirmLabel: t("linkForm.changeDestination"),
+        }),
+      ))
+    ) {
+      return;
+    }
+
+    onSave(changes, draft);
+  };
+
+  return (
+    <form className="edit-url-form" onSubmit={handleSubmit} noValidate>
+      <div className="shorten-field">
+        <label htmlFor={`edit-longUrl-${url.id}`}>
+          {t("linkForm.destination")}
+        </label>
+        <input
+          type="url"
+          id={`edit-longUrl-${url.id}`}
+          name="longUrl"
+          value={draft.longUrl}
+          onChange={handleChange}
+          aria-invalid={Boolean(errors.longUrl)}
+        />
+        {errors.longUrl && <div className="field-error">{errors.longUrl}</div>}
+      </div>
+      <div className="shorten-row">
+        <div className="shorten-field">
+          <label htmlFor={`edit-customAlias-${url.id}`}>
+            {t("linkForm.alias")}
+          </label>
+          <input
+            type="text"
+            id={`edit-customAlias-${url.id}`}
+            name="customAlias"
+            value={draft.customAlias}
+            onChange={handleChange}
+            aria-invalid={Boolean(errors.customAlias)}
+          />
+          {errors.customAlias && (
+            <div className="field-error">{errors.customAlias}</div>
+          )}
+        </div>
+        <div className="shorten-field">
+          <label htmlFor={`edit-expiresAt-${url.id}`}>
+            {t("linkForm.expires")}
+          </label>
+          <input
+            type="datetime-local"
+            id={`edit-expiresAt-${url.id}`}
+            name="expiresAt"
+            value={draft.expiresAt}
+            onChange={handleChange}
+            aria-invalid={Boolean(errors.expiresAt)}
+          />
+          <div className="expiry-presets">
+            {EXPIRY_PRESETS.map((preset) => (
+              <button
+                key={preset.id}
+                type="button"
+                className="preset-button"
+                onClick={() => applyPreset(preset)}
+              >
+                {t(preset.labelKey)}
+              </button>
+            ))}
+          </div>
+          {errors.expiresAt && (
+            <div className="field-error">{errors.expiresAt}</div>
+          )}
+        </div>
+      </div>
+      <div className="shorten-row">
+        <div className="shorten-field">
+          <label htmlFor={`edit-folderId-${url.id}`}>
+            {t("linkForm.folder")}
+          </label>
+          <FolderSelect
+            id={`edit-folderId-${url.id}`}
+            value={draft.folderId}
+            onChange={(folderId) => setField("folderId", folderId)}
+          />
+        </div>
+        <div className="shorten-field">
+          <span className="field-label">{t("linkForm.tags")}</span>
+          <TagPicker
+            selectedIds={draft.tagIds}
+            onChange={(tagIds) => setField("tagIds", tagIds)}
+          />
+          {errors.tagIds && <div className="field-error">{errors.tagIds}</div>}
+        </div>
+      </div>
+      <LinkAccessFields
+        idPrefix={`edit-${url.id}`}
+        values={draft}
+        errors={errors}
+        hasPassword={Boolean(url.hasPassword)}
+        onChange={setField}
+      />
+      <div className="url-actions">
+        <button type="submit" className="copy-button">
+          {t("linkForm.save")}
+        </button>
+        <button type="button" className="preset-button" onClick={onCancel}>
+          {t("common.cancel")}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default EditUrlForm;
@@ -0,0 +1,72 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { render, screen, fireEvent, cleanup } from "@testing-library/react";
+import { Provider } from "react-redux";
+import { createStore } from "../redux/store";
+import { toDateTimeLocal } from "../utils/urlValidation";
+import EditUrlForm from "./EditUrlForm";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A link that stopped working yesterday
+const expiredLink = () => ({
+  id: "1",
+  longUrl: "https://example.com/old",
+  customAlias: "spring-sale",
+  expiresAt: new Date(Date.now() - DAY_MS).toISOString(),
+  clicks: 0,
+  tagIds: [],
+  folderId: null,
+});
+
+const renderForm = (url) => {
+  const onSave = vi.fn();
+  const onCancel = vi.fn();
+  render(
+    <Provider store={createStore()}>
+      <EditUrlForm url={url} onSave={onSave} onCancel={onCancel} />
+    </Provider>,
+  );
+  return { onSave, onCancel };
+};
+
+const save = () =>
+  fireEvent.click(screen.getByRole("button", { name: "Save" }));
+
+describe("EditUrlForm", () => {
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+  });
+
+  it("edits an expired link without asking for a new expiry", async () => {
+    const { onSave } = renderForm(expiredLink());
+    fireEvent.change(screen.getByLabelText("Destination URL"), {
+      target: { value: "https://example.com/new" },
+    });
+    save();
+
+    await vi.waitFor(() =>
+      expect(onSave).toHaveBeenCalledWith(
+        { longUrl: "https://example.com/new" },
+        expect.anything(),
+      ),
+    );
+    expect(screen.queryByText("Expiry must be in the future")).toBeNull();
+  });
+
+  it("still rejects a new expiry in the past", async () => {
+    const url = expiredLink();
+    const { onSave } = renderForm(url);
+    const earlier = new Date(new Date(url.expiresAt).getTime() - DAY_MS);
+    fireEvent.change(screen.getByLabelText("Expires"), {
+      target: { value: toDateTimeLocal(earlier) },
+    });
+    save();
+
+    expect(
+      await screen.findByText("Expiry must be in the future"),
+    ).toBeTruthy();
+    expect(onSave).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,80 @@
+import { useState } from "react";
+import { exportLinks } from "../utils/exportLinks";
+import { useTranslation } from "../i18n/useTranslation";
+
+// `scopes` lists the sets of links that can be exported, e.g. all links,
+// the current filter or the current selection. Each scope is either
+// { id, label, urls } or, for sets larger than what is loaded,
+// { id, label, count, load } where `load` resolves to the full list and
+// `count` may be null when unknown. Empty scopes are hidden.
+const scopeCount = (scope) => (scope.load ? scope.count : scope.urls.length);
+
+const ExportMenu = ({ scopes }) => {
+  const { t } = useTranslation();
+  const available = scopes.filter((scope) => scopeCount(scope) !== 0);
+  const [scopeId, setScopeId] = useState(available[0]?.id);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState("");
+
+  if (available.length === 0) {
+    return null;
+  }
+
+  const scope = available.find((item) => item.id === scopeId) || available[0];
+
+  const handleExport = async (format) => {
+    setExportError("");
+    setIsExporting(true);
+    try {
+      const urls = scope.load ? await scope.load() : scope.urls;
+      exportLinks(urls, format, scope.id);
+    } catch (error) {
+      setExportError(typeof error === "string" ? error : t("export.failed"));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      {available.length > 1 && (
+        <select
+          value={scope.id}
+          onChange={(e) => setScopeId(e.target.value)}
+          aria-label={t("export.scope")}
+          disabled={isExporting}
+        >
+          {available.map((item) => (
+            <option key={item.id} value={item.id}>
+              {scopeCount(item) === null
+                ? item.label
+                : t("export.scopeCount", {
+                    label: item.label,
+                    count: scopeCount(item),
+                  })}
+            </option>
+          ))}
+        </select>
+      )}
+      <button
+        type="button"
+        className="preset-button"
+        onClick={() => handleExport("csv")}
+        disabled={isExporting}
+      >
+        {t("export.csv")}
+      </button>
+      <button
+        type="button"
+        className="preset-button"
+        onClick={() => handleExport("json")}
+        disabled={isExporting}
+      >
+        {t("export.json")}
+      </button>
+      {exportError && <span className="field-error">{exportError}</span>}
+    </div>
+  );
+};
+
+export default ExportMenu;
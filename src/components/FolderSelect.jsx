@@ -0,0 +1,100 @@
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { createFolder } from "../redux/slices/folderSlice";
+import { useTranslation } from "../i18n/useTranslation";
+
+const NEW_FOLDER = "__new__";
+
+// Pick the one folder a link lives in, or create a new one on the spot
+const FolderSelect = ({ id, value, onChange, disabled }) => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const folders = useSelector((state) => state.folders.folders);
+  const [isCreating, setIsCreating] = useState(false);
+  const [newName, setNewName] = useState("");
+  const [createError, setCreateError] = useState("");
+
+  const handleSelect = (e) => {
+    if (e.target.value === NEW_FOLDER) {
+      setIsCreating(true);
+      return;
+    }
+    // Option values are strings; hand back the folder's own id
+    const folder = folders.find((item) => String(item.id) === e.target.value);
+    onChange(folder ? folder.id : null);
+  };
+
+  const handleCreate = async () => {
+    const name = newName.trim();
+    if (!name) {
+      return;
+    }
+    try {
+      const folder = await dispatch(createFolder(name)).unwrap();
+      onChange(folder.id);
+      setIsCreating(false);
+      setNewName("");
+      setCreateError("");
+    } catch (message) {
+      setCreateError(String(message));
+    }
+  };
+
+  if (isCreating) {
+    return (
+      <div className="folder-create">
+        <input
+          id={id}
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              handleCreate();
+            }
+          }}
+          placeholder={t("folders.namePlaceholder")}
+          autoFocus
+          disabled={disabled}
+        />
+        <button
+          type="button"
+          className="preset-button"
+          onClick={handleCreate}
+          disabled={disabled || !newName.trim()}
+        >
+          {t("folders.create")}
+        </button>
+        <button
+          type="button"
+          className="preset-button"
+          onClick={() => setIsCreating(false)}
+        >
+          {t("common.cancel")}
+        </button>
+        {createError && <div className="field-error">{createError}</div>}
+      </div>
+    );
+  }
+
+  return (
+    <select
+      id={id}
+      className="folder-select"
+      value={value || ""}
+      onChange={handleSelect}
+      disabled={disabled}
+    >
+      <option value="">{t("folders.none")}</option>
+      {folders.map((folder) => (
+        <option key={folder.id} value={folder.id}>
+          {folder.name}
+        </option>
+      ))}
+      <option value={NEW_FOLDER}>{t("folders.new")}</option>
+    </select>
+  );
+};
+
+export default FolderSelect;
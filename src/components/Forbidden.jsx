@@ -0,0 +1,21 @@
+import { Link } from "react-router-dom";
+import { useTranslation } from "../i18n/useTranslation";
+import "./Auth.css";
+
+// Shown by RouteError when a loader refuses a signed-in user, e.g. a
+// non-admin opening /admin
+const Forbidden = () => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="auth-container status-page">
+      <h2>403</h2>
+      <p>{t("forbidden.message")}</p>
+      <Link to="/" className="auth-button">
+        {t("common.goToLinks")}
+      </Link>
+    </div>
+  );
+};
+
+export default Forbidden;
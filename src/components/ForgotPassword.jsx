@@ -0,0 +1,92 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  requestPasswordReset,
+  clearError,
+  clearPasswordReset,
+} from "../redux/slices/authSlice";
+import { useTranslation } from "../i18n/useTranslation";
+import "./Auth.css";
+
+const ForgotPassword = () => {
+  const { t, tRich } = useTranslation();
+  const [email, setEmail] = useState("");
+  const dispatch = useDispatch();
+  const { isLoading, error, passwordReset } = useSelector(
+    (state) => state.auth,
+  );
+
+  useEffect(() => {
+    dispatch(clearError());
+    dispatch(clearPasswordReset());
+  }, [dispatch]);
+
+  const handleChange = (e) => {
+    setEmail(e.target.value);
+    dispatch(clearError());
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    dispatch(requestPasswordReset(email.trim()));
+  };
+
+  if (passwordReset.emailSent) {
+    return (
+      <div className="auth-container">
+        <h2>{t("forgot.sentTitle")}</h2>
+        <div className="info-message">
+          {tRich("forgot.sent", { email: <strong>{email.trim()}</strong> })}
+        </div>
+        <p className="status-detail">
+          {tRich("forgot.notReceived", {
+            retry: (
+              <button
+                type="button"
+                className="link-button"
+                onClick={() => dispatch(clearPasswordReset())}
+              >
+                {t("forgot.retry")}
+              </button>
+            ),
+          })}
+        </p>
+        <p className="auth-link">
+          <Link to="/login">{t("common.backToLogin")}</Link>
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-container">
+      <h2>{t("forgot.title")}</h2>
+      <p className="status-detail">{t("forgot.intro")}</p>
+      {error && <div className="error-message">{error}</div>}
+      <form onSubmit={handleSubmit} className="auth-form">
+        <div className="form-group">
+          <label htmlFor="email">{t("common.email")}</label>
+          <input
+            type="email"
+            id="email"
+            name="email"
+            value={email}
+            onChange={handleChange}
+            required
+            disabled={isLoading}
+          />
+        </div>
+        <button type="submit" disabled={isLoading} className="auth-button">
+          {isLoading ? t("common.sending") : t("forgot.submit")}
+        </button>
+      </form>
+      <p className="auth-link">
+        {t("forgot.remembered")}{" "}
+        <Link to="/login">{t("signup.loginLink")}</Link>
+      </p>
+    </div>
+  );
+};
+
+export default ForgotPassword;
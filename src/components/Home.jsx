@@ -1,82 +1,329 @@
-import { useLoaderData, useNavigate } from "react-router-dom";
-import { useState, useEffect } from "react";
+import {
+  Link,
+  useLoaderData,
+  useNavigate,
+  useSearchParams,
+} from "react-router-dom";
+import { useState, useEffect, useMemo, useCallback } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import {
   fetchUserUrls,
-  shortenUrl,
+  fetchAllUrls,
+  fetchCampaigns,
+  updateUrl,
   deleteUrl,
-  clearError,
-  clearSuccessMessage,
+  restoreUrl,
+  subscribeToLiveUpdates,
 } from "../redux/slices/urlSlice";
 import { logout } from "../redux/slices/authSlice";
+import { notify, closeNotification } from "../redux/slices/notificationSlice";
+import { fetchTags } from "../redux/slices/tagSlice";
+import { fetchFolders } from "../redux/slices/folderSlice";
+import {
+  fetchWorkspaces,
+  setActiveWorkspace,
+  selectActiveRole,
+} from "../redux/slices/workspaceSlice";
+import { canEditLinks } from "../utils/workspaceRoles";
+import { isAdmin } from "../utils/auth";
+import { translate } from "../i18n";
+import { useTranslation } from "../i18n/useTranslation";
+import ShortenForm from "./ShortenForm";
+import BulkImport from "./BulkImport";
+import ExportMenu from "./ExportMenu";
+import QrCodeDialog from "./QrCodeDialog";
+import EditUrlForm from "./EditUrlForm";
+import UrlListItem from "./UrlListItem";
+import BulkActionBar from "./BulkActionBar";
+import LinkSidebar from "./LinkSidebar";
+import UrlListControls from "./UrlListControls";
+import Pagination from "./Pagination";
+import WorkspaceSwitcher from "./WorkspaceSwitcher";
+import LocaleSwitcher from "./LocaleSwitcher";
+import {
+  parseListQuery,
+  toSearchParams,
+  toApiParams,
+  isFiltered,
+} from "../utils/listQuery";
 import "./Home.css";
 
+// Changes that put an edited link back the way it was, or null when that
+// can't be done: a replaced password is gone for good
+const revertChanges = (url, changes) => {
+  if (!url || "password" in changes) {
+    return null;
+  }
+  return Object.fromEntries(
+    Object.keys(changes).map((key) => [key, url[key] ?? null]),
+  );
+};
+
+// Ticked rows. With `allMatching`, every link matching the current query
+// is selected, including those on other pages.
+const EMPTY_SELECTION = { ids: [], allMatching: false };
+
 const Home = () => {
   const navigate = useNavigate();
   const userData = useLoaderData();
+  // Effects key on this rather than on `userData`, which is a new object
+  // each time the loader runs
+  const redirectTo = userData?.redirect;
   const dispatch = useDispatch();
-  const [longUrl, setLongUrl] = useState("");
-  const { urls, isLoading, error, successMessage } = useSelector(
+  const { t } = useTranslation();
+  const [mode, setMode] = useState("single");
+  const [qrUrl, setQrUrl] = useState(null);
+  // { id, draft?, errors? } for the row being edited inline
+  const [editing, setEditing] = useState(null);
+  const [selection, setSelection] = useState(EMPTY_SELECTION);
+  // Bumped to load the current page again, e.g. after a bulk delete
+  const [reloadCount, setReloadCount] = useState(0);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { urls, pagination, isLoading, pendingIds, liveStatus } = useSelector(
     (state) => state.urls,
   );
   const authUser = useSelector((state) => state.auth.user);
+  const { workspaces, activeId: workspaceId } = useSelector(
+    (state) => state.workspaces,
+  );
+  const activeWorkspace = workspaces.find((item) => item.id === workspaceId);
+  const canEdit = canEditLinks(useSelector(selectActiveRole));
+
+  // Search, sort, filter and page all come from the query string
+  const queryKey = searchParams.toString();
+  const query = useMemo(
+    () => parseListQuery(new URLSearchParams(queryKey)),
+    [queryKey],
+  );
+
+  const updateQuery = useCallback(
+    (changes) => {
+      setSearchParams((prev) => {
+        const current = parseListQuery(prev);
+        // Any change other than paging starts again from the first page
+        const page = "page" in changes ? changes.page : 1;
+        return toSearchParams({ ...current, ...changes, page });
+      });
+    },
+    [setSearchParams],
+  );
 
   useEffect(() => {
-    if (userData?.redirect) {
-      navigate(userData.redirect);
+    if (redirectTo) {
+      navigate(redirectTo);
+    }
+  }, [redirectTo, navigate]);
+
+  useEffect(() => {
+    if (redirectTo) {
       return;
     }
+    dispatch(fetchWorkspaces());
+  }, [redirectTo, dispatch]);
 
-    // Load existing shortened URLs
-    dispatch(fetchUserUrls());
-  }, [userData, navigate, dispatch]);
+  useEffect(() => {
+    if (redirectTo) {
+      return;
+    }
+    // Each workspace has its own folders and tags
+    dispatch(fetchTags());
+    dispatch(fetchFolders());
+  }, [redirectTo, workspaceId, dispatch]);
 
-  // Auto-clear messages after 3 seconds
   useEffect(() => {
-    if (successMessage) {
-      const timer = setTimeout(() => {
-        dispatch(clearSuccessMessage());
-      }, 3000);
-      return () => clearTimeout(timer);
+    if (redirectTo) {
+      return;
     }
-  }, [successMessage, dispatch]);
 
+    // Sidebar campaign list; each workspace has its own
+    dispatch(fetchCampaigns());
+  }, [redirectTo, workspaceId, reloadCount, dispatch]);
+
+  // Clicks and changes from other tabs and devices, in the active
+  // workspace. Missing more than the server can replay means a reload.
   useEffect(() => {
-    if (error) {
-      const timer = setTimeout(() => {
-        dispatch(clearError());
-      }, 3000);
-      return () => clearTimeout(timer);
+    if (redirectTo) {
+      return;
     }
-  }, [error, dispatch]);
+    return dispatch(
+      subscribeToLiveUpdates({
+        onResync: () => setReloadCount((count) => count + 1),
+      }),
+    );
+  }, [redirectTo, workspaceId, dispatch]);
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    dispatch(clearError());
-    dispatch(shortenUrl(longUrl));
-    setLongUrl("");
-  };
+  // A new search, page or workspace starts with nothing selected
+  useEffect(() => {
+    setSelection(EMPTY_SELECTION);
+  }, [queryKey, workspaceId]);
+
+  useEffect(() => {
+    if (redirectTo) {
+      return;
+    }
+
+    // Load the current page of shortened URLs in the active workspace. A
+    // failure offers a retry until the query changes.
+    let current = true;
+    let retryToastId = null;
+    const load = () =>
+      dispatch(fetchUserUrls(toApiParams(query)))
+        .unwrap()
+        .catch((message) => {
+          if (current) {
+            retryToastId = dispatch(
+              notify({
+                level: "error",
+                message,
+                actions: [{ label: translate("common.retry"), onClick: load }],
+              }),
+            );
+          }
+        });
+    load();
+    return () => {
+      current = false;
+      if (retryToastId) {
+        dispatch(closeNotification(retryToastId));
+      }
+    };
+  }, [redirectTo, query, workspaceId, reloadCount, dispatch]);
 
   const copyToClipboard = async (shortUrl) => {
     try {
       await navigator.clipboard.writeText(shortUrl);
-      dispatch(clearSuccessMessage());
-      // We could add a separate notification state for copy action
-      setTimeout(() => {
-        alert("URL copied to clipboard!");
-      }, 100);
-    } catch (e) {
-      // eslint-disable-line no-unused-vars
-      alert("Failed to copy URL");
+      dispatch(notify({ level: "success", message: t("home.copied") }));
+    } catch {
+      dispatch(notify({ level: "error", message: t("home.copyFailed") }));
     }
   };
 
+  const undoEdit = (urlId, changes) => {
+    dispatch(updateUrl({ urlId, changes }))
+      .unwrap()
+      .then(() => dispatch(notify({ message: t("home.undone") })))
+      .catch((payload) =>
+        dispatch(
+          notify({
+            level: "error",
+            message: payload?.message || t("home.undoFailed"),
+          }),
+        ),
+      );
+  };
+
+  // The list updates optimistically, so the editor closes at once and is
+  // reopened with the attempted values if the server rejects them
+  const handleSaveEdit = (urlId, changes, draft) => {
+    const revert = revertChanges(
+      urls.find((item) => item.id === urlId),
+      changes,
+    );
+    setEditing(null);
+    dispatch(updateUrl({ urlId, changes }))
+      .unwrap()
+      .then(() =>
+        dispatch(
+          notify({
+            level: "success",
+            message: t("home.updated"),
+            actions: revert
+              ? [
+                  {
+                    label: t("common.undo"),
+                    onClick: () => undoEdit(urlId, revert),
+                  },
+                ]
+              : [],
+          }),
+        ),
+      )
+      .catch((payload) => {
+        if (Object.keys(payload?.fieldErrors || {}).length) {
+          setEditing({ id: urlId, draft, errors: payload.fieldErrors });
+        } else {
+          dispatch(
+            notify({
+              level: "error",
+              message: payload?.message || t("urls.updateFailed"),
+            }),
+          );
+        }
+      });
+  };
+
+  // Deleting only moves a link to the trash, so instead of asking first
+  // the toast offers to put it back
   const handleDeleteUrl = (urlId) => {
-    if (window.confirm("Are you sure you want to delete this shortened URL?")) {
-      dispatch(deleteUrl(urlId));
+    dispatch(deleteUrl(urlId))
+      .unwrap()
+      .then(() =>
+        dispatch(
+          notify({
+            level: "success",
+            message: t("trash.moved"),
+            actions: [
+              {
+                label: t("common.undo"),
+                onClick: () => dispatch(restoreUrl(urlId)),
+              },
+            ],
+          }),
+        ),
+      )
+      .catch((message) =>
+        dispatch(
+          notify({
+            level: "error",
+            message: message || t("urls.deleteFailed"),
+          }),
+        ),
+      );
+  };
+
+  const selectedUrls = selection.allMatching
+    ? urls
+    : urls.filter((url) => selection.ids.includes(url.id));
+  const allOnPageSelected =
+    urls.length > 0 && selectedUrls.length === urls.length;
+
+  const toggleSelected = (urlId) => {
+    const ids = selectedUrls.map((url) => url.id);
+    setSelection({
+      ids: ids.includes(urlId)
+        ? ids.filter((id) => id !== urlId)
+        : [...ids, urlId],
+      allMatching: false,
+    });
+  };
+
+  const toggleAllOnPage = () => {
+    setSelection(
+      allOnPageSelected
+        ? EMPTY_SELECTION
+        : { ids: urls.map((url) => url.id), allMatching: false },
+    );
+  };
+
+  // Links that failed stay selected so the action can be retried. A bulk
+  // delete can empty the page, so it's loaded again.
+  const handleBulkSettled = (action, failedIds) => {
+    setSelection({ ids: failedIds, allMatching: false });
+    if (action === "delete") {
+      setReloadCount((count) => count + 1);
     }
   };
 
+  const handleWorkspaceChange = (id) => {
+    if (id === workspaceId) {
+      return;
+    }
+    setEditing(null);
+    dispatch(setActiveWorkspace(id));
+    // Page 3, or a folder or tag, of one workspace means nothing in another
+    updateQuery({ folder: "", tag: "" });
+  };
+
   const handleLogout = async () => {
     dispatch(logout()).then(() => {
       navigate("/login");
@@ -85,76 +332,224 @@ const Home = () => {
 
   const displayUser = authUser || userData;
 
+  const loadAll = (filters) => () => dispatch(fetchAllUrls(filters)).unwrap();
+  const { sort, order } = query;
+  const exportScopes = isFiltered(query)
+    ? [
+        {
+          id: "filtered",
+          label: t("home.exportFiltered"),
+          count: pagination.total,
+          // fetchAllUrls pages through on its own
+          load: loadAll(toApiParams(query)),
+        },
+        { id: "page", label: t("home.exportPage"), urls },
+        {
+          id: "all",
+          label: t("home.exportAll"),
+          count: null,
+          load: loadAll({}),
+        },
+      ]
+    : [
+        {
+          id: "all",
+          label: t("home.exportAll"),
+          count: pagination.total,
+          load: loadAll({ sort, order }),
+        },
+        { id: "page", label: t("home.exportPage"), urls },
+      ];
+
   return (
-    <div className="home-container">
+    <div className="home-container with-sidebar">
       <div className="user-info">
         <div>
-          <h2>Welcome, {displayUser?.fullName || "User"}!</h2>
-          <p>Email: {displayUser?.emailId || displayUser?.email}</p>
+          <h2>
+            {t("home.welcome", {
+              name: displayUser?.fullName || t("home.defaultName"),
+            })}
+          </h2>
+          <p>
+            {t("home.email", {
+              email: displayUser?.emailId || displayUser?.email,
+            })}
+          </p>
         </div>
-        <button className="logout-button" onClick={handleLogout}>
-          Logout
-        </button>
-      </div>
-
-      <div className="url-form">
-        <h3>Shorten a URL</h3>
-        <form onSubmit={handleSubmit}>
-          <input
-            type="url"
-            value={longUrl}
-            onChange={(e) => setLongUrl(e.target.value)}
-            placeholder="Enter your long URL here"
-            required
-            disabled={isLoading}
-          />
-          <button type="submit" className="auth-button" disabled={isLoading}>
-            {isLoading ? "Shortening..." : "Shorten URL"}
+        <div className="header-actions">
+          <WorkspaceSwitcher onChange={handleWorkspaceChange} />
+          <LocaleSwitcher />
+          {isAdmin(displayUser) && (
+            <Link to="/admin" className="settings-link">
+              {t("home.admin")}
+            </Link>
+          )}
+          <Link to="/api-keys" className="settings-link">
+            {t("home.apiKeys")}
+          </Link>
+          <Link to="/settings" className="settings-link">
+            {t("home.settings")}
+          </Link>
+          <button className="logout-button" onClick={handleLogout}>
+            {t("home.logout")}
           </button>
-        </form>
-        {error && <div className="error-message">{error}</div>}
-        {successMessage && (
-          <div className="success-message">{successMessage}</div>
-        )}
+        </div>
       </div>
 
-      <div className="url-list">
-        <h3>Your Shortened URLs</h3>
-        {urls.length === 0 ? (
-          <p>No URLs shortened yet</p>
-        ) : (
-          urls.map((url) => (
-            <div key={url.id} className="url-item">
-              <div>
-                <div>Original: {url.longUrl}</div>
-                <a
-                  href={url.shortUrl}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="shortened-url"
-                >
-                  Shortened: {url.shortUrl}
-                </a>
-              </div>
-              <div className="url-actions">
-                <button
-                  className="copy-button"
-                  onClick={() => copyToClipboard(url.shortUrl)}
-                >
-                  Copy
-                </button>
-                <button
-                  className="delete-button"
-                  onClick={() => handleDeleteUrl(url.id)}
-                  disabled={isLoading}
-                >
-                  Delete
-                </button>
-              </div>
+      {canEdit ? (
+        <div className="url-form">
+          <h3>{t("home.shortenTitle")}</h3>
+          <div
+            className="mode-tabs"
+            role="group"
+            aria-label={t("home.shortenMode")}
+          >
+            {[
+              ["single", t("home.modeSingle")],
+              ["bulk", t("home.modeBulk")],
+            ].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                className={`preset-button${mode === value ? " active" : ""}`}
+                aria-pressed={mode === value}
+                onClick={() => setMode(value)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {mode === "single" ? <ShortenForm /> : <BulkImport />}
+        </div>
+      ) : (
+        <div className="info-message">
+          {t("home.viewOnly", { workspace: activeWorkspace?.name })}
+        </div>
+      )}
+
+      <div className="home-layout">
+        <LinkSidebar query={query} canEdit={canEdit} onChange={updateQuery} />
+        <div className="url-list">
+          <div className="url-list-header">
+            <h3>
+              {activeWorkspace
+                ? t("home.workspaceLinks", { workspace: activeWorkspace.name })
+                : t("home.yourLinks")}
+            </h3>
+            {liveStatus !== "off" && (
+              <span className={`live-status ${liveStatus}`}>
+                {t(`live.${liveStatus}`)}
+              </span>
+            )}
+            <ExportMenu scopes={exportScopes} />
+          </div>
+          <UrlListControls query={query} onChange={updateQuery} />
+          {urls.length > 0 && (
+            <div className="bulk-select">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={allOnPageSelected}
+                  ref={(input) => {
+                    if (input) {
+                      input.indeterminate =
+                        selectedUrls.length > 0 && !allOnPageSelected;
+                    }
+                  }}
+                  onChange={toggleAllOnPage}
+                />
+                {t("bulk.selectPage")}
+              </label>
+              {selection.allMatching ? (
+                <span>
+                  {t("bulk.allMatching", { count: pagination.total })}
+                </span>
+              ) : (
+                allOnPageSelected &&
+                pagination.total > urls.length && (
+                  <button
+                    type="button"
+                    className="link-button"
+                    onClick={() => setSelection({ ids: [], allMatching: true })}
+                  >
+                    {t("bulk.selectMatching", { count: pagination.total })}
+                  </button>
+                )
+              )}
             </div>
-          ))
-        )}
+          )}
+          {(selectedUrls.length > 0 || selection.allMatching) && (
+            <BulkActionBar
+              urls={selectedUrls}
+              matching={
+                selection.allMatching
+                  ? {
+                      count: pagination.total,
+                      load: loadAll(toApiParams(query)),
+                    }
+                  : null
+              }
+              canEdit={canEdit}
+              onClear={() => setSelection(EMPTY_SELECTION)}
+              onSettled={handleBulkSettled}
+            />
+          )}
+          {urls.length === 0 ? (
+            <p>
+              {isLoading
+                ? t("common.loading")
+                : isFiltered(query)
+                  ? t("home.noMatches")
+                  : t("home.noLinks")}
+            </p>
+          ) : (
+            urls.map((url) =>
+              editing?.id === url.id ? (
+                <div key={url.id} className="url-item editing">
+                  <EditUrlForm
+                    url={url}
+                    initialDraft={editing.draft}
+                    initialErrors={editing.errors}
+                    onSave={(changes, draft) =>
+                      handleSaveEdit(url.id, changes, draft)
+                    }
+                    onCancel={() => setEditing(null)}
+                  />
+                </div>
+              ) : (
+                <UrlListItem
+                  key={url.id}
+                  url={url}
+                  isPending={pendingIds.includes(url.id)}
+                  canEdit={canEdit}
+                  selected={
+                    selection.allMatching || selection.ids.includes(url.id)
+                  }
+                  onSelect={toggleSelected}
+                  onCampaign={(campaign) => updateQuery({ campaign })}
+                  onCopy={copyToClipboard}
+                  onQr={setQrUrl}
+                  onEdit={(id) => setEditing({ id })}
+                  onDelete={handleDeleteUrl}
+                />
+              ),
+            )
+          )}
+          {pagination.total > 0 && (
+            <Pagination
+              page={query.page}
+              limit={query.limit}
+              total={pagination.total}
+              onChange={updateQuery}
+              disabled={isLoading}
+            />
+          )}
+        </div>
       </div>
+
+      {qrUrl && (
+        <QrCodeDialog shortUrl={qrUrl} onClose={() => setQrUrl(null)} />
+      )}
     </div>
   );
 };
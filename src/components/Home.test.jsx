@@ -0,0 +1,70 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { render, cleanup, act } from "@testing-library/react";
+import { Provider } from "react-redux";
+import { createMemoryRouter, RouterProvider } from "react-router-dom";
+import { MockEventSource } from "../mocks/mockApi";
+import { installMockApi, createLoggedInStore } from "../mocks/testing";
+import { configureLiveUpdates } from "../utils/liveUpdates";
+import { verifyAuth } from "../redux/slices/authSlice";
+import Home from "./Home";
+
+// Every live connection Home opens, oldest first
+let created = [];
+
+class TestEventSource extends MockEventSource {
+  constructor(...args) {
+    super(...args);
+    created.push(this);
+  }
+}
+
+const OPEN = 1;
+
+// Home behind a loader that, like the app's, checks the session and hands
+// back a new user object on every run
+const renderHome = async () => {
+  const store = await createLoggedInStore();
+  const loader = vi.fn(async () => {
+    const action = await store.dispatch(verifyAuth());
+    return action.payload;
+  });
+  const router = createMemoryRouter([{ path: "/", element: <Home />, loader }]);
+  render(
+    <Provider store={store}>
+      <RouterProvider router={router} />
+    </Provider>,
+  );
+  return { store, router, loader };
+};
+
+const openConnections = () =>
+  created.filter((source) => source.readyState === OPEN);
+
+describe("Home", () => {
+  beforeEach(() => {
+    installMockApi();
+    created = [];
+    configureLiveUpdates({ EventSource: TestEventSource, WebSocket: null });
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+  });
+
+  it("keeps the live connection while paging and searching", async () => {
+    const { router, loader } = await renderHome();
+    await vi.waitFor(() => expect(openConnections()).toHaveLength(1));
+
+    for (const path of ["/?page=2", "/?q=example", "/?sort=clicks"]) {
+      await act(() => router.navigate(path));
+    }
+    // The loader ran again each time, so Home saw a new user object
+    expect(loader.mock.calls.length).toBeGreaterThan(1);
+    expect(router.state.location.search).toBe("?sort=clicks");
+
+    expect(created).toHaveLength(1);
+    expect(openConnections()).toEqual(created);
+  });
+});
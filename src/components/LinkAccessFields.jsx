@@ -0,0 +1,143 @@
+import { useTranslation } from "../i18n/useTranslation";
+
+// Password, click limit and start date inputs shared by the shorten and
+// edit forms. `values` holds { password, removePassword, maxClicks,
+// startsAt } as form strings; `hasPassword` is true when editing a link
+// that already has one.
+const LinkAccessFields = ({
+  idPrefix,
+  values,
+  errors,
+  hasPassword = false,
+  onChange,
+  disabled,
+}) => {
+  const { t, tRich } = useTranslation();
+  const isOpen = Boolean(
+    hasPassword || values.password || values.maxClicks || values.startsAt,
+  );
+
+  const renderPasswordHint = () => {
+    if (errors.password) {
+      return <div className="field-error">{errors.password}</div>;
+    }
+    if (values.removePassword) {
+      return (
+        <div className="field-hint">
+          {t("access.passwordRemoved")}{" "}
+          <button
+            type="button"
+            className="link-button"
+            onClick={() => onChange("removePassword", false)}
+            disabled={disabled}
+          >
+            {t("common.undo")}
+          </button>
+        </div>
+      );
+    }
+    if (hasPassword) {
+      return (
+        <div className="field-hint">
+          {tRich("access.passwordSet", {
+            remove: (
+              <button
+                type="button"
+                className="link-button"
+                onClick={() => {
+                  onChange("password", "");
+                  onChange("removePassword", true);
+                }}
+                disabled={disabled}
+              >
+                {t("access.removePassword")}
+              </button>
+            ),
+          })}
+        </div>
+      );
+    }
+    return <div className="field-hint">{t("access.passwordHint")}</div>;
+  };
+
+  return (
+    <details className="access-options" open={isOpen}>
+      <summary>{t("access.summary")}</summary>
+      <div className="shorten-row">
+        <div className="shorten-field">
+          <label htmlFor={`${idPrefix}-password`}>{t("access.password")}</label>
+          <input
+            type="password"
+            id={`${idPrefix}-password`}
+            value={values.password}
+            onChange={(e) => onChange("password", e.target.value)}
+            placeholder={
+              hasPassword ? t("access.unchanged") : t("access.noPassword")
+            }
+            autoComplete="new-password"
+            disabled={disabled || values.removePassword}
+            aria-invalid={Boolean(errors.password)}
+          />
+          {renderPasswordHint()}
+        </div>
+        <div className="shorten-field">
+          <label htmlFor={`${idPrefix}-maxClicks`}>
+            {t("access.clickLimit")}
+          </label>
+          <input
+            type="number"
+            id={`${idPrefix}-maxClicks`}
+            value={values.maxClicks}
+            onChange={(e) => onChange("maxClicks", e.target.value)}
+            min={1}
+            step={1}
+            placeholder={t("access.unlimited")}
+            disabled={disabled}
+            aria-invalid={Boolean(errors.maxClicks)}
+          />
+          <div className="expiry-presets">
+            <button
+              type="button"
+              className="preset-button"
+              onClick={() => onChange("maxClicks", "1")}
+              disabled={disabled}
+            >
+              {t("access.singleUse")}
+            </button>
+            <button
+              type="button"
+              className="preset-button"
+              onClick={() => onChange("maxClicks", "")}
+              disabled={disabled}
+            >
+              {t("access.noLimit")}
+            </button>
+          </div>
+          {errors.maxClicks && (
+            <div className="field-error">{errors.maxClicks}</div>
+          )}
+        </div>
+      </div>
+      <div className="shorten-field">
+        <label htmlFor={`${idPrefix}-startsAt`}>{t("access.startsAt")}</label>
+        <input
+          type="datetime-local"
+          id={`${idPrefix}-startsAt`}
+          value={values.startsAt}
+          onChange={(e) => onChange("startsAt", e.target.value)}
+          disabled={disabled}
+          aria-invalid={Boolean(errors.startsAt)}
+        />
+        {errors.startsAt ? (
+          <div className="field-error">{errors.startsAt}</div>
+        ) : (
+          <div className="field-hint">
+            {values.startsAt ? t("access.scheduled") : t("access.immediate")}
+          </div>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default LinkAccessFields;
@@ -0,0 +1,183 @@
+import { useEffect, useRef, useState } from "react";
+import { useParams } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  fetchPublicLink,
+  visitPublicLink,
+  clearVisitError,
+} from "../redux/slices/publicLinkSlice";
+import { formatDate } from "../utils/format";
+import { useTranslation } from "../i18n/useTranslation";
+import "./Auth.css";
+
+// Catalog keys for the statuses a visitor can't get past
+const LINK_PROBLEMS = {
+  expired: "linkGate.expired",
+  "limit-reached": "linkGate.limitReached",
+  disabled: "linkGate.disabled",
+  "not-web": "linkGate.notWeb",
+};
+
+// Only http(s) destinations are followed; a javascript: or data: URL, or
+// one that doesn't parse, would run or show something other than a page
+const isWebUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Replaces the gate in history, so Back doesn't land on it again. Returns
+// false, without leaving, for destinations that aren't web pages.
+const goTo = (longUrl) => {
+  if (!isWebUrl(longUrl)) {
+    return false;
+  }
+  window.location.replace(longUrl);
+  return true;
+};
+
+// Public page protected short links redirect to: asks for the password,
+// or explains why the link can't be opened, before sending the visitor on
+const LinkGate = () => {
+  const { t } = useTranslation();
+  const { code } = useParams();
+  const dispatch = useDispatch();
+  const { link, status, error, isVisiting, visitError } = useSelector(
+    (state) => state.publicLink,
+  );
+  const [password, setPassword] = useState("");
+  const [notWeb, setNotWeb] = useState(false);
+  // Every visit counts towards the click limit, so StrictMode's second
+  // effect run mustn't visit an open link again
+  const visitedCode = useRef(null);
+
+  useEffect(() => {
+    dispatch(fetchPublicLink(code));
+  }, [dispatch, code]);
+
+  useEffect(() => {
+    if (
+      link?.status === "active" &&
+      !link.passwordRequired &&
+      visitedCode.current !== code
+    ) {
+      visitedCode.current = code;
+      dispatch(visitPublicLink({ code }))
+        .unwrap()
+        .then(({ longUrl }) => setNotWeb(!goTo(longUrl)))
+        .catch(() => {});
+    }
+  }, [dispatch, link, code]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    dispatch(visitPublicLink({ code, password }))
+      .unwrap()
+      .then(({ longUrl }) => setNotWeb(!goTo(longUrl)))
+      .catch(() => {});
+  };
+
+  if (status === "not-found") {
+    return (
+      <div className="auth-container status-page">
+        <h2>{t("linkGate.notFoundTitle")}</h2>
+        <p>{t("linkGate.notFound")}</p>
+      </div>
+    );
+  }
+
+  if (status === "error") {
+    return (
+      <div className="auth-container status-page">
+        <div className="error-message">{error}</div>
+        <button
+          className="auth-button"
+          onClick={() => dispatch(fetchPublicLink(code))}
+        >
+          {t("common.tryAgain")}
+        </button>
+      </div>
+    );
+  }
+
+  const problem = notWeb ? "not-web" : link?.status;
+  if (LINK_PROBLEMS[problem]) {
+    return (
+      <div className="auth-container status-page">
+        <h2>{t("common.linkUnavailable")}</h2>
+        <p>{t(LINK_PROBLEMS[problem])}</p>
+        <p className="status-detail">{t("linkGate.askForNew")}</p>
+      </div>
+    );
+  }
+
+  if (link?.status === "not-started") {
+    return (
+      <div className="auth-container status-page">
+        <h2>{t("linkGate.notStartedTitle")}</h2>
+        <p>
+          {link.startsAt
+            ? t("linkGate.opensOn", { date: formatDate(link.startsAt) })
+            : t("linkGate.opensLater")}
+        </p>
+      </div>
+    );
+  }
+
+  if (link?.passwordRequired) {
+    return (
+      <div className="auth-container">
+        <h2>{t("linkGate.passwordTitle")}</h2>
+        <p className="status-detail">{t("linkGate.passwordIntro")}</p>
+        {visitError && <div className="error-message">{visitError}</div>}
+        <form onSubmit={handleSubmit} className="auth-form">
+          <div className="form-group">
+            <label htmlFor="linkPassword">{t("common.password")}</label>
+            <input
+              type="password"
+              id="linkPassword"
+              value={password}
+              onChange={(e) => {
+                setPassword(e.target.value);
+                if (visitError) {
+                  dispatch(clearVisitError());
+                }
+              }}
+              autoFocus
+              required
+              disabled={isVisiting}
+            />
+          </div>
+          <button type="submit" className="auth-button" disabled={isVisiting}>
+            {isVisiting ? t("linkGate.opening") : t("linkGate.continue")}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-container status-page">
+      {visitError ? (
+        <>
+          <div className="error-message">{visitError}</div>
+          <button
+            className="auth-button"
+            onClick={() => {
+              visitedCode.current = null;
+              dispatch(fetchPublicLink(code));
+            }}
+          >
+            {t("common.tryAgain")}
+          </button>
+        </>
+      ) : (
+        <p>{t("linkGate.openingLink")}</p>
+      )}
+    </div>
+  );
+};
+
+export default LinkGate;
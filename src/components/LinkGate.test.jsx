@@ -0,0 +1,75 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { render, screen, fireEvent, cleanup } from "@testing-library/react";
+import { Provider } from "react-redux";
+import { MemoryRouter, Routes, Route } from "react-router-dom";
+import { createStore } from "../redux/store";
+import { createMockUrl } from "../mocks/mockDb";
+import { getMockDb } from "../mocks/mockApi";
+import { installMockApi } from "../mocks/testing";
+import LinkGate from "./LinkGate";
+
+const renderGate = (code) =>
+  render(
+    <Provider store={createStore()}>
+      <MemoryRouter initialEntries={[`/go/${encodeURIComponent(code)}`]}>
+        <Routes>
+          <Route path="/go/:code" element={<LinkGate />} />
+        </Routes>
+      </MemoryRouter>
+    </Provider>,
+  );
+
+// Links saved before the API checked destinations, or written to the db
+// directly, can point anywhere
+const addLink = (fields) =>
+  createMockUrl(getMockDb(), getMockDb().users[0].id, fields);
+
+describe("LinkGate", () => {
+  let replace;
+
+  beforeEach(() => {
+    installMockApi();
+    replace = vi.fn();
+    vi.stubGlobal("location", { ...window.location, replace });
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.unstubAllGlobals();
+  });
+
+  it("sends the visitor on to a web page", async () => {
+    addLink({ longUrl: "https://example.org/page", customAlias: "web" });
+    renderGate("web");
+    await vi.waitFor(() =>
+      expect(replace).toHaveBeenCalledWith("https://example.org/page"),
+    );
+  });
+
+  it.each(["javascript:alert(document.cookie)", "data:text/html,hi", "nope"])(
+    "doesn't follow %s",
+    async (longUrl) => {
+      addLink({ longUrl, customAlias: "odd", password: "letmein" });
+      renderGate("odd");
+      fireEvent.change(await screen.findByLabelText("Password:"), {
+        target: { value: "letmein" },
+      });
+      fireEvent.click(screen.getByRole("button", { name: "Continue" }));
+
+      expect(await screen.findByText("Link unavailable")).toBeTruthy();
+      expect(
+        screen.getByText("This link doesn't lead to a web page."),
+      ).toBeTruthy();
+      expect(replace).not.toHaveBeenCalled();
+    },
+  );
+
+  it("looks up codes with reserved characters", async () => {
+    addLink({ longUrl: "https://example.org/q", customAlias: "a/b?c" });
+    renderGate("a/b?c");
+    await vi.waitFor(() =>
+      expect(replace).toHaveBeenCalledWith("https://example.org/q"),
+    );
+  });
+});
@@ -0,0 +1,154 @@
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { deleteFolder } from "../redux/slices/folderSlice";
+import { deleteTag } from "../redux/slices/tagSlice";
+import { confirm } from "../redux/slices/notificationSlice";
+import { useTranslation } from "../i18n/useTranslation";
+import { TagChip } from "./TagPicker";
+
+// Browse by folder and filter by tag or campaign. All are stored in the
+// list query string alongside search and sort. Folders and tags belong to
+// the workspace, so only those who can edit its links may delete them.
+const LinkSidebar = ({ query, canEdit, onChange }) => {
+  const dispatch = useDispatch();
+  const { t, tRich } = useTranslation();
+  const folders = useSelector((state) => state.folders.folders);
+  const tags = useSelector((state) => state.tags.tags);
+  const campaigns = useSelector((state) => state.urls.campaigns);
+
+  const handleDeleteFolder = async (folder) => {
+    if (
+      await dispatch(
+        confirm({
+          title: t("sidebar.deleteFolderTitle"),
+          message: t("sidebar.deleteFolderMessage", { name: folder.name }),
+          confirmLabel: t("sidebar.deleteFolderConfirm"),
+          danger: true,
+        }),
+      )
+    ) {
+      dispatch(deleteFolder(folder.id));
+      if (query.folder === String(folder.id)) {
+        onChange({ folder: "" });
+      }
+    }
+  };
+
+  const handleDeleteTag = async (tagId) => {
+    const tag = tags.find((item) => item.id === tagId);
+    if (
+      await dispatch(
+        confirm({
+          title: t("sidebar.deleteTagTitle"),
+          message: t("sidebar.deleteTagMessage", { name: tag?.name }),
+          confirmLabel: t("sidebar.deleteTagConfirm"),
+          danger: true,
+        }),
+      )
+    ) {
+      dispatch(deleteTag(tagId));
+      if (query.tag === String(tagId)) {
+        onChange({ tag: "" });
+      }
+    }
+  };
+
+  return (
+    <aside className="link-sidebar">
+      <h4>{t("sidebar.folders")}</h4>
+      <ul className="folder-list">
+        <li>
+          <button
+            type="button"
+            className={`folder-link${query.folder ? "" : " active"}`}
+            onClick={() => onChange({ folder: "" })}
+          >
+            {t("sidebar.allLinks")}
+          </button>
+        </li>
+        {folders.map((folder) => (
+          <li key={folder.id}>
+            <button
+              type="button"
+              className={`folder-link${
+                query.folder === String(folder.id) ? " active" : ""
+              }`}
+              onClick={() => onChange({ folder: String(folder.id) })}
+            >
+              {folder.name}
+            </button>
+            {canEdit && (
+              <button
+                type="button"
+                className="folder-delete"
+                aria-label={t("sidebar.deleteFolder", { name: folder.name })}
+                onClick={() => handleDeleteFolder(folder)}
+              >
+                &times;
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <h4>{t("sidebar.tags")}</h4>
+      {tags.length === 0 ? (
+        <p className="field-hint">{t("sidebar.noTags")}</p>
+      ) : (
+        <div className="tag-list">
+          {tags.map((tag) => (
+            <TagChip
+              key={tag.id}
+              tag={tag}
+              active={query.tag === String(tag.id)}
+              onClick={(tagId) =>
+                onChange({
+                  tag: query.tag === String(tagId) ? "" : String(tagId),
+                })
+              }
+              onRemove={canEdit ? handleDeleteTag : undefined}
+            />
+          ))}
+        </div>
+      )}
+
+      <h4>{t("sidebar.campaigns")}</h4>
+      {campaigns.length === 0 ? (
+        <p className="field-hint">
+          {tRich("sidebar.noCampaigns", { param: <code>utm_campaign</code> })}
+        </p>
+      ) : (
+        <ul className="folder-list">
+          {campaigns.map((campaign) => (
+            <li key={campaign.name}>
+              <button
+                type="button"
+                className={`folder-link${
+                  query.campaign === campaign.name ? " active" : ""
+                }`}
+                aria-pressed={query.campaign === campaign.name}
+                onClick={() =>
+                  onChange({
+                    campaign:
+                      query.campaign === campaign.name ? "" : campaign.name,
+                  })
+                }
+              >
+                {t("sidebar.campaign", {
+                  name: campaign.name,
+                  count: campaign.count,
+                })}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <Link to="/trash" className="sidebar-trash">
+        {t("trash.title")}
+      </Link>
+    </aside>
+  );
+};
+
+export default LinkSidebar;
@@ -0,0 +1,26 @@
+import { useDispatch } from "react-redux";
+import { LOCALES } from "../i18n";
+import { useTranslation } from "../i18n/useTranslation";
+import { changeLocale } from "../redux/slices/localeSlice";
+
+const LocaleSwitcher = () => {
+  const dispatch = useDispatch();
+  const { t, locale } = useTranslation();
+
+  return (
+    <select
+      className="locale-switcher"
+      aria-label={t("common.language")}
+      value={locale}
+      onChange={(e) => dispatch(changeLocale(e.target.value))}
+    >
+      {LOCALES.map(({ id, label }) => (
+        <option key={id} value={id} lang={id}>
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default LocaleSwitcher;
@@ -1,7 +1,21 @@
 import React, { useEffect } from "react";
-import { Link, useNavigate } from "react-router-dom";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
 import { useDispatch, useSelector } from "react-redux";
-import { login, clearError } from "../redux/slices/authSlice";
+import {
+  login,
+  clearError,
+  clearEmailVerification,
+  cancelTwoFactor,
+} from "../redux/slices/authSlice";
+import {
+  REDIRECT_PARAM,
+  getSafeRedirect,
+  withRedirectParam,
+} from "../utils/redirect";
+import { useTranslation } from "../i18n/useTranslation";
+import LocaleSwitcher from "./LocaleSwitcher";
+import ResendVerification from "./ResendVerification";
+import TwoFactorChallenge from "./TwoFactorChallenge";
 import "./Auth.css";
 
 const Login = () => {
@@ -11,15 +25,30 @@ const Login = () => {
   });
   const navigate = useNavigate();
   const dispatch = useDispatch();
-  const { isLoading, error, isAuthenticated } = useSelector(
-    (state) => state.auth,
-  );
+  const { t, tRich } = useTranslation();
+  const [searchParams] = useSearchParams();
+  const redirectTo = getSafeRedirect(searchParams.get(REDIRECT_PARAM));
+  const {
+    isLoading,
+    error,
+    isAuthenticated,
+    emailVerification,
+    twoFactorChallenge,
+  } = useSelector((state) => state.auth);
+  const unverifiedEmail = emailVerification.pendingEmail;
+
+  // A notice left over from signup, or a half-finished 2FA login, would be
+  // confusing here; both come back if they still apply when they log in
+  useEffect(() => {
+    dispatch(clearEmailVerification());
+    dispatch(cancelTwoFactor());
+  }, [dispatch]);
 
   useEffect(() => {
     if (isAuthenticated) {
-      navigate("/");
+      navigate(redirectTo, { replace: true });
     }
-  }, [isAuthenticated, navigate]);
+  }, [isAuthenticated, navigate, redirectTo]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -32,16 +61,31 @@ const Login = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     dispatch(clearError());
+    dispatch(clearEmailVerification());
     dispatch(login(formData));
   };
 
+  if (twoFactorChallenge) {
+    return <TwoFactorChallenge />;
+  }
+
   return (
     <div className="auth-container">
-      <h2>Login</h2>
+      <h2>{t("login.title")}</h2>
       {error && <div className="error-message">{error}</div>}
+      {unverifiedEmail && (
+        <>
+          <div className="info-message">
+            {tRich("login.unverified", {
+              email: <strong>{unverifiedEmail}</strong>,
+            })}
+          </div>
+          <ResendVerification email={unverifiedEmail} />
+        </>
+      )}
       <form onSubmit={handleSubmit} className="auth-form">
         <div className="form-group">
-          <label htmlFor="email">Email:</label>
+          <label htmlFor="email">{t("common.email")}</label>
           <input
             type="email"
             id="email"
@@ -53,7 +97,7 @@ const Login = () => {
           />
         </div>
         <div className="form-group">
-          <label htmlFor="password">Password:</label>
+          <label htmlFor="password">{t("common.password")}</label>
           <input
             type="password"
             id="password"
@@ -64,13 +108,22 @@ const Login = () => {
             disabled={isLoading}
           />
         </div>
+        <Link to="/forgot-password" className="forgot-link">
+          {t("login.forgotPassword")}
+        </Link>
         <button type="submit" disabled={isLoading} className="auth-button">
-          {isLoading ? "Logging in..." : "Login"}
+          {isLoading ? t("login.submitting") : t("login.submit")}
         </button>
       </form>
       <p className="auth-link">
-        Don't have an account? <Link to="/signup">Sign up</Link>
+        {t("login.noAccount")}{" "}
+        <Link to={withRedirectParam("/signup", redirectTo)}>
+          {t("login.signupLink")}
+        </Link>
       </p>
+      <div className="auth-locale">
+        <LocaleSwitcher />
+      </div>
     </div>
   );
 };
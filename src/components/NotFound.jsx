@@ -0,0 +1,19 @@
+import { Link } from "react-router-dom";
+import { useTranslation } from "../i18n/useTranslation";
+import "./Auth.css";
+
+const NotFound = () => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="auth-container status-page">
+      <h2>404</h2>
+      <p>{t("errors.notFound")}</p>
+      <Link to="/" className="auth-button">
+        {t("common.goToLinks")}
+      </Link>
+    </div>
+  );
+};
+
+export default NotFound;
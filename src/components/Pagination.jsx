@@ -0,0 +1,47 @@
+import { PAGE_SIZES } from "../utils/listQuery";
+import { useTranslation } from "../i18n/useTranslation";
+
+const Pagination = ({ page, limit, total, onChange, disabled }) => {
+  const { t } = useTranslation();
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+  const first = total === 0 ? 0 : (page - 1) * limit + 1;
+  const last = Math.min(total, page * limit);
+
+  return (
+    <nav className="pagination" aria-label={t("pagination.label")}>
+      <span className="pagination-summary">
+        {t("pagination.summary", { first, last, total })}
+      </span>
+      <button
+        type="button"
+        className="preset-button"
+        onClick={() => onChange({ page: page - 1 })}
+        disabled={disabled || page <= 1}
+      >
+        {t("pagination.previous")}
+      </button>
+      <span>{t("pagination.page", { page, totalPages })}</span>
+      <button
+        type="button"
+        className="preset-button"
+        onClick={() => onChange({ page: page + 1 })}
+        disabled={disabled || page >= totalPages}
+      >
+        {t("pagination.next")}
+      </button>
+      <select
+        value={limit}
+        onChange={(e) => onChange({ limit: Number(e.target.value) })}
+        aria-label={t("pagination.pageSize")}
+      >
+        {PAGE_SIZES.map((size) => (
+          <option key={size} value={size}>
+            {t("pagination.perPage", { size })}
+          </option>
+        ))}
+      </select>
+    </nav>
+  );
+};
+
+export default Pagination;
@@ -0,0 +1,123 @@
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  changePassword,
+  clearSectionStatus,
+} from "../redux/slices/accountSlice";
+import {
+  MIN_PASSWORD_LENGTH,
+  validateNewPassword,
+} from "../utils/passwordValidation";
+import { useTranslation } from "../i18n/useTranslation";
+
+const initialForm = {
+  currentPassword: "",
+  newPassword: "",
+  confirmPassword: "",
+};
+
+const PasswordSettings = () => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const { isSaving, error, successMessage } = useSelector(
+    (state) => state.account.password,
+  );
+  const [formData, setFormData] = useState(initialForm);
+  const [validationError, setValidationError] = useState("");
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    setValidationError("");
+    dispatch(clearSectionStatus("password"));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const passwordError = validateNewPassword(
+      formData.newPassword,
+      formData.confirmPassword,
+    );
+    if (passwordError) {
+      setValidationError(passwordError);
+      return;
+    }
+    if (formData.newPassword === formData.currentPassword) {
+      setValidationError(t("settings.samePassword"));
+      return;
+    }
+    dispatch(
+      changePassword({
+        currentPassword: formData.currentPassword,
+        newPassword: formData.newPassword,
+      }),
+    )
+      .unwrap()
+      .then(() => setFormData(initialForm))
+      .catch(() => {});
+  };
+
+  return (
+    <section className="settings-section">
+      <h3>{t("settings.password")}</h3>
+      {(error || validationError) && (
+        <div className="error-message">{error || validationError}</div>
+      )}
+      {successMessage && (
+        <div className="success-message">{successMessage}</div>
+      )}
+      <form onSubmit={handleSubmit} className="settings-form">
+        <div className="form-group">
+          <label htmlFor="currentPassword">
+            {t("settings.currentPassword")}
+          </label>
+          <input
+            type="password"
+            id="currentPassword"
+            name="currentPassword"
+            value={formData.currentPassword}
+            onChange={handleChange}
+            required
+            disabled={isSaving}
+            autoComplete="current-password"
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="newPassword">{t("settings.newPassword")}</label>
+          <input
+            type="password"
+            id="newPassword"
+            name="newPassword"
+            value={formData.newPassword}
+            onChange={handleChange}
+            required
+            disabled={isSaving}
+            minLength={MIN_PASSWORD_LENGTH}
+            autoComplete="new-password"
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="confirmPassword">
+            {t("settings.confirmPassword")}
+          </label>
+          <input
+            type="password"
+            id="confirmPassword"
+            name="confirmPassword"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            required
+            disabled={isSaving}
+            minLength={MIN_PASSWORD_LENGTH}
+            autoComplete="new-password"
+          />
+        </div>
+        <button type="submit" className="auth-button" disabled={isSaving}>
+          {isSaving ? t("common.saving") : t("settings.changePassword")}
+        </button>
+      </form>
+    </section>
+  );
+};
+
+export default PasswordSettings;
@@ -0,0 +1,119 @@
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  updateProfile,
+  clearSectionStatus,
+} from "../redux/slices/accountSlice";
+import { useTranslation } from "../i18n/useTranslation";
+import ResendVerification from "./ResendVerification";
+
+const ProfileSettings = ({ user }) => {
+  const { t, tRich } = useTranslation();
+  const dispatch = useDispatch();
+  const { isSaving, error, successMessage } = useSelector(
+    (state) => state.account.profile,
+  );
+  const currentEmail = user?.emailId || user?.email || "";
+  const [formData, setFormData] = useState({
+    fullName: user?.fullName || "",
+    email: currentEmail,
+  });
+  const [validationError, setValidationError] = useState("");
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    setValidationError("");
+    dispatch(clearSectionStatus("profile"));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const fullName = formData.fullName.trim();
+    const email = formData.email.trim();
+    if (!fullName) {
+      setValidationError(t("signup.fullNameRequired"));
+      return;
+    }
+
+    // Only send what changed, so saving a new name doesn't restart email
+    // verification
+    const changes = {};
+    if (fullName !== user?.fullName) {
+      changes.fullName = fullName;
+    }
+    if (email !== currentEmail) {
+      changes.email = email;
+    }
+    if (Object.keys(changes).length === 0) {
+      return;
+    }
+
+    dispatch(updateProfile(changes))
+      .unwrap()
+      .then((updated) => {
+        // The email field goes back to the confirmed address; the new one
+        // is shown as pending below
+        setFormData({
+          fullName: updated.fullName ?? fullName,
+          email: updated.emailId ?? currentEmail,
+        });
+      })
+      .catch(() => {});
+  };
+
+  return (
+    <section className="settings-section">
+      <h3>{t("settings.profile")}</h3>
+      {(error || validationError) && (
+        <div className="error-message">{error || validationError}</div>
+      )}
+      {successMessage && (
+        <div className="success-message">{successMessage}</div>
+      )}
+      <form onSubmit={handleSubmit} className="settings-form">
+        <div className="form-group">
+          <label htmlFor="settings-fullName">{t("settings.fullName")}</label>
+          <input
+            type="text"
+            id="settings-fullName"
+            name="fullName"
+            value={formData.fullName}
+            onChange={handleChange}
+            required
+            disabled={isSaving}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="settings-email">{t("common.email")}</label>
+          <input
+            type="email"
+            id="settings-email"
+            name="email"
+            value={formData.email}
+            onChange={handleChange}
+            required
+            disabled={isSaving}
+          />
+          <span className="field-hint">{t("settings.emailHint")}</span>
+        </div>
+        <button type="submit" className="auth-button" disabled={isSaving}>
+          {isSaving ? t("common.saving") : t("settings.saveProfile")}
+        </button>
+      </form>
+      {user?.pendingEmail && (
+        <div className="pending-email">
+          <div className="info-message">
+            {tRich("settings.pendingEmail", {
+              email: <strong>{user.pendingEmail}</strong>,
+              current: currentEmail,
+            })}
+          </div>
+          <ResendVerification email={user.pendingEmail} />
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ProfileSettings;
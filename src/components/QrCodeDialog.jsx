@@ -0,0 +1,172 @@
+import { useState, useMemo, useEffect } from "react";
+import { encodeQr, ERROR_CORRECTION_LEVELS } from "../utils/qrcode";
+import {
+  QUIET_ZONE,
+  qrToSvg,
+  qrToSvgPath,
+  qrToPngBlob,
+  luminance,
+} from "../utils/qrRender";
+import { downloadFile } from "../utils/download";
+import { useTranslation } from "../i18n/useTranslation";
+import "./Dialog.css";
+import "./QrCodeDialog.css";
+
+const SIZES = [256, 512, 1024, 2048];
+
+// Last path segment of the short URL, used as the download file name
+const fileBaseName = (shortUrl) => {
+  try {
+    const slug = new URL(shortUrl).pathname.split("/").filter(Boolean).pop();
+    return `qr-${slug || "link"}`;
+  } catch {
+    return "qr-link";
+  }
+};
+
+const QrCodeDialog = ({ shortUrl, onClose }) => {
+  const { t } = useTranslation();
+  const [options, setOptions] = useState({
+    size: 512,
+    ecl: "M",
+    foreground: "#000000",
+    background: "#ffffff",
+  });
+  const [downloadError, setDownloadError] = useState("");
+
+  const qr = useMemo(
+    () => encodeQr(shortUrl, { ecl: options.ecl }),
+    [shortUrl, options.ecl],
+  );
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setOptions((prev) => ({
+      ...prev,
+      [name]: name === "size" ? Number(value) : value,
+    }));
+  };
+
+  const handleDownload = async (format) => {
+    setDownloadError("");
+    const baseName = fileBaseName(shortUrl);
+    if (format === "svg") {
+      downloadFile(`${baseName}.svg`, qrToSvg(qr, options), "image/svg+xml");
+      return;
+    }
+    try {
+      const blob = await qrToPngBlob(qr, options);
+      downloadFile(`${baseName}.png`, blob, "image/png");
+    } catch {
+      setDownloadError(t("qr.pngFailed"));
+    }
+  };
+
+  // Scanners expect dark modules on a light background
+  const lowContrast =
+    luminance(options.foreground) + 0.05 >
+    (luminance(options.background) + 0.05) / 3;
+  const total = qr.size + QUIET_ZONE * 2;
+
+  return (
+    <div className="dialog-backdrop" onClick={onClose}>
+      <div
+        className="dialog qr-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="qr-dialog-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 id="qr-dialog-title">{t("qr.title")}</h3>
+        <p className="qr-url">{shortUrl}</p>
+
+        <svg
+          className="qr-preview"
+          viewBox={`0 0 ${total} ${total}`}
+          shapeRendering="crispEdges"
+          role="img"
+          aria-label={t("qr.imageLabel", { url: shortUrl })}
+        >
+          <rect width="100%" height="100%" fill={options.background} />
+          <path d={qrToSvgPath(qr)} fill={options.foreground} />
+        </svg>
+
+        <div className="qr-options">
+          <label>
+            {t("qr.size")}
+            <select name="size" value={options.size} onChange={handleChange}>
+              {SIZES.map((size) => (
+                <option key={size} value={size}>
+                  {t("qr.sizeOption", { size: String(size) })}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            {t("qr.errorCorrection")}
+            <select name="ecl" value={options.ecl} onChange={handleChange}>
+              {ERROR_CORRECTION_LEVELS.map((level) => (
+                <option key={level} value={level}>
+                  {t(`qr.ecl.${level}`)}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            {t("qr.foreground")}
+            <input
+              type="color"
+              name="foreground"
+              value={options.foreground}
+              onChange={handleChange}
+            />
+          </label>
+          <label>
+            {t("qr.background")}
+            <input
+              type="color"
+              name="background"
+              value={options.background}
+              onChange={handleChange}
+            />
+          </label>
+        </div>
+
+        {lowContrast && <div className="field-hint">{t("qr.lowContrast")}</div>}
+        {downloadError && <div className="field-error">{downloadError}</div>}
+
+        <div className="dialog-actions">
+          <button
+            type="button"
+            className="copy-button"
+            onClick={() => handleDownload("png")}
+          >
+            {t("qr.downloadPng")}
+          </button>
+          <button
+            type="button"
+            className="copy-button"
+            onClick={() => handleDownload("svg")}
+          >
+            {t("qr.downloadSvg")}
+          </button>
+          <button type="button" className="preset-button" onClick={onClose}>
+            {t("common.close")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QrCodeDialog;
@@ -0,0 +1,60 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { resendVerification } from "../redux/slices/authSlice";
+import { useTranslation } from "../i18n/useTranslation";
+import "./Auth.css";
+
+const secondsUntil = (time) =>
+  time ? Math.max(0, Math.ceil((time - Date.now()) / 1000)) : 0;
+
+// Resend button with a countdown while the cooldown is running
+const ResendVerification = ({ email }) => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const { resendStatus, resendError, resendAvailableAt } = useSelector(
+    (state) => state.auth.emailVerification,
+  );
+  const [secondsLeft, setSecondsLeft] = useState(() =>
+    secondsUntil(resendAvailableAt),
+  );
+
+  useEffect(() => {
+    setSecondsLeft(secondsUntil(resendAvailableAt));
+    if (secondsUntil(resendAvailableAt) === 0) {
+      return;
+    }
+    const timer = setInterval(() => {
+      const remaining = secondsUntil(resendAvailableAt);
+      setSecondsLeft(remaining);
+      if (remaining === 0) {
+        clearInterval(timer);
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [resendAvailableAt]);
+
+  const isSending = resendStatus === "sending";
+
+  return (
+    <div className="resend-verification">
+      {resendStatus === "sent" && (
+        <div className="success-message">{t("resend.sent")}</div>
+      )}
+      {resendError && <div className="error-message">{resendError}</div>}
+      <button
+        type="button"
+        className="auth-button"
+        onClick={() => dispatch(resendVerification(email))}
+        disabled={isSending || secondsLeft > 0}
+      >
+        {isSending
+          ? t("common.sending")
+          : secondsLeft > 0
+            ? t("resend.wait", { seconds: secondsLeft })
+            : t("resend.submit")}
+      </button>
+    </div>
+  );
+};
+
+export default ResendVerification;
@@ -0,0 +1,162 @@
+import { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  validateResetToken,
+  resetPassword,
+  clearError,
+  clearPasswordReset,
+} from "../redux/slices/authSlice";
+import {
+  MIN_PASSWORD_LENGTH,
+  validateNewPassword,
+} from "../utils/passwordValidation";
+import { useTranslation } from "../i18n/useTranslation";
+import "./Auth.css";
+
+// Catalog keys for the token statuses that end the flow
+const TOKEN_PROBLEMS = {
+  expired: "reset.expired",
+  used: "reset.used",
+  invalid: "reset.invalid",
+};
+
+const ResetPassword = () => {
+  const { t } = useTranslation();
+  const { token } = useParams();
+  const [formData, setFormData] = useState({
+    password: "",
+    confirmPassword: "",
+  });
+  const [validationError, setValidationError] = useState("");
+  const dispatch = useDispatch();
+  const { isLoading, error, passwordReset } = useSelector(
+    (state) => state.auth,
+  );
+  const { tokenStatus, completed } = passwordReset;
+
+  useEffect(() => {
+    dispatch(clearError());
+    dispatch(clearPasswordReset());
+    dispatch(validateResetToken(token));
+  }, [dispatch, token]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+    setValidationError("");
+    dispatch(clearError());
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const passwordError = validateNewPassword(
+      formData.password,
+      formData.confirmPassword,
+    );
+    if (passwordError) {
+      setValidationError(passwordError);
+      return;
+    }
+    dispatch(resetPassword({ token, password: formData.password }));
+  };
+
+  if (completed) {
+    return (
+      <div className="auth-container status-page">
+        <h2>{t("reset.doneTitle")}</h2>
+        <p>{t("reset.done")}</p>
+        <Link to="/login" className="auth-button">
+          {t("common.goToLogin")}
+        </Link>
+      </div>
+    );
+  }
+
+  if (TOKEN_PROBLEMS[tokenStatus]) {
+    return (
+      <div className="auth-container status-page">
+        <h2>{t("common.linkUnavailable")}</h2>
+        <p>{t(TOKEN_PROBLEMS[tokenStatus])}</p>
+        <div className="status-actions">
+          <Link to="/forgot-password" className="auth-button">
+            {t("reset.requestNew")}
+          </Link>
+          <Link to="/login">{t("common.backToLogin")}</Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (tokenStatus === "error") {
+    return (
+      <div className="auth-container status-page">
+        <div className="error-message">{error}</div>
+        <button
+          className="auth-button"
+          onClick={() => dispatch(validateResetToken(token))}
+        >
+          {t("common.tryAgain")}
+        </button>
+      </div>
+    );
+  }
+
+  if (tokenStatus !== "valid") {
+    return (
+      <div className="auth-container status-page">
+        <p>{t("reset.checking")}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-container">
+      <h2>{t("reset.title")}</h2>
+      {(error || validationError) && (
+        <div className="error-message">{error || validationError}</div>
+      )}
+      <form onSubmit={handleSubmit} className="auth-form">
+        <div className="form-group">
+          <label htmlFor="password">{t("reset.newPassword")}</label>
+          <input
+            type="password"
+            id="password"
+            name="password"
+            value={formData.password}
+            onChange={handleChange}
+            required
+            disabled={isLoading}
+            minLength={MIN_PASSWORD_LENGTH}
+            autoComplete="new-password"
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="confirmPassword">{t("reset.confirmPassword")}</label>
+          <input
+            type="password"
+            id="confirmPassword"
+            name="confirmPassword"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            required
+            disabled={isLoading}
+            minLength={MIN_PASSWORD_LENGTH}
+            autoComplete="new-password"
+          />
+        </div>
+        <button type="submit" disabled={isLoading} className="auth-button">
+          {isLoading ? t("common.saving") : t("reset.submit")}
+        </button>
+      </form>
+      <p className="auth-link">
+        <Link to="/login">{t("common.backToLogin")}</Link>
+      </p>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,45 @@
+import { Link, isRouteErrorResponse, useRouteError } from "react-router-dom";
+import NotFound from "./NotFound";
+import Forbidden from "./Forbidden";
+import { useTranslation } from "../i18n/useTranslation";
+import "./Auth.css";
+
+// errorElement for every route: 404s get the not-found page, 403s (e.g. the
+// admin console for a non-admin) the forbidden page, and anything else (a
+// loader or render failure) a generic error with a way to try again.
+const RouteError = () => {
+  const { t } = useTranslation();
+  const error = useRouteError();
+
+  if (isRouteErrorResponse(error) && error.status === 404) {
+    return <NotFound />;
+  }
+
+  if (isRouteErrorResponse(error) && error.status === 403) {
+    return <Forbidden />;
+  }
+
+  const message = isRouteErrorResponse(error)
+    ? `${error.status} ${error.statusText}`
+    : error?.message;
+
+  return (
+    <div className="auth-container status-page">
+      <h2>{t("errors.title")}</h2>
+      <p>{t("errors.message")}</p>
+      {message && <p className="status-detail">{message}</p>}
+      <div className="status-actions">
+        <button
+          type="button"
+          className="auth-button"
+          onClick={() => window.location.reload()}
+        >
+          {t("common.tryAgain")}
+        </button>
+        <Link to="/">{t("common.goToLinks")}</Link>
+      </div>
+    </div>
+  );
+};
+
+export default RouteError;
@@ -0,0 +1,63 @@
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { fetchSessions, revokeSession } from "../redux/slices/accountSlice";
+import { formatDate } from "../utils/format";
+import { useTranslation } from "../i18n/useTranslation";
+
+const SessionList = () => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const { sessions, sessionsLoading, sessionsError, revokingIds } = useSelector(
+    (state) => state.account,
+  );
+
+  useEffect(() => {
+    dispatch(fetchSessions());
+  }, [dispatch]);
+
+  return (
+    <section className="settings-section">
+      <h3>{t("settings.sessions")}</h3>
+      <p className="field-hint">{t("settings.sessionsHint")}</p>
+      {sessionsError && <div className="error-message">{sessionsError}</div>}
+      {sessionsLoading && sessions.length === 0 ? (
+        <p>{t("settings.sessionsLoading")}</p>
+      ) : (
+        <ul className="session-list">
+          {sessions.map((session) => (
+            <li key={session.id} className="session-item">
+              <div>
+                <strong>{session.device || t("settings.unknownDevice")}</strong>
+                {session.current && (
+                  <span className="current-session">
+                    {t("settings.thisDevice")}
+                  </span>
+                )}
+                <div className="field-hint">
+                  {[session.location, session.ip].filter(Boolean).join(" · ")}
+                  {session.lastActiveAt &&
+                    ` · ${t("settings.lastActive", {
+                      date: formatDate(session.lastActiveAt),
+                    })}`}
+                </div>
+              </div>
+              {!session.current && (
+                <button
+                  className="delete-button"
+                  onClick={() => dispatch(revokeSession(session.id))}
+                  disabled={revokingIds.includes(session.id)}
+                >
+                  {revokingIds.includes(session.id)
+                    ? t("settings.revoking")
+                    : t("settings.revoke")}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default SessionList;
@@ -0,0 +1,50 @@
+import { useEffect } from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  clearSectionStatus,
+  resetTwoFactorSetup,
+} from "../redux/slices/accountSlice";
+import { useTranslation } from "../i18n/useTranslation";
+import ProfileSettings from "./ProfileSettings";
+import PasswordSettings from "./PasswordSettings";
+import TwoFactorSettings from "./TwoFactorSettings";
+import SessionList from "./SessionList";
+import DeleteAccount from "./DeleteAccount";
+import "./Auth.css";
+import "./Home.css";
+import "./Settings.css";
+
+const Settings = () => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const user = useSelector((state) => state.auth.user);
+
+  // Don't greet the user with messages from their last visit
+  useEffect(() => {
+    ["profile", "password", "deletion"].forEach((section) =>
+      dispatch(clearSectionStatus(section)),
+    );
+    dispatch(resetTwoFactorSetup());
+  }, [dispatch]);
+
+  return (
+    <div className="home-container settings-page">
+      <div className="user-info">
+        <div>
+          <Link to="/" className="back-link">
+            &larr; {t("common.backToLinks")}
+          </Link>
+          <h2>{t("settings.title")}</h2>
+        </div>
+      </div>
+      <ProfileSettings user={user} />
+      <PasswordSettings />
+      <TwoFactorSettings user={user} />
+      <SessionList />
+      <DeleteAccount user={user} />
+    </div>
+  );
+};
+
+export default Settings;
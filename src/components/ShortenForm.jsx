@@ -0,0 +1,314 @@
+import { useState, useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  shortenUrl,
+  checkAliasAvailability,
+  clearFieldError,
+} from "../redux/slices/urlSlice";
+import {
+  EXPIRY_PRESETS,
+  validateLongUrl,
+  validateAlias,
+  validateExpiry,
+  validateLinkPassword,
+  validateMaxClicks,
+  validateStartsAt,
+  toDateTimeLocal,
+  toIsoOrNull,
+  toLimitOrNull,
+} from "../utils/urlValidation";
+import TagPicker from "./TagPicker";
+import FolderSelect from "./FolderSelect";
+import LinkAccessFields from "./LinkAccessFields";
+import UtmBuilder from "./UtmBuilder";
+import { EMPTY_UTM, applyUtm, hasUtm, parseUtm } from "../utils/utm";
+import { useTranslation } from "../i18n/useTranslation";
+
+const ALIAS_CHECK_DELAY_MS = 400;
+
+const initialForm = {
+  longUrl: "",
+  customAlias: "",
+  expiresAt: "",
+  folderId: null,
+  tagIds: [],
+  password: "",
+  maxClicks: "",
+  startsAt: "",
+};
+
+const ShortenForm = () => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const [formData, setFormData] = useState(initialForm);
+  const [utm, setUtm] = useState(EMPTY_UTM);
+  const [validationErrors, setValidationErrors] = useState({});
+  // idle | checking | available | taken | error
+  const [aliasStatus, setAliasStatus] = useState("idle");
+  const { isShortening, fieldErrors } = useSelector((state) => state.urls);
+
+  const alias = formData.customAlias.trim();
+
+  // Live alias availability check, debounced while the user types
+  useEffect(() => {
+    if (!alias || validateAlias(alias)) {
+      setAliasStatus("idle");
+      return;
+    }
+
+    let cancelled = false;
+    setAliasStatus("checking");
+    const timer = setTimeout(() => {
+      dispatch(checkAliasAvailability(alias))
+        .unwrap()
+        .then((result) => {
+          if (!cancelled) {
+            setAliasStatus(result.available ? "available" : "taken");
+          }
+        })
+        .catch(() => {
+          if (!cancelled) {
+            setAliasStatus("error");
+          }
+        });
+    }, ALIAS_CHECK_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [alias, dispatch]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+    // Clear errors for the field the user is editing
+    setValidationErrors((prev) => ({ ...prev, [name]: null }));
+    if (fieldErrors[name]) {
+      dispatch(clearFieldError(name));
+    }
+    // A pasted campaign URL fills in the UTM builder
+    if (name === "longUrl") {
+      const parsed = parseUtm(value);
+      if (hasUtm(parsed)) {
+        setUtm(parsed);
+      }
+    }
+  };
+
+  const setField = (name, value) => {
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    setValidationErrors((prev) => ({ ...prev, [name]: null }));
+    if (fieldErrors[name]) {
+      dispatch(clearFieldError(name));
+    }
+  };
+
+  const applyPreset = (preset) => {
+    const expiresAt =
+      preset.durationMs === null
+        ? ""
+        : toDateTimeLocal(new Date(Date.now() + preset.durationMs));
+    setFormData((prev) => ({ ...prev, expiresAt }));
+    setValidationErrors((prev) => ({ ...prev, expiresAt: null }));
+    if (fieldErrors.expiresAt) {
+      dispatch(clearFieldError("expiresAt"));
+    }
+  };
+
+  const validateForm = () => {
+    const errors = {
+      longUrl: validateLongUrl(formData.longUrl),
+      customAlias:
+        validateAlias(formData.customAlias) ||
+        (aliasStatus === "taken" ? t("linkForm.aliasTaken") : null),
+      expiresAt: validateExpiry(formData.expiresAt),
+      password: validateLinkPassword(formData.password),
+      maxClicks: validateMaxClicks(formData.maxClicks),
+      startsAt: validateStartsAt(formData.startsAt, formData.expiresAt),
+    };
+    setValidationErrors(errors);
+    return !Object.values(errors).some(Boolean);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) {
+      return;
+    }
+
+    const action = await dispatch(
+      shortenUrl({
+        longUrl: applyUtm(formData.longUrl.trim(), utm),
+        customAlias: alias || null,
+        expiresAt: toIsoOrNull(formData.expiresAt),
+        folderId: formData.folderId,
+        tagIds: formData.tagIds,
+        password: formData.password || null,
+        maxClicks: toLimitOrNull(formData.maxClicks),
+        startsAt: toIsoOrNull(formData.startsAt),
+      }),
+    );
+    if (action.type === shortenUrl.fulfilled.type) {
+      setFormData(initialForm);
+      setUtm(EMPTY_UTM);
+      setAliasStatus("idle");
+    }
+  };
+
+  const errorFor = (name) => validationErrors[name] || fieldErrors[name];
+
+  const renderAliasHint = () => {
+    if (errorFor("customAlias")) {
+      return <div className="field-error">{errorFor("customAlias")}</div>;
+    }
+    switch (aliasStatus) {
+      case "checking":
+        return <div className="field-hint">{t("linkForm.checkingAlias")}</div>;
+      case "available":
+        return (
+          <div className="field-hint available">
+            {t("linkForm.aliasAvailable")}
+          </div>
+        );
+      case "taken":
+        return <div className="field-error">{t("linkForm.aliasTaken")}</div>;
+      case "error":
+        return (
+          <div className="field-hint">{t("linkForm.aliasCheckFailed")}</div>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} noValidate>
+      <div className="shorten-field">
+        <label htmlFor="longUrl">{t("linkForm.destination")}</label>
+        <input
+          type="url"
+          id="longUrl"
+          name="longUrl"
+          value={formData.longUrl}
+          onChange={handleChange}
+          placeholder={t("linkForm.destinationPlaceholder")}
+          required
+          disabled={isShortening}
+          aria-invalid={Boolean(errorFor("longUrl"))}
+        />
+        {errorFor("longUrl") && (
+          <div className="field-error">{errorFor("longUrl")}</div>
+        )}
+      </div>
+
+      <UtmBuilder
+        longUrl={formData.longUrl}
+        values={utm}
+        onChange={setUtm}
+        disabled={isShortening}
+      />
+
+      <div className="shorten-row">
+        <div className="shorten-field">
+          <label htmlFor="customAlias">{t("linkForm.customAlias")}</label>
+          <input
+            type="text"
+            id="customAlias"
+            name="customAlias"
+            value={formData.customAlias}
+            onChange={handleChange}
+            placeholder="my-campaign"
+            disabled={isShortening}
+            aria-invalid={Boolean(
+              errorFor("customAlias") || aliasStatus === "taken",
+            )}
+          />
+          {renderAliasHint()}
+        </div>
+
+        <div className="shorten-field">
+          <label htmlFor="expiresAt">{t("linkForm.expires")}</label>
+          <input
+            type="datetime-local"
+            id="expiresAt"
+            name="expiresAt"
+            value={formData.expiresAt}
+            onChange={handleChange}
+            min={toDateTimeLocal(new Date())}
+            disabled={isShortening}
+            aria-invalid={Boolean(errorFor("expiresAt"))}
+          />
+          <div className="expiry-presets">
+            {EXPIRY_PRESETS.map((preset) => (
+              <button
+                key={preset.id}
+                type="button"
+                className="preset-button"
+                onClick={() => applyPreset(preset)}
+                disabled={isShortening}
+              >
+                {t(preset.labelKey)}
+              </button>
+            ))}
+          </div>
+          {errorFor("expiresAt") ? (
+            <div className="field-error">{errorFor("expiresAt")}</div>
+          ) : (
+            !formData.expiresAt && (
+              <div className="field-hint">{t("urlItem.neverExpires")}</div>
+            )
+          )}
+        </div>
+      </div>
+
+      <div className="shorten-row">
+        <div className="shorten-field">
+          <label htmlFor="folderId">{t("linkForm.folder")}</label>
+          <FolderSelect
+            id="folderId"
+            value={formData.folderId}
+            onChange={(folderId) => setField("folderId", folderId)}
+            disabled={isShortening}
+          />
+          {errorFor("folderId") && (
+            <div className="field-error">{errorFor("folderId")}</div>
+          )}
+        </div>
+        <div className="shorten-field">
+          <span className="field-label">{t("linkForm.tags")}</span>
+          <TagPicker
+            selectedIds={formData.tagIds}
+            onChange={(tagIds) => setField("tagIds", tagIds)}
+            disabled={isShortening}
+          />
+          {errorFor("tagIds") && (
+            <div className="field-error">{errorFor("tagIds")}</div>
+          )}
+        </div>
+      </div>
+
+      <LinkAccessFields
+        idPrefix="shorten"
+        values={formData}
+        errors={{
+          password: errorFor("password"),
+          maxClicks: errorFor("maxClicks"),
+          startsAt: errorFor("startsAt"),
+        }}
+        onChange={setField}
+        disabled={isShortening}
+      />
+
+      <button type="submit" className="auth-button" disabled={isShortening}>
+        {isShortening ? t("linkForm.shortening") : t("linkForm.shorten")}
+      </button>
+    </form>
+  );
+};
+
+export default ShortenForm;
@@ -1,7 +1,18 @@
 import React, { useState } from "react";
-import { Link, useNavigate } from "react-router-dom";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
 import { useDispatch, useSelector } from "react-redux";
 import { signup, clearError } from "../redux/slices/authSlice";
+import {
+  REDIRECT_PARAM,
+  getSafeRedirect,
+  withRedirectParam,
+} from "../utils/redirect";
+import {
+  MIN_PASSWORD_LENGTH,
+  validateNewPassword,
+} from "../utils/passwordValidation";
+import { useTranslation } from "../i18n/useTranslation";
+import LocaleSwitcher from "./LocaleSwitcher";
 import "./Auth.css";
 
 const Signup = () => {
@@ -14,9 +25,11 @@ const Signup = () => {
   const [validationError, setValidationError] = useState("");
   const navigate = useNavigate();
   const dispatch = useDispatch();
-  const { isLoading, error, successMessage } = useSelector(
-    (state) => state.auth,
-  );
+  const { t } = useTranslation();
+  const [searchParams] = useSearchParams();
+  const redirectTo = getSafeRedirect(searchParams.get(REDIRECT_PARAM));
+  const loginPath = withRedirectParam("/login", redirectTo);
+  const { isLoading, error } = useSelector((state) => state.auth);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -30,16 +43,16 @@ const Signup = () => {
   };
 
   const validateForm = () => {
-    if (formData.password !== formData.confirmPassword) {
-      setValidationError("Passwords do not match");
-      return false;
-    }
-    if (formData.password.length < 6) {
-      setValidationError("Password must be at least 6 characters long");
+    const passwordError = validateNewPassword(
+      formData.password,
+      formData.confirmPassword,
+    );
+    if (passwordError) {
+      setValidationError(passwordError);
       return false;
     }
     if (!formData.fullName.trim()) {
-      setValidationError("Full name is required");
+      setValidationError(t("signup.fullNameRequired"));
       return false;
     }
     return true;
@@ -55,27 +68,20 @@ const Signup = () => {
     const { confirmPassword: _, ...signupData } = formData;
     dispatch(signup(signupData)).then((action) => {
       if (action.type === signup.fulfilled.type) {
-        setTimeout(() => {
-          navigate("/login", {
-            state: { message: "Registration successful! Please log in." },
-          });
-        }, 500);
+        navigate(withRedirectParam("/check-inbox", redirectTo));
       }
     });
   };
 
   return (
     <div className="auth-container">
-      <h2>Sign Up</h2>
+      <h2>{t("signup.title")}</h2>
       {(error || validationError) && (
         <div className="error-message">{error || validationError}</div>
       )}
-      {successMessage && (
-        <div className="success-message">{successMessage}</div>
-      )}
       <form onSubmit={handleSubmit} className="auth-form">
         <div className="form-group">
-          <label htmlFor="fullName">Full Name:</label>
+          <label htmlFor="fullName">{t("signup.fullName")}</label>
           <input
             type="text"
             id="fullName"
@@ -87,7 +93,7 @@ const Signup = () => {
           />
         </div>
         <div className="form-group">
-          <label htmlFor="email">Email:</label>
+          <label htmlFor="email">{t("common.email")}</label>
           <input
             type="email"
             id="email"
@@ -99,7 +105,7 @@ const Signup = () => {
           />
         </div>
         <div className="form-group">
-          <label htmlFor="password">Password:</label>
+          <label htmlFor="password">{t("common.password")}</label>
           <input
             type="password"
             id="password"
@@ -108,11 +114,11 @@ const Signup = () => {
             onChange={handleChange}
             required
             disabled={isLoading}
-            minLength={6}
+            minLength={MIN_PASSWORD_LENGTH}
           />
         </div>
         <div className="form-group">
-          <label htmlFor="confirmPassword">Confirm Password:</label>
+          <label htmlFor="confirmPassword">{t("signup.confirmPassword")}</label>
           <input
             type="password"
             id="confirmPassword"
@@ -121,16 +127,20 @@ const Signup = () => {
             onChange={handleChange}
             required
             disabled={isLoading}
-            minLength={6}
+            minLength={MIN_PASSWORD_LENGTH}
           />
         </div>
         <button type="submit" disabled={isLoading} className="auth-button">
-          {isLoading ? "Creating Account..." : "Sign Up"}
+          {isLoading ? t("signup.submitting") : t("signup.submit")}
         </button>
       </form>
       <p className="auth-link">
-        Already have an account? <Link to="/login">Login</Link>
+        {t("signup.haveAccount")}{" "}
+        <Link to={loginPath}>{t("signup.loginLink")}</Link>
       </p>
+      <div className="auth-locale">
+        <LocaleSwitcher />
+      </div>
     </div>
   );
 };
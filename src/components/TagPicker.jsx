@@ -0,0 +1,139 @@
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { createTag, TAG_COLORS } from "../redux/slices/tagSlice";
+import { useTranslation } from "../i18n/useTranslation";
+
+export const TagChip = ({ tag, active = true, onClick, onRemove }) => {
+  const { t } = useTranslation();
+  const style = active
+    ? { backgroundColor: tag.color, borderColor: tag.color, color: "white" }
+    : { borderColor: tag.color, color: tag.color };
+
+  const label = onClick ? (
+    <button
+      type="button"
+      className="tag-toggle"
+      aria-pressed={active}
+      onClick={() => onClick(tag.id)}
+    >
+      {tag.name}
+    </button>
+  ) : (
+    tag.name
+  );
+
+  return (
+    <span className="tag-chip" style={style}>
+      {label}
+      {onRemove && (
+        <button
+          type="button"
+          className="tag-remove"
+          aria-label={t("tags.delete", { name: tag.name })}
+          onClick={() => onRemove(tag.id)}
+        >
+          &times;
+        </button>
+      )}
+    </span>
+  );
+};
+
+// Toggle tags on a link, with inline creation of new tags
+const TagPicker = ({ selectedIds, onChange, disabled }) => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const tags = useSelector((state) => state.tags.tags);
+  const [newName, setNewName] = useState("");
+  const [newColor, setNewColor] = useState(TAG_COLORS[0]);
+  const [createError, setCreateError] = useState("");
+
+  const toggle = (tagId) => {
+    onChange(
+      selectedIds.includes(tagId)
+        ? selectedIds.filter((id) => id !== tagId)
+        : [...selectedIds, tagId],
+    );
+  };
+
+  const handleCreate = async () => {
+    const name = newName.trim();
+    if (!name) {
+      return;
+    }
+    const existing = tags.find(
+      (tag) => tag.name.toLowerCase() === name.toLowerCase(),
+    );
+    if (existing) {
+      if (!selectedIds.includes(existing.id)) {
+        onChange([...selectedIds, existing.id]);
+      }
+      setNewName("");
+      return;
+    }
+    try {
+      const tag = await dispatch(createTag({ name, color: newColor })).unwrap();
+      onChange([...selectedIds, tag.id]);
+      setNewName("");
+      setCreateError("");
+    } catch (message) {
+      setCreateError(String(message));
+    }
+  };
+
+  return (
+    <div className="tag-picker">
+      <div className="tag-list">
+        {tags.map((tag) => (
+          <TagChip
+            key={tag.id}
+            tag={tag}
+            active={selectedIds.includes(tag.id)}
+            onClick={disabled ? undefined : toggle}
+          />
+        ))}
+      </div>
+      <div className="tag-create">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => {
+            // Enter creates the tag instead of submitting the outer form
+            if (e.key === "Enter") {
+              e.preventDefault();
+              handleCreate();
+            }
+          }}
+          placeholder={t("tags.newPlaceholder")}
+          aria-label={t("tags.newName")}
+          disabled={disabled}
+        />
+        <select
+          value={newColor}
+          onChange={(e) => setNewColor(e.target.value)}
+          aria-label={t("tags.newColour")}
+          style={{ color: newColor }}
+          disabled={disabled}
+        >
+          {TAG_COLORS.map((color) => (
+            <option key={color} value={color} style={{ color }}>
+              ●
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="preset-button"
+          onClick={handleCreate}
+          disabled={disabled || !newName.trim()}
+        >
+          {t("tags.add")}
+        </button>
+      </div>
+      {createError && <div className="field-error">{createError}</div>}
+    </div>
+  );
+};
+
+export default TagPicker;
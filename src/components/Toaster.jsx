@@ -0,0 +1,95 @@
+import { useState, useEffect, useRef } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  closeNotification,
+  runNotificationAction,
+} from "../redux/slices/notificationSlice";
+import { useTranslation } from "../i18n/useTranslation";
+import "./Toaster.css";
+
+// Further toasts wait until one of these is dismissed
+const MAX_VISIBLE = 3;
+
+const Toast = ({ notification }) => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const { id, level, message, actions, duration } = notification;
+  const [hovered, setHovered] = useState(false);
+  const [focused, setFocused] = useState(false);
+  // Time left before it closes, carried over each pause
+  const remaining = useRef(duration);
+  const paused = hovered || focused;
+
+  useEffect(() => {
+    if (duration === null || paused) {
+      return;
+    }
+    const startedAt = Date.now();
+    const timer = setTimeout(
+      () => dispatch(closeNotification(id)),
+      remaining.current,
+    );
+    return () => {
+      clearTimeout(timer);
+      remaining.current -= Date.now() - startedAt;
+    };
+  }, [id, duration, paused, dispatch]);
+
+  return (
+    <div
+      className={`toast toast-${level}`}
+      onMouseEnter={() => setHovered(true)}
+      onMouseLeave={() => setHovered(false)}
+      onFocus={() => setFocused(true)}
+      onBlur={() => setFocused(false)}
+    >
+      <span className="toast-message">{message}</span>
+      {actions.map((label, index) => (
+        <button
+          key={label}
+          type="button"
+          className="toast-action"
+          onClick={() => dispatch(runNotificationAction(id, index))}
+        >
+          {label}
+        </button>
+      ))}
+      <button
+        type="button"
+        className="toast-close"
+        aria-label={t("common.dismissNotification")}
+        onClick={() => dispatch(closeNotification(id))}
+      >
+        ×
+      </button>
+    </div>
+  );
+};
+
+// The two live regions are always rendered, so screen readers are already
+// watching them when a toast appears: errors interrupt, the rest wait.
+const Toaster = () => {
+  const items = useSelector((state) => state.notifications.items);
+  const visible = items.slice(0, MAX_VISIBLE);
+
+  return (
+    <div className="toaster">
+      <div role="alert" aria-live="assertive" className="toast-region">
+        {visible
+          .filter((item) => item.level === "error")
+          .map((item) => (
+            <Toast key={item.id} notification={item} />
+          ))}
+      </div>
+      <div role="status" aria-live="polite" className="toast-region">
+        {visible
+          .filter((item) => item.level !== "error")
+          .map((item) => (
+            <Toast key={item.id} notification={item} />
+          ))}
+      </div>
+    </div>
+  );
+};
+
+export default Toaster;
@@ -0,0 +1,169 @@
+import { useEffect } from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  fetchTrash,
+  restoreUrl,
+  purgeUrl,
+  emptyTrash,
+} from "../redux/slices/urlSlice";
+import {
+  notify,
+  closeNotification,
+  confirm,
+} from "../redux/slices/notificationSlice";
+import { selectActiveRole } from "../redux/slices/workspaceSlice";
+import { canEditLinks } from "../utils/workspaceRoles";
+import { formatDate } from "../utils/format";
+import { translate } from "../i18n";
+import { useTranslation } from "../i18n/useTranslation";
+import "./Auth.css";
+import "./Home.css";
+import "./Settings.css";
+
+// Deleted links in the active workspace (or personal links), until they're
+// restored, purged here, or removed by the server after the retention period
+const Trash = () => {
+  const dispatch = useDispatch();
+  const { t } = useTranslation();
+  const { urls, isLoading, pendingIds } = useSelector(
+    (state) => state.urls.trash,
+  );
+  const { workspaces, activeId } = useSelector((state) => state.workspaces);
+  const activeWorkspace = workspaces.find((item) => item.id === activeId);
+  const canEdit = canEditLinks(useSelector(selectActiveRole));
+
+  useEffect(() => {
+    let current = true;
+    let retryToastId = null;
+    const load = () =>
+      dispatch(fetchTrash())
+        .unwrap()
+        .catch((message) => {
+          if (current) {
+            retryToastId = dispatch(
+              notify({
+                level: "error",
+                message,
+                actions: [{ label: translate("common.retry"), onClick: load }],
+              }),
+            );
+          }
+        });
+    load();
+    return () => {
+      current = false;
+      if (retryToastId) {
+        dispatch(closeNotification(retryToastId));
+      }
+    };
+  }, [activeId, dispatch]);
+
+  const handlePurge = async (url) => {
+    const confirmed = await dispatch(
+      confirm({
+        title: t("trash.purgeTitle"),
+        message: t("trash.purgeMessage", { url: url.shortUrl }),
+        confirmLabel: t("trash.purge"),
+        danger: true,
+      }),
+    );
+    if (confirmed) {
+      dispatch(purgeUrl(url.id));
+    }
+  };
+
+  const handleEmpty = async () => {
+    const confirmed = await dispatch(
+      confirm({
+        title: t("trash.emptyTitle"),
+        message: t("trash.emptyMessage", { count: urls.length }),
+        confirmLabel: t("trash.empty"),
+        danger: true,
+      }),
+    );
+    if (confirmed) {
+      dispatch(emptyTrash());
+    }
+  };
+
+  return (
+    <div className="home-container settings-page">
+      <div className="user-info">
+        <div>
+          <Link to="/" className="back-link">
+            &larr; {t("trash.back")}
+          </Link>
+          <h2>
+            {activeWorkspace
+              ? t("trash.workspaceTitle", { workspace: activeWorkspace.name })
+              : t("trash.title")}
+          </h2>
+        </div>
+        {canEdit && urls.length > 0 && (
+          <button type="button" className="delete-button" onClick={handleEmpty}>
+            {t("trash.empty")}
+          </button>
+        )}
+      </div>
+
+      <section className="settings-section">
+        <p className="field-hint">{t("trash.intro")}</p>
+        {isLoading && urls.length === 0 ? (
+          <p>{t("common.loading")}</p>
+        ) : urls.length === 0 ? (
+          <p className="field-hint">{t("trash.isEmpty")}</p>
+        ) : (
+          <ul className="session-list">
+            {urls.map((url) => {
+              const pending = pendingIds.includes(url.id);
+              return (
+                <li key={url.id} className="session-item trash-item">
+                  <div>
+                    <strong>{url.shortUrl}</strong>
+                    <div className="trash-destination">{url.longUrl}</div>
+                    <div className="field-hint">
+                      {t("trash.deletedAt", {
+                        date: formatDate(url.deletedAt),
+                      })}
+                      {url.purgeAt && (
+                        <>
+                          {" · "}
+                          {t("trash.purgeAt", {
+                            date: formatDate(url.purgeAt),
+                          })}
+                        </>
+                      )}
+                    </div>
+                  </div>
+                  {canEdit && (
+                    <div className="url-actions">
+                      <button
+                        type="button"
+                        className="copy-button"
+                        onClick={() => dispatch(restoreUrl(url.id))}
+                        disabled={pending}
+                      >
+                        {t("trash.restore")}
+                      </button>
+                      <button
+                        type="button"
+                        className="delete-button"
+                        onClick={() => handlePurge(url)}
+                        disabled={pending}
+                      >
+                        {t("trash.purge")}
+                      </button>
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default Trash;
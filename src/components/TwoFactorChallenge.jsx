@@ -0,0 +1,108 @@
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  verifyTwoFactor,
+  cancelTwoFactor,
+  clearError,
+} from "../redux/slices/authSlice";
+import { useTranslation } from "../i18n/useTranslation";
+import "./Auth.css";
+
+// Second login step, shown by Login once the password was accepted
+const TwoFactorChallenge = () => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const { isLoading, error, twoFactorChallenge } = useSelector(
+    (state) => state.auth,
+  );
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState("");
+
+  const handleChange = (e) => {
+    setValue(e.target.value);
+    dispatch(clearError());
+  };
+
+  const switchMode = () => {
+    setUseRecoveryCode((prev) => !prev);
+    setValue("");
+    dispatch(clearError());
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = value.trim();
+    dispatch(
+      verifyTwoFactor(
+        useRecoveryCode
+          ? { recoveryCode: trimmed }
+          : { code: trimmed.replace(/\s/g, "") },
+      ),
+    );
+  };
+
+  return (
+    <div className="auth-container">
+      <h2>{t("twoFactor.title")}</h2>
+      <p className="status-detail">
+        {useRecoveryCode
+          ? t("twoFactor.recoveryIntro")
+          : t("twoFactor.codeIntro", { email: twoFactorChallenge.email })}
+      </p>
+      {error && <div className="error-message">{error}</div>}
+      <form onSubmit={handleSubmit} className="auth-form">
+        <div className="form-group">
+          <label htmlFor="twoFactorCode">
+            {useRecoveryCode
+              ? t("twoFactor.recoveryCode")
+              : t("twoFactor.code")}
+          </label>
+          {useRecoveryCode ? (
+            <input
+              type="text"
+              id="twoFactorCode"
+              value={value}
+              onChange={handleChange}
+              autoComplete="off"
+              required
+              disabled={isLoading}
+            />
+          ) : (
+            <input
+              type="text"
+              id="twoFactorCode"
+              value={value}
+              onChange={handleChange}
+              inputMode="numeric"
+              pattern="[0-9 ]{6,7}"
+              maxLength={7}
+              autoComplete="one-time-code"
+              autoFocus
+              required
+              disabled={isLoading}
+            />
+          )}
+        </div>
+        <button type="submit" disabled={isLoading} className="auth-button">
+          {isLoading ? t("twoFactor.verifying") : t("twoFactor.verify")}
+        </button>
+      </form>
+      <p className="auth-link">
+        <button type="button" className="link-button" onClick={switchMode}>
+          {useRecoveryCode ? t("twoFactor.useApp") : t("twoFactor.useRecovery")}
+        </button>
+      </p>
+      <p className="auth-link">
+        <button
+          type="button"
+          className="link-button"
+          onClick={() => dispatch(cancelTwoFactor())}
+        >
+          {t("common.backToLogin")}
+        </button>
+      </p>
+    </div>
+  );
+};
+
+export default TwoFactorChallenge;
@@ -0,0 +1,96 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { render, screen, fireEvent, cleanup } from "@testing-library/react";
+import { Provider } from "react-redux";
+import { MemoryRouter, Routes, Route } from "react-router-dom";
+import { createStore } from "../redux/store";
+import { generateTotp } from "../mocks/totp";
+import { installMockApi, SEEDED_PASSWORD } from "../mocks/testing";
+import Login from "./Login";
+
+const SECRET = "JBSWY3DPEHPK3PXP";
+
+// Logs in as the seeded 2fa@example.com user through the form and waits
+// for Login to swap in the challenge
+const renderChallenge = async () => {
+  const store = createStore();
+  render(
+    <Provider store={store}>
+      <MemoryRouter initialEntries={["/login"]}>
+        <Routes>
+          <Route path="/login" element={<Login />} />
+          <Route path="/" element={<p>Dashboard</p>} />
+        </Routes>
+      </MemoryRouter>
+    </Provider>,
+  );
+  fireEvent.change(screen.getByLabelText("Email:"), {
+    target: { value: "2fa@example.com" },
+  });
+  fireEvent.change(screen.getByLabelText("Password:"), {
+    target: { value: SEEDED_PASSWORD },
+  });
+  fireEvent.click(screen.getByRole("button", { name: "Login" }));
+  await screen.findByRole("button", { name: "Verify" });
+  return store;
+};
+
+const submitCode = (value) => {
+  fireEvent.change(screen.getByRole("textbox"), { target: { value } });
+  fireEvent.click(screen.getByRole("button", { name: "Verify" }));
+};
+
+describe("TwoFactorChallenge", () => {
+  beforeEach(() => {
+    installMockApi();
+    vi.spyOn(console, "info").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("logs in with a code from the authenticator app", async () => {
+    const store = await renderChallenge();
+    expect(screen.getByText(/2fa@example\.com/)).toBeTruthy();
+
+    const code = await generateTotp(SECRET);
+    submitCode(`${code.slice(0, 3)} ${code.slice(3)}`);
+    expect(await screen.findByText("Dashboard")).toBeTruthy();
+    expect(store.getState().auth.isAuthenticated).toBe(true);
+  });
+
+  it("shows the error for a wrong code", async () => {
+    await renderChallenge();
+    submitCode("000000");
+    expect(
+      await screen.findByText("That code didn't work. Try again."),
+    ).toBeTruthy();
+    expect(screen.getByRole("button", { name: "Verify" })).toBeTruthy();
+  });
+
+  it("logs in with a recovery code", async () => {
+    const store = await renderChallenge();
+    fireEvent.click(
+      screen.getByRole("button", { name: "Use a recovery code instead" }),
+    );
+    submitCode("bbbb-2222");
+    expect(await screen.findByText("Dashboard")).toBeTruthy();
+    expect(store.getState().auth.isAuthenticated).toBe(true);
+  });
+
+  it("sends the user back to the password once the challenge expires", async () => {
+    const store = await renderChallenge();
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(Date.now() + 6 * 60 * 1000);
+
+    submitCode(await generateTotp(SECRET));
+    expect(
+      await screen.findByText("That took too long. Please log in again."),
+    ).toBeTruthy();
+    expect(screen.getByLabelText("Password:")).toBeTruthy();
+    expect(store.getState().auth.twoFactorChallenge).toBeNull();
+  });
+});
@@ -0,0 +1,248 @@
+import { useMemo, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  disableTwoFactor,
+  resetTwoFactorSetup,
+} from "../redux/slices/accountSlice";
+import { encodeQr } from "../utils/qrcode";
+import { QUIET_ZONE, qrToSvgPath } from "../utils/qrRender";
+import { downloadFile } from "../utils/download";
+import { useTranslation } from "../i18n/useTranslation";
+import CopyButton from "./CopyButton";
+
+// The secret in groups of four, easier to type into an app by hand
+const groupSecret = (secret) => secret.match(/.{1,4}/g).join(" ");
+
+const SetupStep = ({ secret, otpauthUrl, isSaving, error }) => {
+  const { t, tRich } = useTranslation();
+  const dispatch = useDispatch();
+  const [code, setCode] = useState("");
+  const qr = useMemo(() => encodeQr(otpauthUrl, { ecl: "M" }), [otpauthUrl]);
+  const total = qr.size + QUIET_ZONE * 2;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    dispatch(confirmTwoFactorSetup(code.replace(/\s/g, "")));
+  };
+
+  return (
+    <div className="two-factor-setup">
+      <ol>
+        <li>{t("twoFactorSettings.scan")}</li>
+        <li>{t("twoFactorSettings.enterCode")}</li>
+      </ol>
+      <svg
+        className="two-factor-qr"
+        viewBox={`0 0 ${total} ${total}`}
+        shapeRendering="crispEdges"
+        role="img"
+        aria-label={t("twoFactorSettings.qrLabel")}
+      >
+        <rect width="100%" height="100%" fill="#ffffff" />
+        <path d={qrToSvgPath(qr)} fill="#000000" />
+      </svg>
+      <p className="field-hint">
+        {tRich("twoFactorSettings.manualKey", {
+          key: <code className="two-factor-secret">{groupSecret(secret)}</code>,
+        })}
+      </p>
+      {error && <div className="error-message">{error}</div>}
+      <form onSubmit={handleSubmit} className="settings-form">
+        <div className="form-group">
+          <label htmlFor="twoFactorSetupCode">
+            {t("twoFactorSettings.codeLabel")}
+          </label>
+          <input
+            type="text"
+            id="twoFactorSetupCode"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            inputMode="numeric"
+            pattern="[0-9 ]{6,7}"
+            maxLength={7}
+            autoComplete="one-time-code"
+            required
+            disabled={isSaving}
+          />
+        </div>
+        <div className="settings-actions">
+          <button type="submit" className="auth-button" disabled={isSaving}>
+            {isSaving
+              ? t("twoFactorSettings.checking")
+              : t("twoFactorSettings.turnOn")}
+          </button>
+          <button
+            type="button"
+            className="link-button"
+            onClick={() => dispatch(resetTwoFactorSetup())}
+            disabled={isSaving}
+          >
+            {t("common.cancel")}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+const RecoveryCodes = ({ codes }) => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const text = codes.join("\n");
+
+  return (
+    <div className="two-factor-recovery">
+      <div className="success-message">{t("twoFactorSettings.enabled")}</div>
+      <p>{t("twoFactorSettings.saveCodes")}</p>
+      <ul className="recovery-codes">
+        {codes.map((code) => (
+          <li key={code}>
+            <code>{code}</code>
+          </li>
+        ))}
+      </ul>
+      <div className="settings-actions">
+        <CopyButton text={text} />
+        <button
+          type="button"
+          className="copy-button"
+          onClick={() =>
+            downloadFile("recovery-codes.txt", `${text}\n`, "text/plain")
+          }
+        >
+          {t("twoFactorSettings.download")}
+        </button>
+        <button
+          type="button"
+          className="auth-button"
+          onClick={() => dispatch(resetTwoFactorSetup())}
+        >
+          {t("twoFactorSettings.saved")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const DisableForm = ({ isSaving }) => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const [formData, setFormData] = useState({ password: "", code: "" });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    dispatch(
+      disableTwoFactor({
+        password: formData.password,
+        code: formData.code.replace(/\s/g, ""),
+      }),
+    );
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="settings-form">
+      <p className="field-hint">{t("twoFactorSettings.disableIntro")}</p>
+      <div className="form-group">
+        <label htmlFor="twoFactorPassword">{t("common.password")}</label>
+        <input
+          type="password"
+          id="twoFactorPassword"
+          name="password"
+          value={formData.password}
+          onChange={handleChange}
+          autoComplete="current-password"
+          required
+          disabled={isSaving}
+        />
+      </div>
+      <div className="form-group">
+        <label htmlFor="twoFactorDisableCode">
+          {t("twoFactorSettings.code")}
+        </label>
+        <input
+          type="text"
+          id="twoFactorDisableCode"
+          name="code"
+          value={formData.code}
+          onChange={handleChange}
+          autoComplete="one-time-code"
+          required
+          disabled={isSaving}
+        />
+      </div>
+      <button type="submit" className="delete-button" disabled={isSaving}>
+        {isSaving
+          ? t("twoFactorSettings.turningOff")
+          : t("twoFactorSettings.turnOff")}
+      </button>
+    </form>
+  );
+};
+
+const TwoFactorSettings = ({ user }) => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const { step, secret, otpauthUrl, recoveryCodes, isSaving, error } =
+    useSelector((state) => state.account.twoFactor);
+  const enabled = Boolean(user?.twoFactorEnabled);
+
+  const renderBody = () => {
+    if (step === "recovery-codes") {
+      return <RecoveryCodes codes={recoveryCodes} />;
+    }
+    if (step === "setup") {
+      return (
+        <SetupStep
+          secret={secret}
+          otpauthUrl={otpauthUrl}
+          isSaving={isSaving}
+          error={error}
+        />
+      );
+    }
+    if (enabled) {
+      return (
+        <>
+          {error && <div className="error-message">{error}</div>}
+          <DisableForm isSaving={isSaving} />
+        </>
+      );
+    }
+    return (
+      <>
+        {error && <div className="error-message">{error}</div>}
+        <p className="field-hint">{t("twoFactorSettings.intro")}</p>
+        <button
+          className="auth-button"
+          onClick={() => dispatch(startTwoFactorSetup())}
+          disabled={isSaving}
+        >
+          {isSaving
+            ? t("twoFactorSettings.starting")
+            : t("twoFactorSettings.setUp")}
+        </button>
+      </>
+    );
+  };
+
+  return (
+    <section className="settings-section">
+      <h3>
+        {t("twoFactor.title")}{" "}
+        <span className={`two-factor-status ${enabled ? "on" : "off"}`}>
+          {enabled ? t("twoFactorSettings.on") : t("twoFactorSettings.off")}
+        </span>
+      </h3>
+      {renderBody()}
+    </section>
+  );
+};
+
+export default TwoFactorSettings;
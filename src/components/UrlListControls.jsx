@@ -0,0 +1,75 @@
+import { useState, useEffect } from "react";
+import { SORT_OPTIONS, STATUS_FILTERS } from "../utils/listQuery";
+import { useTranslation } from "../i18n/useTranslation";
+
+const SEARCH_DELAY_MS = 300;
+
+const UrlListControls = ({ query, onChange }) => {
+  const { t } = useTranslation();
+  const [search, setSearch] = useState(query.q);
+
+  // Keep the input in sync when the query string changes from outside,
+  // e.g. browser back/forward
+  useEffect(() => {
+    setSearch(query.q);
+  }, [query.q]);
+
+  useEffect(() => {
+    if (search.trim() === query.q) {
+      return;
+    }
+    const timer = setTimeout(() => {
+      onChange({ q: search.trim() });
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search, query.q, onChange]);
+
+  const handleSortChange = (e) => {
+    const [sort, order] = e.target.value.split(":");
+    onChange({ sort, order });
+  };
+
+  return (
+    <div className="list-controls">
+      <input
+        type="search"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        placeholder={t("listControls.searchPlaceholder")}
+        aria-label={t("listControls.search")}
+      />
+      <select
+        value={`${query.sort}:${query.order}`}
+        onChange={handleSortChange}
+        aria-label={t("listControls.sortLabel")}
+      >
+        {SORT_OPTIONS.map((option) => (
+          <option key={option.id} value={option.id}>
+            {t(option.labelKey)}
+          </option>
+        ))}
+      </select>
+      <div
+        className="status-filters"
+        role="group"
+        aria-label={t("listControls.statusLabel")}
+      >
+        {STATUS_FILTERS.map((filter) => (
+          <button
+            key={filter.id}
+            type="button"
+            className={`preset-button${
+              query.status === filter.id ? " active" : ""
+            }`}
+            aria-pressed={query.status === filter.id}
+            onClick={() => onChange({ status: filter.id })}
+          >
+            {t(filter.labelKey)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default UrlListControls;
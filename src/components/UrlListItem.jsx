@@ -0,0 +1,187 @@
+import { useState, useEffect, useRef } from "react";
+import { Link } from "react-router-dom";
+import { useSelector } from "react-redux";
+import {
+  formatDate,
+  isExpired,
+  isNotStarted,
+  isClickLimitReached,
+} from "../utils/format";
+import { parseUtm } from "../utils/utm";
+import { useTranslation } from "../i18n/useTranslation";
+import { TagChip } from "./TagPicker";
+
+// Viewers of a shared workspace get the read-only actions only. While
+// `isPending` (an edit or delete of this link is in flight) its edit and
+// delete buttons wait.
+const UrlListItem = ({
+  url,
+  isPending,
+  canEdit = true,
+  selected = false,
+  onSelect,
+  onCampaign,
+  onCopy,
+  onQr,
+  onEdit,
+  onDelete,
+}) => {
+  const { t } = useTranslation();
+  const expired = isExpired(url);
+  const limitReached = isClickLimitReached(url);
+  const utm = parseUtm(url.longUrl);
+  const folder = useSelector((state) =>
+    state.folders.folders.find((item) => item.id === url.folderId),
+  );
+  const allTags = useSelector((state) => state.tags.tags);
+  const tags = allTags.filter((tag) => url.tagIds?.includes(tag.id));
+
+  // Briefly highlights the count when clicks come in while it's on screen
+  const [clicksChanged, setClicksChanged] = useState(false);
+  const shownClicks = useRef(url.clicks);
+  useEffect(() => {
+    if (shownClicks.current === url.clicks) {
+      return;
+    }
+    shownClicks.current = url.clicks;
+    setClicksChanged(true);
+    const timer = setTimeout(() => setClicksChanged(false), 1500);
+    return () => clearTimeout(timer);
+  }, [url.clicks]);
+  const clicksClass = clicksChanged ? "url-clicks changed" : "url-clicks";
+
+  return (
+    <div className={`url-item${selected ? " selected" : ""}`}>
+      {onSelect && (
+        <input
+          type="checkbox"
+          className="url-select"
+          checked={selected}
+          onChange={() => onSelect(url.id)}
+          aria-label={t("urlItem.select", { url: url.shortUrl })}
+        />
+      )}
+      <div className="url-details">
+        <div>{t("urlItem.original", { url: url.longUrl })}</div>
+        <a
+          href={url.shortUrl}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="shortened-url"
+        >
+          {t("urlItem.shortened", { url: url.shortUrl })}
+        </a>
+        <div className="url-meta">
+          {formatDate(url.createdAt) && (
+            <span>
+              {t("urlItem.created", { date: formatDate(url.createdAt) })}
+            </span>
+          )}
+          <span className={expired ? "expired" : undefined}>
+            {url.expiresAt
+              ? t(expired ? "urlItem.expired" : "urlItem.expires", {
+                  date: formatDate(url.expiresAt),
+                })
+              : t("urlItem.neverExpires")}
+          </span>
+          {isNotStarted(url) && (
+            <span className="url-window">
+              {t("urlItem.starts", { date: formatDate(url.startsAt) })}
+            </span>
+          )}
+          {url.maxClicks ? (
+            <span
+              className={`${clicksClass} url-limit${limitReached ? " expired" : ""}`}
+              title={limitReached ? t("urlItem.limitReached") : undefined}
+            >
+              {url.maxClicks === 1
+                ? t(
+                    limitReached
+                      ? "urlItem.singleUseUsed"
+                      : "urlItem.singleUse",
+                  )
+                : t("urlItem.clicksOfLimit", {
+                    clicks: url.clicks ?? 0,
+                    count: url.maxClicks,
+                  })}
+            </span>
+          ) : (
+            url.clicks !== undefined && (
+              <span className={clicksClass}>
+                {t("urlItem.clicks", { count: url.clicks })}
+              </span>
+            )
+          )}
+          {url.hasPassword && (
+            <span className="url-locked">{t("urlItem.password")}</span>
+          )}
+          {url.disabled && (
+            <span className="expired" title={url.disabled.note || undefined}>
+              {t("urlItem.disabled", {
+                reason: t(`admin.reason.${url.disabled.reason}`),
+              })}
+            </span>
+          )}
+          {folder && <span className="url-folder">{folder.name}</span>}
+        </div>
+        {(utm?.campaign || utm?.source || utm?.medium) && (
+          <div className="url-meta utm-meta">
+            {utm.campaign && (
+              <button
+                type="button"
+                className="link-button url-campaign"
+                title={t("urlItem.campaignFilter")}
+                onClick={() => onCampaign?.(utm.campaign)}
+              >
+                {utm.campaign}
+              </button>
+            )}
+            {[utm.source, utm.medium].filter(Boolean).length > 0 && (
+              <span>
+                {[utm.source, utm.medium].filter(Boolean).join(" / ")}
+              </span>
+            )}
+          </div>
+        )}
+        {tags.length > 0 && (
+          <div className="tag-list">
+            {tags.map((tag) => (
+              <TagChip key={tag.id} tag={tag} />
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="url-actions">
+        <Link to={`/urls/${url.id}`} className="stats-button">
+          {t("urlItem.stats")}
+        </Link>
+        <button className="copy-button" onClick={() => onCopy(url.shortUrl)}>
+          {t("urlItem.copy")}
+        </button>
+        <button className="qr-button" onClick={() => onQr(url.shortUrl)}>
+          {t("urlItem.qr")}
+        </button>
+        {canEdit && (
+          <>
+            <button
+              className="edit-button"
+              onClick={() => onEdit(url.id)}
+              disabled={isPending}
+            >
+              {t("urlItem.edit")}
+            </button>
+            <button
+              className="delete-button"
+              onClick={() => onDelete(url.id)}
+              disabled={isPending}
+            >
+              {t("common.delete")}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UrlListItem;
@@ -0,0 +1,144 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  fetchUtmPresets,
+  saveUtmPreset,
+  deleteUtmPreset,
+} from "../redux/slices/utmPresetSlice";
+import { confirm } from "../redux/slices/notificationSlice";
+import { UTM_FIELDS, applyUtm, hasUtm, parseUtm } from "../utils/utm";
+import { useTranslation } from "../i18n/useTranslation";
+
+// Collapsible utm_* editor for the shorten form. `values` holds the five
+// fields; the parent merges them into the destination on submit.
+const UtmBuilder = ({ longUrl, values, onChange, disabled }) => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const { presets, isSaving, error } = useSelector((state) => state.utmPresets);
+  const [presetName, setPresetName] = useState("");
+
+  useEffect(() => {
+    dispatch(fetchUtmPresets());
+  }, [dispatch]);
+
+  const setValue = (id, value) => onChange({ ...values, [id]: value });
+
+  // A preset fills in the fields it has and leaves the others as they are
+  const applyPreset = (preset) => {
+    const next = { ...values };
+    UTM_FIELDS.forEach((field) => {
+      if (preset[field.id]) {
+        next[field.id] = preset[field.id];
+      }
+    });
+    onChange(next);
+  };
+
+  const handleSavePreset = () => {
+    dispatch(saveUtmPreset({ name: presetName.trim(), values }))
+      .unwrap()
+      .then(() => setPresetName(""))
+      .catch(() => {});
+  };
+
+  const handleDeletePreset = async (preset) => {
+    if (
+      await dispatch(
+        confirm({
+          title: t("utm.deletePresetTitle"),
+          message: t("utm.deletePresetMessage", { name: preset.name }),
+          confirmLabel: t("utm.deletePresetConfirm"),
+          danger: true,
+        }),
+      )
+    ) {
+      dispatch(deleteUtmPreset(preset.id));
+    }
+  };
+
+  const preview = parseUtm(longUrl) ? applyUtm(longUrl.trim(), values) : null;
+
+  return (
+    <details className="utm-builder" open={hasUtm(values)}>
+      <summary>{t("utm.title")}</summary>
+
+      {presets.length > 0 && (
+        <div className="utm-presets">
+          <span className="field-label">{t("utm.presets")}</span>
+          {presets.map((preset) => (
+            <span key={preset.id} className="utm-preset">
+              <button
+                type="button"
+                className="preset-button"
+                onClick={() => applyPreset(preset)}
+                disabled={disabled}
+              >
+                {preset.name}
+              </button>
+              <button
+                type="button"
+                className="folder-delete"
+                aria-label={t("utm.deletePreset", { name: preset.name })}
+                onClick={() => handleDeletePreset(preset)}
+              >
+                &times;
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="utm-fields">
+        {UTM_FIELDS.map((field) => (
+          <div key={field.id} className="shorten-field">
+            <label htmlFor={`utm-${field.id}`}>
+              {t(field.labelKey)} <code>{field.param}</code>
+            </label>
+            <input
+              type="text"
+              id={`utm-${field.id}`}
+              value={values[field.id]}
+              onChange={(e) => setValue(field.id, e.target.value)}
+              placeholder={field.placeholder}
+              disabled={disabled}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="utm-preview">
+        <span className="field-label">{t("utm.finalDestination")}</span>
+        {preview ? (
+          <code className="code-block">{preview}</code>
+        ) : (
+          <div className="field-hint">{t("utm.previewHint")}</div>
+        )}
+      </div>
+
+      {hasUtm(values) && (
+        <div className="utm-save">
+          <input
+            type="text"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder={t("utm.presetName")}
+            aria-label={t("utm.presetName")}
+            maxLength={40}
+            disabled={isSaving}
+          />
+          <button
+            type="button"
+            className="preset-button"
+            onClick={handleSavePreset}
+            disabled={isSaving || !presetName.trim()}
+          >
+            {isSaving ? t("common.saving") : t("utm.savePreset")}
+          </button>
+        </div>
+      )}
+      {error && <div className="field-error">{error}</div>}
+    </details>
+  );
+};
+
+export default UtmBuilder;
@@ -0,0 +1,81 @@
+import { useEffect, useRef } from "react";
+import { Link, useParams } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { verifyEmail } from "../redux/slices/authSlice";
+import { useTranslation } from "../i18n/useTranslation";
+import "./Auth.css";
+
+// Catalog keys for the statuses that need a new link
+const TOKEN_PROBLEMS = {
+  expired: "verify.expired",
+  invalid: "verify.invalid",
+};
+
+const VerifyEmail = () => {
+  const { t } = useTranslation();
+  const { token } = useParams();
+  const dispatch = useDispatch();
+  const { error, emailVerification } = useSelector((state) => state.auth);
+  const { status } = emailVerification;
+  // Tokens are single use, so make sure StrictMode's second effect run
+  // doesn't spend it again and report "already used"
+  const verifiedToken = useRef(null);
+
+  useEffect(() => {
+    if (verifiedToken.current !== token) {
+      verifiedToken.current = token;
+      dispatch(verifyEmail(token));
+    }
+  }, [dispatch, token]);
+
+  if (status === "verified" || status === "used") {
+    return (
+      <div className="auth-container status-page">
+        <h2>{t("verify.title")}</h2>
+        <p>
+          {status === "verified"
+            ? t("verify.thanks")
+            : t("verify.alreadyVerified")}
+        </p>
+        <Link to="/login" className="auth-button">
+          {t("common.goToLogin")}
+        </Link>
+      </div>
+    );
+  }
+
+  if (TOKEN_PROBLEMS[status]) {
+    return (
+      <div className="auth-container status-page">
+        <h2>{t("common.linkUnavailable")}</h2>
+        <p>{t(TOKEN_PROBLEMS[status])}</p>
+        <p className="status-detail">{t("verify.newLinkHint")}</p>
+        <Link to="/login" className="auth-button">
+          {t("common.goToLogin")}
+        </Link>
+      </div>
+    );
+  }
+
+  if (status === "error") {
+    return (
+      <div className="auth-container status-page">
+        <div className="error-message">{error}</div>
+        <button
+          className="auth-button"
+          onClick={() => dispatch(verifyEmail(token))}
+        >
+          {t("common.tryAgain")}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-container status-page">
+      <p>{t("verify.checking")}</p>
+    </div>
+  );
+};
+
+export default VerifyEmail;
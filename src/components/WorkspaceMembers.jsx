@@ -0,0 +1,234 @@
+import { useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  fetchWorkspaces,
+  fetchMembers,
+  inviteMember,
+  updateMemberRole,
+  removeMember,
+} from "../redux/slices/workspaceSlice";
+import { confirm } from "../redux/slices/notificationSlice";
+import {
+  WORKSPACE_ROLES,
+  canManageMembers,
+  roleLabel,
+} from "../utils/workspaceRoles";
+import { useTranslation } from "../i18n/useTranslation";
+import "./Auth.css";
+import "./Home.css";
+import "./Settings.css";
+
+const initialInvite = { email: "", role: "editor" };
+
+const WorkspaceMembers = () => {
+  const { t } = useTranslation();
+  const { id } = useParams();
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const currentUserId = useSelector((state) => state.auth.user?.id);
+  const {
+    workspaces,
+    members,
+    membersLoading,
+    membersError,
+    isInviting,
+    savingMemberIds,
+  } = useSelector((state) => state.workspaces);
+  const workspace = workspaces.find((item) => item.id === id);
+  const isOwner = canManageMembers(workspace?.role);
+  const [invite, setInvite] = useState(initialInvite);
+
+  useEffect(() => {
+    dispatch(fetchWorkspaces());
+    dispatch(fetchMembers(id));
+  }, [id, dispatch]);
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    dispatch(
+      inviteMember({
+        workspaceId: id,
+        email: invite.email.trim(),
+        role: invite.role,
+      }),
+    )
+      .unwrap()
+      .then(() => setInvite(initialInvite))
+      .catch(() => {});
+  };
+
+  const handleRemove = async (member) => {
+    const isSelf = member.userId === currentUserId;
+    const confirmed = await dispatch(
+      confirm(
+        isSelf
+          ? {
+              title: t("workspaces.leaveTitle"),
+              message: t("workspaces.leaveMessage", { name: workspace?.name }),
+              confirmLabel: t("workspaces.leave"),
+              danger: true,
+            }
+          : {
+              title: t("workspaces.removeTitle"),
+              message: t("workspaces.removeMessage", {
+                member: member.fullName || member.email,
+                name: workspace?.name,
+              }),
+              confirmLabel: t("workspaces.remove"),
+              danger: true,
+            },
+      ),
+    );
+    if (!confirmed) {
+      return;
+    }
+    dispatch(removeMember({ workspaceId: id, memberId: member.id }))
+      .unwrap()
+      .then(({ left }) => {
+        if (left) {
+          navigate("/workspaces");
+        }
+      })
+      .catch(() => {});
+  };
+
+  return (
+    <div className="home-container settings-page">
+      <div className="user-info">
+        <div>
+          <Link to="/workspaces" className="back-link">
+            &larr; {t("workspaces.all")}
+          </Link>
+          <h2>
+            {t("workspaces.membersTitle", {
+              name: workspace?.name || t("workspaces.fallbackName"),
+            })}
+          </h2>
+        </div>
+      </div>
+
+      {isOwner && (
+        <section className="settings-section">
+          <h3>{t("workspaces.inviteTitle")}</h3>
+          <p className="field-hint">{t("workspaces.inviteHint")}</p>
+          <form onSubmit={handleInvite} className="settings-form">
+            <div className="form-group">
+              <label htmlFor="inviteEmail">{t("common.email")}</label>
+              <input
+                type="email"
+                id="inviteEmail"
+                value={invite.email}
+                onChange={(e) =>
+                  setInvite((prev) => ({ ...prev, email: e.target.value }))
+                }
+                required
+                disabled={isInviting}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="inviteRole">{t("workspaces.role")}</label>
+              <select
+                id="inviteRole"
+                value={invite.role}
+                onChange={(e) =>
+                  setInvite((prev) => ({ ...prev, role: e.target.value }))
+                }
+                disabled={isInviting}
+              >
+                {WORKSPACE_ROLES.map((role) => (
+                  <option key={role.id} value={role.id}>
+                    {t("workspaces.roleOption", {
+                      label: t(role.labelKey),
+                      description: t(role.descriptionKey),
+                    })}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <button type="submit" className="auth-button" disabled={isInviting}>
+              {isInviting
+                ? t("workspaces.inviting")
+                : t("workspaces.sendInvite")}
+            </button>
+          </form>
+        </section>
+      )}
+
+      <section className="settings-section">
+        <h3>{t("workspaces.members")}</h3>
+        {membersError && <div className="error-message">{membersError}</div>}
+        {membersLoading && members.length === 0 ? (
+          <p>{t("workspaces.membersLoading")}</p>
+        ) : (
+          <ul className="session-list">
+            {members.map((member) => {
+              const isSelf = member.userId === currentUserId;
+              const isSaving = savingMemberIds.includes(member.id);
+              return (
+                <li key={member.id} className="session-item">
+                  <div>
+                    <strong>{member.fullName || member.email}</strong>
+                    {isSelf && (
+                      <span className="current-session">
+                        {t("workspaces.you")}
+                      </span>
+                    )}
+                    {member.status === "invited" && (
+                      <span className="member-invited">
+                        {t("workspaces.invited")}
+                      </span>
+                    )}
+                    <div className="field-hint">{member.email}</div>
+                  </div>
+                  <div className="settings-actions">
+                    {isOwner ? (
+                      <select
+                        aria-label={t("workspaces.roleFor", {
+                          email: member.email,
+                        })}
+                        className="member-role"
+                        value={member.role}
+                        onChange={(e) =>
+                          dispatch(
+                            updateMemberRole({
+                              workspaceId: id,
+                              memberId: member.id,
+                              role: e.target.value,
+                            }),
+                          )
+                        }
+                        disabled={isSaving}
+                      >
+                        {WORKSPACE_ROLES.map((role) => (
+                          <option key={role.id} value={role.id}>
+                            {t(role.labelKey)}
+                          </option>
+                        ))}
+                      </select>
+                    ) : (
+                      <span>{roleLabel(member.role)}</span>
+                    )}
+                    {(isOwner || isSelf) && (
+                      <button
+                        className="delete-button"
+                        onClick={() => handleRemove(member)}
+                        disabled={isSaving}
+                      >
+                        {isSelf
+                          ? t("workspaces.leave")
+                          : t("workspaces.remove")}
+                      </button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default WorkspaceMembers;
@@ -0,0 +1,38 @@
+import { Link } from "react-router-dom";
+import { useSelector } from "react-redux";
+import { roleLabel } from "../utils/workspaceRoles";
+import { useTranslation } from "../i18n/useTranslation";
+
+// Picks whose links Home shows: your own, or a shared workspace's
+const WorkspaceSwitcher = ({ onChange }) => {
+  const { t } = useTranslation();
+  const { workspaces, activeId } = useSelector((state) => state.workspaces);
+
+  return (
+    <div className="workspace-switcher">
+      <label htmlFor="workspaceSelect" className="field-label">
+        {t("workspaces.switcher")}
+      </label>
+      <select
+        id="workspaceSelect"
+        value={activeId || ""}
+        onChange={(e) => onChange(e.target.value || null)}
+      >
+        <option value="">{t("workspaces.personal")}</option>
+        {workspaces.map((workspace) => (
+          <option key={workspace.id} value={workspace.id}>
+            {t("workspaces.option", {
+              name: workspace.name,
+              role: roleLabel(workspace.role),
+            })}
+          </option>
+        ))}
+      </select>
+      <Link to="/workspaces" className="settings-link">
+        {t("workspaces.manage")}
+      </Link>
+    </div>
+  );
+};
+
+export default WorkspaceSwitcher;
@@ -0,0 +1,131 @@
+import { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  fetchWorkspaces,
+  createWorkspace,
+  setActiveWorkspace,
+  clearError,
+} from "../redux/slices/workspaceSlice";
+import { roleLabel } from "../utils/workspaceRoles";
+import { useTranslation } from "../i18n/useTranslation";
+import "./Auth.css";
+import "./Home.css";
+import "./Settings.css";
+
+const Workspaces = () => {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { workspaces, activeId, isLoading, isCreating, error } = useSelector(
+    (state) => state.workspaces,
+  );
+  const [name, setName] = useState("");
+
+  useEffect(() => {
+    dispatch(clearError());
+    dispatch(fetchWorkspaces());
+  }, [dispatch]);
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      return;
+    }
+    dispatch(createWorkspace(name.trim()))
+      .unwrap()
+      .then(() => setName(""))
+      .catch(() => {});
+  };
+
+  const openWorkspace = (id) => {
+    if (id !== activeId) {
+      dispatch(setActiveWorkspace(id));
+    }
+    navigate("/");
+  };
+
+  return (
+    <div className="home-container settings-page">
+      <div className="user-info">
+        <div>
+          <Link to="/" className="back-link">
+            &larr; {t("common.backToLinks")}
+          </Link>
+          <h2>{t("workspaces.title")}</h2>
+        </div>
+      </div>
+
+      <section className="settings-section">
+        <h3>{t("workspaces.createTitle")}</h3>
+        <p className="field-hint">{t("workspaces.createHint")}</p>
+        <form onSubmit={handleCreate} className="settings-form">
+          <div className="form-group">
+            <label htmlFor="workspaceName">{t("common.name")}</label>
+            <input
+              type="text"
+              id="workspaceName"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={t("workspaces.namePlaceholder")}
+              maxLength={60}
+              required
+              disabled={isCreating}
+            />
+          </div>
+          <button type="submit" className="auth-button" disabled={isCreating}>
+            {isCreating ? t("common.creating") : t("workspaces.create")}
+          </button>
+        </form>
+      </section>
+
+      <section className="settings-section">
+        <h3>{t("workspaces.yours")}</h3>
+        {error && <div className="error-message">{error}</div>}
+        {isLoading && workspaces.length === 0 ? (
+          <p>{t("workspaces.loading")}</p>
+        ) : workspaces.length === 0 ? (
+          <p className="field-hint">{t("workspaces.empty")}</p>
+        ) : (
+          <ul className="session-list">
+            {workspaces.map((workspace) => (
+              <li key={workspace.id} className="session-item">
+                <div>
+                  <strong>{workspace.name}</strong>
+                  {workspace.id === activeId && (
+                    <span className="current-session">
+                      {t("workspaces.active")}
+                    </span>
+                  )}
+                  <div className="field-hint">
+                    {t("workspaces.summary", {
+                      role: roleLabel(workspace.role),
+                      count: workspace.memberCount,
+                    })}
+                  </div>
+                </div>
+                <div className="settings-actions">
+                  <Link
+                    to={`/workspaces/${workspace.id}`}
+                    className="settings-link"
+                  >
+                    {t("workspaces.members")}
+                  </Link>
+                  <button
+                    type="button"
+                    className="preset-button"
+                    onClick={() => openWorkspace(workspace.id)}
+                  >
+                    {t("workspaces.openLinks")}
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default Workspaces;
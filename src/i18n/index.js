@@ -0,0 +1,151 @@
+import { createElement, Fragment } from "react";
+import en from "./locales/en";
+import de from "./locales/de";
+import es from "./locales/es";
+
+// Translation layer. Catalogs map keys to message templates; see
+// locales/en.js for the format. Components use useTranslation() so they
+// re-render on a locale change; thunks and reducers call translate(),
+// which reads the current locale.
+
+export const DEFAULT_LOCALE = "en";
+
+// Labels are in their own language so people can always find theirs
+export const LOCALES = [
+  { id: "en", label: "English" },
+  { id: "de", label: "Deutsch" },
+  { id: "es", label: "Español" },
+];
+
+const CATALOGS = { en, de, es };
+const STORAGE_KEY = "locale";
+
+const isSupported = (locale) => Object.hasOwn(CATALOGS, locale ?? "");
+
+const readSavedLocale = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null; // storage blocked, or not in a browser
+  }
+};
+
+// The saved choice first, then the browser's languages ("de-AT" counts as
+// "de"), then English
+export const detectLocale = () => {
+  const saved = readSavedLocale();
+  if (isSupported(saved)) {
+    return saved;
+  }
+  const preferred =
+    typeof navigator === "undefined"
+      ? []
+      : navigator.languages || [navigator.language];
+  for (const tag of preferred) {
+    const language = String(tag).toLowerCase().split("-")[0];
+    if (isSupported(language)) {
+      return language;
+    }
+  }
+  return DEFAULT_LOCALE;
+};
+
+const setDocumentLanguage = (locale) => {
+  if (typeof document !== "undefined") {
+    document.documentElement.lang = locale;
+  }
+};
+
+let currentLocale = detectLocale();
+setDocumentLanguage(currentLocale);
+
+export const getLocale = () => currentLocale;
+
+// Switches the locale and remembers it in this browser. Dispatch
+// changeLocale() from localeSlice instead, so components re-render.
+export const applyLocale = (locale) => {
+  currentLocale = isSupported(locale) ? locale : DEFAULT_LOCALE;
+  try {
+    localStorage.setItem(STORAGE_KEY, currentLocale);
+  } catch {
+    // Still switched for this visit
+  }
+  setDocumentLanguage(currentLocale);
+  return currentLocale;
+};
+
+// Keys in the English catalog that `locale` doesn't translate
+export const findMissingKeys = (locale) =>
+  Object.keys(en).filter((key) => !Object.hasOwn(CATALOGS[locale] || {}, key));
+
+// In development, missing translations are reported in the console: every
+// catalog's gaps once at startup, then each key the first time it's used.
+const reportedKeys = new Set();
+const reportMissing = (key, locale) => {
+  const id = `${locale}:${key}`;
+  if (!import.meta.env.DEV || reportedKeys.has(id)) {
+    return;
+  }
+  reportedKeys.add(id);
+  console.warn(`[i18n] "${key}" is missing from the ${locale} catalog`);
+};
+
+if (import.meta.env.DEV) {
+  LOCALES.forEach(({ id }) => {
+    const missing = findMissingKeys(id);
+    if (missing.length) {
+      console.warn(`[i18n] ${id} is missing ${missing.length} keys`, missing);
+    }
+  });
+}
+
+export const formatNumber = (value, locale = currentLocale) =>
+  new Intl.NumberFormat(locale).format(value);
+
+export const formatDateTime = (value, locale = currentLocale) =>
+  new Intl.DateTimeFormat(locale, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  }).format(value);
+
+// The template for `key`, with plurals resolved. Falls back to English,
+// then to the key itself so a gap is visible rather than blank.
+const resolveMessage = (key, params, locale) => {
+  let message = CATALOGS[locale]?.[key];
+  if (message === undefined) {
+    reportMissing(key, locale);
+    message = en[key];
+  }
+  if (message === undefined) {
+    return key;
+  }
+  if (typeof message === "object") {
+    const category = new Intl.PluralRules(locale).select(params.count ?? 0);
+    return message[category] ?? message.other;
+  }
+  return message;
+};
+
+// Splits a template into text and placeholder values. Numbers are
+// formatted for the locale.
+const fillTemplate = (template, params, locale) =>
+  template.split(/(\{\w+\})/).map((part) => {
+    const name = part.match(/^\{(\w+)\}$/)?.[1];
+    if (!name || !(name in params)) {
+      return part;
+    }
+    const value = params[name];
+    return typeof value === "number" ? formatNumber(value, locale) : value;
+  });
+
+export const translate = (key, params = {}, locale = currentLocale) =>
+  fillTemplate(resolveMessage(key, params, locale), params, locale).join("");
+
+// Like translate(), but params may be React elements (e.g. a <strong>),
+// so the result is a fragment rather than a string
+export const translateRich = (key, params = {}, locale = currentLocale) =>
+  createElement(
+    Fragment,
+    null,
+    ...fillTemplate(resolveMessage(key, params, locale), params, locale),
+  );
@@ -0,0 +1,49 @@
+import { describe, it, expect } from "vitest";
+import { LOCALES, findMissingKeys, translate } from "./index";
+import en from "./locales/en";
+import { SORT_OPTIONS, STATUS_FILTERS } from "../utils/listQuery";
+import { EXPIRY_PRESETS } from "../utils/urlValidation";
+import { UTM_FIELDS } from "../utils/utm";
+import { WORKSPACE_ROLES, roleLabel } from "../utils/workspaceRoles";
+import { ANALYTICS_RANGES } from "../redux/slices/analyticsSlice";
+import { API_KEY_SCOPES } from "../redux/slices/apiKeySlice";
+import { EXPORT_COLUMNS } from "../utils/exportLinks";
+
+describe("i18n", () => {
+  it.each(LOCALES.map(({ id }) => id))("%s translates every key", (locale) => {
+    expect(findMissingKeys(locale)).toEqual([]);
+  });
+
+  it("has a catalog entry for every label key", () => {
+    const keys = [
+      ...SORT_OPTIONS,
+      ...STATUS_FILTERS,
+      ...EXPIRY_PRESETS,
+      ...UTM_FIELDS,
+      ...ANALYTICS_RANGES,
+      ...API_KEY_SCOPES,
+      ...WORKSPACE_ROLES,
+      ...EXPORT_COLUMNS,
+    ].flatMap((item) =>
+      [item.labelKey, item.descriptionKey, item.headerKey].filter(Boolean),
+    );
+    expect(keys.filter((key) => !Object.hasOwn(en, key))).toEqual([]);
+  });
+
+  it("picks the plural and formats numbers for the locale", () => {
+    expect(translate("bulkImport.shorten", { count: 1 }, "en")).toBe(
+      "Shorten 1 link",
+    );
+    expect(translate("bulkImport.shorten", { count: 1200 }, "de")).toBe(
+      "1.200 Links kürzen",
+    );
+    expect(translate("pagination.page", { page: 2, totalPages: 5 }, "es")).toBe(
+      "Página 2 de 5",
+    );
+  });
+
+  it("falls back to the role id for unknown roles", () => {
+    expect(roleLabel("owner")).toBe("Owner");
+    expect(roleLabel("auditor")).toBe("auditor");
+  });
+});
@@ -0,0 +1,806 @@
+const de = {
+  // Shared
+  "common.email": "E-Mail:",
+  "common.password": "Passwort:",
+  "common.loading": "Wird geladen...",
+  "common.cancel": "Abbrechen",
+  "common.ok": "OK",
+  "common.delete": "Löschen",
+  "common.undo": "Rückgängig",
+  "common.retry": "Erneut versuchen",
+  "common.language": "Sprache",
+  "common.dismissNotification": "Benachrichtigung schließen",
+  "common.areYouSure": "Sind Sie sicher?",
+  "common.tryAgain": "Erneut versuchen",
+  "common.goToLinks": "Zu Ihren Links",
+  "common.close": "Schließen",
+  "common.backToLinks": "Zurück zu Ihren Links",
+  "common.sending": "Wird gesendet...",
+  "common.backToLogin": "Zurück zur Anmeldung",
+  "common.goToLogin": "Zur Anmeldung",
+  "common.linkUnavailable": "Link nicht verfügbar",
+  "common.saving": "Wird gespeichert...",
+  "common.copy": "Kopieren",
+  "common.copied": "Kopiert!",
+  "common.copyFailed": "Kopieren fehlgeschlagen",
+  "common.name": "Name:",
+  "common.creating": "Wird erstellt...",
+
+  // Login
+  "login.title": "Anmelden",
+  "login.submit": "Anmelden",
+  "login.submitting": "Anmeldung läuft...",
+  "login.forgotPassword": "Passwort vergessen?",
+  "login.noAccount": "Noch kein Konto?",
+  "login.signupLink": "Registrieren",
+  "login.unverified":
+    "Bitte bestätigen Sie {email}, bevor Sie sich anmelden. Nutzen Sie den Link aus unserer E-Mail oder fordern Sie einen neuen an.",
+
+  // Signup
+  "signup.title": "Registrieren",
+  "signup.fullName": "Vollständiger Name:",
+  "signup.confirmPassword": "Passwort bestätigen:",
+  "signup.submit": "Registrieren",
+  "signup.submitting": "Konto wird erstellt...",
+  "signup.haveAccount": "Sie haben bereits ein Konto?",
+  "signup.loginLink": "Anmelden",
+  "signup.fullNameRequired": "Bitte geben Sie Ihren vollständigen Namen ein",
+
+  // Password rules
+  "password.mismatch": "Die Passwörter stimmen nicht überein",
+  "password.tooShort": {
+    one: "Das Passwort muss mindestens {count} Zeichen lang sein",
+    other: "Das Passwort muss mindestens {count} Zeichen lang sein",
+  },
+
+  // Home
+  "home.welcome": "Willkommen, {name}!",
+  "home.defaultName": "Nutzer",
+  "home.email": "E-Mail: {email}",
+  "home.apiKeys": "API-Schlüssel",
+  "home.admin": "Verwaltung",
+  "home.settings": "Einstellungen",
+  "home.logout": "Abmelden",
+  "home.shortenTitle": "URL kürzen",
+  "home.shortenMode": "Kürzungsmodus",
+  "home.modeSingle": "Einzelner Link",
+  "home.modeBulk": "Massenimport",
+  "home.viewOnly":
+    "Sie haben in {workspace} nur Lesezugriff. Bitten Sie einen Inhaber, wenn Sie Links erstellen oder ändern möchten.",
+  "home.workspaceLinks": "Links in {workspace}",
+  "home.yourLinks": "Ihre gekürzten URLs",
+  "home.noMatches": "Keine Links entsprechen Ihrer Suche",
+  "home.noLinks": "Noch keine URLs gekürzt",
+  "home.exportFiltered": "Aktueller Filter",
+  "home.exportPage": "Diese Seite",
+  "home.exportAll": "Alle Links",
+  "home.copied": "URL in die Zwischenablage kopiert!",
+  "home.copyFailed": "URL konnte nicht kopiert werden",
+  "home.updated": "URL erfolgreich aktualisiert!",
+  "home.undone": "Änderung rückgängig gemacht",
+  "home.undoFailed": "Die Änderung konnte nicht rückgängig gemacht werden",
+
+  // Link rows
+  "urlItem.original": "Original: {url}",
+  "urlItem.shortened": "Gekürzt: {url}",
+  "urlItem.created": "Erstellt am {date}",
+  "urlItem.expires": "Läuft ab am {date}",
+  "urlItem.expired": "Abgelaufen am {date}",
+  "urlItem.neverExpires": "Läuft nie ab",
+  "urlItem.starts": "Beginnt am {date}",
+  "urlItem.clicks": { one: "{count} Klick", other: "{count} Klicks" },
+  "urlItem.clicksOfLimit": {
+    one: "{clicks} / {count} Klick",
+    other: "{clicks} / {count} Klicks",
+  },
+  "urlItem.singleUse": "Einmalig",
+  "urlItem.singleUseUsed": "Einmalig, bereits genutzt",
+  "urlItem.limitReached": "Klicklimit erreicht",
+  "urlItem.password": "Passwort",
+  "urlItem.disabled": "Von Moderatoren deaktiviert: {reason}",
+  "urlItem.campaignFilter": "Links dieser Kampagne anzeigen",
+  "urlItem.stats": "Statistik",
+  "urlItem.copy": "Kopieren",
+  "urlItem.qr": "QR",
+  "urlItem.edit": "Bearbeiten",
+  "urlItem.select": "{url} auswählen",
+
+  // Bulk actions
+  "bulk.selectPage": "Alle auf dieser Seite auswählen",
+  "bulk.selectMatching": {
+    one: "Den {count} passenden Link auswählen",
+    other: "Alle {count} passenden Links auswählen",
+  },
+  "bulk.allMatching": {
+    one: "Der {count} passende Link ist ausgewählt",
+    other: "Alle {count} passenden Links sind ausgewählt",
+  },
+  "bulk.actions": "Aktionen für die ausgewählten Links",
+  "bulk.selected": { one: "{count} ausgewählt", other: "{count} ausgewählt" },
+  "bulk.selection": "Auswahl",
+  "bulk.copy": "Kurz-URLs kopieren",
+  "bulk.clear": "Auswahl aufheben",
+  "bulk.expiry": "Ablauf",
+  "bulk.setExpiry": "Ablauf festlegen",
+  "bulk.removeExpiry": "Nie ablaufen",
+  "bulk.loading": "Ausgewählte Links werden geladen...",
+  "bulk.progress.delete": "{done} von {total} werden gelöscht...",
+  "bulk.progress.expiry": "{done} von {total} werden aktualisiert...",
+  "bulk.partial.delete": {
+    one: "{done} von {count} Link in den Papierkorb verschoben. Fehlgeschlagen:",
+    other:
+      "{done} von {count} Links in den Papierkorb verschoben. Fehlgeschlagen:",
+  },
+  "bulk.partial.expiry": {
+    one: "Ablauf bei {done} von {count} Link aktualisiert. Fehlgeschlagen:",
+    other: "Ablauf bei {done} von {count} Links aktualisiert. Fehlgeschlagen:",
+  },
+  "bulk.failed": "Etwas ist schiefgelaufen",
+  "bulk.failedKept":
+    "Fehlgeschlagene Links bleiben ausgewählt, damit Sie es erneut versuchen können.",
+  "bulk.dismiss": "Schließen",
+  "bulk.deleteTitle": "Links in den Papierkorb verschieben?",
+  "bulk.deleteMessage": {
+    one: "{count} Link leitet nicht mehr weiter und wird in den Papierkorb verschoben.",
+    other:
+      "{count} Links leiten nicht mehr weiter und werden in den Papierkorb verschoben.",
+  },
+  "bulk.deleted": {
+    one: "{count} Link in den Papierkorb verschoben",
+    other: "{count} Links in den Papierkorb verschoben",
+  },
+  "bulk.viewTrash": "Papierkorb anzeigen",
+  "bulk.expiryUpdated": {
+    one: "Ablauf bei {count} Link aktualisiert",
+    other: "Ablauf bei {count} Links aktualisiert",
+  },
+  "bulk.copied": {
+    one: "{count} Kurz-URL kopiert",
+    other: "{count} Kurz-URLs kopiert",
+  },
+  "bulk.copyFailed": "Die Kurz-URLs konnten nicht kopiert werden",
+
+  // Live updates
+  "live.connecting": "Verbinden...",
+  "live.live": "Live",
+  "live.reconnecting": "Verbindung wird wiederhergestellt...",
+  "live.paused": "Pausiert",
+
+  // Link results
+  "urls.shortened": "URL erfolgreich gekürzt!",
+  "urls.fetchFailed": "URLs konnten nicht geladen werden",
+  "urls.campaignsFailed": "Kampagnen konnten nicht geladen werden",
+  "urls.shortenFailed": "URL konnte nicht gekürzt werden",
+  "urls.aliasCheckFailed": "Alias konnte nicht geprüft werden",
+  "urls.updateFailed": "URL konnte nicht aktualisiert werden",
+  "urls.deleteFailed": "URL konnte nicht gelöscht werden",
+
+  // Trash
+  "trash.title": "Papierkorb",
+  "trash.workspaceTitle": "Papierkorb in {workspace}",
+  "trash.back": "Zurück zu den Links",
+  "trash.intro":
+    "Gelöschte Links leiten nicht mehr weiter und werden nach 30 Tagen endgültig entfernt. Stellen Sie einen Link wieder her, um ihn unverändert zurückzuholen.",
+  "trash.isEmpty": "Der Papierkorb ist leer",
+  "trash.deletedAt": "Gelöscht am {date}",
+  "trash.purgeAt": "Wird am {date} endgültig entfernt",
+  "trash.restore": "Wiederherstellen",
+  "trash.purge": "Endgültig löschen",
+  "trash.purgeTitle": "Endgültig löschen?",
+  "trash.purgeMessage":
+    "{url} wird endgültig entfernt. Das kann nicht rückgängig gemacht werden.",
+  "trash.emptyTitle": "Papierkorb leeren?",
+  "trash.emptyMessage": {
+    one: "{count} Link wird endgültig entfernt. Das kann nicht rückgängig gemacht werden.",
+    other:
+      "{count} Links werden endgültig entfernt. Das kann nicht rückgängig gemacht werden.",
+  },
+  "trash.empty": "Papierkorb leeren",
+  "trash.moved": "Link in den Papierkorb verschoben",
+  "trash.restored": "Link wiederhergestellt",
+  "trash.purged": "Link endgültig gelöscht",
+  "trash.emptied": "Papierkorb geleert",
+  "trash.fetchFailed": "Papierkorb konnte nicht geladen werden",
+  "trash.restoreFailed": "Link konnte nicht wiederhergestellt werden",
+  "trash.purgeFailed": "Link konnte nicht gelöscht werden",
+  "trash.emptyFailed": "Papierkorb konnte nicht geleert werden",
+
+  // Admin console
+  "admin.title": "Verwaltung",
+  "admin.back": "Zurück zu den Links",
+  "admin.sections": "Bereiche der Verwaltung",
+  "admin.tab.reports": "Missbrauchsmeldungen",
+  "admin.tab.users": "Benutzer",
+  "admin.tab.links": "Links",
+  "admin.search": "Suchen",
+  "admin.statusFilter": "Anzeigen",
+  "admin.searchUsers": "Nach Name oder E-Mail suchen",
+  "admin.allUsers": "Alle Benutzer",
+  "admin.activeUsers": "Aktiv",
+  "admin.suspendedUsers": "Gesperrt",
+  "admin.noUsers": "Keine passenden Benutzer",
+  "admin.adminRole": "Admin",
+  "admin.suspendedFlag": "Gesperrt",
+  "admin.linkCount": { one: "{count} Link", other: "{count} Links" },
+  "admin.suspendedAt": "Gesperrt am {date}",
+  "admin.suspend": "Sperren",
+  "admin.suspendReason": "Grund, für andere Admins",
+  "admin.reactivate": "Entsperren",
+  "admin.searchLinks": "Nach URL oder Kurzcode suchen",
+  "admin.allLinks": "Alle Links",
+  "admin.reportedLinks": "Gemeldet",
+  "admin.disabledLinks": "Deaktiviert",
+  "admin.noLinks": "Keine passenden Links",
+  "admin.openReports": {
+    one: "{count} offene Meldung",
+    other: "{count} offene Meldungen",
+  },
+  "admin.owner": "Inhaber: {email}",
+  "admin.disabledAt": "Deaktiviert am {date}",
+  "admin.disabledFlag": "Deaktiviert",
+  "admin.disable": "Link deaktivieren",
+  "admin.enable": "Wieder aktivieren",
+  "admin.reasonLabel": "Grund",
+  "admin.reason.phishing": "Phishing",
+  "admin.reason.malware": "Schadsoftware",
+  "admin.reason.spam": "Spam",
+  "admin.reason.other": "Sonstiger Missbrauch",
+  "admin.note": "Notiz",
+  "admin.notePlaceholder": "Notiz für andere Admins (optional)",
+  "admin.reports.open": "Offene Meldungen",
+  "admin.reports.resolved": "Erledigt",
+  "admin.reports.dismissed": "Verworfen",
+  "admin.reports.all": "Alle Meldungen",
+  "admin.queueEmpty": "Keine offenen Meldungen",
+  "admin.noReports": "Keine Meldungen",
+  "admin.linkGone": "Der Link wurde inzwischen gelöscht",
+  "admin.reportedBy": "Gemeldet von {email} am {date}",
+  "admin.anonymous": "einem anonymen Besucher",
+  "admin.dismiss": "Verwerfen",
+  "admin.suspended": "{email} gesperrt",
+  "admin.reactivated": "{email} entsperrt",
+  "admin.disabled": "Link deaktiviert",
+  "admin.enabled": "Link wieder aktiviert",
+  "admin.reportDismissed": "Meldung verworfen",
+  "admin.usersFailed": "Benutzer konnten nicht geladen werden",
+  "admin.suspendFailed": "Das Konto konnte nicht gesperrt werden",
+  "admin.reactivateFailed": "Das Konto konnte nicht entsperrt werden",
+  "admin.linksFailed": "Links konnten nicht geladen werden",
+  "admin.disableFailed": "Der Link konnte nicht deaktiviert werden",
+  "admin.enableFailed": "Der Link konnte nicht wieder aktiviert werden",
+  "admin.reportsFailed": "Missbrauchsmeldungen konnten nicht geladen werden",
+  "admin.resolveFailed": "Die Meldung konnte nicht bearbeitet werden",
+
+  // Access denied
+  "forbidden.message": "Sie haben keinen Zugriff auf diese Seite.",
+
+  // Auth results
+  "auth.loginFailed":
+    "Anmeldung fehlgeschlagen. Bitte versuchen Sie es erneut.",
+  "auth.signupFailed":
+    "Registrierung fehlgeschlagen. Bitte versuchen Sie es erneut.",
+  "auth.codeFailed":
+    "Dieser Code hat nicht funktioniert. Bitte versuchen Sie es erneut.",
+  "auth.challengeExpired":
+    "Das hat zu lange gedauert. Bitte melden Sie sich erneut an.",
+  "auth.logoutFailed": "Abmeldung fehlgeschlagen",
+  "auth.resetRateLimited":
+    "Zu viele Anfragen zum Zurücksetzen. Bitte warten Sie einige Minuten und versuchen Sie es erneut.",
+  "auth.resetEmailFailed":
+    "Die E-Mail zum Zurücksetzen konnte nicht gesendet werden. Bitte versuchen Sie es erneut.",
+  "auth.resetCheckFailed":
+    "Ihr Link zum Zurücksetzen konnte nicht geprüft werden. Bitte versuchen Sie es erneut.",
+  "auth.resetFailed":
+    "Ihr Passwort konnte nicht zurückgesetzt werden. Bitte versuchen Sie es erneut.",
+  "auth.verifyFailed":
+    "Ihre E-Mail-Adresse konnte nicht bestätigt werden. Bitte versuchen Sie es erneut.",
+  "auth.resendRateLimited":
+    "Sie haben mehrere E-Mails angefordert. Bitte warten Sie einen Moment.",
+  "auth.resendFailed":
+    "Die Bestätigungs-E-Mail konnte nicht gesendet werden. Bitte versuchen Sie es erneut.",
+  "auth.sessionExpired":
+    "Ihre Sitzung ist abgelaufen. Bitte melden Sie sich erneut an.",
+  "auth.accountDeleted": "Ihr Konto wurde gelöscht.",
+
+  // Link forms
+  "linkForm.destination": "Ziel-URL",
+  "linkForm.destinationPlaceholder": "Lange URL hier eingeben",
+  "linkForm.customAlias": "Eigener Alias (optional)",
+  "linkForm.alias": "Alias",
+  "linkForm.checkingAlias": "Verfügbarkeit wird geprüft...",
+  "linkForm.aliasAvailable": "Alias ist verfügbar",
+  "linkForm.aliasTaken": "Dieser Alias ist bereits vergeben",
+  "linkForm.aliasCheckFailed":
+    "Verfügbarkeit konnte gerade nicht geprüft werden",
+  "linkForm.expires": "Läuft ab",
+  "linkForm.preset.1d": "1 Tag",
+  "linkForm.preset.1w": "1 Woche",
+  "linkForm.preset.never": "Nie",
+  "linkForm.folder": "Ordner",
+  "linkForm.tags": "Tags",
+  "linkForm.shorten": "URL kürzen",
+  "linkForm.shortening": "Wird gekürzt...",
+  "linkForm.save": "Speichern",
+  "linkForm.changeDestinationTitle": "Ziel ändern?",
+  "linkForm.changeDestinationMessage": {
+    one: "Dieser Link hat {count} Klick. Ziel trotzdem ändern?",
+    other: "Dieser Link hat {count} Klicks. Ziel trotzdem ändern?",
+  },
+  "linkForm.changeDestination": "Ziel ändern",
+
+  // Password, click limit and schedule
+  "access.summary": "Passwort, Klicklimit und Zeitplan",
+  "access.password": "Passwort",
+  "access.unchanged": "Unverändert",
+  "access.noPassword": "Kein Passwort",
+  "access.passwordHint":
+    "Besucher müssen es eingeben, bevor sie weitergeleitet werden",
+  "access.passwordSet":
+    "Ein Passwort ist gesetzt. Geben Sie ein neues ein, um es zu ändern, oder {remove}.",
+  "access.removePassword": "entfernen Sie es",
+  "access.passwordRemoved": "Das Passwort wird entfernt.",
+  "access.clickLimit": "Klicklimit",
+  "access.unlimited": "Unbegrenzt",
+  "access.singleUse": "Einmalig",
+  "access.noLimit": "Kein Limit",
+  "access.startsAt": "Verfügbar ab",
+  "access.scheduled":
+    "Der Link funktioniert ab diesem Zeitpunkt, bis er abläuft",
+  "access.immediate": "Funktioniert sofort",
+
+  // Tags and folders
+  "tags.delete": "Tag {name} löschen",
+  "tags.newPlaceholder": "Neuer Tag",
+  "tags.newName": "Name des neuen Tags",
+  "tags.newColour": "Farbe des neuen Tags",
+  "tags.add": "Tag hinzufügen",
+  "folders.namePlaceholder": "Ordnername",
+  "folders.create": "Erstellen",
+  "folders.none": "Kein Ordner",
+  "folders.new": "+ Neuer Ordner...",
+  "sidebar.folders": "Ordner",
+  "sidebar.allLinks": "Alle Links",
+  "sidebar.deleteFolder": "Ordner {name} löschen",
+  "sidebar.deleteFolderTitle": "Ordner löschen?",
+  "sidebar.deleteFolderMessage":
+    "Den Ordner „{name}“ löschen? Die Links bleiben erhalten, liegen dann aber in keinem Ordner mehr.",
+  "sidebar.deleteFolderConfirm": "Ordner löschen",
+  "sidebar.tags": "Tags",
+  "sidebar.noTags": "Fügen Sie Tags im Kürzungsformular hinzu",
+  "sidebar.deleteTagTitle": "Tag löschen?",
+  "sidebar.deleteTagMessage": "Den Tag „{name}“ von allen Links entfernen?",
+  "sidebar.deleteTagConfirm": "Tag löschen",
+  "sidebar.campaigns": "Kampagnen",
+  "sidebar.noCampaigns": "Links mit {param} erscheinen hier",
+  "sidebar.campaign": "{name} ({count})",
+
+  // Link validation
+  "validation.urlRequired": "Bitte geben Sie eine Ziel-URL ein",
+  "validation.urlScheme": "Die URL muss mit http:// oder https:// beginnen",
+  "validation.urlInvalid": "Geben Sie eine gültige URL ein",
+  "validation.aliasFormat":
+    "Der Alias muss 3-30 Zeichen lang sein: Buchstaben, Ziffern, '-' oder '_'",
+  "validation.aliasRepeated": "Der Alias kommt in diesem Import mehrfach vor",
+  "validation.expiryInvalid": "Geben Sie ein gültiges Ablaufdatum ein",
+  "validation.expiryPast": "Das Ablaufdatum muss in der Zukunft liegen",
+  "validation.linkPasswordShort": {
+    one: "Das Passwort muss mindestens {count} Zeichen haben",
+    other: "Das Passwort muss mindestens {count} Zeichen haben",
+  },
+  "validation.clickLimitInvalid":
+    "Das Klicklimit muss eine ganze Zahl ab 1 sein",
+  "validation.clickLimitBelow": {
+    one: "Dieser Link hat bereits {count} Klick",
+    other: "Dieser Link hat bereits {count} Klicks",
+  },
+  "validation.startInvalid": "Geben Sie ein gültiges Startdatum ein",
+  "validation.startAfterExpiry": "Der Start muss vor dem Ablaufdatum liegen",
+
+  // List controls
+  "listControls.searchPlaceholder": "URL, Kurzcode oder Alias suchen",
+  "listControls.search": "Links durchsuchen",
+  "listControls.sortLabel": "Links sortieren",
+  "listControls.statusLabel": "Statusfilter",
+  "listControls.sort.newest": "Neueste zuerst",
+  "listControls.sort.oldest": "Älteste zuerst",
+  "listControls.sort.expiringSoonest": "Läuft am frühesten ab",
+  "listControls.sort.expiringLatest": "Läuft am spätesten ab",
+  "listControls.sort.mostClicks": "Meiste Klicks",
+  "listControls.sort.fewestClicks": "Wenigste Klicks",
+  "listControls.status.all": "Alle",
+  "listControls.status.active": "Aktiv",
+  "listControls.status.expired": "Abgelaufen",
+  "pagination.label": "Seitennavigation",
+  "pagination.summary": "{first}-{last} von {total}",
+  "pagination.previous": "Zurück",
+  "pagination.next": "Weiter",
+  "pagination.page": "Seite {page} von {totalPages}",
+  "pagination.pageSize": "Links pro Seite",
+  "pagination.perPage": "{size} pro Seite",
+
+  // Export
+  "export.failed": "Export fehlgeschlagen",
+  "export.scope": "Zu exportierende Links",
+  "export.scopeCount": "{label} ({count})",
+  "export.csv": "Als CSV exportieren",
+  "export.json": "Als JSON exportieren",
+  "export.columnOriginalUrl": "Original-URL",
+  "export.columnShortUrl": "Kurz-URL",
+  "export.columnAlias": "Alias",
+  "export.columnCreated": "Erstellt",
+  "export.columnExpires": "Läuft ab",
+  "export.columnClicks": "Klicks",
+
+  // Error pages
+  "errors.title": "Etwas ist schiefgelaufen",
+  "errors.message":
+    "Diese Seite konnte nicht geladen werden. Bitte versuchen Sie es erneut.",
+  "errors.notFound": "Diese Seite wurde nicht gefunden.",
+
+  // Bulk import
+  "bulkImport.readFailed": "Die Datei konnte nicht gelesen werden",
+  "bulkImport.inputLabel":
+    "Fügen Sie eine URL pro Zeile ein oder CSV mit den Spalten: url, alias, expiry",
+  "bulkImport.upload": "CSV-Datei hochladen",
+  "bulkImport.check": "Zeilen prüfen",
+  "bulkImport.shortening": "Wird gekürzt...",
+  "bulkImport.shorten": {
+    one: "{count} Link kürzen",
+    other: "{count} Links kürzen",
+  },
+  "bulkImport.retryFailed": "{count} fehlgeschlagene erneut versuchen",
+  "bulkImport.summary": {
+    one: "{count} Zeile: {success} gekürzt, {failed} fehlgeschlagen, {invalid} ungültig",
+    other:
+      "{count} Zeilen: {success} gekürzt, {failed} fehlgeschlagen, {invalid} ungültig",
+  },
+  "bulkImport.limited": " (nur die ersten {max} Zeilen werden importiert)",
+  "bulkImport.url": "URL",
+  "bulkImport.alias": "Alias",
+  "bulkImport.expires": "Läuft ab",
+  "bulkImport.result": "Ergebnis",
+  "bulkImport.never": "Nie",
+  "bulkImport.ready": "Bereit",
+
+  // QR codes
+  "qr.title": "QR-Code",
+  "qr.imageLabel": "QR-Code für {url}",
+  "qr.size": "Größe",
+  "qr.sizeOption": "{size} x {size} px",
+  "qr.errorCorrection": "Fehlerkorrektur",
+  "qr.ecl.L": "Niedrig (7 %)",
+  "qr.ecl.M": "Mittel (15 %)",
+  "qr.ecl.Q": "Quartil (25 %)",
+  "qr.ecl.H": "Hoch (30 %)",
+  "qr.foreground": "Vordergrund",
+  "qr.background": "Hintergrund",
+  "qr.lowContrast":
+    "Geringer Kontrast: Manche Scanner können diesen Code nicht lesen. Verwenden Sie einen dunkleren Vordergrund auf einem helleren Hintergrund.",
+  "qr.pngFailed": "Das PNG konnte in diesem Browser nicht erstellt werden",
+  "qr.downloadPng": "PNG herunterladen",
+  "qr.downloadSvg": "SVG herunterladen",
+
+  // Request errors
+  "account.profileFailed": "Profil konnte nicht aktualisiert werden",
+  "account.passwordFailed": "Passwort konnte nicht geändert werden",
+  "account.sessionsFailed": "Sitzungen konnten nicht geladen werden",
+  "account.revokeSessionFailed": "Sitzung konnte nicht beendet werden",
+  "account.deleteFailed": "Konto konnte nicht gelöscht werden",
+  "account.twoFactorSetupFailed":
+    "Einrichtung der Zwei-Faktor-Authentifizierung konnte nicht gestartet werden",
+  "account.twoFactorCodeFailed": "Dieser Code hat nicht funktioniert",
+  "account.twoFactorDisableFailed":
+    "Zwei-Faktor-Authentifizierung konnte nicht deaktiviert werden",
+  "account.profileUpdated": "Profil aktualisiert",
+  "account.passwordChanged": "Passwort geändert",
+  "analytics.loadFailed": "Statistiken konnten nicht geladen werden",
+  "apiKeys.fetchFailed": "API-Schlüssel konnten nicht geladen werden",
+  "apiKeys.createFailed": "API-Schlüssel konnte nicht erstellt werden",
+  "apiKeys.revokeFailed": "API-Schlüssel konnte nicht widerrufen werden",
+  "folders.fetchFailed": "Ordner konnten nicht geladen werden",
+  "folders.createFailed": "Ordner konnte nicht erstellt werden",
+  "folders.deleteFailed": "Ordner konnte nicht gelöscht werden",
+  "tags.fetchFailed": "Tags konnten nicht geladen werden",
+  "tags.createFailed": "Tag konnte nicht erstellt werden",
+  "tags.deleteFailed": "Tag konnte nicht gelöscht werden",
+  "utmPresets.fetchFailed": "UTM-Vorlagen konnten nicht geladen werden",
+  "utmPresets.saveFailed": "UTM-Vorlage konnte nicht gespeichert werden",
+  "utmPresets.deleteFailed": "UTM-Vorlage konnte nicht gelöscht werden",
+  "workspaces.fetchFailed": "Arbeitsbereiche konnten nicht geladen werden",
+  "workspaces.createFailed": "Arbeitsbereich konnte nicht erstellt werden",
+  "workspaces.membersFailed": "Mitglieder konnten nicht geladen werden",
+  "workspaces.inviteFailed": "Mitglied konnte nicht eingeladen werden",
+  "workspaces.roleFailed": "Rolle konnte nicht geändert werden",
+  "workspaces.removeFailed": "Mitglied konnte nicht entfernt werden",
+  "publicLink.openFailed": "Link konnte nicht geöffnet werden",
+
+  // Analytics
+  "analytics.title": "Link-Statistiken",
+  "analytics.total": { one: "Klick insgesamt", other: "Klicks insgesamt" },
+  "analytics.rangeLabel": "Zeitraum",
+  "analytics.range.24h": "24 Stunden",
+  "analytics.range.7d": "7 Tage",
+  "analytics.range.30d": "30 Tage",
+  "analytics.range.90d": "90 Tage",
+  "analytics.range.all": "Gesamter Zeitraum",
+  "analytics.loading": "Statistiken werden geladen...",
+  "analytics.empty":
+    "In diesem Zeitraum gibt es noch keine Klicks. Teilen Sie Ihren Link und schauen Sie später wieder vorbei.",
+  "analytics.clicksOverTime": "Klicks im Zeitverlauf",
+  "analytics.referrers": "Top-Verweisquellen",
+  "analytics.countries": "Länder",
+  "analytics.devices": "Geräte",
+  "analytics.browsers": "Browser",
+  "analytics.unknown": "Unbekannt",
+  "analytics.chartLabel": {
+    one: "Klicks im Zeitverlauf: {total} Klicks in {count} Zeitraum",
+    other: "Klicks im Zeitverlauf: {total} Klicks in {count} Zeiträumen",
+  },
+  "analytics.bucketClicks": {
+    one: "{date}: {count} Klick",
+    other: "{date}: {count} Klicks",
+  },
+  "analytics.noData": "Keine Daten",
+  "analytics.direct": "Direkt",
+  "analytics.share": "{count} ({percent} %)",
+
+  // API keys
+  "apiKeys.title": "API-Schlüssel",
+  "apiKeys.scope.read": "Links lesen",
+  "apiKeys.scope.create": "Links erstellen",
+  "apiKeys.scope.delete": "Links löschen",
+  "apiKeys.expiry.30d": "30 Tage",
+  "apiKeys.expiry.90d": "90 Tage",
+  "apiKeys.expiry.1y": "1 Jahr",
+  "apiKeys.expiry.never": "Nie",
+  "apiKeys.nameRequired":
+    "Geben Sie dem Schlüssel einen Namen, damit Sie ihn später wiedererkennen",
+  "apiKeys.scopeRequired": "Wählen Sie mindestens eine Berechtigung",
+  "apiKeys.namePlaceholder": "z. B. CMS-Anbindung",
+  "apiKeys.permissions": "Berechtigungen",
+  "apiKeys.expiresAfter": "Läuft ab nach:",
+  "apiKeys.create": "Schlüssel erstellen",
+  "apiKeys.revokeTitle": "API-Schlüssel widerrufen?",
+  "apiKeys.revokeMessage":
+    "„{name}“ widerrufen? Skripte, die ihn verwenden, funktionieren sofort nicht mehr.",
+  "apiKeys.revoke": "Widerrufen",
+  "apiKeys.revoking": "Wird widerrufen...",
+  "apiKeys.createTitle": "Schlüssel erstellen",
+  "apiKeys.createHint":
+    "Mit Schlüsseln können Skripte und andere Tools Ihr Konto verwenden. Geben Sie einem Schlüssel nur die Berechtigungen, die er braucht.",
+  "apiKeys.newKey": "Ihr neuer Schlüssel „{name}“",
+  "apiKeys.copyNow":
+    "Kopieren Sie ihn jetzt. Zu Ihrer Sicherheit wird er nicht noch einmal angezeigt.",
+  "apiKeys.stored": "Ich habe ihn sicher gespeichert",
+  "apiKeys.yourKeys": "Ihre Schlüssel",
+  "apiKeys.loading": "Schlüssel werden geladen...",
+  "apiKeys.empty": "Sie haben noch keine Schlüssel erstellt.",
+  "apiKeys.created": "Erstellt am {date}",
+  "apiKeys.expired": "Abgelaufen am {date}",
+  "apiKeys.expires": "Läuft ab am {date}",
+  "apiKeys.neverExpires": "Läuft nie ab",
+  "apiKeys.lastUsed": "Zuletzt verwendet am {date}",
+  "apiKeys.neverUsed": "Nie verwendet",
+  "apiKeys.tryIt": "Ausprobieren",
+  "apiKeys.tryUrl": "Ziel-URL:",
+  "apiKeys.tryAlias": "Eigener Alias (optional):",
+  "apiKeys.formatLabel": "Beispielformat",
+  "apiKeys.replaceKey":
+    "Ersetzen Sie {placeholder} durch einen Ihrer Schlüssel.",
+  "apiKeys.tryHint":
+    "Eine erfolgreiche Anfrage antwortet mit 201 und dem neuen Link, einschließlich {field}. Der Schlüssel braucht die Berechtigung „Links erstellen“.",
+
+  // Email verification
+  "checkInbox.title": "Prüfen Sie Ihren Posteingang",
+  "checkInbox.sentTo":
+    "Wir haben einen Bestätigungslink an {email} gesendet. Klicken Sie darauf, um Ihr Konto zu aktivieren, und melden Sie sich dann an.",
+  "checkInbox.generic":
+    "Klicken Sie auf den Bestätigungslink in unserer E-Mail, um Ihr Konto zu aktivieren, und melden Sie sich dann an.",
+  "checkInbox.spam":
+    "Nicht gefunden? Sehen Sie im Spam-Ordner nach oder fordern Sie einen neuen an.",
+  "checkInbox.alreadyVerified": "Schon bestätigt?",
+  "resend.sent": "Eine neue Bestätigungs-E-Mail ist unterwegs.",
+  "resend.wait": "E-Mail erneut senden in {seconds} s",
+  "resend.submit": "Bestätigungs-E-Mail erneut senden",
+  "verify.title": "E-Mail-Adresse bestätigt",
+  "verify.thanks": "Danke, dass Sie Ihre E-Mail-Adresse bestätigt haben.",
+  "verify.alreadyVerified": "Diese E-Mail-Adresse ist bereits bestätigt.",
+  "verify.expired": "Dieser Bestätigungslink ist abgelaufen.",
+  "verify.invalid":
+    "Dieser Bestätigungslink ist ungültig. Möglicherweise wurde er falsch eingegeben.",
+  "verify.newLinkHint":
+    "Melden Sie sich mit Ihrer E-Mail-Adresse und Ihrem Passwort an, dann bieten wir Ihnen einen neuen Link an.",
+  "verify.checking": "Ihre E-Mail-Adresse wird bestätigt...",
+
+  // Password reset
+  "forgot.title": "Passwort vergessen",
+  "forgot.intro":
+    "Geben Sie die E-Mail-Adresse ein, mit der Sie sich registriert haben, und wir senden Ihnen einen Link, um ein neues Passwort festzulegen.",
+  "forgot.submit": "Link zum Zurücksetzen senden",
+  "forgot.remembered": "Doch wieder eingefallen?",
+  "forgot.sentTitle": "Prüfen Sie Ihre E-Mails",
+  "forgot.sent":
+    "Falls ein Konto für {email} existiert, haben wir einen Link zum Zurücksetzen Ihres Passworts gesendet.",
+  "forgot.notReceived":
+    "Nichts erhalten? Sehen Sie im Spam-Ordner nach oder {retry}.",
+  "forgot.retry": "versuchen Sie es erneut",
+  "reset.title": "Neues Passwort wählen",
+  "reset.newPassword": "Neues Passwort:",
+  "reset.confirmPassword": "Passwort bestätigen:",
+  "reset.submit": "Passwort zurücksetzen",
+  "reset.doneTitle": "Passwort aktualisiert",
+  "reset.done":
+    "Ihr Passwort wurde zurückgesetzt. Melden Sie sich mit Ihrem neuen Passwort an.",
+  "reset.expired": "Dieser Link zum Zurücksetzen ist abgelaufen.",
+  "reset.used": "Dieser Link zum Zurücksetzen wurde bereits verwendet.",
+  "reset.invalid":
+    "Dieser Link zum Zurücksetzen ist ungültig. Möglicherweise wurde er falsch eingegeben.",
+  "reset.requestNew": "Neuen Link anfordern",
+  "reset.checking": "Ihr Link wird geprüft...",
+
+  // Two-factor login
+  "twoFactor.title": "Zwei-Faktor-Authentifizierung",
+  "twoFactor.codeIntro":
+    "Geben Sie den 6-stelligen Code aus Ihrer Authenticator-App für {email} ein.",
+  "twoFactor.recoveryIntro":
+    "Geben Sie einen der Wiederherstellungscodes ein, die Sie beim Einrichten gespeichert haben. Jeder Code funktioniert nur einmal.",
+  "twoFactor.code": "Authentifizierungscode:",
+  "twoFactor.recoveryCode": "Wiederherstellungscode:",
+  "twoFactor.verifying": "Wird geprüft...",
+  "twoFactor.verify": "Bestätigen",
+  "twoFactor.useApp": "Stattdessen die Authenticator-App verwenden",
+  "twoFactor.useRecovery": "Stattdessen einen Wiederherstellungscode verwenden",
+
+  // Account settings
+  "settings.title": "Kontoeinstellungen",
+  "settings.profile": "Profil",
+  "settings.fullName": "Vollständiger Name:",
+  "settings.emailHint":
+    "Wenn Sie Ihre E-Mail-Adresse ändern, senden wir einen Bestätigungslink an die neue Adresse.",
+  "settings.saveProfile": "Profil speichern",
+  "settings.pendingEmail":
+    "Bestätigen Sie {email} über den Link, den wir dorthin gesendet haben. Bis dahin verwenden Sie weiterhin {current}.",
+  "settings.password": "Passwort",
+  "settings.currentPassword": "Aktuelles Passwort:",
+  "settings.newPassword": "Neues Passwort:",
+  "settings.confirmPassword": "Neues Passwort bestätigen:",
+  "settings.samePassword":
+    "Das neue Passwort muss sich vom aktuellen unterscheiden",
+  "settings.changePassword": "Passwort ändern",
+  "settings.sessions": "Aktive Sitzungen",
+  "settings.sessionsHint":
+    "Geräte, die bei Ihrem Konto angemeldet sind. Beenden Sie alle Sitzungen, die Sie nicht kennen.",
+  "settings.sessionsLoading": "Sitzungen werden geladen...",
+  "settings.unknownDevice": "Unbekanntes Gerät",
+  "settings.thisDevice": "Dieses Gerät",
+  "settings.lastActive": "Zuletzt aktiv am {date}",
+  "settings.revoke": "Beenden",
+  "settings.revoking": "Wird beendet...",
+  "settings.deleteTitle": "Konto löschen",
+  "settings.deleteWarning":
+    "Damit werden Ihr Konto und alle Ihre Links endgültig gelöscht. Die Kurz-URLs funktionieren dann nicht mehr. Das kann nicht rückgängig gemacht werden.",
+  "settings.deleteConfirm": "Geben Sie zur Bestätigung {email} ein:",
+  "settings.deleting": "Wird gelöscht...",
+  "settings.deleteSubmit": "Mein Konto löschen",
+
+  // Two-factor settings
+  "twoFactorSettings.on": "An",
+  "twoFactorSettings.off": "Aus",
+  "twoFactorSettings.intro":
+    "Bei jeder Anmeldung zusätzlich zum Passwort einen Code aus einer Authenticator-App abfragen.",
+  "twoFactorSettings.starting": "Wird gestartet...",
+  "twoFactorSettings.setUp": "Zwei-Faktor einrichten",
+  "twoFactorSettings.scan":
+    "Scannen Sie diesen QR-Code mit einer Authenticator-App.",
+  "twoFactorSettings.enterCode":
+    "Geben Sie zum Abschluss den 6-stelligen Code aus der App ein.",
+  "twoFactorSettings.qrLabel": "QR-Code für Ihre Authenticator-App",
+  "twoFactorSettings.manualKey":
+    "Scannen klappt nicht? Geben Sie stattdessen diesen Schlüssel ein: {key}",
+  "twoFactorSettings.codeLabel": "Code aus der App:",
+  "twoFactorSettings.checking": "Wird geprüft...",
+  "twoFactorSettings.turnOn": "Zwei-Faktor aktivieren",
+  "twoFactorSettings.enabled":
+    "Die Zwei-Faktor-Authentifizierung ist aktiviert.",
+  "twoFactorSettings.saveCodes":
+    "Bewahren Sie diese Wiederherstellungscodes sicher auf. Mit jedem können Sie sich einmal anmelden, falls Sie Ihr Telefon verlieren. Sie werden nicht noch einmal angezeigt.",
+  "twoFactorSettings.download": "Herunterladen",
+  "twoFactorSettings.saved": "Ich habe sie gespeichert",
+  "twoFactorSettings.disableIntro":
+    "Bestätigen Sie zum Deaktivieren Ihr Passwort und einen aktuellen Code (oder einen Wiederherstellungscode).",
+  "twoFactorSettings.code": "Code:",
+  "twoFactorSettings.turningOff": "Wird deaktiviert...",
+  "twoFactorSettings.turnOff": "Zwei-Faktor deaktivieren",
+
+  // UTM parameters
+  "utm.title": "UTM-Kampagnenparameter",
+  "utm.field.source": "Quelle",
+  "utm.field.medium": "Medium",
+  "utm.field.campaign": "Kampagne",
+  "utm.field.term": "Begriff",
+  "utm.field.content": "Inhalt",
+  "utm.presets": "Vorlagen:",
+  "utm.deletePreset": "Vorlage {name} löschen",
+  "utm.deletePresetTitle": "Vorlage löschen?",
+  "utm.deletePresetMessage": "Die UTM-Vorlage „{name}“ löschen?",
+  "utm.deletePresetConfirm": "Vorlage löschen",
+  "utm.finalDestination": "Endgültiges Ziel",
+  "utm.previewHint":
+    "Geben Sie eine Ziel-URL ein, um sie mit diesen Parametern zu sehen",
+  "utm.presetName": "Name der Vorlage",
+  "utm.savePreset": "Als Vorlage speichern",
+
+  // Workspaces
+  "workspaces.role.owner": "Inhaber",
+  "workspaces.role.ownerDescription":
+    "Verwaltet Mitglieder und kann alles, was Bearbeiter können",
+  "workspaces.role.editor": "Bearbeiter",
+  "workspaces.role.editorDescription": "Erstellt, bearbeitet und löscht Links",
+  "workspaces.role.viewer": "Betrachter",
+  "workspaces.role.viewerDescription":
+    "Sieht Links und ihre Statistiken und kopiert sie",
+  "workspaces.switcher": "Arbeitsbereich",
+  "workspaces.personal": "Persönlich",
+  "workspaces.option": "{name} ({role})",
+  "workspaces.manage": "Verwalten",
+  "workspaces.title": "Arbeitsbereiche",
+  "workspaces.createTitle": "Arbeitsbereich erstellen",
+  "workspaces.createHint":
+    "Links in einem Arbeitsbereich gehören dem Team und bleiben verwaltbar, wenn jemand geht.",
+  "workspaces.namePlaceholder": "z. B. Marketing",
+  "workspaces.create": "Arbeitsbereich erstellen",
+  "workspaces.yours": "Ihre Arbeitsbereiche",
+  "workspaces.loading": "Arbeitsbereiche werden geladen...",
+  "workspaces.empty": "Sie sind noch in keinem gemeinsamen Arbeitsbereich.",
+  "workspaces.active": "Aktiv",
+  "workspaces.summary": {
+    one: "{role} · {count} Mitglied",
+    other: "{role} · {count} Mitglieder",
+  },
+  "workspaces.members": "Mitglieder",
+  "workspaces.openLinks": "Links öffnen",
+  "workspaces.all": "Alle Arbeitsbereiche",
+  "workspaces.membersTitle": "Mitglieder von {name}",
+  "workspaces.fallbackName": "Arbeitsbereich",
+  "workspaces.inviteTitle": "Jemanden einladen",
+  "workspaces.inviteHint":
+    "Personen ohne Konto erhalten eine E-Mail und treten bei, sobald sie sich registrieren.",
+  "workspaces.role": "Rolle:",
+  "workspaces.roleOption": "{label} - {description}",
+  "workspaces.inviting": "Wird eingeladen...",
+  "workspaces.sendInvite": "Einladung senden",
+  "workspaces.membersLoading": "Mitglieder werden geladen...",
+  "workspaces.you": "Sie",
+  "workspaces.invited": "Eingeladen",
+  "workspaces.roleFor": "Rolle für {email}",
+  "workspaces.leave": "Verlassen",
+  "workspaces.remove": "Entfernen",
+  "workspaces.leaveTitle": "Arbeitsbereich verlassen?",
+  "workspaces.leaveMessage":
+    "{name} verlassen? Sie verlieren den Zugriff auf die Links.",
+  "workspaces.removeTitle": "Mitglied entfernen?",
+  "workspaces.removeMessage": "{member} aus {name} entfernen?",
+
+  // Protected links
+  "linkGate.notFoundTitle": "Link nicht gefunden",
+  "linkGate.notFound":
+    "Unter dieser Adresse gibt es keinen Kurzlink. Möglicherweise wurde er falsch eingegeben.",
+  "linkGate.expired": "Dieser Link ist abgelaufen.",
+  "linkGate.limitReached": "Dieser Link hat sein Klicklimit erreicht.",
+  "linkGate.disabled":
+    "Dieser Link wurde wegen eines Verstoßes gegen unsere Nutzungsbedingungen deaktiviert.",
+  "linkGate.notWeb": "Dieser Link führt nicht zu einer Webseite.",
+  "linkGate.askForNew":
+    "Bitten Sie die Person, die ihn geteilt hat, um einen neuen.",
+  "linkGate.notStartedTitle": "Noch nicht verfügbar",
+  "linkGate.opensOn": "Dieser Link ist ab {date} verfügbar.",
+  "linkGate.opensLater": "Dieser Link ist erst später verfügbar.",
+  "linkGate.passwordTitle": "Passwort erforderlich",
+  "linkGate.passwordIntro":
+    "Geben Sie das Passwort ein, das Sie erhalten haben, um fortzufahren.",
+  "linkGate.opening": "Wird geöffnet...",
+  "linkGate.continue": "Weiter",
+  "linkGate.openingLink": "Link wird geöffnet...",
+};
+
+export default de;
@@ -0,0 +1,777 @@
+// English is the source catalog: every key lives here first, and other
+// locales fall back to it. `{name}` is filled in by translate(); an object
+// value is a plural, picked by Intl.PluralRules from the `count` param.
+
+const en = {
+  // Shared
+  "common.email": "Email:",
+  "common.password": "Password:",
+  "common.loading": "Loading...",
+  "common.cancel": "Cancel",
+  "common.ok": "OK",
+  "common.delete": "Delete",
+  "common.undo": "Undo",
+  "common.retry": "Retry",
+  "common.language": "Language",
+  "common.dismissNotification": "Dismiss notification",
+  "common.areYouSure": "Are you sure?",
+  "common.tryAgain": "Try again",
+  "common.goToLinks": "Go to your links",
+  "common.close": "Close",
+  "common.backToLinks": "Back to your links",
+  "common.sending": "Sending...",
+  "common.backToLogin": "Back to login",
+  "common.goToLogin": "Go to login",
+  "common.linkUnavailable": "Link unavailable",
+  "common.saving": "Saving...",
+  "common.copy": "Copy",
+  "common.copied": "Copied!",
+  "common.copyFailed": "Copy failed",
+  "common.name": "Name:",
+  "common.creating": "Creating...",
+
+  // Login
+  "login.title": "Login",
+  "login.submit": "Login",
+  "login.submitting": "Logging in...",
+  "login.forgotPassword": "Forgot password?",
+  "login.noAccount": "Don't have an account?",
+  "login.signupLink": "Sign up",
+  "login.unverified":
+    "Please verify {email} before logging in. Use the link we emailed you, or get a new one.",
+
+  // Signup
+  "signup.title": "Sign Up",
+  "signup.fullName": "Full Name:",
+  "signup.confirmPassword": "Confirm Password:",
+  "signup.submit": "Sign Up",
+  "signup.submitting": "Creating Account...",
+  "signup.haveAccount": "Already have an account?",
+  "signup.loginLink": "Login",
+  "signup.fullNameRequired": "Full name is required",
+
+  // Password rules
+  "password.mismatch": "Passwords do not match",
+  "password.tooShort": {
+    one: "Password must be at least {count} character long",
+    other: "Password must be at least {count} characters long",
+  },
+
+  // Home
+  "home.welcome": "Welcome, {name}!",
+  "home.defaultName": "User",
+  "home.email": "Email: {email}",
+  "home.apiKeys": "API keys",
+  "home.admin": "Admin",
+  "home.settings": "Settings",
+  "home.logout": "Logout",
+  "home.shortenTitle": "Shorten a URL",
+  "home.shortenMode": "Shorten mode",
+  "home.modeSingle": "Single link",
+  "home.modeBulk": "Bulk import",
+  "home.viewOnly":
+    "You have view-only access to {workspace}. Ask an owner if you need to create or change links.",
+  "home.workspaceLinks": "{workspace} links",
+  "home.yourLinks": "Your Shortened URLs",
+  "home.noMatches": "No links match your search",
+  "home.noLinks": "No URLs shortened yet",
+  "home.exportFiltered": "Current filter",
+  "home.exportPage": "This page",
+  "home.exportAll": "All links",
+  "home.copied": "URL copied to clipboard!",
+  "home.copyFailed": "Failed to copy URL",
+  "home.updated": "URL updated successfully!",
+  "home.undone": "Change undone",
+  "home.undoFailed": "Failed to undo the change",
+
+  // Link rows
+  "urlItem.original": "Original: {url}",
+  "urlItem.shortened": "Shortened: {url}",
+  "urlItem.created": "Created {date}",
+  "urlItem.expires": "Expires {date}",
+  "urlItem.expired": "Expired {date}",
+  "urlItem.neverExpires": "Never expires",
+  "urlItem.starts": "Starts {date}",
+  "urlItem.clicks": { one: "{count} click", other: "{count} clicks" },
+  "urlItem.clicksOfLimit": {
+    one: "{clicks} / {count} click",
+    other: "{clicks} / {count} clicks",
+  },
+  "urlItem.singleUse": "Single use",
+  "urlItem.singleUseUsed": "Single use, used",
+  "urlItem.limitReached": "Click limit reached",
+  "urlItem.password": "Password",
+  "urlItem.disabled": "Disabled by moderators: {reason}",
+  "urlItem.campaignFilter": "Show links in this campaign",
+  "urlItem.stats": "Stats",
+  "urlItem.copy": "Copy",
+  "urlItem.qr": "QR",
+  "urlItem.edit": "Edit",
+  "urlItem.select": "Select {url}",
+
+  // Bulk actions
+  "bulk.selectPage": "Select all on this page",
+  "bulk.selectMatching": {
+    one: "Select the {count} matching link",
+    other: "Select all {count} matching links",
+  },
+  "bulk.allMatching": {
+    one: "The {count} matching link is selected",
+    other: "All {count} matching links are selected",
+  },
+  "bulk.actions": "Actions for the selected links",
+  "bulk.selected": { one: "{count} selected", other: "{count} selected" },
+  "bulk.selection": "Selection",
+  "bulk.copy": "Copy short URLs",
+  "bulk.clear": "Clear selection",
+  "bulk.expiry": "Expiry",
+  "bulk.setExpiry": "Set expiry",
+  "bulk.removeExpiry": "Never expire",
+  "bulk.loading": "Loading the selected links...",
+  "bulk.progress.delete": "Deleting {done} of {total}...",
+  "bulk.progress.expiry": "Updating {done} of {total}...",
+  "bulk.partial.delete": {
+    one: "{done} of {count} link moved to the trash. These failed:",
+    other: "{done} of {count} links moved to the trash. These failed:",
+  },
+  "bulk.partial.expiry": {
+    one: "Expiry updated on {done} of {count} link. These failed:",
+    other: "Expiry updated on {done} of {count} links. These failed:",
+  },
+  "bulk.failed": "Something went wrong",
+  "bulk.failedKept": "Links that failed stay selected, so you can try again.",
+  "bulk.dismiss": "Dismiss",
+  "bulk.deleteTitle": "Move links to the trash?",
+  "bulk.deleteMessage": {
+    one: "{count} link will stop redirecting and move to the trash.",
+    other: "{count} links will stop redirecting and move to the trash.",
+  },
+  "bulk.deleted": {
+    one: "{count} link moved to the trash",
+    other: "{count} links moved to the trash",
+  },
+  "bulk.viewTrash": "View trash",
+  "bulk.expiryUpdated": {
+    one: "Expiry updated on {count} link",
+    other: "Expiry updated on {count} links",
+  },
+  "bulk.copied": {
+    one: "Copied {count} short URL",
+    other: "Copied {count} short URLs",
+  },
+  "bulk.copyFailed": "Failed to copy the short URLs",
+
+  // Live updates
+  "live.connecting": "Connecting...",
+  "live.live": "Live",
+  "live.reconnecting": "Reconnecting...",
+  "live.paused": "Paused",
+
+  // Link results
+  "urls.shortened": "URL shortened successfully!",
+  "urls.fetchFailed": "Failed to fetch URLs",
+  "urls.campaignsFailed": "Failed to fetch campaigns",
+  "urls.shortenFailed": "Failed to shorten URL",
+  "urls.aliasCheckFailed": "Could not check alias",
+  "urls.updateFailed": "Failed to update URL",
+  "urls.deleteFailed": "Failed to delete URL",
+
+  // Trash
+  "trash.title": "Trash",
+  "trash.workspaceTitle": "Trash in {workspace}",
+  "trash.back": "Back to links",
+  "trash.intro":
+    "Deleted links stop redirecting and are removed for good after 30 days. Restore one to bring it back as it was.",
+  "trash.isEmpty": "The trash is empty",
+  "trash.deletedAt": "Deleted on {date}",
+  "trash.purgeAt": "Removed for good on {date}",
+  "trash.restore": "Restore",
+  "trash.purge": "Delete forever",
+  "trash.purgeTitle": "Delete forever?",
+  "trash.purgeMessage": "{url} will be removed for good. This can't be undone.",
+  "trash.emptyTitle": "Empty the trash?",
+  "trash.emptyMessage": {
+    one: "{count} link will be removed for good. This can't be undone.",
+    other: "{count} links will be removed for good. This can't be undone.",
+  },
+  "trash.empty": "Empty trash",
+  "trash.moved": "Link moved to the trash",
+  "trash.restored": "Link restored",
+  "trash.purged": "Link deleted forever",
+  "trash.emptied": "Trash emptied",
+  "trash.fetchFailed": "Failed to load the trash",
+  "trash.restoreFailed": "Failed to restore the link",
+  "trash.purgeFailed": "Failed to delete the link",
+  "trash.emptyFailed": "Failed to empty the trash",
+
+  // Admin console
+  "admin.title": "Admin console",
+  "admin.back": "Back to links",
+  "admin.sections": "Admin sections",
+  "admin.tab.reports": "Abuse reports",
+  "admin.tab.users": "Users",
+  "admin.tab.links": "Links",
+  "admin.search": "Search",
+  "admin.statusFilter": "Show",
+  "admin.searchUsers": "Search by name or email",
+  "admin.allUsers": "All users",
+  "admin.activeUsers": "Active",
+  "admin.suspendedUsers": "Suspended",
+  "admin.noUsers": "No users match",
+  "admin.adminRole": "Admin",
+  "admin.suspendedFlag": "Suspended",
+  "admin.linkCount": { one: "{count} link", other: "{count} links" },
+  "admin.suspendedAt": "Suspended on {date}",
+  "admin.suspend": "Suspend",
+  "admin.suspendReason": "Reason, for other admins",
+  "admin.reactivate": "Reactivate",
+  "admin.searchLinks": "Search by URL or short code",
+  "admin.allLinks": "All links",
+  "admin.reportedLinks": "Reported",
+  "admin.disabledLinks": "Disabled",
+  "admin.noLinks": "No links match",
+  "admin.openReports": {
+    one: "{count} open report",
+    other: "{count} open reports",
+  },
+  "admin.owner": "Owner: {email}",
+  "admin.disabledAt": "Disabled on {date}",
+  "admin.disabledFlag": "Disabled",
+  "admin.disable": "Disable link",
+  "admin.enable": "Re-enable",
+  "admin.reasonLabel": "Reason",
+  "admin.reason.phishing": "Phishing",
+  "admin.reason.malware": "Malware",
+  "admin.reason.spam": "Spam",
+  "admin.reason.other": "Other abuse",
+  "admin.note": "Note",
+  "admin.notePlaceholder": "Note for other admins (optional)",
+  "admin.reports.open": "Open reports",
+  "admin.reports.resolved": "Resolved",
+  "admin.reports.dismissed": "Dismissed",
+  "admin.reports.all": "All reports",
+  "admin.queueEmpty": "No open reports",
+  "admin.noReports": "No reports",
+  "admin.linkGone": "The link has since been deleted",
+  "admin.reportedBy": "Reported by {email} on {date}",
+  "admin.anonymous": "an anonymous visitor",
+  "admin.dismiss": "Dismiss",
+  "admin.suspended": "{email} suspended",
+  "admin.reactivated": "{email} reactivated",
+  "admin.disabled": "Link disabled",
+  "admin.enabled": "Link re-enabled",
+  "admin.reportDismissed": "Report dismissed",
+  "admin.usersFailed": "Failed to load users",
+  "admin.suspendFailed": "Failed to suspend the account",
+  "admin.reactivateFailed": "Failed to reactivate the account",
+  "admin.linksFailed": "Failed to load links",
+  "admin.disableFailed": "Failed to disable the link",
+  "admin.enableFailed": "Failed to re-enable the link",
+  "admin.reportsFailed": "Failed to load abuse reports",
+  "admin.resolveFailed": "Failed to resolve the report",
+
+  // Access denied
+  "forbidden.message": "You don't have access to this page.",
+
+  // Auth results
+  "auth.loginFailed": "Login failed. Please try again.",
+  "auth.signupFailed": "Registration failed. Please try again.",
+  "auth.codeFailed": "That code didn't work. Try again.",
+  "auth.challengeExpired": "That took too long. Please log in again.",
+  "auth.logoutFailed": "Logout failed",
+  "auth.resetRateLimited":
+    "Too many reset requests. Please wait a few minutes and try again.",
+  "auth.resetEmailFailed": "Could not send the reset email. Please try again.",
+  "auth.resetCheckFailed": "Could not check your reset link. Please try again.",
+  "auth.resetFailed": "Could not reset your password. Please try again.",
+  "auth.verifyFailed": "Could not verify your email. Please try again.",
+  "auth.resendRateLimited":
+    "You've asked for several emails. Please wait a moment.",
+  "auth.resendFailed":
+    "Could not send the verification email. Please try again.",
+  "auth.sessionExpired": "Your session has expired. Please log in again.",
+  "auth.accountDeleted": "Your account has been deleted.",
+
+  // Link forms
+  "linkForm.destination": "Destination URL",
+  "linkForm.destinationPlaceholder": "Enter your long URL here",
+  "linkForm.customAlias": "Custom alias (optional)",
+  "linkForm.alias": "Alias",
+  "linkForm.checkingAlias": "Checking availability...",
+  "linkForm.aliasAvailable": "Alias is available",
+  "linkForm.aliasTaken": "This alias is already taken",
+  "linkForm.aliasCheckFailed": "Couldn't check availability right now",
+  "linkForm.expires": "Expires",
+  "linkForm.preset.1d": "1 day",
+  "linkForm.preset.1w": "1 week",
+  "linkForm.preset.never": "Never",
+  "linkForm.folder": "Folder",
+  "linkForm.tags": "Tags",
+  "linkForm.shorten": "Shorten URL",
+  "linkForm.shortening": "Shortening...",
+  "linkForm.save": "Save",
+  "linkForm.changeDestinationTitle": "Change destination?",
+  "linkForm.changeDestinationMessage": {
+    one: "This link has {count} click. Change its destination anyway?",
+    other: "This link has {count} clicks. Change its destination anyway?",
+  },
+  "linkForm.changeDestination": "Change destination",
+
+  // Password, click limit and schedule
+  "access.summary": "Password, click limit and schedule",
+  "access.password": "Password",
+  "access.unchanged": "Unchanged",
+  "access.noPassword": "No password",
+  "access.passwordHint": "Visitors must enter it before they're redirected",
+  "access.passwordSet":
+    "A password is set. Type a new one to change it, or {remove}.",
+  "access.removePassword": "remove it",
+  "access.passwordRemoved": "The password will be removed.",
+  "access.clickLimit": "Click limit",
+  "access.unlimited": "Unlimited",
+  "access.singleUse": "Single use",
+  "access.noLimit": "No limit",
+  "access.startsAt": "Available from",
+  "access.scheduled": "The link works from this time until it expires",
+  "access.immediate": "Works straight away",
+
+  // Tags and folders
+  "tags.delete": "Delete tag {name}",
+  "tags.newPlaceholder": "New tag",
+  "tags.newName": "New tag name",
+  "tags.newColour": "New tag colour",
+  "tags.add": "Add tag",
+  "folders.namePlaceholder": "Folder name",
+  "folders.create": "Create",
+  "folders.none": "No folder",
+  "folders.new": "+ New folder...",
+  "sidebar.folders": "Folders",
+  "sidebar.allLinks": "All links",
+  "sidebar.deleteFolder": "Delete folder {name}",
+  "sidebar.deleteFolderTitle": "Delete folder?",
+  "sidebar.deleteFolderMessage":
+    'Delete the folder "{name}"? Its links are kept but no longer in a folder.',
+  "sidebar.deleteFolderConfirm": "Delete folder",
+  "sidebar.tags": "Tags",
+  "sidebar.noTags": "Add tags from the shorten form",
+  "sidebar.deleteTagTitle": "Delete tag?",
+  "sidebar.deleteTagMessage": 'Delete the tag "{name}" from all links?',
+  "sidebar.deleteTagConfirm": "Delete tag",
+  "sidebar.campaigns": "Campaigns",
+  "sidebar.noCampaigns": "Links with a {param} show up here",
+  "sidebar.campaign": "{name} ({count})",
+
+  // Link validation
+  "validation.urlRequired": "Destination URL is required",
+  "validation.urlScheme": "URL must start with http:// or https://",
+  "validation.urlInvalid": "Enter a valid URL",
+  "validation.aliasFormat":
+    "Alias must be 3-30 characters: letters, numbers, '-' or '_'",
+  "validation.aliasRepeated": "Alias is used more than once in this import",
+  "validation.expiryInvalid": "Enter a valid expiry date",
+  "validation.expiryPast": "Expiry must be in the future",
+  "validation.linkPasswordShort": {
+    one: "Password must be at least {count} character",
+    other: "Password must be at least {count} characters",
+  },
+  "validation.clickLimitInvalid":
+    "Click limit must be a whole number of at least 1",
+  "validation.clickLimitBelow": {
+    one: "This link already has {count} click",
+    other: "This link already has {count} clicks",
+  },
+  "validation.startInvalid": "Enter a valid start date",
+  "validation.startAfterExpiry": "Start must be before the expiry",
+
+  // List controls
+  "listControls.searchPlaceholder": "Search URL, short code or alias",
+  "listControls.search": "Search links",
+  "listControls.sortLabel": "Sort links",
+  "listControls.statusLabel": "Status filter",
+  "listControls.sort.newest": "Newest first",
+  "listControls.sort.oldest": "Oldest first",
+  "listControls.sort.expiringSoonest": "Expiring soonest",
+  "listControls.sort.expiringLatest": "Expiring latest",
+  "listControls.sort.mostClicks": "Most clicks",
+  "listControls.sort.fewestClicks": "Fewest clicks",
+  "listControls.status.all": "All",
+  "listControls.status.active": "Active",
+  "listControls.status.expired": "Expired",
+  "pagination.label": "Pagination",
+  "pagination.summary": "{first}-{last} of {total}",
+  "pagination.previous": "Previous",
+  "pagination.next": "Next",
+  "pagination.page": "Page {page} of {totalPages}",
+  "pagination.pageSize": "Links per page",
+  "pagination.perPage": "{size} per page",
+
+  // Export
+  "export.failed": "Export failed",
+  "export.scope": "Links to export",
+  "export.scopeCount": "{label} ({count})",
+  "export.csv": "Export CSV",
+  "export.json": "Export JSON",
+  "export.columnOriginalUrl": "Original URL",
+  "export.columnShortUrl": "Short URL",
+  "export.columnAlias": "Alias",
+  "export.columnCreated": "Created",
+  "export.columnExpires": "Expires",
+  "export.columnClicks": "Clicks",
+
+  // Error pages
+  "errors.title": "Something went wrong",
+  "errors.message": "We couldn't load this page. Please try again.",
+  "errors.notFound": "We couldn't find that page.",
+
+  // Bulk import
+  "bulkImport.readFailed": "Couldn't read that file",
+  "bulkImport.inputLabel":
+    "Paste one URL per line, or CSV with columns: url, alias, expiry",
+  "bulkImport.upload": "Upload CSV file",
+  "bulkImport.check": "Check rows",
+  "bulkImport.shortening": "Shortening...",
+  "bulkImport.shorten": {
+    one: "Shorten {count} link",
+    other: "Shorten {count} links",
+  },
+  "bulkImport.retryFailed": "Retry {count} failed",
+  "bulkImport.summary": {
+    one: "{count} row: {success} shortened, {failed} failed, {invalid} invalid",
+    other:
+      "{count} rows: {success} shortened, {failed} failed, {invalid} invalid",
+  },
+  "bulkImport.limited": " (only the first {max} rows are imported)",
+  "bulkImport.url": "URL",
+  "bulkImport.alias": "Alias",
+  "bulkImport.expires": "Expires",
+  "bulkImport.result": "Result",
+  "bulkImport.never": "Never",
+  "bulkImport.ready": "Ready",
+
+  // QR codes
+  "qr.title": "QR code",
+  "qr.imageLabel": "QR code for {url}",
+  "qr.size": "Size",
+  "qr.sizeOption": "{size} x {size}px",
+  "qr.errorCorrection": "Error correction",
+  "qr.ecl.L": "Low (7%)",
+  "qr.ecl.M": "Medium (15%)",
+  "qr.ecl.Q": "Quartile (25%)",
+  "qr.ecl.H": "High (30%)",
+  "qr.foreground": "Foreground",
+  "qr.background": "Background",
+  "qr.lowContrast":
+    "Low contrast: some scanners may not read this code. Use a darker foreground on a lighter background.",
+  "qr.pngFailed": "Couldn't create the PNG in this browser",
+  "qr.downloadPng": "Download PNG",
+  "qr.downloadSvg": "Download SVG",
+
+  // Request errors
+  "account.profileFailed": "Failed to update profile",
+  "account.passwordFailed": "Failed to change password",
+  "account.sessionsFailed": "Failed to load sessions",
+  "account.revokeSessionFailed": "Failed to revoke session",
+  "account.deleteFailed": "Failed to delete account",
+  "account.twoFactorSetupFailed": "Failed to start two-factor setup",
+  "account.twoFactorCodeFailed": "That code didn't work",
+  "account.twoFactorDisableFailed": "Failed to turn off two-factor",
+  "account.profileUpdated": "Profile updated",
+  "account.passwordChanged": "Password changed",
+  "analytics.loadFailed": "Failed to load analytics",
+  "apiKeys.fetchFailed": "Failed to fetch API keys",
+  "apiKeys.createFailed": "Failed to create API key",
+  "apiKeys.revokeFailed": "Failed to revoke API key",
+  "folders.fetchFailed": "Failed to fetch folders",
+  "folders.createFailed": "Failed to create folder",
+  "folders.deleteFailed": "Failed to delete folder",
+  "tags.fetchFailed": "Failed to fetch tags",
+  "tags.createFailed": "Failed to create tag",
+  "tags.deleteFailed": "Failed to delete tag",
+  "utmPresets.fetchFailed": "Failed to fetch UTM presets",
+  "utmPresets.saveFailed": "Failed to save UTM preset",
+  "utmPresets.deleteFailed": "Failed to delete UTM preset",
+  "workspaces.fetchFailed": "Failed to fetch workspaces",
+  "workspaces.createFailed": "Failed to create workspace",
+  "workspaces.membersFailed": "Failed to load members",
+  "workspaces.inviteFailed": "Failed to invite member",
+  "workspaces.roleFailed": "Failed to change role",
+  "workspaces.removeFailed": "Failed to remove member",
+  "publicLink.openFailed": "Failed to open link",
+
+  // Analytics
+  "analytics.title": "Link analytics",
+  "analytics.total": { one: "total click", other: "total clicks" },
+  "analytics.rangeLabel": "Date range",
+  "analytics.range.24h": "24 hours",
+  "analytics.range.7d": "7 days",
+  "analytics.range.30d": "30 days",
+  "analytics.range.90d": "90 days",
+  "analytics.range.all": "All time",
+  "analytics.loading": "Loading analytics...",
+  "analytics.empty":
+    "No clicks in this period yet. Share your link and check back later.",
+  "analytics.clicksOverTime": "Clicks over time",
+  "analytics.referrers": "Top referrers",
+  "analytics.countries": "Countries",
+  "analytics.devices": "Devices",
+  "analytics.browsers": "Browsers",
+  "analytics.unknown": "Unknown",
+  "analytics.chartLabel": {
+    one: "Clicks over time: {total} clicks across {count} period",
+    other: "Clicks over time: {total} clicks across {count} periods",
+  },
+  "analytics.bucketClicks": {
+    one: "{date}: {count} click",
+    other: "{date}: {count} clicks",
+  },
+  "analytics.noData": "No data",
+  "analytics.direct": "Direct",
+  "analytics.share": "{count} ({percent}%)",
+
+  // API keys
+  "apiKeys.title": "API keys",
+  "apiKeys.scope.read": "Read links",
+  "apiKeys.scope.create": "Create links",
+  "apiKeys.scope.delete": "Delete links",
+  "apiKeys.expiry.30d": "30 days",
+  "apiKeys.expiry.90d": "90 days",
+  "apiKeys.expiry.1y": "1 year",
+  "apiKeys.expiry.never": "Never",
+  "apiKeys.nameRequired": "Give the key a name so you can recognise it later",
+  "apiKeys.scopeRequired": "Choose at least one permission",
+  "apiKeys.namePlaceholder": "e.g. CMS integration",
+  "apiKeys.permissions": "Permissions",
+  "apiKeys.expiresAfter": "Expires after:",
+  "apiKeys.create": "Create key",
+  "apiKeys.revokeTitle": "Revoke API key?",
+  "apiKeys.revokeMessage":
+    'Revoke "{name}"? Scripts using it will stop working immediately.',
+  "apiKeys.revoke": "Revoke",
+  "apiKeys.revoking": "Revoking...",
+  "apiKeys.createTitle": "Create a key",
+  "apiKeys.createHint":
+    "Keys let scripts and other tools use your account. Only give a key the permissions it needs.",
+  "apiKeys.newKey": 'Your new key "{name}"',
+  "apiKeys.copyNow": "Copy it now. For your security it won't be shown again.",
+  "apiKeys.stored": "I've stored it safely",
+  "apiKeys.yourKeys": "Your keys",
+  "apiKeys.loading": "Loading keys...",
+  "apiKeys.empty": "You haven't created any keys yet.",
+  "apiKeys.created": "Created {date}",
+  "apiKeys.expired": "Expired {date}",
+  "apiKeys.expires": "Expires {date}",
+  "apiKeys.neverExpires": "Never expires",
+  "apiKeys.lastUsed": "Last used {date}",
+  "apiKeys.neverUsed": "Never used",
+  "apiKeys.tryIt": "Try it",
+  "apiKeys.tryUrl": "Destination URL:",
+  "apiKeys.tryAlias": "Custom alias (optional):",
+  "apiKeys.formatLabel": "Example format",
+  "apiKeys.replaceKey": "Replace {placeholder} with one of your keys.",
+  "apiKeys.tryHint":
+    'A successful request answers 201 with the new link, including its {field}. The key needs the "Create links" permission.',
+
+  // Email verification
+  "checkInbox.title": "Check your inbox",
+  "checkInbox.sentTo":
+    "We sent a verification link to {email}. Click it to activate your account, then log in.",
+  "checkInbox.generic":
+    "Click the verification link we emailed you to activate your account, then log in.",
+  "checkInbox.spam":
+    "Can't find it? Check your spam folder, or ask for a new one.",
+  "checkInbox.alreadyVerified": "Already verified?",
+  "resend.sent": "A new verification email is on its way.",
+  "resend.wait": "Resend email in {seconds}s",
+  "resend.submit": "Resend verification email",
+  "verify.title": "Email verified",
+  "verify.thanks": "Thanks for confirming your email address.",
+  "verify.alreadyVerified": "This email address is already verified.",
+  "verify.expired": "This verification link has expired.",
+  "verify.invalid":
+    "This verification link isn't valid. It may have been mistyped.",
+  "verify.newLinkHint":
+    "Log in with your email and password and we'll offer to send a new link.",
+  "verify.checking": "Verifying your email...",
+
+  // Password reset
+  "forgot.title": "Forgot Password",
+  "forgot.intro":
+    "Enter the email you signed up with and we'll send you a link to choose a new password.",
+  "forgot.submit": "Send reset link",
+  "forgot.remembered": "Remembered it?",
+  "forgot.sentTitle": "Check your email",
+  "forgot.sent":
+    "If an account exists for {email}, we've sent it a link to reset your password.",
+  "forgot.notReceived":
+    "Didn't get anything? Check your spam folder, or {retry}.",
+  "forgot.retry": "try again",
+  "reset.title": "Choose a New Password",
+  "reset.newPassword": "New Password:",
+  "reset.confirmPassword": "Confirm Password:",
+  "reset.submit": "Reset password",
+  "reset.doneTitle": "Password updated",
+  "reset.done": "Your password has been reset. Log in with your new password.",
+  "reset.expired": "This reset link has expired.",
+  "reset.used": "This reset link has already been used.",
+  "reset.invalid": "This reset link isn't valid. It may have been mistyped.",
+  "reset.requestNew": "Request a new link",
+  "reset.checking": "Checking your reset link...",
+
+  // Two-factor login
+  "twoFactor.title": "Two-factor authentication",
+  "twoFactor.codeIntro":
+    "Enter the 6-digit code from your authenticator app for {email}.",
+  "twoFactor.recoveryIntro":
+    "Enter one of the recovery codes you saved when you turned on two-factor. Each code works once.",
+  "twoFactor.code": "Authentication code:",
+  "twoFactor.recoveryCode": "Recovery code:",
+  "twoFactor.verifying": "Verifying...",
+  "twoFactor.verify": "Verify",
+  "twoFactor.useApp": "Use your authenticator app instead",
+  "twoFactor.useRecovery": "Use a recovery code instead",
+
+  // Account settings
+  "settings.title": "Account settings",
+  "settings.profile": "Profile",
+  "settings.fullName": "Full Name:",
+  "settings.emailHint":
+    "Changing your email sends a confirmation link to the new address.",
+  "settings.saveProfile": "Save profile",
+  "settings.pendingEmail":
+    "Confirm {email} using the link we sent there. Until then you'll keep using {current}.",
+  "settings.password": "Password",
+  "settings.currentPassword": "Current Password:",
+  "settings.newPassword": "New Password:",
+  "settings.confirmPassword": "Confirm New Password:",
+  "settings.samePassword":
+    "New password must be different from the current one",
+  "settings.changePassword": "Change password",
+  "settings.sessions": "Active sessions",
+  "settings.sessionsHint":
+    "Devices that are logged in to your account. Revoke any you don't recognise.",
+  "settings.sessionsLoading": "Loading sessions...",
+  "settings.unknownDevice": "Unknown device",
+  "settings.thisDevice": "This device",
+  "settings.lastActive": "Last active {date}",
+  "settings.revoke": "Revoke",
+  "settings.revoking": "Revoking...",
+  "settings.deleteTitle": "Delete account",
+  "settings.deleteWarning":
+    "This permanently deletes your account and all of your links. Their short URLs will stop working. This can't be undone.",
+  "settings.deleteConfirm": "Type {email} to confirm:",
+  "settings.deleting": "Deleting...",
+  "settings.deleteSubmit": "Delete my account",
+
+  // Two-factor settings
+  "twoFactorSettings.on": "On",
+  "twoFactorSettings.off": "Off",
+  "twoFactorSettings.intro":
+    "Ask for a code from an authenticator app each time you log in, in addition to your password.",
+  "twoFactorSettings.starting": "Starting...",
+  "twoFactorSettings.setUp": "Set up two-factor",
+  "twoFactorSettings.scan": "Scan this QR code with an authenticator app.",
+  "twoFactorSettings.enterCode":
+    "Enter the 6-digit code the app shows to finish.",
+  "twoFactorSettings.qrLabel": "QR code for your authenticator app",
+  "twoFactorSettings.manualKey": "Can't scan it? Enter this key instead: {key}",
+  "twoFactorSettings.codeLabel": "Code from the app:",
+  "twoFactorSettings.checking": "Checking...",
+  "twoFactorSettings.turnOn": "Turn on two-factor",
+  "twoFactorSettings.enabled": "Two-factor authentication is on.",
+  "twoFactorSettings.saveCodes":
+    "Save these recovery codes somewhere safe. Each one lets you log in once if you lose your phone. They won't be shown again.",
+  "twoFactorSettings.download": "Download",
+  "twoFactorSettings.saved": "I've saved them",
+  "twoFactorSettings.disableIntro":
+    "To turn it off, confirm your password and a current code (or a recovery code).",
+  "twoFactorSettings.code": "Code:",
+  "twoFactorSettings.turningOff": "Turning off...",
+  "twoFactorSettings.turnOff": "Turn off two-factor",
+
+  // UTM parameters
+  "utm.title": "UTM campaign parameters",
+  "utm.field.source": "Source",
+  "utm.field.medium": "Medium",
+  "utm.field.campaign": "Campaign",
+  "utm.field.term": "Term",
+  "utm.field.content": "Content",
+  "utm.presets": "Presets:",
+  "utm.deletePreset": "Delete preset {name}",
+  "utm.deletePresetTitle": "Delete preset?",
+  "utm.deletePresetMessage": 'Delete the UTM preset "{name}"?',
+  "utm.deletePresetConfirm": "Delete preset",
+  "utm.finalDestination": "Final destination",
+  "utm.previewHint": "Enter a destination URL to see it with these parameters",
+  "utm.presetName": "Preset name",
+  "utm.savePreset": "Save as preset",
+
+  // Workspaces
+  "workspaces.role.owner": "Owner",
+  "workspaces.role.ownerDescription":
+    "Manages members and everything editors can do",
+  "workspaces.role.editor": "Editor",
+  "workspaces.role.editorDescription": "Creates, edits and deletes links",
+  "workspaces.role.viewer": "Viewer",
+  "workspaces.role.viewerDescription":
+    "Sees links and their stats, and copies them",
+  "workspaces.switcher": "Workspace",
+  "workspaces.personal": "Personal",
+  "workspaces.option": "{name} ({role})",
+  "workspaces.manage": "Manage",
+  "workspaces.title": "Workspaces",
+  "workspaces.createTitle": "Create a workspace",
+  "workspaces.createHint":
+    "Links in a workspace belong to the team, so they stay manageable when someone leaves.",
+  "workspaces.namePlaceholder": "e.g. Marketing",
+  "workspaces.create": "Create workspace",
+  "workspaces.yours": "Your workspaces",
+  "workspaces.loading": "Loading workspaces...",
+  "workspaces.empty": "You aren't in any shared workspaces yet.",
+  "workspaces.active": "Active",
+  "workspaces.summary": {
+    one: "{role} · {count} member",
+    other: "{role} · {count} members",
+  },
+  "workspaces.members": "Members",
+  "workspaces.openLinks": "Open links",
+  "workspaces.all": "All workspaces",
+  "workspaces.membersTitle": "{name} members",
+  "workspaces.fallbackName": "Workspace",
+  "workspaces.inviteTitle": "Invite someone",
+  "workspaces.inviteHint":
+    "People without an account get an email and join once they sign up.",
+  "workspaces.role": "Role:",
+  "workspaces.roleOption": "{label} - {description}",
+  "workspaces.inviting": "Inviting...",
+  "workspaces.sendInvite": "Send invite",
+  "workspaces.membersLoading": "Loading members...",
+  "workspaces.you": "You",
+  "workspaces.invited": "Invited",
+  "workspaces.roleFor": "Role for {email}",
+  "workspaces.leave": "Leave",
+  "workspaces.remove": "Remove",
+  "workspaces.leaveTitle": "Leave workspace?",
+  "workspaces.leaveMessage": "Leave {name}? You'll lose access to its links.",
+  "workspaces.removeTitle": "Remove member?",
+  "workspaces.removeMessage": "Remove {member} from {name}?",
+
+  // Protected links
+  "linkGate.notFoundTitle": "Link not found",
+  "linkGate.notFound":
+    "There's no short link at this address. It may have been mistyped.",
+  "linkGate.expired": "This link has expired.",
+  "linkGate.limitReached": "This link has reached its click limit.",
+  "linkGate.disabled": "This link was disabled for breaking our terms of use.",
+  "linkGate.notWeb": "This link doesn't lead to a web page.",
+  "linkGate.askForNew": "Ask whoever shared it with you for a new one.",
+  "linkGate.notStartedTitle": "Not available yet",
+  "linkGate.opensOn": "This link opens on {date}.",
+  "linkGate.opensLater": "This link opens later.",
+  "linkGate.passwordTitle": "Password required",
+  "linkGate.passwordIntro": "Enter the password you were given to continue.",
+  "linkGate.opening": "Opening...",
+  "linkGate.continue": "Continue",
+  "linkGate.openingLink": "Opening link...",
+};
+
+export default en;
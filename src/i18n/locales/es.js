@@ -0,0 +1,802 @@
+const es = {
+  // Shared
+  "common.email": "Correo electrónico:",
+  "common.password": "Contraseña:",
+  "common.loading": "Cargando...",
+  "common.cancel": "Cancelar",
+  "common.ok": "Aceptar",
+  "common.delete": "Eliminar",
+  "common.undo": "Deshacer",
+  "common.retry": "Reintentar",
+  "common.language": "Idioma",
+  "common.dismissNotification": "Cerrar notificación",
+  "common.areYouSure": "¿Estás seguro?",
+  "common.tryAgain": "Intentar de nuevo",
+  "common.goToLinks": "Ir a tus enlaces",
+  "common.close": "Cerrar",
+  "common.backToLinks": "Volver a tus enlaces",
+  "common.sending": "Enviando...",
+  "common.backToLogin": "Volver a iniciar sesión",
+  "common.goToLogin": "Ir a iniciar sesión",
+  "common.linkUnavailable": "Enlace no disponible",
+  "common.saving": "Guardando...",
+  "common.copy": "Copiar",
+  "common.copied": "¡Copiado!",
+  "common.copyFailed": "No se pudo copiar",
+  "common.name": "Nombre:",
+  "common.creating": "Creando...",
+
+  // Login
+  "login.title": "Iniciar sesión",
+  "login.submit": "Iniciar sesión",
+  "login.submitting": "Iniciando sesión...",
+  "login.forgotPassword": "¿Olvidaste tu contraseña?",
+  "login.noAccount": "¿No tienes una cuenta?",
+  "login.signupLink": "Regístrate",
+  "login.unverified":
+    "Verifica {email} antes de iniciar sesión. Usa el enlace que te enviamos por correo o solicita uno nuevo.",
+
+  // Signup
+  "signup.title": "Crear cuenta",
+  "signup.fullName": "Nombre completo:",
+  "signup.confirmPassword": "Confirmar contraseña:",
+  "signup.submit": "Crear cuenta",
+  "signup.submitting": "Creando cuenta...",
+  "signup.haveAccount": "¿Ya tienes una cuenta?",
+  "signup.loginLink": "Inicia sesión",
+  "signup.fullNameRequired": "El nombre completo es obligatorio",
+
+  // Password rules
+  "password.mismatch": "Las contraseñas no coinciden",
+  "password.tooShort": {
+    one: "La contraseña debe tener al menos {count} carácter",
+    other: "La contraseña debe tener al menos {count} caracteres",
+  },
+
+  // Home
+  "home.welcome": "¡Hola, {name}!",
+  "home.defaultName": "usuario",
+  "home.email": "Correo: {email}",
+  "home.apiKeys": "Claves de API",
+  "home.admin": "Administración",
+  "home.settings": "Ajustes",
+  "home.logout": "Cerrar sesión",
+  "home.shortenTitle": "Acortar una URL",
+  "home.shortenMode": "Modo de acortado",
+  "home.modeSingle": "Un enlace",
+  "home.modeBulk": "Importación masiva",
+  "home.viewOnly":
+    "Solo tienes acceso de lectura a {workspace}. Pide a un propietario que te dé permisos si necesitas crear o cambiar enlaces.",
+  "home.workspaceLinks": "Enlaces de {workspace}",
+  "home.yourLinks": "Tus URLs acortadas",
+  "home.noMatches": "Ningún enlace coincide con tu búsqueda",
+  "home.noLinks": "Aún no has acortado ninguna URL",
+  "home.exportFiltered": "Filtro actual",
+  "home.exportPage": "Esta página",
+  "home.exportAll": "Todos los enlaces",
+  "home.copied": "¡URL copiada al portapapeles!",
+  "home.copyFailed": "No se pudo copiar la URL",
+  "home.updated": "¡URL actualizada!",
+  "home.undone": "Cambio deshecho",
+  "home.undoFailed": "No se pudo deshacer el cambio",
+
+  // Link rows
+  "urlItem.original": "Original: {url}",
+  "urlItem.shortened": "Acortada: {url}",
+  "urlItem.created": "Creada el {date}",
+  "urlItem.expires": "Caduca el {date}",
+  "urlItem.expired": "Caducó el {date}",
+  "urlItem.neverExpires": "No caduca",
+  "urlItem.starts": "Empieza el {date}",
+  "urlItem.clicks": { one: "{count} clic", other: "{count} clics" },
+  "urlItem.clicksOfLimit": {
+    one: "{clicks} / {count} clic",
+    other: "{clicks} / {count} clics",
+  },
+  "urlItem.singleUse": "De un solo uso",
+  "urlItem.singleUseUsed": "De un solo uso, ya usado",
+  "urlItem.limitReached": "Límite de clics alcanzado",
+  "urlItem.password": "Contraseña",
+  "urlItem.disabled": "Desactivado por moderación: {reason}",
+  "urlItem.campaignFilter": "Ver los enlaces de esta campaña",
+  "urlItem.stats": "Estadísticas",
+  "urlItem.copy": "Copiar",
+  "urlItem.qr": "QR",
+  "urlItem.edit": "Editar",
+  "urlItem.select": "Seleccionar {url}",
+
+  // Bulk actions
+  "bulk.selectPage": "Seleccionar todos en esta página",
+  "bulk.selectMatching": {
+    one: "Seleccionar el {count} enlace que coincide",
+    other: "Seleccionar los {count} enlaces que coinciden",
+  },
+  "bulk.allMatching": {
+    one: "Está seleccionado el {count} enlace que coincide",
+    other: "Están seleccionados los {count} enlaces que coinciden",
+  },
+  "bulk.actions": "Acciones para los enlaces seleccionados",
+  "bulk.selected": {
+    one: "{count} seleccionado",
+    other: "{count} seleccionados",
+  },
+  "bulk.selection": "Selección",
+  "bulk.copy": "Copiar URLs cortas",
+  "bulk.clear": "Quitar selección",
+  "bulk.expiry": "Caducidad",
+  "bulk.setExpiry": "Fijar caducidad",
+  "bulk.removeExpiry": "Sin caducidad",
+  "bulk.loading": "Cargando los enlaces seleccionados...",
+  "bulk.progress.delete": "Eliminando {done} de {total}...",
+  "bulk.progress.expiry": "Actualizando {done} de {total}...",
+  "bulk.partial.delete": {
+    one: "{done} de {count} enlace movido a la papelera. Fallaron estos:",
+    other: "{done} de {count} enlaces movidos a la papelera. Fallaron estos:",
+  },
+  "bulk.partial.expiry": {
+    one: "Caducidad actualizada en {done} de {count} enlace. Fallaron estos:",
+    other:
+      "Caducidad actualizada en {done} de {count} enlaces. Fallaron estos:",
+  },
+  "bulk.failed": "Algo salió mal",
+  "bulk.failedKept":
+    "Los enlaces que fallaron siguen seleccionados para que puedas reintentarlo.",
+  "bulk.dismiss": "Cerrar",
+  "bulk.deleteTitle": "¿Mover los enlaces a la papelera?",
+  "bulk.deleteMessage": {
+    one: "{count} enlace dejará de redirigir y se moverá a la papelera.",
+    other: "{count} enlaces dejarán de redirigir y se moverán a la papelera.",
+  },
+  "bulk.deleted": {
+    one: "{count} enlace movido a la papelera",
+    other: "{count} enlaces movidos a la papelera",
+  },
+  "bulk.viewTrash": "Ver la papelera",
+  "bulk.expiryUpdated": {
+    one: "Caducidad actualizada en {count} enlace",
+    other: "Caducidad actualizada en {count} enlaces",
+  },
+  "bulk.copied": {
+    one: "{count} URL corta copiada",
+    other: "{count} URLs cortas copiadas",
+  },
+  "bulk.copyFailed": "No se pudieron copiar las URLs cortas",
+
+  // Live updates
+  "live.connecting": "Conectando...",
+  "live.live": "En directo",
+  "live.reconnecting": "Reconectando...",
+  "live.paused": "En pausa",
+
+  // Link results
+  "urls.shortened": "¡URL acortada!",
+  "urls.fetchFailed": "No se pudieron cargar las URLs",
+  "urls.campaignsFailed": "No se pudieron cargar las campañas",
+  "urls.shortenFailed": "No se pudo acortar la URL",
+  "urls.aliasCheckFailed": "No se pudo comprobar el alias",
+  "urls.updateFailed": "No se pudo actualizar la URL",
+  "urls.deleteFailed": "No se pudo eliminar la URL",
+
+  // Trash
+  "trash.title": "Papelera",
+  "trash.workspaceTitle": "Papelera de {workspace}",
+  "trash.back": "Volver a los enlaces",
+  "trash.intro":
+    "Los enlaces eliminados dejan de redirigir y se borran definitivamente a los 30 días. Restaura uno para recuperarlo tal como estaba.",
+  "trash.isEmpty": "La papelera está vacía",
+  "trash.deletedAt": "Eliminado el {date}",
+  "trash.purgeAt": "Se borrará definitivamente el {date}",
+  "trash.restore": "Restaurar",
+  "trash.purge": "Eliminar definitivamente",
+  "trash.purgeTitle": "¿Eliminar definitivamente?",
+  "trash.purgeMessage":
+    "{url} se borrará definitivamente. Esta acción no se puede deshacer.",
+  "trash.emptyTitle": "¿Vaciar la papelera?",
+  "trash.emptyMessage": {
+    one: "{count} enlace se borrará definitivamente. Esta acción no se puede deshacer.",
+    other:
+      "{count} enlaces se borrarán definitivamente. Esta acción no se puede deshacer.",
+  },
+  "trash.empty": "Vaciar papelera",
+  "trash.moved": "Enlace movido a la papelera",
+  "trash.restored": "Enlace restaurado",
+  "trash.purged": "Enlace eliminado definitivamente",
+  "trash.emptied": "Papelera vaciada",
+  "trash.fetchFailed": "No se pudo cargar la papelera",
+  "trash.restoreFailed": "No se pudo restaurar el enlace",
+  "trash.purgeFailed": "No se pudo eliminar el enlace",
+  "trash.emptyFailed": "No se pudo vaciar la papelera",
+
+  // Admin console
+  "admin.title": "Consola de administración",
+  "admin.back": "Volver a los enlaces",
+  "admin.sections": "Secciones de administración",
+  "admin.tab.reports": "Denuncias",
+  "admin.tab.users": "Usuarios",
+  "admin.tab.links": "Enlaces",
+  "admin.search": "Buscar",
+  "admin.statusFilter": "Mostrar",
+  "admin.searchUsers": "Buscar por nombre o correo",
+  "admin.allUsers": "Todos los usuarios",
+  "admin.activeUsers": "Activos",
+  "admin.suspendedUsers": "Suspendidos",
+  "admin.noUsers": "Ningún usuario coincide",
+  "admin.adminRole": "Admin",
+  "admin.suspendedFlag": "Suspendido",
+  "admin.linkCount": { one: "{count} enlace", other: "{count} enlaces" },
+  "admin.suspendedAt": "Suspendido el {date}",
+  "admin.suspend": "Suspender",
+  "admin.suspendReason": "Motivo, para otros administradores",
+  "admin.reactivate": "Reactivar",
+  "admin.searchLinks": "Buscar por URL o código corto",
+  "admin.allLinks": "Todos los enlaces",
+  "admin.reportedLinks": "Denunciados",
+  "admin.disabledLinks": "Desactivados",
+  "admin.noLinks": "Ningún enlace coincide",
+  "admin.openReports": {
+    one: "{count} denuncia abierta",
+    other: "{count} denuncias abiertas",
+  },
+  "admin.owner": "Propietario: {email}",
+  "admin.disabledAt": "Desactivado el {date}",
+  "admin.disabledFlag": "Desactivado",
+  "admin.disable": "Desactivar enlace",
+  "admin.enable": "Reactivar",
+  "admin.reasonLabel": "Motivo",
+  "admin.reason.phishing": "Phishing",
+  "admin.reason.malware": "Malware",
+  "admin.reason.spam": "Spam",
+  "admin.reason.other": "Otro abuso",
+  "admin.note": "Nota",
+  "admin.notePlaceholder": "Nota para otros administradores (opcional)",
+  "admin.reports.open": "Denuncias abiertas",
+  "admin.reports.resolved": "Resueltas",
+  "admin.reports.dismissed": "Descartadas",
+  "admin.reports.all": "Todas las denuncias",
+  "admin.queueEmpty": "No hay denuncias abiertas",
+  "admin.noReports": "No hay denuncias",
+  "admin.linkGone": "El enlace se ha eliminado desde entonces",
+  "admin.reportedBy": "Denunciado por {email} el {date}",
+  "admin.anonymous": "un visitante anónimo",
+  "admin.dismiss": "Descartar",
+  "admin.suspended": "{email} suspendido",
+  "admin.reactivated": "{email} reactivado",
+  "admin.disabled": "Enlace desactivado",
+  "admin.enabled": "Enlace reactivado",
+  "admin.reportDismissed": "Denuncia descartada",
+  "admin.usersFailed": "No se pudieron cargar los usuarios",
+  "admin.suspendFailed": "No se pudo suspender la cuenta",
+  "admin.reactivateFailed": "No se pudo reactivar la cuenta",
+  "admin.linksFailed": "No se pudieron cargar los enlaces",
+  "admin.disableFailed": "No se pudo desactivar el enlace",
+  "admin.enableFailed": "No se pudo reactivar el enlace",
+  "admin.reportsFailed": "No se pudieron cargar las denuncias",
+  "admin.resolveFailed": "No se pudo resolver la denuncia",
+
+  // Access denied
+  "forbidden.message": "No tienes acceso a esta página.",
+
+  // Auth results
+  "auth.loginFailed": "No se pudo iniciar sesión. Inténtalo de nuevo.",
+  "auth.signupFailed": "No se pudo completar el registro. Inténtalo de nuevo.",
+  "auth.codeFailed": "Ese código no es válido. Inténtalo de nuevo.",
+  "auth.challengeExpired":
+    "Has tardado demasiado. Vuelve a iniciar sesión, por favor.",
+  "auth.logoutFailed": "No se pudo cerrar la sesión",
+  "auth.resetRateLimited":
+    "Demasiadas solicitudes de restablecimiento. Espera unos minutos e inténtalo de nuevo.",
+  "auth.resetEmailFailed":
+    "No se pudo enviar el correo de restablecimiento. Inténtalo de nuevo.",
+  "auth.resetCheckFailed":
+    "No se pudo comprobar tu enlace de restablecimiento. Inténtalo de nuevo.",
+  "auth.resetFailed":
+    "No se pudo restablecer tu contraseña. Inténtalo de nuevo.",
+  "auth.verifyFailed": "No se pudo verificar tu correo. Inténtalo de nuevo.",
+  "auth.resendRateLimited":
+    "Has solicitado varios correos. Espera un momento, por favor.",
+  "auth.resendFailed":
+    "No se pudo enviar el correo de verificación. Inténtalo de nuevo.",
+  "auth.sessionExpired":
+    "Tu sesión ha caducado. Vuelve a iniciar sesión, por favor.",
+  "auth.accountDeleted": "Tu cuenta se ha eliminado.",
+
+  // Link forms
+  "linkForm.destination": "URL de destino",
+  "linkForm.destinationPlaceholder": "Escribe aquí tu URL larga",
+  "linkForm.customAlias": "Alias personalizado (opcional)",
+  "linkForm.alias": "Alias",
+  "linkForm.checkingAlias": "Comprobando disponibilidad...",
+  "linkForm.aliasAvailable": "El alias está disponible",
+  "linkForm.aliasTaken": "Este alias ya está en uso",
+  "linkForm.aliasCheckFailed":
+    "No se ha podido comprobar la disponibilidad ahora mismo",
+  "linkForm.expires": "Caduca",
+  "linkForm.preset.1d": "1 día",
+  "linkForm.preset.1w": "1 semana",
+  "linkForm.preset.never": "Nunca",
+  "linkForm.folder": "Carpeta",
+  "linkForm.tags": "Etiquetas",
+  "linkForm.shorten": "Acortar URL",
+  "linkForm.shortening": "Acortando...",
+  "linkForm.save": "Guardar",
+  "linkForm.changeDestinationTitle": "¿Cambiar el destino?",
+  "linkForm.changeDestinationMessage": {
+    one: "Este enlace tiene {count} clic. ¿Cambiar su destino de todos modos?",
+    other:
+      "Este enlace tiene {count} clics. ¿Cambiar su destino de todos modos?",
+  },
+  "linkForm.changeDestination": "Cambiar destino",
+
+  // Password, click limit and schedule
+  "access.summary": "Contraseña, límite de clics y programación",
+  "access.password": "Contraseña",
+  "access.unchanged": "Sin cambios",
+  "access.noPassword": "Sin contraseña",
+  "access.passwordHint":
+    "Los visitantes deben introducirla antes de ser redirigidos",
+  "access.passwordSet":
+    "Hay una contraseña. Escribe una nueva para cambiarla, o {remove}.",
+  "access.removePassword": "quítala",
+  "access.passwordRemoved": "Se quitará la contraseña.",
+  "access.clickLimit": "Límite de clics",
+  "access.unlimited": "Ilimitado",
+  "access.singleUse": "Un solo uso",
+  "access.noLimit": "Sin límite",
+  "access.startsAt": "Disponible desde",
+  "access.scheduled": "El enlace funciona desde este momento hasta que caduque",
+  "access.immediate": "Funciona de inmediato",
+
+  // Tags and folders
+  "tags.delete": "Eliminar la etiqueta {name}",
+  "tags.newPlaceholder": "Nueva etiqueta",
+  "tags.newName": "Nombre de la nueva etiqueta",
+  "tags.newColour": "Color de la nueva etiqueta",
+  "tags.add": "Añadir etiqueta",
+  "folders.namePlaceholder": "Nombre de la carpeta",
+  "folders.create": "Crear",
+  "folders.none": "Sin carpeta",
+  "folders.new": "+ Nueva carpeta...",
+  "sidebar.folders": "Carpetas",
+  "sidebar.allLinks": "Todos los enlaces",
+  "sidebar.deleteFolder": "Eliminar la carpeta {name}",
+  "sidebar.deleteFolderTitle": "¿Eliminar la carpeta?",
+  "sidebar.deleteFolderMessage":
+    "¿Eliminar la carpeta «{name}»? Sus enlaces se conservan, pero ya no estarán en ninguna carpeta.",
+  "sidebar.deleteFolderConfirm": "Eliminar carpeta",
+  "sidebar.tags": "Etiquetas",
+  "sidebar.noTags": "Añade etiquetas desde el formulario para acortar",
+  "sidebar.deleteTagTitle": "¿Eliminar la etiqueta?",
+  "sidebar.deleteTagMessage":
+    "¿Eliminar la etiqueta «{name}» de todos los enlaces?",
+  "sidebar.deleteTagConfirm": "Eliminar etiqueta",
+  "sidebar.campaigns": "Campañas",
+  "sidebar.noCampaigns": "Los enlaces con {param} aparecen aquí",
+  "sidebar.campaign": "{name} ({count})",
+
+  // Link validation
+  "validation.urlRequired": "La URL de destino es obligatoria",
+  "validation.urlScheme": "La URL debe empezar por http:// o https://",
+  "validation.urlInvalid": "Introduce una URL válida",
+  "validation.aliasFormat":
+    "El alias debe tener 3-30 caracteres: letras, números, '-' o '_'",
+  "validation.aliasRepeated":
+    "El alias aparece más de una vez en esta importación",
+  "validation.expiryInvalid": "Introduce una fecha de caducidad válida",
+  "validation.expiryPast": "La caducidad debe estar en el futuro",
+  "validation.linkPasswordShort": {
+    one: "La contraseña debe tener al menos {count} carácter",
+    other: "La contraseña debe tener al menos {count} caracteres",
+  },
+  "validation.clickLimitInvalid":
+    "El límite de clics debe ser un número entero de al menos 1",
+  "validation.clickLimitBelow": {
+    one: "Este enlace ya tiene {count} clic",
+    other: "Este enlace ya tiene {count} clics",
+  },
+  "validation.startInvalid": "Introduce una fecha de inicio válida",
+  "validation.startAfterExpiry": "El inicio debe ser anterior a la caducidad",
+
+  // List controls
+  "listControls.searchPlaceholder": "Buscar URL, código corto o alias",
+  "listControls.search": "Buscar enlaces",
+  "listControls.sortLabel": "Ordenar enlaces",
+  "listControls.statusLabel": "Filtro de estado",
+  "listControls.sort.newest": "Más recientes primero",
+  "listControls.sort.oldest": "Más antiguos primero",
+  "listControls.sort.expiringSoonest": "Caducan antes",
+  "listControls.sort.expiringLatest": "Caducan después",
+  "listControls.sort.mostClicks": "Más clics",
+  "listControls.sort.fewestClicks": "Menos clics",
+  "listControls.status.all": "Todos",
+  "listControls.status.active": "Activos",
+  "listControls.status.expired": "Caducados",
+  "pagination.label": "Paginación",
+  "pagination.summary": "{first}-{last} de {total}",
+  "pagination.previous": "Anterior",
+  "pagination.next": "Siguiente",
+  "pagination.page": "Página {page} de {totalPages}",
+  "pagination.pageSize": "Enlaces por página",
+  "pagination.perPage": "{size} por página",
+
+  // Export
+  "export.failed": "La exportación falló",
+  "export.scope": "Enlaces para exportar",
+  "export.scopeCount": "{label} ({count})",
+  "export.csv": "Exportar CSV",
+  "export.json": "Exportar JSON",
+  "export.columnOriginalUrl": "URL original",
+  "export.columnShortUrl": "URL corta",
+  "export.columnAlias": "Alias",
+  "export.columnCreated": "Creado",
+  "export.columnExpires": "Caduca",
+  "export.columnClicks": "Clics",
+
+  // Error pages
+  "errors.title": "Algo salió mal",
+  "errors.message": "No pudimos cargar esta página. Inténtalo de nuevo.",
+  "errors.notFound": "No encontramos esa página.",
+
+  // Bulk import
+  "bulkImport.readFailed": "No se pudo leer ese archivo",
+  "bulkImport.inputLabel":
+    "Pega una URL por línea o un CSV con las columnas: url, alias, expiry",
+  "bulkImport.upload": "Subir archivo CSV",
+  "bulkImport.check": "Comprobar filas",
+  "bulkImport.shortening": "Acortando...",
+  "bulkImport.shorten": {
+    one: "Acortar {count} enlace",
+    other: "Acortar {count} enlaces",
+  },
+  "bulkImport.retryFailed": "Reintentar {count} fallidos",
+  "bulkImport.summary": {
+    one: "{count} fila: {success} acortadas, {failed} fallidas, {invalid} no válidas",
+    other:
+      "{count} filas: {success} acortadas, {failed} fallidas, {invalid} no válidas",
+  },
+  "bulkImport.limited": " (solo se importan las primeras {max} filas)",
+  "bulkImport.url": "URL",
+  "bulkImport.alias": "Alias",
+  "bulkImport.expires": "Caduca",
+  "bulkImport.result": "Resultado",
+  "bulkImport.never": "Nunca",
+  "bulkImport.ready": "Lista",
+
+  // QR codes
+  "qr.title": "Código QR",
+  "qr.imageLabel": "Código QR para {url}",
+  "qr.size": "Tamaño",
+  "qr.sizeOption": "{size} x {size} px",
+  "qr.errorCorrection": "Corrección de errores",
+  "qr.ecl.L": "Baja (7 %)",
+  "qr.ecl.M": "Media (15 %)",
+  "qr.ecl.Q": "Cuartil (25 %)",
+  "qr.ecl.H": "Alta (30 %)",
+  "qr.foreground": "Primer plano",
+  "qr.background": "Fondo",
+  "qr.lowContrast":
+    "Contraste bajo: algunos escáneres podrían no leer este código. Usa un primer plano más oscuro sobre un fondo más claro.",
+  "qr.pngFailed": "No se pudo crear el PNG en este navegador",
+  "qr.downloadPng": "Descargar PNG",
+  "qr.downloadSvg": "Descargar SVG",
+
+  // Request errors
+  "account.profileFailed": "No se pudo actualizar el perfil",
+  "account.passwordFailed": "No se pudo cambiar la contraseña",
+  "account.sessionsFailed": "No se pudieron cargar las sesiones",
+  "account.revokeSessionFailed": "No se pudo cerrar la sesión",
+  "account.deleteFailed": "No se pudo eliminar la cuenta",
+  "account.twoFactorSetupFailed":
+    "No se pudo iniciar la configuración de la verificación en dos pasos",
+  "account.twoFactorCodeFailed": "Ese código no funcionó",
+  "account.twoFactorDisableFailed":
+    "No se pudo desactivar la verificación en dos pasos",
+  "account.profileUpdated": "Perfil actualizado",
+  "account.passwordChanged": "Contraseña cambiada",
+  "analytics.loadFailed": "No se pudieron cargar las estadísticas",
+  "apiKeys.fetchFailed": "No se pudieron cargar las claves de API",
+  "apiKeys.createFailed": "No se pudo crear la clave de API",
+  "apiKeys.revokeFailed": "No se pudo revocar la clave de API",
+  "folders.fetchFailed": "No se pudieron cargar las carpetas",
+  "folders.createFailed": "No se pudo crear la carpeta",
+  "folders.deleteFailed": "No se pudo eliminar la carpeta",
+  "tags.fetchFailed": "No se pudieron cargar las etiquetas",
+  "tags.createFailed": "No se pudo crear la etiqueta",
+  "tags.deleteFailed": "No se pudo eliminar la etiqueta",
+  "utmPresets.fetchFailed": "No se pudieron cargar las plantillas UTM",
+  "utmPresets.saveFailed": "No se pudo guardar la plantilla UTM",
+  "utmPresets.deleteFailed": "No se pudo eliminar la plantilla UTM",
+  "workspaces.fetchFailed": "No se pudieron cargar los espacios de trabajo",
+  "workspaces.createFailed": "No se pudo crear el espacio de trabajo",
+  "workspaces.membersFailed": "No se pudieron cargar los miembros",
+  "workspaces.inviteFailed": "No se pudo invitar al miembro",
+  "workspaces.roleFailed": "No se pudo cambiar el rol",
+  "workspaces.removeFailed": "No se pudo quitar al miembro",
+  "publicLink.openFailed": "No se pudo abrir el enlace",
+
+  // Analytics
+  "analytics.title": "Estadísticas del enlace",
+  "analytics.total": { one: "clic en total", other: "clics en total" },
+  "analytics.rangeLabel": "Periodo",
+  "analytics.range.24h": "24 horas",
+  "analytics.range.7d": "7 días",
+  "analytics.range.30d": "30 días",
+  "analytics.range.90d": "90 días",
+  "analytics.range.all": "Todo el tiempo",
+  "analytics.loading": "Cargando estadísticas...",
+  "analytics.empty":
+    "Todavía no hay clics en este periodo. Comparte tu enlace y vuelve más tarde.",
+  "analytics.clicksOverTime": "Clics a lo largo del tiempo",
+  "analytics.referrers": "Principales referentes",
+  "analytics.countries": "Países",
+  "analytics.devices": "Dispositivos",
+  "analytics.browsers": "Navegadores",
+  "analytics.unknown": "Desconocido",
+  "analytics.chartLabel": {
+    one: "Clics a lo largo del tiempo: {total} clics en {count} periodo",
+    other: "Clics a lo largo del tiempo: {total} clics en {count} periodos",
+  },
+  "analytics.bucketClicks": {
+    one: "{date}: {count} clic",
+    other: "{date}: {count} clics",
+  },
+  "analytics.noData": "Sin datos",
+  "analytics.direct": "Directo",
+  "analytics.share": "{count} ({percent} %)",
+
+  // API keys
+  "apiKeys.title": "Claves de API",
+  "apiKeys.scope.read": "Leer enlaces",
+  "apiKeys.scope.create": "Crear enlaces",
+  "apiKeys.scope.delete": "Eliminar enlaces",
+  "apiKeys.expiry.30d": "30 días",
+  "apiKeys.expiry.90d": "90 días",
+  "apiKeys.expiry.1y": "1 año",
+  "apiKeys.expiry.never": "Nunca",
+  "apiKeys.nameRequired":
+    "Ponle un nombre a la clave para reconocerla más tarde",
+  "apiKeys.scopeRequired": "Elige al menos un permiso",
+  "apiKeys.namePlaceholder": "p. ej., integración con el CMS",
+  "apiKeys.permissions": "Permisos",
+  "apiKeys.expiresAfter": "Caduca después de:",
+  "apiKeys.create": "Crear clave",
+  "apiKeys.revokeTitle": "¿Revocar la clave de API?",
+  "apiKeys.revokeMessage":
+    "¿Revocar «{name}»? Los scripts que la usen dejarán de funcionar de inmediato.",
+  "apiKeys.revoke": "Revocar",
+  "apiKeys.revoking": "Revocando...",
+  "apiKeys.createTitle": "Crear una clave",
+  "apiKeys.createHint":
+    "Las claves permiten que scripts y otras herramientas usen tu cuenta. Dale a cada clave solo los permisos que necesite.",
+  "apiKeys.newKey": "Tu nueva clave «{name}»",
+  "apiKeys.copyNow":
+    "Cópiala ahora. Por tu seguridad, no se volverá a mostrar.",
+  "apiKeys.stored": "La he guardado en un lugar seguro",
+  "apiKeys.yourKeys": "Tus claves",
+  "apiKeys.loading": "Cargando claves...",
+  "apiKeys.empty": "Todavía no has creado ninguna clave.",
+  "apiKeys.created": "Creada el {date}",
+  "apiKeys.expired": "Caducó el {date}",
+  "apiKeys.expires": "Caduca el {date}",
+  "apiKeys.neverExpires": "No caduca nunca",
+  "apiKeys.lastUsed": "Último uso el {date}",
+  "apiKeys.neverUsed": "Nunca usada",
+  "apiKeys.tryIt": "Pruébala",
+  "apiKeys.tryUrl": "URL de destino:",
+  "apiKeys.tryAlias": "Alias personalizado (opcional):",
+  "apiKeys.formatLabel": "Formato del ejemplo",
+  "apiKeys.replaceKey": "Sustituye {placeholder} por una de tus claves.",
+  "apiKeys.tryHint":
+    "Una petición correcta responde 201 con el nuevo enlace, incluido su {field}. La clave necesita el permiso «Crear enlaces».",
+
+  // Email verification
+  "checkInbox.title": "Revisa tu bandeja de entrada",
+  "checkInbox.sentTo":
+    "Enviamos un enlace de verificación a {email}. Haz clic en él para activar tu cuenta y luego inicia sesión.",
+  "checkInbox.generic":
+    "Haz clic en el enlace de verificación que te enviamos por correo para activar tu cuenta y luego inicia sesión.",
+  "checkInbox.spam":
+    "¿No lo encuentras? Revisa la carpeta de spam o pide uno nuevo.",
+  "checkInbox.alreadyVerified": "¿Ya lo verificaste?",
+  "resend.sent": "Un nuevo correo de verificación está en camino.",
+  "resend.wait": "Reenviar correo en {seconds} s",
+  "resend.submit": "Reenviar correo de verificación",
+  "verify.title": "Correo verificado",
+  "verify.thanks": "Gracias por confirmar tu dirección de correo.",
+  "verify.alreadyVerified": "Esta dirección de correo ya está verificada.",
+  "verify.expired": "Este enlace de verificación ha caducado.",
+  "verify.invalid":
+    "Este enlace de verificación no es válido. Puede que se haya escrito mal.",
+  "verify.newLinkHint":
+    "Inicia sesión con tu correo y tu contraseña y te ofreceremos enviar un enlace nuevo.",
+  "verify.checking": "Verificando tu correo...",
+
+  // Password reset
+  "forgot.title": "Contraseña olvidada",
+  "forgot.intro":
+    "Escribe el correo con el que te registraste y te enviaremos un enlace para elegir una contraseña nueva.",
+  "forgot.submit": "Enviar enlace de restablecimiento",
+  "forgot.remembered": "¿Ya te acordaste?",
+  "forgot.sentTitle": "Revisa tu correo",
+  "forgot.sent":
+    "Si existe una cuenta para {email}, le hemos enviado un enlace para restablecer tu contraseña.",
+  "forgot.notReceived":
+    "¿No te llegó nada? Revisa la carpeta de spam o {retry}.",
+  "forgot.retry": "inténtalo de nuevo",
+  "reset.title": "Elige una contraseña nueva",
+  "reset.newPassword": "Contraseña nueva:",
+  "reset.confirmPassword": "Confirmar contraseña:",
+  "reset.submit": "Restablecer contraseña",
+  "reset.doneTitle": "Contraseña actualizada",
+  "reset.done":
+    "Tu contraseña se ha restablecido. Inicia sesión con tu nueva contraseña.",
+  "reset.expired": "Este enlace de restablecimiento ha caducado.",
+  "reset.used": "Este enlace de restablecimiento ya se ha usado.",
+  "reset.invalid":
+    "Este enlace de restablecimiento no es válido. Puede que se haya escrito mal.",
+  "reset.requestNew": "Pedir un enlace nuevo",
+  "reset.checking": "Comprobando tu enlace...",
+
+  // Two-factor login
+  "twoFactor.title": "Verificación en dos pasos",
+  "twoFactor.codeIntro":
+    "Escribe el código de 6 dígitos de tu app de autenticación para {email}.",
+  "twoFactor.recoveryIntro":
+    "Escribe uno de los códigos de recuperación que guardaste al activar la verificación en dos pasos. Cada código funciona una vez.",
+  "twoFactor.code": "Código de autenticación:",
+  "twoFactor.recoveryCode": "Código de recuperación:",
+  "twoFactor.verifying": "Verificando...",
+  "twoFactor.verify": "Verificar",
+  "twoFactor.useApp": "Usar la app de autenticación",
+  "twoFactor.useRecovery": "Usar un código de recuperación",
+
+  // Account settings
+  "settings.title": "Configuración de la cuenta",
+  "settings.profile": "Perfil",
+  "settings.fullName": "Nombre completo:",
+  "settings.emailHint":
+    "Si cambias tu correo, enviaremos un enlace de confirmación a la nueva dirección.",
+  "settings.saveProfile": "Guardar perfil",
+  "settings.pendingEmail":
+    "Confirma {email} con el enlace que te enviamos allí. Hasta entonces seguirás usando {current}.",
+  "settings.password": "Contraseña",
+  "settings.currentPassword": "Contraseña actual:",
+  "settings.newPassword": "Contraseña nueva:",
+  "settings.confirmPassword": "Confirmar contraseña nueva:",
+  "settings.samePassword": "La contraseña nueva debe ser distinta de la actual",
+  "settings.changePassword": "Cambiar contraseña",
+  "settings.sessions": "Sesiones activas",
+  "settings.sessionsHint":
+    "Dispositivos con sesión iniciada en tu cuenta. Cierra las que no reconozcas.",
+  "settings.sessionsLoading": "Cargando sesiones...",
+  "settings.unknownDevice": "Dispositivo desconocido",
+  "settings.thisDevice": "Este dispositivo",
+  "settings.lastActive": "Última actividad el {date}",
+  "settings.revoke": "Cerrar",
+  "settings.revoking": "Cerrando...",
+  "settings.deleteTitle": "Eliminar cuenta",
+  "settings.deleteWarning":
+    "Esto elimina para siempre tu cuenta y todos tus enlaces. Sus URL cortas dejarán de funcionar. No se puede deshacer.",
+  "settings.deleteConfirm": "Escribe {email} para confirmar:",
+  "settings.deleting": "Eliminando...",
+  "settings.deleteSubmit": "Eliminar mi cuenta",
+
+  // Two-factor settings
+  "twoFactorSettings.on": "Activada",
+  "twoFactorSettings.off": "Desactivada",
+  "twoFactorSettings.intro":
+    "Pide un código de una app de autenticación cada vez que inicies sesión, además de tu contraseña.",
+  "twoFactorSettings.starting": "Iniciando...",
+  "twoFactorSettings.setUp": "Configurar la verificación en dos pasos",
+  "twoFactorSettings.scan":
+    "Escanea este código QR con una app de autenticación.",
+  "twoFactorSettings.enterCode":
+    "Escribe el código de 6 dígitos que muestra la app para terminar.",
+  "twoFactorSettings.qrLabel": "Código QR para tu app de autenticación",
+  "twoFactorSettings.manualKey":
+    "¿No puedes escanearlo? Escribe esta clave: {key}",
+  "twoFactorSettings.codeLabel": "Código de la app:",
+  "twoFactorSettings.checking": "Comprobando...",
+  "twoFactorSettings.turnOn": "Activar la verificación en dos pasos",
+  "twoFactorSettings.enabled": "La verificación en dos pasos está activada.",
+  "twoFactorSettings.saveCodes":
+    "Guarda estos códigos de recuperación en un lugar seguro. Cada uno te permite iniciar sesión una vez si pierdes el teléfono. No se volverán a mostrar.",
+  "twoFactorSettings.download": "Descargar",
+  "twoFactorSettings.saved": "Ya los guardé",
+  "twoFactorSettings.disableIntro":
+    "Para desactivarla, confirma tu contraseña y un código actual (o un código de recuperación).",
+  "twoFactorSettings.code": "Código:",
+  "twoFactorSettings.turningOff": "Desactivando...",
+  "twoFactorSettings.turnOff": "Desactivar la verificación en dos pasos",
+
+  // UTM parameters
+  "utm.title": "Parámetros de campaña UTM",
+  "utm.field.source": "Fuente",
+  "utm.field.medium": "Medio",
+  "utm.field.campaign": "Campaña",
+  "utm.field.term": "Término",
+  "utm.field.content": "Contenido",
+  "utm.presets": "Plantillas:",
+  "utm.deletePreset": "Eliminar la plantilla {name}",
+  "utm.deletePresetTitle": "¿Eliminar la plantilla?",
+  "utm.deletePresetMessage": "¿Eliminar la plantilla UTM «{name}»?",
+  "utm.deletePresetConfirm": "Eliminar plantilla",
+  "utm.finalDestination": "Destino final",
+  "utm.previewHint":
+    "Escribe una URL de destino para verla con estos parámetros",
+  "utm.presetName": "Nombre de la plantilla",
+  "utm.savePreset": "Guardar como plantilla",
+
+  // Workspaces
+  "workspaces.role.owner": "Propietario",
+  "workspaces.role.ownerDescription":
+    "Gestiona los miembros y todo lo que pueden hacer los editores",
+  "workspaces.role.editor": "Editor",
+  "workspaces.role.editorDescription": "Crea, edita y elimina enlaces",
+  "workspaces.role.viewer": "Lector",
+  "workspaces.role.viewerDescription":
+    "Ve los enlaces y sus estadísticas, y los copia",
+  "workspaces.switcher": "Espacio de trabajo",
+  "workspaces.personal": "Personal",
+  "workspaces.option": "{name} ({role})",
+  "workspaces.manage": "Gestionar",
+  "workspaces.title": "Espacios de trabajo",
+  "workspaces.createTitle": "Crear un espacio de trabajo",
+  "workspaces.createHint":
+    "Los enlaces de un espacio de trabajo pertenecen al equipo, así que se pueden seguir gestionando cuando alguien se va.",
+  "workspaces.namePlaceholder": "p. ej., Marketing",
+  "workspaces.create": "Crear espacio de trabajo",
+  "workspaces.yours": "Tus espacios de trabajo",
+  "workspaces.loading": "Cargando espacios de trabajo...",
+  "workspaces.empty":
+    "Todavía no estás en ningún espacio de trabajo compartido.",
+  "workspaces.active": "Activo",
+  "workspaces.summary": {
+    one: "{role} · {count} miembro",
+    other: "{role} · {count} miembros",
+  },
+  "workspaces.members": "Miembros",
+  "workspaces.openLinks": "Abrir enlaces",
+  "workspaces.all": "Todos los espacios de trabajo",
+  "workspaces.membersTitle": "Miembros de {name}",
+  "workspaces.fallbackName": "Espacio de trabajo",
+  "workspaces.inviteTitle": "Invitar a alguien",
+  "workspaces.inviteHint":
+    "Las personas sin cuenta reciben un correo y se unen cuando se registran.",
+  "workspaces.role": "Rol:",
+  "workspaces.roleOption": "{label} - {description}",
+  "workspaces.inviting": "Invitando...",
+  "workspaces.sendInvite": "Enviar invitación",
+  "workspaces.membersLoading": "Cargando miembros...",
+  "workspaces.you": "Tú",
+  "workspaces.invited": "Invitado",
+  "workspaces.roleFor": "Rol de {email}",
+  "workspaces.leave": "Salir",
+  "workspaces.remove": "Quitar",
+  "workspaces.leaveTitle": "¿Salir del espacio de trabajo?",
+  "workspaces.leaveMessage":
+    "¿Salir de {name}? Perderás el acceso a sus enlaces.",
+  "workspaces.removeTitle": "¿Quitar al miembro?",
+  "workspaces.removeMessage": "¿Quitar a {member} de {name}?",
+
+  // Protected links
+  "linkGate.notFoundTitle": "Enlace no encontrado",
+  "linkGate.notFound":
+    "No hay ningún enlace corto en esta dirección. Puede que se haya escrito mal.",
+  "linkGate.expired": "Este enlace ha caducado.",
+  "linkGate.limitReached": "Este enlace ha alcanzado su límite de clics.",
+  "linkGate.disabled":
+    "Este enlace se desactivó por incumplir nuestras condiciones de uso.",
+  "linkGate.notWeb": "Este enlace no lleva a una página web.",
+  "linkGate.askForNew": "Pide uno nuevo a quien lo compartió contigo.",
+  "linkGate.notStartedTitle": "Todavía no disponible",
+  "linkGate.opensOn": "Este enlace se abre el {date}.",
+  "linkGate.opensLater": "Este enlace se abrirá más adelante.",
+  "linkGate.passwordTitle": "Contraseña necesaria",
+  "linkGate.passwordIntro":
+    "Escribe la contraseña que te dieron para continuar.",
+  "linkGate.opening": "Abriendo...",
+  "linkGate.continue": "Continuar",
+  "linkGate.openingLink": "Abriendo el enlace...",
+};
+
+export default es;
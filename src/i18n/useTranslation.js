@@ -0,0 +1,18 @@
+import { useCallback } from "react";
+import { useSelector } from "react-redux";
+import { translate, translateRich } from "./index";
+
+// `t` and `tRich` bound to the current locale. Reading the locale from the
+// store is what makes the component re-render when it changes.
+export const useTranslation = () => {
+  const locale = useSelector((state) => state.locale.current);
+  const t = useCallback(
+    (key, params) => translate(key, params, locale),
+    [locale],
+  );
+  const tRich = useCallback(
+    (key, params) => translateRich(key, params, locale),
+    [locale],
+  );
+  return { t, tRich, locale };
+};
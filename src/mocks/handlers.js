@@ -0,0 +1,1607 @@
+import { ALIAS_PATTERN } from "../utils/urlValidation";
+import { createMockUrl, newId, TRASH_RETENTION_MS } from "./mockDb";
+import { generateTotp, randomBase32, verifyTotp } from "./totp";
+import { linkScope, publishLiveEvent } from "./liveStream";
+
+// Thrown by handlers; the adapter turns it into an axios error response
+export class MockHttpError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.data = { message, ...extra };
+  }
+}
+
+// Fields the real API never sends to the browser
+const PRIVATE_USER_FIELDS = [
+  "password",
+  "lastVerificationSentAt",
+  "twoFactorSecret",
+  "pendingTwoFactorSecret",
+  "recoveryCodes",
+];
+
+const publicUser = (user) =>
+  Object.fromEntries(
+    Object.entries(user).filter(([key]) => !PRIVATE_USER_FIELDS.includes(key)),
+  );
+
+const publicUrl = (url) => {
+  const { userId: _, password, ...rest } = url;
+  return { ...rest, hasPassword: Boolean(password) };
+};
+
+const purgeAt = (url) =>
+  new Date(
+    new Date(url.deletedAt).getTime() + TRASH_RETENTION_MS,
+  ).toISOString();
+
+const publicTrashedUrl = (url) => ({
+  ...publicUrl(url),
+  purgeAt: purgeAt(url),
+});
+
+// Stands in for the server's scheduled job: anything past its retention
+// period is gone by the time the trash is looked at
+const purgeExpiredTrash = (db, now = Date.now()) => {
+  db.trash = db.trash.filter((url) => new Date(purgeAt(url)).getTime() > now);
+};
+
+const currentSession = (db) =>
+  db.sessions.find((item) => item.id === db.currentSessionId);
+
+const requireUser = (db) => {
+  const session = currentSession(db);
+  const user = session && db.users.find((item) => item.id === session.userId);
+  if (!user) {
+    throw new MockHttpError(401, "Not authenticated");
+  }
+  return user;
+};
+
+// Tells clients watching the link's workspace (or its owner's personal
+// links) about a change
+const publishUrlEvent = (db, type, url, fields) =>
+  publishLiveEvent(db, { type, ...fields }, linkScope(url));
+
+const findOwned = (collection, id, userId, label) => {
+  const item = collection.find(
+    (entry) => entry.id === id && entry.userId === userId,
+  );
+  if (!item) {
+    throw new MockHttpError(404, `${label} not found`);
+  }
+  return item;
+};
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+const VERIFY_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const RESEND_LIMIT_MS = 60 * 1000;
+
+// Password reset and email verification links share the same rules
+const findOneTimeToken = (tokens, token, label) => {
+  const entry = tokens.find((item) => item.token === token);
+  if (!entry) {
+    throw new MockHttpError(404, `${label} not found`, { reason: "invalid" });
+  }
+  if (entry.used) {
+    throw new MockHttpError(410, `${label} already used`, { reason: "used" });
+  }
+  if (entry.expiresAt <= Date.now()) {
+    throw new MockHttpError(410, `${label} expired`, { reason: "expired" });
+  }
+  return entry;
+};
+
+// `email` is set when confirming a changed address rather than a new account
+const issueVerificationToken = (db, user, email = null) => {
+  const token = Math.random().toString(36).slice(2);
+  db.verificationTokens.push({
+    token,
+    userId: user.id,
+    email,
+    expiresAt: Date.now() + VERIFY_TOKEN_TTL_MS,
+    used: false,
+  });
+  user.lastVerificationSentAt = Date.now();
+  // Stands in for the email
+  console.info(`[mock api] Verification link: /verify-email/${token}`);
+};
+
+const startSession = (db, user) => {
+  const session = {
+    id: newId(),
+    userId: user.id,
+    device: "This browser",
+    ip: "127.0.0.1",
+    location: "Localhost",
+    lastActiveAt: new Date().toISOString(),
+  };
+  db.sessions.push(session);
+  db.currentSessionId = session.id;
+};
+
+const TWO_FACTOR_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+const randomRecoveryCodes = () =>
+  Array.from({ length: 10 }, () =>
+    randomBase32(8)
+      .toLowerCase()
+      .replace(/(.{4})/, "$1-"),
+  );
+
+// Checks an authenticator code, or spends a recovery code
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code && (await verifyTotp(user.twoFactorSecret, code))) {
+    return true;
+  }
+  const recovery = (recoveryCode || code || "").trim().toLowerCase();
+  if (recovery && user.recoveryCodes.includes(recovery)) {
+    user.recoveryCodes = user.recoveryCodes.filter((item) => item !== recovery);
+    return true;
+  }
+  return false;
+};
+
+const API_KEY_SCOPE_IDS = ["links:read", "links:create", "links:delete"];
+const API_KEY_PREFIX_LENGTH = 12;
+
+// For API keys and UTM presets. Only an API key's prefix is kept; like
+// the real API, the full secret is gone once the create response is sent.
+const withoutOwner = (item) => {
+  const { userId: _, ...rest } = item;
+  return rest;
+};
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+const WORKSPACE_ROLE_IDS = Object.keys(ROLE_RANK);
+
+const membershipOf = (db, workspaceId, userId) =>
+  db.workspaceMembers.find(
+    (member) =>
+      member.workspaceId === workspaceId &&
+      member.userId === userId &&
+      member.status === "active",
+  );
+
+// 404 for workspaces the user isn't in, 403 when their role is too low
+const requireWorkspaceRole = (db, user, workspaceId, minimum) => {
+  const membership = membershipOf(db, workspaceId, user.id);
+  if (!membership) {
+    throw new MockHttpError(404, "Workspace not found");
+  }
+  if (ROLE_RANK[membership.role] < ROLE_RANK[minimum]) {
+    throw new MockHttpError(
+      403,
+      minimum === "owner"
+        ? "Only workspace owners can do that"
+        : "Viewers can't change links in this workspace",
+    );
+  }
+  return membership;
+};
+
+// A link the user may act on with at least the `minimum` role. Unless
+// `scope` is undefined the link must also live there: a workspace id, or
+// null for the user's personal links.
+const findUrl = (db, user, id, minimum, scope, collection = db.urls) => {
+  const url = collection.find((item) => item.id === id);
+  const inScope =
+    url &&
+    (scope === undefined || (url.workspaceId || null) === scope) &&
+    (url.workspaceId || url.userId === user.id);
+  if (!inScope) {
+    throw new MockHttpError(404, "URL not found");
+  }
+  if (url.workspaceId) {
+    requireWorkspaceRole(db, user, url.workspaceId, minimum);
+  }
+  return url;
+};
+
+// Tags and folders are shared the way the links they label are: those
+// made in a workspace belong to it, the rest to the user who made them.
+// Returns a filter for the scope; `minimum` is the workspace role needed.
+const labelScope = (db, user, workspaceId, minimum) => {
+  if (workspaceId) {
+    requireWorkspaceRole(db, user, workspaceId, minimum);
+    return (item) => item.workspaceId === workspaceId;
+  }
+  return (item) => item.userId === user.id && !item.workspaceId;
+};
+
+const findLabel = (collection, id, inScope, label) => {
+  const item = collection.find((entry) => entry.id === id && inScope(entry));
+  if (!item) {
+    throw new MockHttpError(404, `${label} not found`);
+  }
+  return item;
+};
+
+// The GET /urls/live check, made when a mock EventSource or WebSocket
+// connects: who the stream is for and which links it covers
+export const authorizeLiveStream = (db, query) => {
+  const user = requireUser(db);
+  const workspaceId = query.workspace_id || null;
+  if (workspaceId) {
+    requireWorkspaceRole(db, user, workspaceId, "viewer");
+  }
+  return { userId: user.id, workspaceId };
+};
+
+const publicWorkspace = (db, workspace, userId) => ({
+  ...workspace,
+  role: membershipOf(db, workspace.id, userId).role,
+  memberCount: db.workspaceMembers.filter(
+    (member) => member.workspaceId === workspace.id,
+  ).length,
+});
+
+const publicMember = (db, member) => {
+  const user = member.userId && db.users.find((u) => u.id === member.userId);
+  const { workspaceId: _, ...rest } = member;
+  return { ...rest, fullName: user?.fullName || null };
+};
+
+// Changing or removing `member` must leave someone able to manage members
+const assertKeepsOwner = (db, member) => {
+  const otherOwners = db.workspaceMembers.filter(
+    (item) =>
+      item.workspaceId === member.workspaceId &&
+      item.role === "owner" &&
+      item.status === "active" &&
+      item !== member,
+  );
+  if (member.role === "owner" && otherOwners.length === 0) {
+    throw new MockHttpError(400, "A workspace needs at least one owner");
+  }
+};
+
+const findMember = (db, workspaceId, memberId) => {
+  const member = db.workspaceMembers.find(
+    (item) => item.id === memberId && item.workspaceId === workspaceId,
+  );
+  if (!member) {
+    throw new MockHttpError(404, "Member not found");
+  }
+  return member;
+};
+
+const isExpired = (url, now) =>
+  Boolean(url.expiresAt) && new Date(url.expiresAt).getTime() <= now;
+
+const compareBy = (sort, order) => (a, b) => {
+  // A link without an expiry counts as expiring last
+  const value = (url) =>
+    sort === "clicks"
+      ? url.clicks
+      : url[sort]
+        ? new Date(url[sort]).getTime()
+        : Infinity;
+  const diff = value(a) - value(b);
+  return order === "asc" ? diff : -diff;
+};
+
+// Checks a create/update body the way the API does, answering with
+// `errors: { field: message }` keyed by request field.
+const validateUrlBody = (db, body, { partial, current }) => {
+  const errors = {};
+  if (!partial || body.base_url !== undefined) {
+    try {
+      const parsed = new URL(body.base_url);
+      if (!["http:", "https:"].includes(parsed.protocol)) {
+        errors.base_url = "URL must start with http:// or https://";
+      }
+    } catch {
+      errors.base_url = "Enter a valid URL";
+    }
+  }
+  if (body.custom_alias) {
+    if (!ALIAS_PATTERN.test(body.custom_alias)) {
+      errors.custom_alias = "Alias has an invalid format";
+    } else if (
+      // Trashed links keep their alias in case they're restored
+      [...db.urls, ...db.trash].some(
+        (url) => url.shortCode === body.custom_alias && url !== current,
+      )
+    ) {
+      errors.custom_alias = "Alias is already taken";
+    }
+  }
+  if (body.expires_at && new Date(body.expires_at).getTime() <= Date.now()) {
+    errors.expires_at = "Expiry must be in the future";
+  }
+  if (body.password && body.password.length < 4) {
+    errors.password = "Password must be at least 4 characters";
+  }
+  if (body.max_clicks !== undefined && body.max_clicks !== null) {
+    const clicks = current?.clicks || 0;
+    if (!Number.isInteger(body.max_clicks) || body.max_clicks < 1) {
+      errors.max_clicks = "Click limit must be a whole number of at least 1";
+    } else if (body.max_clicks < clicks) {
+      errors.max_clicks = `This link already has ${clicks} clicks`;
+    }
+  }
+  const startsAt =
+    body.starts_at !== undefined ? body.starts_at : current?.startsAt;
+  const expiresAt =
+    body.expires_at !== undefined ? body.expires_at : current?.expiresAt;
+  if (
+    startsAt &&
+    expiresAt &&
+    new Date(startsAt).getTime() >= new Date(expiresAt).getTime()
+  ) {
+    errors.starts_at = "Start must be before the expiry";
+  }
+  if (Object.keys(errors).length > 0) {
+    throw new MockHttpError(400, "Validation failed", { errors });
+  }
+};
+
+const RANGE_DAYS = { "24h": 1, "7d": 7, "30d": 30, "90d": 90, all: 180 };
+
+// Deterministic numbers derived from the link id, so charts stay stable
+// between reloads.
+const seededRandom = (seed) => {
+  let value = Number(seed) * 9301 + 49297;
+  return () => {
+    value = (value * 9301 + 49297) % 233280;
+    return value / 233280;
+  };
+};
+
+const buildAnalytics = (url, range) => {
+  const days = RANGE_DAYS[range] || RANGE_DAYS["7d"];
+  const random = seededRandom(url.id);
+  const clicksOverTime = Array.from({ length: days }, (_, index) => {
+    const date = new Date(Date.now() - (days - 1 - index) * 86400000);
+    return {
+      date: date.toISOString().slice(0, 10),
+      clicks: Math.round(random() * Math.max(url.clicks / days, 1) * 2),
+    };
+  });
+  const split = (names) =>
+    names.map((name) => ({ name, count: Math.round(random() * 50) }));
+  return {
+    url: publicUrl(url),
+    clicksOverTime,
+    referrers: split([
+      "google.com",
+      "twitter.com",
+      "Direct",
+      "news.ycombinator.com",
+    ]),
+    countries: split(["US", "DE", "GB", "IN", "BR"]),
+    devices: split(["Desktop", "Mobile", "Tablet"]),
+    browsers: split(["Chrome", "Firefox", "Safari", "Edge"]),
+  };
+};
+
+const applyUrlBody = (url, body) => {
+  if (body.base_url !== undefined) {
+    url.longUrl = body.base_url;
+  }
+  if (body.custom_alias !== undefined) {
+    url.customAlias = body.custom_alias || null;
+    url.shortCode = body.custom_alias || url.shortCode;
+    url.shortUrl = url.shortUrl.replace(/[^/]+$/, url.shortCode);
+  }
+  if (body.expires_at !== undefined) {
+    url.expiresAt = body.expires_at;
+  }
+  if (body.tag_ids !== undefined) {
+    url.tagIds = body.tag_ids;
+  }
+  if (body.folder_id !== undefined) {
+    url.folderId = body.folder_id;
+  }
+  if (body.password !== undefined) {
+    url.password = body.password || null;
+  }
+  if (body.max_clicks !== undefined) {
+    url.maxClicks = body.max_clicks;
+  }
+  if (body.starts_at !== undefined) {
+    url.startsAt = body.starts_at;
+  }
+};
+
+const utmCampaign = (longUrl) => {
+  try {
+    return new URL(longUrl).searchParams.get("utm_campaign");
+  } catch {
+    return null;
+  }
+};
+
+const UTM_PRESET_FIELDS = ["source", "medium", "campaign", "term", "content"];
+
+// Why a visitor can't use a link right now, or "active"
+const linkStatus = (url, now = Date.now()) => {
+  if (url.disabled) {
+    return "disabled";
+  }
+  if (isExpired(url, now)) {
+    return "expired";
+  }
+  if (url.maxClicks && url.clicks >= url.maxClicks) {
+    return "limit-reached";
+  }
+  if (url.startsAt && new Date(url.startsAt).getTime() > now) {
+    return "not-started";
+  }
+  return "active";
+};
+
+// 403 for signed-in users who aren't admins
+const requireAdmin = (db) => {
+  const user = requireUser(db);
+  if (user.role !== "admin") {
+    throw new MockHttpError(403, "Admins only");
+  }
+  return user;
+};
+
+// { items, total, page, limit } for the admin lists
+const paginate = (items, query) => {
+  const page = Number(query.page) || 1;
+  const limit = Number(query.limit) || 25;
+  return {
+    items: items.slice((page - 1) * limit, page * limit),
+    total: items.length,
+    page,
+    limit,
+  };
+};
+
+const adminUser = (db, user) => ({
+  id: user.id,
+  fullName: user.fullName,
+  emailId: user.emailId,
+  role: user.role || "user",
+  emailVerified: Boolean(user.emailVerified),
+  suspended: user.suspended || null,
+  linkCount: db.urls.filter((url) => url.userId === user.id).length,
+});
+
+const adminUrl = (db, url) => ({
+  ...publicUrl(url),
+  ownerEmail: db.users.find((user) => user.id === url.userId)?.emailId,
+  openReports: db.abuseReports.filter(
+    (report) => report.urlId === url.id && report.status === "open",
+  ).length,
+});
+
+// The link may have been deleted since it was reported
+const adminReport = (db, report) => {
+  const url = db.urls.find((item) => item.id === report.urlId);
+  return { ...report, url: url ? adminUrl(db, url) : null };
+};
+
+const ABUSE_REASON_IDS = ["phishing", "malware", "spam", "other"];
+
+const disableUrl = (db, url, body) => {
+  if (!ABUSE_REASON_IDS.includes(body.reason)) {
+    throw new MockHttpError(400, "Choose a reason");
+  }
+  url.disabled = {
+    reason: body.reason,
+    note: body.note?.trim() || null,
+    at: new Date().toISOString(),
+  };
+  // Taking a link down settles every open report against it
+  db.abuseReports.forEach((report) => {
+    if (report.urlId === url.id && report.status === "open") {
+      report.status = "resolved";
+    }
+  });
+  publishUrlEvent(db, "url.updated", url, { url: publicUrl(url) });
+};
+
+const findByCode = (db, code) => {
+  const url = db.urls.find((item) => item.shortCode === code);
+  if (!url) {
+    throw new MockHttpError(404, "Link not found");
+  }
+  return url;
+};
+
+// [method, path pattern, handler]. Handlers receive
+// { db, params, query, body } and return { status?, data }.
+// More specific paths must come before "/urls/:id".
+export const routes = [
+  // Auth
+  [
+    "post",
+    "/auth/login",
+    ({ db, body }) => {
+      const user = db.users.find(
+        (item) =>
+          item.emailId === body.email && item.password === body.password,
+      );
+      if (!user) {
+        throw new MockHttpError(401, "Invalid email or password");
+      }
+      if (!user.emailVerified) {
+        throw new MockHttpError(403, "Please verify your email first", {
+          code: "EMAIL_NOT_VERIFIED",
+        });
+      }
+      if (user.suspended) {
+        throw new MockHttpError(403, "This account has been suspended", {
+          code: "ACCOUNT_SUSPENDED",
+        });
+      }
+      if (user.twoFactorEnabled) {
+        const challengeToken = Math.random().toString(36).slice(2);
+        db.twoFactorChallenges.push({
+          token: challengeToken,
+          userId: user.id,
+          expiresAt: Date.now() + TWO_FACTOR_CHALLENGE_TTL_MS,
+        });
+        // Saves reaching for a phone while developing
+        generateTotp(user.twoFactorSecret).then((code) =>
+          console.info(`[mock api] Current 2FA code: ${code}`),
+        );
+        return { data: { twoFactorRequired: true, challengeToken } };
+      }
+      startSession(db, user);
+      return { data: publicUser(user) };
+    },
+  ],
+  [
+    "post",
+    "/auth/login/2fa",
+    async ({ db, body }) => {
+      const challenge = db.twoFactorChallenges.find(
+        (item) => item.token === body.challengeToken,
+      );
+      if (!challenge || challenge.expiresAt <= Date.now()) {
+        throw new MockHttpError(410, "Login attempt expired");
+      }
+      const user = db.users.find((item) => item.id === challenge.userId);
+      if (!(await checkSecondFactor(user, body))) {
+        throw new MockHttpError(401, "That code didn't work. Try again.");
+      }
+      db.twoFactorChallenges = db.twoFactorChallenges.filter(
+        (item) => item !== challenge,
+      );
+      startSession(db, user);
+      return { data: publicUser(user) };
+    },
+  ],
+  [
+    "post",
+    "/auth/signup",
+    ({ db, body }) => {
+      if (db.users.some((item) => item.emailId === body.email)) {
+        throw new MockHttpError(
+          409,
+          "An account with this email already exists",
+        );
+      }
+      const user = {
+        id: newId(),
+        fullName: body.fullName,
+        emailId: body.email,
+        password: body.password,
+        emailVerified: false,
+      };
+      db.users.push(user);
+      // Pending workspace invites for this address turn into memberships
+      db.workspaceMembers.forEach((member) => {
+        if (
+          member.status === "invited" &&
+          member.email.toLowerCase() === body.email.toLowerCase()
+        ) {
+          member.userId = user.id;
+          member.status = "active";
+        }
+      });
+      issueVerificationToken(db, user);
+      return { status: 201, data: publicUser(user) };
+    },
+  ],
+  ["get", "/auth/verify", ({ db }) => ({ data: publicUser(requireUser(db)) })],
+  [
+    "post",
+    "/auth/refresh",
+    ({ db }) => {
+      requireUser(db);
+      return { data: { message: "Session refreshed" } };
+    },
+  ],
+  [
+    "post",
+    "/auth/logout",
+    ({ db }) => {
+      db.sessions = db.sessions.filter(
+        (item) => item.id !== db.currentSessionId,
+      );
+      db.currentSessionId = null;
+      return { data: { message: "Logged out" } };
+    },
+  ],
+
+  [
+    "post",
+    "/auth/forgot-password",
+    ({ db, body }) => {
+      const user = db.users.find((item) => item.emailId === body.email);
+      if (user) {
+        const token = Math.random().toString(36).slice(2);
+        db.resetTokens.push({
+          token,
+          userId: user.id,
+          expiresAt: Date.now() + RESET_TOKEN_TTL_MS,
+          used: false,
+        });
+        // Stands in for the email
+        console.info(
+          `[mock api] Password reset link: /reset-password/${token}`,
+        );
+      }
+      // Same answer either way, like the real API
+      return { data: { message: "If the account exists, an email was sent" } };
+    },
+  ],
+  [
+    "get",
+    "/auth/reset-password/:token",
+    ({ db, params }) => {
+      findOneTimeToken(db.resetTokens, params.token, "Reset link");
+      return { data: { valid: true } };
+    },
+  ],
+  [
+    "post",
+    "/auth/reset-password/:token",
+    ({ db, params, body }) => {
+      const entry = findOneTimeToken(
+        db.resetTokens,
+        params.token,
+        "Reset link",
+      );
+      const user = db.users.find((item) => item.id === entry.userId);
+      user.password = body.password;
+      entry.used = true;
+      return { data: { message: "Password updated" } };
+    },
+  ],
+
+  [
+    "post",
+    "/auth/verify-email/:token",
+    ({ db, params }) => {
+      const entry = findOneTimeToken(
+        db.verificationTokens,
+        params.token,
+        "Verification link",
+      );
+      const user = db.users.find((item) => item.id === entry.userId);
+      if (entry.email) {
+        user.emailId = entry.email;
+        user.pendingEmail = null;
+      } else {
+        user.emailVerified = true;
+      }
+      entry.used = true;
+      return { data: { message: "Email verified" } };
+    },
+  ],
+  [
+    "post",
+    "/auth/resend-verification",
+    ({ db, body }) => {
+      const unverified = db.users.find(
+        (item) => item.emailId === body.email && !item.emailVerified,
+      );
+      const changing = db.users.find(
+        (item) => item.pendingEmail && item.pendingEmail === body.email,
+      );
+      const user = unverified || changing;
+      if (user) {
+        const waitMs =
+          user.lastVerificationSentAt + RESEND_LIMIT_MS - Date.now();
+        if (waitMs > 0) {
+          throw new MockHttpError(429, "Too many requests", {
+            retryAfter: Math.ceil(waitMs / 1000),
+          });
+        }
+        issueVerificationToken(db, user, changing ? body.email : null);
+      }
+      return { data: { message: "If the account exists, an email was sent" } };
+    },
+  ],
+
+  // Account settings
+  [
+    "patch",
+    "/auth/me",
+    ({ db, body }) => {
+      const user = requireUser(db);
+      if (body.fullName !== undefined) {
+        if (!body.fullName.trim()) {
+          throw new MockHttpError(400, "Full name is required");
+        }
+        user.fullName = body.fullName.trim();
+      }
+      if (body.email !== undefined && body.email !== user.emailId) {
+        if (db.users.some((item) => item.emailId === body.email)) {
+          throw new MockHttpError(
+            409,
+            "An account with this email already exists",
+          );
+        }
+        user.pendingEmail = body.email;
+        issueVerificationToken(db, user, body.email);
+      }
+      return { data: publicUser(user) };
+    },
+  ],
+  [
+    "post",
+    "/auth/change-password",
+    ({ db, body }) => {
+      const user = requireUser(db);
+      if (body.currentPassword !== user.password) {
+        throw new MockHttpError(400, "Current password is incorrect");
+      }
+      user.password = body.newPassword;
+      // Like the real API, every other device has to log in again
+      db.sessions = db.sessions.filter(
+        (item) => item.userId !== user.id || item.id === db.currentSessionId,
+      );
+      return { data: { message: "Password changed" } };
+    },
+  ],
+  [
+    "get",
+    "/auth/sessions",
+    ({ db }) => {
+      const user = requireUser(db);
+      return {
+        data: db.sessions
+          .filter((item) => item.userId === user.id)
+          .map((session) => {
+            const { userId: _, ...rest } = session;
+            return { ...rest, current: session.id === db.currentSessionId };
+          }),
+      };
+    },
+  ],
+  [
+    "delete",
+    "/auth/sessions/:id",
+    ({ db, params }) => {
+      const user = requireUser(db);
+      findOwned(db.sessions, params.id, user.id, "Session");
+      db.sessions = db.sessions.filter((item) => item.id !== params.id);
+      if (params.id === db.currentSessionId) {
+        db.currentSessionId = null;
+      }
+      return { data: { message: "Session revoked" } };
+    },
+  ],
+  [
+    "delete",
+    "/auth/me",
+    ({ db }) => {
+      const user = requireUser(db);
+      const notOwned = (item) => item.userId !== user.id;
+      db.users = db.users.filter((item) => item !== user);
+      // Shared links, tags and folders stay with their workspace
+      db.urls = db.urls.filter((url) => url.workspaceId || notOwned(url));
+      db.trash = db.trash.filter((url) => url.workspaceId || notOwned(url));
+      db.tags = db.tags.filter((tag) => tag.workspaceId || notOwned(tag));
+      db.folders = db.folders.filter(
+        (folder) => folder.workspaceId || notOwned(folder),
+      );
+      db.sessions = db.sessions.filter(notOwned);
+      db.apiKeys = db.apiKeys.filter(notOwned);
+      db.workspaceMembers = db.workspaceMembers.filter(notOwned);
+      db.utmPresets = db.utmPresets.filter(notOwned);
+      db.currentSessionId = null;
+      return { data: { message: "Account deleted" } };
+    },
+  ],
+
+  // Two-factor authentication
+  [
+    "post",
+    "/auth/2fa/setup",
+    ({ db }) => {
+      const user = requireUser(db);
+      const secret = randomBase32(32);
+      user.pendingTwoFactorSecret = secret;
+      const label = encodeURIComponent(`URL Shortener:${user.emailId}`);
+      return {
+        data: {
+          secret,
+          otpauthUrl: `otpauth://totp/${label}?secret=${secret}&issuer=URL%20Shortener`,
+        },
+      };
+    },
+  ],
+  [
+    "post",
+    "/auth/2fa/enable",
+    async ({ db, body }) => {
+      const user = requireUser(db);
+      if (
+        !user.pendingTwoFactorSecret ||
+        !(await verifyTotp(user.pendingTwoFactorSecret, body.code || ""))
+      ) {
+        throw new MockHttpError(400, "That code didn't work. Try again.");
+      }
+      user.twoFactorSecret = user.pendingTwoFactorSecret;
+      user.pendingTwoFactorSecret = null;
+      user.twoFactorEnabled = true;
+      user.recoveryCodes = randomRecoveryCodes();
+      return { data: { recoveryCodes: user.recoveryCodes } };
+    },
+  ],
+  [
+    "post",
+    "/auth/2fa/disable",
+    async ({ db, body }) => {
+      const user = requireUser(db);
+      if (body.password !== user.password) {
+        throw new MockHttpError(400, "Password is incorrect");
+      }
+      if (!(await checkSecondFactor(user, { code: body.code }))) {
+        throw new MockHttpError(400, "That code didn't work. Try again.");
+      }
+      user.twoFactorEnabled = false;
+      user.twoFactorSecret = null;
+      user.recoveryCodes = [];
+      return { data: { message: "Two-factor authentication turned off" } };
+    },
+  ],
+
+  // API keys
+  [
+    "get",
+    "/api-keys",
+    ({ db }) => {
+      const user = requireUser(db);
+      return {
+        data: db.apiKeys
+          .filter((key) => key.userId === user.id)
+          .map(withoutOwner),
+      };
+    },
+  ],
+  [
+    "post",
+    "/api-keys",
+    ({ db, body }) => {
+      const user = requireUser(db);
+      const name = body.name?.trim();
+      if (!name) {
+        throw new MockHttpError(400, "Key name is required");
+      }
+      const scopes = body.scopes || [];
+      if (
+        scopes.length === 0 ||
+        scopes.some((scope) => !API_KEY_SCOPE_IDS.includes(scope))
+      ) {
+        throw new MockHttpError(400, "Choose at least one valid permission");
+      }
+      if (body.expires_at && new Date(body.expires_at) <= new Date()) {
+        throw new MockHttpError(400, "Expiry must be in the future");
+      }
+      const secret = `usk_${randomBase32(40).toLowerCase()}`;
+      const key = {
+        id: newId(),
+        userId: user.id,
+        name,
+        prefix: secret.slice(0, API_KEY_PREFIX_LENGTH),
+        scopes,
+        createdAt: new Date().toISOString(),
+        expiresAt: body.expires_at || null,
+        lastUsedAt: null,
+      };
+      db.apiKeys.unshift(key);
+      return { status: 201, data: { key: withoutOwner(key), secret } };
+    },
+  ],
+  [
+    "delete",
+    "/api-keys/:id",
+    ({ db, params }) => {
+      const user = requireUser(db);
+      findOwned(db.apiKeys, params.id, user.id, "API key");
+      db.apiKeys = db.apiKeys.filter((key) => key.id !== params.id);
+      return { data: { message: "API key revoked" } };
+    },
+  ],
+
+  // Workspaces
+  [
+    "get",
+    "/workspaces",
+    ({ db }) => {
+      const user = requireUser(db);
+      return {
+        data: db.workspaces
+          .filter((workspace) => membershipOf(db, workspace.id, user.id))
+          .map((workspace) => publicWorkspace(db, workspace, user.id)),
+      };
+    },
+  ],
+  [
+    "post",
+    "/workspaces",
+    ({ db, body }) => {
+      const user = requireUser(db);
+      const name = body.name?.trim();
+      if (!name) {
+        throw new MockHttpError(400, "Workspace name is required");
+      }
+      const workspace = {
+        id: newId(),
+        name,
+        createdAt: new Date().toISOString(),
+      };
+      db.workspaces.push(workspace);
+      db.workspaceMembers.push({
+        id: newId(),
+        workspaceId: workspace.id,
+        userId: user.id,
+        email: user.emailId,
+        role: "owner",
+        status: "active",
+      });
+      return { status: 201, data: publicWorkspace(db, workspace, user.id) };
+    },
+  ],
+  [
+    "get",
+    "/workspaces/:id/members",
+    ({ db, params }) => {
+      const user = requireUser(db);
+      requireWorkspaceRole(db, user, params.id, "viewer");
+      return {
+        data: db.workspaceMembers
+          .filter((member) => member.workspaceId === params.id)
+          .map((member) => publicMember(db, member)),
+      };
+    },
+  ],
+  [
+    "post",
+    "/workspaces/:id/members",
+    ({ db, params, body }) => {
+      const user = requireUser(db);
+      requireWorkspaceRole(db, user, params.id, "owner");
+      const email = body.email?.trim().toLowerCase();
+      if (!email || !email.includes("@")) {
+        throw new MockHttpError(400, "Enter a valid email address");
+      }
+      if (!WORKSPACE_ROLE_IDS.includes(body.role)) {
+        throw new MockHttpError(400, "Choose a valid role");
+      }
+      if (
+        db.workspaceMembers.some(
+          (member) =>
+            member.workspaceId === params.id &&
+            member.email.toLowerCase() === email,
+        )
+      ) {
+        throw new MockHttpError(409, "That person is already a member");
+      }
+      const invitee = db.users.find(
+        (item) => item.emailId.toLowerCase() === email,
+      );
+      const member = {
+        id: newId(),
+        workspaceId: params.id,
+        userId: invitee?.id || null,
+        email,
+        role: body.role,
+        status: invitee ? "active" : "invited",
+      };
+      db.workspaceMembers.push(member);
+      if (!invitee) {
+        console.info(`[mock api] Workspace invite sent to ${email}`);
+      }
+      return { status: 201, data: publicMember(db, member) };
+    },
+  ],
+  [
+    "patch",
+    "/workspaces/:id/members/:memberId",
+    ({ db, params, body }) => {
+      const user = requireUser(db);
+      requireWorkspaceRole(db, user, params.id, "owner");
+      const member = findMember(db, params.id, params.memberId);
+      if (!WORKSPACE_ROLE_IDS.includes(body.role)) {
+        throw new MockHttpError(400, "Choose a valid role");
+      }
+      if (body.role !== "owner") {
+        assertKeepsOwner(db, member);
+      }
+      member.role = body.role;
+      return { data: publicMember(db, member) };
+    },
+  ],
+  [
+    "delete",
+    "/workspaces/:id/members/:memberId",
+    ({ db, params }) => {
+      const user = requireUser(db);
+      const member = findMember(db, params.id, params.memberId);
+      // Anyone may leave; removing others is for owners
+      requireWorkspaceRole(
+        db,
+        user,
+        params.id,
+        member.userId === user.id ? "viewer" : "owner",
+      );
+      assertKeepsOwner(db, member);
+      db.workspaceMembers = db.workspaceMembers.filter(
+        (item) => item !== member,
+      );
+      return { data: { message: "Member removed" } };
+    },
+  ],
+
+  // Public link gate (no session needed)
+  [
+    "get",
+    "/public/links/:code",
+    ({ db, params }) => {
+      const url = findByCode(db, params.code);
+      return {
+        data: {
+          shortCode: url.shortCode,
+          passwordRequired: Boolean(url.password),
+          status: linkStatus(url),
+          startsAt: url.startsAt,
+        },
+      };
+    },
+  ],
+  [
+    "post",
+    "/public/links/:code/visit",
+    ({ db, params, body }) => {
+      const url = findByCode(db, params.code);
+      const status = linkStatus(url);
+      if (status === "not-started") {
+        throw new MockHttpError(403, "This link isn't available yet", {
+          reason: status,
+        });
+      }
+      if (status !== "active") {
+        throw new MockHttpError(410, "This link is no longer available", {
+          reason: status,
+        });
+      }
+      if (url.password && body.password !== url.password) {
+        throw new MockHttpError(403, "Wrong password");
+      }
+      url.clicks += 1;
+      publishUrlEvent(db, "click", url, { urlId: url.id, clicks: url.clicks });
+      return { data: { longUrl: url.longUrl } };
+    },
+  ],
+
+  // Links
+  [
+    "get",
+    "/urls/user",
+    ({ db, query }) => {
+      const user = requireUser(db);
+      const workspaceId = query.workspace_id || null;
+      if (workspaceId) {
+        requireWorkspaceRole(db, user, workspaceId, "viewer");
+      }
+      const now = Date.now();
+      const q = (query.q || "").toLowerCase();
+      const matches = db.urls
+        .filter((url) =>
+          workspaceId
+            ? url.workspaceId === workspaceId
+            : url.userId === user.id && !url.workspaceId,
+        )
+        .filter(
+          (url) =>
+            !q ||
+            url.longUrl.toLowerCase().includes(q) ||
+            url.shortCode.toLowerCase().includes(q),
+        )
+        .filter((url) =>
+          query.status === "active"
+            ? !isExpired(url, now)
+            : query.status === "expired"
+              ? isExpired(url, now)
+              : true,
+        )
+        .filter((url) => !query.folder || url.folderId === query.folder)
+        .filter((url) => !query.tag || url.tagIds.includes(query.tag))
+        .filter(
+          (url) =>
+            !query.campaign || utmCampaign(url.longUrl) === query.campaign,
+        )
+        .sort(compareBy(query.sort || "createdAt", query.order || "desc"));
+
+      const page = Number(query.page) || 1;
+      const limit = Number(query.limit) || matches.length || 1;
+      return {
+        data: {
+          urls: matches.slice((page - 1) * limit, page * limit).map(publicUrl),
+          total: matches.length,
+          page,
+          limit,
+        },
+      };
+    },
+  ],
+  [
+    "get",
+    "/urls/campaigns",
+    ({ db, query }) => {
+      const user = requireUser(db);
+      const workspaceId = query.workspace_id || null;
+      if (workspaceId) {
+        requireWorkspaceRole(db, user, workspaceId, "viewer");
+      }
+      const counts = new Map();
+      db.urls
+        .filter((url) =>
+          workspaceId
+            ? url.workspaceId === workspaceId
+            : url.userId === user.id && !url.workspaceId,
+        )
+        .forEach((url) => {
+          const name = utmCampaign(url.longUrl);
+          if (name) {
+            counts.set(name, (counts.get(name) || 0) + 1);
+          }
+        });
+      return {
+        data: [...counts].map(([name, count]) => ({ name, count })),
+      };
+    },
+  ],
+  [
+    "post",
+    "/urls/create",
+    ({ db, body }) => {
+      const user = requireUser(db);
+      if (body.workspace_id) {
+        requireWorkspaceRole(db, user, body.workspace_id, "editor");
+      }
+      validateUrlBody(db, body, { partial: false });
+      const url = createMockUrl(db, user.id, {
+        longUrl: body.base_url,
+        customAlias: body.custom_alias,
+        expiresAt: body.expires_at,
+        tagIds: body.tag_ids,
+        folderId: body.folder_id,
+        workspaceId: body.workspace_id,
+        password: body.password,
+        maxClicks: body.max_clicks,
+        startsAt: body.starts_at,
+      });
+      publishUrlEvent(db, "url.created", url, { url: publicUrl(url) });
+      return { status: 201, data: publicUrl(url) };
+    },
+  ],
+  [
+    "get",
+    "/urls/check-alias",
+    ({ db, query }) => {
+      requireUser(db);
+      return {
+        data: {
+          alias: query.alias,
+          available: ![...db.urls, ...db.trash].some(
+            (url) => url.shortCode === query.alias,
+          ),
+        },
+      };
+    },
+  ],
+  // Trash
+  [
+    "get",
+    "/urls/trash",
+    ({ db, query }) => {
+      const user = requireUser(db);
+      const workspaceId = query.workspace_id || null;
+      if (workspaceId) {
+        requireWorkspaceRole(db, user, workspaceId, "viewer");
+      }
+      purgeExpiredTrash(db);
+      return {
+        data: db.trash
+          .filter((url) =>
+            workspaceId
+              ? url.workspaceId === workspaceId
+              : url.userId === user.id && !url.workspaceId,
+          )
+          .sort(compareBy("deletedAt", "desc"))
+          .map(publicTrashedUrl),
+      };
+    },
+  ],
+  [
+    "delete",
+    "/urls/trash",
+    ({ db, query }) => {
+      const user = requireUser(db);
+      const workspaceId = query.workspace_id || null;
+      if (workspaceId) {
+        requireWorkspaceRole(db, user, workspaceId, "editor");
+      }
+      db.trash = db.trash.filter((url) =>
+        workspaceId
+          ? url.workspaceId !== workspaceId
+          : url.userId !== user.id || url.workspaceId,
+      );
+      return { data: { message: "Trash emptied" } };
+    },
+  ],
+  [
+    "post",
+    "/urls/:id/restore",
+    ({ db, params, query }) => {
+      const user = requireUser(db);
+      purgeExpiredTrash(db);
+      const scope = query.workspace_id || null;
+      const url = findUrl(db, user, params.id, "editor", scope, db.trash);
+      db.trash = db.trash.filter((item) => item !== url);
+      const { deletedAt: _, ...restored } = url;
+      db.urls.unshift(restored);
+      publishUrlEvent(db, "url.restored", restored, {
+        url: publicUrl(restored),
+      });
+      return { data: publicUrl(restored) };
+    },
+  ],
+  [
+    "delete",
+    "/urls/:id/purge",
+    ({ db, params, query }) => {
+      const user = requireUser(db);
+      const scope = query.workspace_id || null;
+      const url = findUrl(db, user, params.id, "editor", scope, db.trash);
+      db.trash = db.trash.filter((item) => item !== url);
+      return { data: { message: "URL deleted permanently" } };
+    },
+  ],
+
+  [
+    "get",
+    "/urls/:id/analytics",
+    ({ db, params, query }) => {
+      const user = requireUser(db);
+      const url = findUrl(db, user, params.id, "viewer");
+      return { data: buildAnalytics(url, query.range) };
+    },
+  ],
+  [
+    "patch",
+    "/urls/:id",
+    ({ db, params, query, body }) => {
+      const user = requireUser(db);
+      const scope = query.workspace_id || null;
+      const url = findUrl(db, user, params.id, "editor", scope);
+      validateUrlBody(db, body, { partial: true, current: url });
+      applyUrlBody(url, body);
+      publishUrlEvent(db, "url.updated", url, { url: publicUrl(url) });
+      return { data: publicUrl(url) };
+    },
+  ],
+  [
+    "delete",
+    "/urls/:id",
+    ({ db, params, query }) => {
+      const user = requireUser(db);
+      const scope = query.workspace_id || null;
+      const url = findUrl(db, user, params.id, "editor", scope);
+      db.urls = db.urls.filter((item) => item !== url);
+      const trashed = { ...url, deletedAt: new Date().toISOString() };
+      db.trash.push(trashed);
+      publishUrlEvent(db, "url.deleted", trashed, {
+        urlId: url.id,
+        url: publicTrashedUrl(trashed),
+      });
+      return { data: publicTrashedUrl(trashed) };
+    },
+  ],
+
+  // UTM presets
+  [
+    "get",
+    "/utm-presets",
+    ({ db }) => {
+      const user = requireUser(db);
+      return {
+        data: db.utmPresets
+          .filter((preset) => preset.userId === user.id)
+          .map(withoutOwner),
+      };
+    },
+  ],
+  [
+    "post",
+    "/utm-presets",
+    ({ db, body }) => {
+      const user = requireUser(db);
+      const name = body.name?.trim();
+      if (!name) {
+        throw new MockHttpError(400, "Preset name is required");
+      }
+      if (!UTM_PRESET_FIELDS.some((field) => body[field]?.trim())) {
+        throw new MockHttpError(400, "Fill in at least one UTM field");
+      }
+      const preset = { id: newId(), userId: user.id, name };
+      UTM_PRESET_FIELDS.forEach((field) => {
+        preset[field] = body[field]?.trim() || "";
+      });
+      db.utmPresets.push(preset);
+      return { status: 201, data: withoutOwner(preset) };
+    },
+  ],
+  [
+    "delete",
+    "/utm-presets/:id",
+    ({ db, params }) => {
+      const user = requireUser(db);
+      findOwned(db.utmPresets, params.id, user.id, "Preset");
+      db.utmPresets = db.utmPresets.filter((item) => item.id !== params.id);
+      return { data: { message: "Preset deleted" } };
+    },
+  ],
+
+  // Tags
+  [
+    "get",
+    "/tags",
+    ({ db, query }) => {
+      const user = requireUser(db);
+      const inScope = labelScope(db, user, query.workspace_id, "viewer");
+      return { data: db.tags.filter(inScope) };
+    },
+  ],
+  [
+    "post",
+    "/tags",
+    ({ db, body }) => {
+      const user = requireUser(db);
+      labelScope(db, user, body.workspace_id, "editor");
+      if (!body.name?.trim()) {
+        throw new MockHttpError(400, "Tag name is required");
+      }
+      const tag = {
+        id: newId(),
+        userId: user.id,
+        workspaceId: body.workspace_id || null,
+        name: body.name.trim(),
+        color: body.color,
+      };
+      db.tags.push(tag);
+      return { status: 201, data: tag };
+    },
+  ],
+  [
+    "delete",
+    "/tags/:id",
+    ({ db, params, query }) => {
+      const user = requireUser(db);
+      const inScope = labelScope(db, user, query.workspace_id, "editor");
+      findLabel(db.tags, params.id, inScope, "Tag");
+      db.tags = db.tags.filter((tag) => tag.id !== params.id);
+      [...db.urls, ...db.trash].forEach((url) => {
+        url.tagIds = url.tagIds.filter((id) => id !== params.id);
+      });
+      return { data: { message: "Tag deleted" } };
+    },
+  ],
+
+  // Folders
+  [
+    "get",
+    "/folders",
+    ({ db, query }) => {
+      const user = requireUser(db);
+      const inScope = labelScope(db, user, query.workspace_id, "viewer");
+      return { data: db.folders.filter(inScope) };
+    },
+  ],
+  [
+    "post",
+    "/folders",
+    ({ db, body }) => {
+      const user = requireUser(db);
+      labelScope(db, user, body.workspace_id, "editor");
+      if (!body.name?.trim()) {
+        throw new MockHttpError(400, "Folder name is required");
+      }
+      const folder = {
+        id: newId(),
+        userId: user.id,
+        workspaceId: body.workspace_id || null,
+        name: body.name.trim(),
+      };
+      db.folders.push(folder);
+      return { status: 201, data: folder };
+    },
+  ],
+  [
+    "delete",
+    "/folders/:id",
+    ({ db, params, query }) => {
+      const user = requireUser(db);
+      const inScope = labelScope(db, user, query.workspace_id, "editor");
+      findLabel(db.folders, params.id, inScope, "Folder");
+      db.folders = db.folders.filter((folder) => folder.id !== params.id);
+      [...db.urls, ...db.trash].forEach((url) => {
+        if (url.folderId === params.id) {
+          url.folderId = null;
+        }
+      });
+      return { data: { message: "Folder deleted" } };
+    },
+  ],
+
+  // Admin console
+  [
+    "get",
+    "/admin/users",
+    ({ db, query }) => {
+      requireAdmin(db);
+      const q = (query.q || "").toLowerCase();
+      const matches = db.users
+        .filter(
+          (user) =>
+            !q ||
+            user.emailId.toLowerCase().includes(q) ||
+            user.fullName.toLowerCase().includes(q),
+        )
+        .filter((user) =>
+          query.status === "suspended"
+            ? user.suspended
+            : query.status === "active"
+              ? !user.suspended
+              : true,
+        );
+      const { items, ...page } = paginate(matches, query);
+      return {
+        data: { users: items.map((user) => adminUser(db, user)), ...page },
+      };
+    },
+  ],
+  [
+    "post",
+    "/admin/users/:id/suspend",
+    ({ db, params, body }) => {
+      const admin = requireAdmin(db);
+      const user = db.users.find((item) => item.id === params.id);
+      if (!user) {
+        throw new MockHttpError(404, "User not found");
+      }
+      if (user.id === admin.id || user.role === "admin") {
+        throw new MockHttpError(400, "Admins can't be suspended");
+      }
+      user.suspended = {
+        reason: body.reason?.trim() || null,
+        at: new Date().toISOString(),
+      };
+      // Signed out everywhere
+      db.sessions = db.sessions.filter((item) => item.userId !== user.id);
+      return { data: adminUser(db, user) };
+    },
+  ],
+  [
+    "post",
+    "/admin/users/:id/reactivate",
+    ({ db, params }) => {
+      requireAdmin(db);
+      const user = db.users.find((item) => item.id === params.id);
+      if (!user) {
+        throw new MockHttpError(404, "User not found");
+      }
+      user.suspended = null;
+      return { data: adminUser(db, user) };
+    },
+  ],
+  [
+    "get",
+    "/admin/urls",
+    ({ db, query }) => {
+      requireAdmin(db);
+      const q = (query.q || "").toLowerCase();
+      const matches = db.urls
+        .filter(
+          (url) =>
+            !q ||
+            url.longUrl.toLowerCase().includes(q) ||
+            url.shortCode.toLowerCase().includes(q),
+        )
+        .filter((url) =>
+          query.status === "disabled"
+            ? url.disabled
+            : query.status === "reported"
+              ? db.abuseReports.some(
+                  (report) =>
+                    report.urlId === url.id && report.status === "open",
+                )
+              : true,
+        )
+        .sort(compareBy("createdAt", "desc"));
+      const { items, ...page } = paginate(matches, query);
+      return {
+        data: { urls: items.map((url) => adminUrl(db, url)), ...page },
+      };
+    },
+  ],
+  [
+    "post",
+    "/admin/urls/:id/disable",
+    ({ db, params, body }) => {
+      requireAdmin(db);
+      const url = db.urls.find((item) => item.id === params.id);
+      if (!url) {
+        throw new MockHttpError(404, "URL not found");
+      }
+      disableUrl(db, url, body);
+      return { data: adminUrl(db, url) };
+    },
+  ],
+  [
+    "post",
+    "/admin/urls/:id/enable",
+    ({ db, params }) => {
+      requireAdmin(db);
+      const url = db.urls.find((item) => item.id === params.id);
+      if (!url) {
+        throw new MockHttpError(404, "URL not found");
+      }
+      url.disabled = null;
+      publishUrlEvent(db, "url.updated", url, { url: publicUrl(url) });
+      return { data: adminUrl(db, url) };
+    },
+  ],
+  [
+    "get",
+    "/admin/reports",
+    ({ db, query }) => {
+      requireAdmin(db);
+      const status = query.status || "open";
+      return {
+        data: db.abuseReports
+          .filter((report) => status === "all" || report.status === status)
+          .sort(compareBy("createdAt", "desc"))
+          .map((report) => adminReport(db, report)),
+      };
+    },
+  ],
+  [
+    "post",
+    "/admin/reports/:id/resolve",
+    ({ db, params, body }) => {
+      requireAdmin(db);
+      const report = db.abuseReports.find((item) => item.id === params.id);
+      if (!report) {
+        throw new MockHttpError(404, "Report not found");
+      }
+      if (body.action === "disable") {
+        const url = db.urls.find((item) => item.id === report.urlId);
+        if (!url) {
+          throw new MockHttpError(404, "URL not found");
+        }
+        disableUrl(db, url, body);
+      } else if (body.action === "dismiss") {
+        report.status = "dismissed";
+      } else {
+        throw new MockHttpError(400, "Unknown action");
+      }
+      return { data: adminReport(db, report) };
+    },
+  ],
+];
@@ -0,0 +1,209 @@
+/*
+ * Stand-ins for the browser's EventSource and WebSocket that serve the live
+ * update stream (GET /api/urls/live) from the mock db. The app uses them
+ * when VITE_MOCK_API=true; tests can hand them to configureLiveUpdates()
+ * and drive the stream with the helpers exported from mockApi.js.
+ *
+ * Events are JSON messages: { id, type, ... } where type is "click",
+ * "url.created", "url.updated", "url.deleted", "url.restored" or "resync"
+ * (the client asked to resume from an event that's no longer kept).
+ */
+
+// How many past events are kept for clients resuming with last_event_id
+const MAX_LOGGED_EVENTS = 200;
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 2;
+
+// Set by mockApi.js: { getDb, getOptions, authorize }
+let context = null;
+
+export const attachLiveStream = (nextContext) => {
+  context = nextContext;
+};
+
+const connections = new Set();
+let clickTimer = null;
+
+// Where a link's events are visible: its workspace, or its owner's
+// personal links
+export const linkScope = (url) => ({
+  workspaceId: url.workspaceId || null,
+  userId: url.userId,
+});
+
+// A null scope reaches every connection
+const canSee = (connection, scope) =>
+  !scope ||
+  (scope.workspaceId
+    ? scope.workspaceId === connection.workspaceId
+    : !connection.workspaceId && scope.userId === connection.userId);
+
+// Records an event and sends it to the open connections that can see it
+export const publishLiveEvent = (db, event, scope = null) => {
+  const lastId = Number(db.liveEvents.at(-1)?.event.id ?? 0);
+  const entry = { event: { ...event, id: String(lastId + 1) }, scope };
+  db.liveEvents.push(entry);
+  if (db.liveEvents.length > MAX_LOGGED_EVENTS) {
+    db.liveEvents.shift();
+  }
+  connections.forEach((connection) => {
+    if (connection.db === db && canSee(connection, scope)) {
+      connection.deliver(entry.event);
+    }
+  });
+};
+
+// Stands in for visitors: every `liveClickMs` a random active link that
+// someone is watching gets a click
+const simulateClick = () => {
+  const db = context.getDb();
+  const now = Date.now();
+  const watched = db.urls.filter(
+    (url) =>
+      !url.maxClicks &&
+      !url.disabled &&
+      !(url.expiresAt && new Date(url.expiresAt).getTime() <= now) &&
+      [...connections].some(
+        (connection) =>
+          connection.db === db && canSee(connection, linkScope(url)),
+      ),
+  );
+  if (watched.length === 0) {
+    return;
+  }
+  const url = watched[Math.floor(Math.random() * watched.length)];
+  url.clicks += 1;
+  publishLiveEvent(
+    db,
+    { type: "click", urlId: url.id, clicks: url.clicks },
+    linkScope(url),
+  );
+};
+
+const updateClickTimer = () => {
+  const { liveClickMs } = context.getOptions();
+  if (connections.size > 0 && liveClickMs > 0 && !clickTimer) {
+    clickTimer = setInterval(simulateClick, liveClickMs);
+  } else if (connections.size === 0 && clickTimer) {
+    clearInterval(clickTimer);
+    clickTimer = null;
+  }
+};
+
+class MockLiveConnection {
+  constructor(url) {
+    this.url = String(url);
+    this.readyState = CONNECTING;
+    this.onopen = null;
+    this.onmessage = null;
+    const { searchParams } = new URL(this.url, "http://mock.local");
+    this.query = Object.fromEntries(searchParams);
+    setTimeout(() => this.connect(), context.getOptions().latencyMs);
+  }
+
+  connect() {
+    if (this.readyState !== CONNECTING) {
+      return;
+    }
+    const db = context.getDb();
+    let scope;
+    try {
+      if (this.isBlocked(context.getOptions())) {
+        throw new Error("blocked");
+      }
+      scope = context.authorize(db, this.query);
+    } catch {
+      this.fail();
+      return;
+    }
+    Object.assign(this, scope, { db });
+    this.readyState = OPEN;
+    connections.add(this);
+    updateClickTimer();
+    this.onopen?.({});
+    this.replay();
+  }
+
+  // Sends what happened since `last_event_id`, or asks the client to
+  // reload when those events are gone
+  replay() {
+    const lastId = Number(this.query.last_event_id);
+    if (!lastId) {
+      return;
+    }
+    const log = this.db.liveEvents;
+    const oldestId = Number(log[0]?.event.id ?? lastId + 1);
+    if (oldestId > lastId + 1) {
+      this.deliver({ type: "resync" });
+      return;
+    }
+    log
+      .filter(
+        (entry) => Number(entry.event.id) > lastId && canSee(this, entry.scope),
+      )
+      .forEach((entry) => this.deliver(entry.event));
+  }
+
+  fail() {
+    this.readyState = CLOSED;
+    connections.delete(this);
+    updateClickTimer();
+    this.dispatchError();
+  }
+
+  close() {
+    this.readyState = CLOSED;
+    connections.delete(this);
+    updateClickTimer();
+  }
+}
+
+export class MockEventSource extends MockLiveConnection {
+  constructor(url) {
+    super(url);
+    this.onerror = null;
+  }
+
+  isBlocked(options) {
+    return options.blockEventStream;
+  }
+
+  deliver(event) {
+    this.onmessage?.({ data: JSON.stringify(event), lastEventId: event.id });
+  }
+
+  dispatchError() {
+    this.onerror?.({});
+  }
+}
+
+export class MockWebSocket extends MockLiveConnection {
+  constructor(url) {
+    super(url);
+    this.onclose = null;
+  }
+
+  isBlocked() {
+    return false;
+  }
+
+  deliver(event) {
+    this.onmessage?.({ data: JSON.stringify(event) });
+  }
+
+  dispatchError() {
+    this.onclose?.({ code: 1006 });
+  }
+
+  close() {
+    super.close();
+    this.onclose?.({ code: 1000 });
+  }
+}
+
+// Ends every open stream as if the server went away
+export const dropLiveConnections = () => {
+  [...connections].forEach((connection) => connection.fail());
+};
@@ -0,0 +1,233 @@
+import { AxiosError } from "axios";
+import { createMockDb } from "./mockDb";
+import { MockHttpError, routes, authorizeLiveStream } from "./handlers";
+import {
+  attachLiveStream,
+  publishLiveEvent,
+  dropLiveConnections,
+} from "./liveStream";
+
+export { MockEventSource, MockWebSocket } from "./liveStream";
+
+/*
+ * An axios adapter that answers API calls from an in-memory store instead
+ * of the network. The app installs it when VITE_MOCK_API=true; tests can
+ * install it on their own instance with `axiosInstance.defaults.adapter =
+ * mockAdapter` and drive it through the helpers below (installMockApi() in
+ * testing.js does this for Vitest).
+ *
+ * Seeded logins (password "password123"): demo@example.com,
+ * new@example.com which hasn't verified its email yet, and 2fa@example.com
+ * which has two-factor on (see mockDb.js for its secret)
+ *
+ * Env options:
+ *   VITE_MOCK_LATENCY    - delay per request in ms (default 300)
+ *   VITE_MOCK_ERROR_RATE - chance 0..1 that any request fails with a 503
+ *   VITE_MOCK_LIVE_CLICKS - ms between simulated clicks on watched links
+ *                           (default 5000, 0 for none)
+ *   VITE_MOCK_EVENT_STREAM - "false" to refuse the event stream, so live
+ *                            updates fall back to WebSocket
+ */
+
+const env = import.meta.env || {};
+
+let options = {
+  latencyMs: Number(env.VITE_MOCK_LATENCY ?? 300),
+  errorRate: Number(env.VITE_MOCK_ERROR_RATE ?? 0),
+  liveClickMs: Number(env.VITE_MOCK_LIVE_CLICKS ?? 5000),
+  blockEventStream: env.VITE_MOCK_EVENT_STREAM === "false",
+};
+
+let db = createMockDb();
+
+// Queued one-off failures, matched before the route runs
+let failures = [];
+
+attachLiveStream({
+  getDb: () => db,
+  getOptions: () => options,
+  authorize: authorizeLiveStream,
+});
+
+export const configureMock = (overrides) => {
+  options = { ...options, ...overrides };
+};
+
+export const resetMockDb = ({ seed = true } = {}) => {
+  db = createMockDb({ seed });
+  failures = [];
+  return db;
+};
+
+export const getMockDb = () => db;
+
+// Pushes an event to every open live update stream, e.g.
+// { type: "click", urlId, clicks }
+export const emitLiveEvent = (event) => publishLiveEvent(db, event);
+
+export { dropLiveConnections };
+
+// Makes the next `times` matching requests fail; `network: true` simulates
+// a network error with no response.
+export const failNextRequest = (
+  method,
+  path,
+  {
+    status = 500,
+    message = "Injected failure",
+    times = 1,
+    network = false,
+  } = {},
+) => {
+  failures.push({
+    method: method.toLowerCase(),
+    path,
+    status: network ? 0 : status,
+    message,
+    times,
+  });
+};
+
+const compiledRoutes = routes.map(([method, pattern, handler]) => {
+  const keys = [];
+  const source = pattern.replace(/:(\w+)/g, (_, key) => {
+    keys.push(key);
+    return "([^/]+)";
+  });
+  return {
+    method,
+    pattern,
+    regex: new RegExp(`^${source}/?$`),
+    keys,
+    handler,
+  };
+});
+
+const matchRoute = (method, path) => {
+  for (const route of compiledRoutes) {
+    const match = route.method === method && route.regex.exec(path);
+    if (match) {
+      const params = {};
+      route.keys.forEach((key, index) => {
+        params[key] = decodeURIComponent(match[index + 1]);
+      });
+      return { handler: route.handler, pattern: route.pattern, params };
+    }
+  }
+  return null;
+};
+
+// `path` may be concrete ("/urls/3") or a route pattern ("/urls/:id")
+const takeFailure = (method, path) => {
+  const pattern = matchRoute(method, path)?.pattern;
+  const failure = failures.find(
+    (item) =>
+      item.method === method && (item.path === path || item.path === pattern),
+  );
+  if (!failure) {
+    return null;
+  }
+  failure.times -= 1;
+  if (failure.times <= 0) {
+    failures = failures.filter((item) => item !== failure);
+  }
+  return failure;
+};
+
+const parseBody = (data) => {
+  if (!data) {
+    return {};
+  }
+  if (typeof data !== "string") {
+    return data;
+  }
+  try {
+    return JSON.parse(data);
+  } catch {
+    return {};
+  }
+};
+
+const wait = (ms) =>
+  ms > 0 ? new Promise((resolve) => setTimeout(resolve, ms)) : null;
+
+// Path relative to the API root, so "/api/urls/user",
+// "http://host/api/urls/user" and "/urls/user" all resolve the same route
+const toRequest = (config) => {
+  const url = new URL(config.url, "http://mock.local");
+  const path = url.pathname.replace(/^\/api(?=\/)/, "");
+  const query = Object.fromEntries(url.searchParams);
+  Object.entries(config.params || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      query[key] = String(value);
+    }
+  });
+  return {
+    method: (config.method || "get").toLowerCase(),
+    path,
+    query,
+    body: parseBody(config.data),
+  };
+};
+
+const respond = (config, status, data) => {
+  // Serialised like a real response so callers can't share (or freeze)
+  // objects held by the store
+  const response = {
+    data: JSON.stringify(data),
+    status,
+    statusText: String(status),
+    headers: { "content-type": "application/json" },
+    config,
+    request: {},
+  };
+  const validateStatus = config.validateStatus;
+  if (!validateStatus || validateStatus(status)) {
+    return response;
+  }
+  throw new AxiosError(
+    `Request failed with status code ${status}`,
+    status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    response.request,
+    response,
+  );
+};
+
+export const mockAdapter = async (config) => {
+  await wait(options.latencyMs);
+  const { method, path, query, body } = toRequest(config);
+
+  const failure = takeFailure(method, path);
+  if (failure?.status === 0) {
+    throw new AxiosError("Network Error", AxiosError.ERR_NETWORK, config, {});
+  }
+  if (failure) {
+    return respond(config, failure.status, { message: failure.message });
+  }
+  if (options.errorRate > 0 && Math.random() < options.errorRate) {
+    return respond(config, 503, { message: "Mock server unavailable" });
+  }
+
+  const route = matchRoute(method, path);
+  if (!route) {
+    return respond(config, 404, {
+      message: `Mock API has no route for ${method.toUpperCase()} ${path}`,
+    });
+  }
+
+  try {
+    const result = await route.handler({
+      db,
+      params: route.params,
+      query,
+      body,
+    });
+    return respond(config, result.status || 200, result.data ?? null);
+  } catch (error) {
+    if (error instanceof MockHttpError) {
+      return respond(config, error.status, error.data);
+    }
+    throw error;
+  }
+};
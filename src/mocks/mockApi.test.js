@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { configureRetry } from "../utils/axiosConfig";
+import { createStore } from "../redux/store";
+import { login } from "../redux/slices/authSlice";
+import { fetchUserUrls, shortenUrl } from "../redux/slices/urlSlice";
+import {
+  configureMock,
+  resetMockDb,
+  getMockDb,
+  failNextRequest,
+} from "./mockApi";
+import { installMockApi, createLoggedInStore } from "./testing";
+
+describe("mock API", () => {
+  beforeEach(() => {
+    installMockApi();
+  });
+
+  it("answers slice thunks from the seeded db", async () => {
+    const store = await createLoggedInStore();
+    expect(store.getState().auth.isAuthenticated).toBe(true);
+
+    await store.dispatch(fetchUserUrls({ page: 1, limit: 10 })).unwrap();
+    const { urls, pagination } = store.getState().urls;
+    const demoId = getMockDb().users.find(
+      (user) => user.emailId === "demo@example.com",
+    ).id;
+    const ownLinks = getMockDb().urls.filter(
+      (url) => url.userId === demoId && !url.workspaceId && !url.deletedAt,
+    );
+    expect(pagination.total).toBe(ownLinks.length);
+    expect(urls.length).toBe(Math.min(10, ownLinks.length));
+  });
+
+  it("writes to the db, and resetMockDb starts over", async () => {
+    const store = await createLoggedInStore();
+    const created = await store
+      .dispatch(shortenUrl({ longUrl: "https://example.org/new" }))
+      .unwrap();
+    expect(getMockDb().urls[0]).toMatchObject({
+      id: created.id,
+      longUrl: "https://example.org/new",
+    });
+
+    resetMockDb({ seed: false });
+    expect(getMockDb().urls).toEqual([]);
+    const result = await createStore().dispatch(
+      login({ email: "demo@example.com", password: "password123" }),
+    );
+    expect(result.payload.message).toBe("Invalid email or password");
+  });
+
+  it("fails the next matching request once", async () => {
+    const store = await createLoggedInStore();
+    failNextRequest("post", "/urls/create", {
+      status: 500,
+      message: "Disk full",
+    });
+
+    const failed = await store.dispatch(
+      shortenUrl({ longUrl: "https://example.org/a" }),
+    );
+    expect(failed.payload.message).toBe("Disk full");
+    expect(store.getState().notifications.items.at(-1)).toMatchObject({
+      level: "error",
+      message: "Disk full",
+    });
+
+    const retried = await store.dispatch(
+      shortenUrl({ longUrl: "https://example.org/a" }),
+    );
+    expect(retried.meta.requestStatus).toBe("fulfilled");
+  });
+
+  it("matches failures by route pattern and simulates network errors", async () => {
+    const store = await createLoggedInStore();
+    configureRetry({ retries: 1, baseDelayMs: 0, maxDelayMs: 0 });
+
+    // One network error is absorbed by the retry...
+    failNextRequest("get", "/urls/user", { network: true });
+    await expect(
+      store.dispatch(fetchUserUrls()).unwrap(),
+    ).resolves.toBeDefined();
+
+    // ...two are not
+    failNextRequest("get", "/urls/user", { network: true, times: 2 });
+    await expect(store.dispatch(fetchUserUrls()).unwrap()).rejects.toBe(
+      "Failed to fetch URLs",
+    );
+    expect(store.getState().urls.isLoading).toBe(false);
+  });
+
+  it("fails every request at an error rate of 1", async () => {
+    const store = await createLoggedInStore();
+    configureMock({ errorRate: 1 });
+    await expect(store.dispatch(fetchUserUrls()).unwrap()).rejects.toBe(
+      "Mock server unavailable",
+    );
+  });
+});
@@ -0,0 +1,406 @@
+// In-memory data behind the mock API. Everything resets on page reload or
+// when resetMockDb() is called (e.g. between tests).
+
+export const MOCK_SHORT_DOMAIN = "https://sho.rt";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deleted links wait this long in the trash before they're purged
+export const TRASH_RETENTION_MS = 30 * DAY_MS;
+
+let nextId = 1;
+export const newId = () => String(nextId++);
+
+const randomCode = () => Math.random().toString(36).slice(2, 8);
+
+export const createMockUrl = (db, userId, fields) => {
+  const shortCode = fields.customAlias || randomCode();
+  const url = {
+    id: newId(),
+    userId,
+    longUrl: fields.longUrl,
+    shortCode,
+    shortUrl: `${MOCK_SHORT_DOMAIN}/${shortCode}`,
+    customAlias: fields.customAlias || null,
+    createdAt: fields.createdAt || new Date().toISOString(),
+    expiresAt: fields.expiresAt || null,
+    clicks: fields.clicks ?? 0,
+    tagIds: fields.tagIds || [],
+    folderId: fields.folderId || null,
+    // Shared links belong to a workspace; null for personal links
+    workspaceId: fields.workspaceId || null,
+    // Kept in plain text: it's a mock. The API only reports `hasPassword`.
+    password: fields.password || null,
+    maxClicks: fields.maxClicks || null,
+    startsAt: fields.startsAt || null,
+    // Set when an admin takes the link down: { reason, note, at }
+    disabled: null,
+  };
+  db.urls.unshift(url);
+  return url;
+};
+
+export const seedMockDb = (db) => {
+  const user = {
+    id: newId(),
+    fullName: "Demo User",
+    emailId: "demo@example.com",
+    password: "password123",
+    emailVerified: true,
+  };
+  // Signed up but never clicked the link, for trying the resend flow
+  const unverified = {
+    id: newId(),
+    fullName: "New User",
+    emailId: "new@example.com",
+    password: "password123",
+    emailVerified: false,
+    lastVerificationSentAt: 0,
+  };
+  // 2FA on with a fixed secret: add JBSWY3DPEHPK3PXP to an authenticator
+  // app, or use a recovery code
+  const withTwoFactor = {
+    id: newId(),
+    fullName: "Secure User",
+    emailId: "2fa@example.com",
+    password: "password123",
+    emailVerified: true,
+    twoFactorEnabled: true,
+    twoFactorSecret: "JBSWY3DPEHPK3PXP",
+    recoveryCodes: ["aaaa-1111", "bbbb-2222", "cccc-3333"],
+  };
+  // Can open /admin; everyone else is a plain user
+  const admin = {
+    id: newId(),
+    fullName: "Site Admin",
+    emailId: "admin@example.com",
+    password: "password123",
+    emailVerified: true,
+    role: "admin",
+  };
+  // Already suspended, with links in the abuse queue
+  const spammer = {
+    id: newId(),
+    fullName: "Prize Desk",
+    emailId: "prizes@example.net",
+    password: "password123",
+    emailVerified: true,
+    suspended: {
+      reason: "Phishing links",
+      at: new Date(Date.now() - 2 * DAY_MS).toISOString(),
+    },
+  };
+  db.users.push(user, unverified, withTwoFactor, admin, spammer);
+
+  // Fixed tokens for trying the stale-link screens:
+  // /reset-password/expired-token and /reset-password/used-token
+  db.resetTokens.push(
+    {
+      token: "expired-token",
+      userId: user.id,
+      expiresAt: Date.now() - DAY_MS,
+      used: false,
+    },
+    {
+      token: "used-token",
+      userId: user.id,
+      expiresAt: Date.now() + DAY_MS,
+      used: true,
+    },
+  );
+
+  // Other devices, for the settings page's session list
+  db.sessions.push(
+    {
+      id: newId(),
+      userId: user.id,
+      device: "Safari on iPhone",
+      ip: "203.0.113.24",
+      location: "Berlin, DE",
+      lastActiveAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
+    },
+    {
+      id: newId(),
+      userId: user.id,
+      device: "Firefox on Windows",
+      ip: "198.51.100.7",
+      location: "Madrid, ES",
+      lastActiveAt: new Date(Date.now() - 6 * DAY_MS).toISOString(),
+    },
+  );
+
+  // A key that has already been used, for the API keys page
+  db.apiKeys.push({
+    id: newId(),
+    userId: user.id,
+    name: "Newsletter tool",
+    prefix: "usk_7hq2mxkd",
+    scopes: ["links:read", "links:create"],
+    createdAt: new Date(Date.now() - 40 * DAY_MS).toISOString(),
+    expiresAt: new Date(Date.now() + 50 * DAY_MS).toISOString(),
+    lastUsedAt: new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString(),
+  });
+
+  db.utmPresets.push({
+    id: newId(),
+    userId: user.id,
+    name: "Newsletter",
+    source: "newsletter",
+    medium: "email",
+    campaign: "",
+    term: "",
+    content: "",
+  });
+
+  const campaigns = { id: newId(), userId: user.id, name: "Campaigns" };
+  const docs = { id: newId(), userId: user.id, name: "Docs" };
+  db.folders.push(campaigns, docs);
+
+  const spring = {
+    id: newId(),
+    userId: user.id,
+    name: "spring",
+    color: "#28a745",
+  };
+  const social = {
+    id: newId(),
+    userId: user.id,
+    name: "social",
+    color: "#007bff",
+  };
+  db.tags.push(spring, social);
+
+  const now = Date.now();
+  [
+    {
+      longUrl:
+        "https://example.com/spring-sale?utm_source=newsletter&utm_medium=email&utm_campaign=spring-sale",
+      customAlias: "spring-sale",
+      clicks: 128,
+      folderId: campaigns.id,
+      tagIds: [spring.id],
+    },
+    {
+      longUrl:
+        "https://example.com/blog/launch?utm_source=twitter&utm_medium=social&utm_campaign=launch",
+      clicks: 42,
+      tagIds: [social.id],
+    },
+    {
+      longUrl: "https://docs.example.com/getting-started",
+      customAlias: "docs",
+      clicks: 7,
+      folderId: docs.id,
+    },
+    {
+      longUrl: "https://example.com/winter-sale",
+      clicks: 310,
+      expiresAt: new Date(now - 10 * DAY_MS).toISOString(),
+      folderId: campaigns.id,
+    },
+    {
+      longUrl: "https://example.com/webinar",
+      clicks: 0,
+      expiresAt: new Date(now + 7 * DAY_MS).toISOString(),
+    },
+    // Open /go/q3-plan (password "letmein") or /go/invite to try the gate
+    {
+      longUrl: "https://intranet.example.com/q3-plan",
+      customAlias: "q3-plan",
+      clicks: 3,
+      password: "letmein",
+      maxClicks: 20,
+    },
+    {
+      longUrl: "https://example.com/invite/8f2c1a",
+      customAlias: "invite",
+      clicks: 0,
+      maxClicks: 1,
+    },
+  ].forEach((fields, index) => {
+    createMockUrl(db, user.id, {
+      ...fields,
+      createdAt: new Date(now - (index + 1) * 3 * DAY_MS).toISOString(),
+    });
+  });
+
+  // Demo owns "Marketing" and is only a viewer in "Product"
+  const marketing = {
+    id: newId(),
+    name: "Marketing",
+    createdAt: new Date(now - 60 * DAY_MS).toISOString(),
+  };
+  const product = {
+    id: newId(),
+    name: "Product",
+    createdAt: new Date(now - 30 * DAY_MS).toISOString(),
+  };
+  db.workspaces.push(marketing, product);
+  const member = (workspace, person, role) => ({
+    id: newId(),
+    workspaceId: workspace.id,
+    userId: person.id,
+    email: person.emailId,
+    role,
+    status: "active",
+  });
+  db.workspaceMembers.push(
+    member(marketing, user, "owner"),
+    member(marketing, withTwoFactor, "editor"),
+    {
+      id: newId(),
+      workspaceId: marketing.id,
+      userId: null,
+      email: "alex@example.com",
+      role: "viewer",
+      status: "invited",
+    },
+    member(product, withTwoFactor, "owner"),
+    member(product, user, "viewer"),
+  );
+  // Marketing's own folder and tag; demo's personal ones don't show there
+  const launches = {
+    id: newId(),
+    userId: withTwoFactor.id,
+    workspaceId: marketing.id,
+    name: "Launches",
+  };
+  db.folders.push(launches);
+  const summer = {
+    id: newId(),
+    userId: withTwoFactor.id,
+    workspaceId: marketing.id,
+    name: "summer",
+    color: "#fd7e14",
+  };
+  db.tags.push(summer);
+  createMockUrl(db, withTwoFactor.id, {
+    longUrl: "https://example.com/summer-campaign",
+    customAlias: "summer",
+    clicks: 56,
+    workspaceId: marketing.id,
+    folderId: launches.id,
+    tagIds: [summer.id],
+    createdAt: new Date(now - 5 * DAY_MS).toISOString(),
+  });
+  createMockUrl(db, user.id, {
+    longUrl: "https://example.com/newsletter-signup",
+    clicks: 19,
+    workspaceId: marketing.id,
+    createdAt: new Date(now - 2 * DAY_MS).toISOString(),
+  });
+  // Two links already in demo's trash; the older one is purged in two days
+  [
+    { longUrl: "https://example.com/spring-promo", deletedDaysAgo: 1 },
+    { longUrl: "https://example.com/old-landing", deletedDaysAgo: 28 },
+  ].forEach(({ deletedDaysAgo, ...fields }) => {
+    const url = createMockUrl(db, user.id, {
+      ...fields,
+      clicks: 42,
+      createdAt: new Date(now - 90 * DAY_MS).toISOString(),
+    });
+    db.urls = db.urls.filter((item) => item !== url);
+    db.trash.push({
+      ...url,
+      deletedAt: new Date(now - deletedDaysAgo * DAY_MS).toISOString(),
+    });
+  });
+
+  createMockUrl(db, withTwoFactor.id, {
+    longUrl: "https://example.com/changelog",
+    customAlias: "changelog",
+    clicks: 240,
+    workspaceId: product.id,
+    createdAt: new Date(now - 8 * DAY_MS).toISOString(),
+  });
+
+  // The abuse queue: two open reports against a lookalike login page, one
+  // against a link that's since been taken down, and one already dismissed
+  const lookalike = createMockUrl(db, spammer.id, {
+    longUrl: "https://examp1e-bank.net/login/verify-account",
+    customAlias: "bank-verify",
+    clicks: 913,
+    createdAt: new Date(now - 4 * DAY_MS).toISOString(),
+  });
+  const prize = createMockUrl(db, spammer.id, {
+    longUrl: "https://free-prizes.example.net/claim",
+    clicks: 77,
+    createdAt: new Date(now - 6 * DAY_MS).toISOString(),
+  });
+  prize.disabled = {
+    reason: "spam",
+    note: "Prize scam",
+    at: new Date(now - 2 * DAY_MS).toISOString(),
+  };
+  [
+    {
+      url: lookalike,
+      reason: "phishing",
+      details: "Asks for my bank login and looks like my bank's site",
+      reporterEmail: "alex@example.org",
+      hoursAgo: 3,
+    },
+    {
+      url: lookalike,
+      reason: "phishing",
+      details: "Came in a text message claiming my account was locked",
+      reporterEmail: null,
+      hoursAgo: 20,
+    },
+    {
+      url: prize,
+      reason: "spam",
+      details: "Posted in every comment thread",
+      reporterEmail: "mod@forum.example.org",
+      hoursAgo: 60,
+      status: "resolved",
+    },
+    {
+      url: db.urls.find((item) => item.shortCode === "docs"),
+      reason: "other",
+      details: "Not sure this is official",
+      reporterEmail: null,
+      hoursAgo: 30,
+      status: "dismissed",
+    },
+  ].forEach(({ url, hoursAgo, status = "open", ...fields }) => {
+    db.abuseReports.push({
+      id: newId(),
+      urlId: url.id,
+      ...fields,
+      status,
+      createdAt: new Date(now - hoursAgo * 60 * 60 * 1000).toISOString(),
+    });
+  });
+};
+
+export const createMockDb = ({ seed = true } = {}) => {
+  const db = {
+    users: [],
+    urls: [],
+    // Soft-deleted links, with `deletedAt`, until restored or purged
+    trash: [],
+    tags: [],
+    folders: [],
+    resetTokens: [],
+    verificationTokens: [],
+    sessions: [],
+    twoFactorChallenges: [],
+    apiKeys: [],
+    workspaces: [],
+    workspaceMembers: [],
+    utmPresets: [],
+    // { id, urlId, reason, details, reporterEmail, status, createdAt }
+    // where status is open | resolved | dismissed
+    abuseReports: [],
+    // Recent live update events, oldest first, so a reconnecting client can
+    // be sent what it missed (see liveStream.js)
+    liveEvents: [],
+    // The mock "cookie": id of the current entry in `sessions`, or null
+    currentSessionId: null,
+  };
+  if (seed) {
+    seedMockDb(db);
+  }
+  return db;
+};
@@ -0,0 +1,32 @@
+import axiosInstance, { configureRetry } from "../utils/axiosConfig";
+import { createStore } from "../redux/store";
+import { login } from "../redux/slices/authSlice";
+import { mockAdapter, configureMock, resetMockDb } from "./mockApi";
+
+/*
+ * Helpers for tests that run slices and components against the mock API.
+ * Call installMockApi() in beforeEach: it points the app's axios instance
+ * at the mock adapter with no latency, retries, random failures or
+ * simulated clicks, and reseeds the db. `options` go to configureMock.
+ */
+export const installMockApi = ({ seed = true, ...options } = {}) => {
+  axiosInstance.defaults.adapter = mockAdapter;
+  configureRetry({ retries: 0 });
+  configureMock({
+    latencyMs: 0,
+    errorRate: 0,
+    liveClickMs: 0,
+    blockEventStream: false,
+    ...options,
+  });
+  return resetMockDb({ seed });
+};
+
+export const SEEDED_PASSWORD = "password123";
+
+// A fresh store, logged in as one of the seeded users
+export const createLoggedInStore = async (email = "demo@example.com") => {
+  const store = createStore();
+  await store.dispatch(login({ email, password: SEEDED_PASSWORD })).unwrap();
+  return store;
+};
@@ -0,0 +1,65 @@
+// RFC 6238 TOTP (SHA-1, 6 digits, 30s steps), the same variant
+// authenticator apps use, so codes from a real app work against the mock.
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+export const randomBase32 = (length = 32) => {
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  return Array.from(bytes, (byte) => BASE32_ALPHABET[byte % 32]).join("");
+};
+
+const base32ToBytes = (secret) => {
+  const clean = secret.replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of clean) {
+    buffer = (buffer << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  return new Uint8Array(bytes);
+};
+
+const hotp = async (secret, counter) => {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    base32ToBytes(secret),
+    { name: "HMAC", hash: "SHA-1" },
+    false,
+    ["sign"],
+  );
+  const message = new DataView(new ArrayBuffer(8));
+  message.setUint32(0, Math.floor(counter / 2 ** 32));
+  message.setUint32(4, counter >>> 0);
+  const hmac = new Uint8Array(await crypto.subtle.sign("HMAC", key, message));
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const counterAt = (time) => Math.floor(time / 1000 / STEP_SECONDS);
+
+export const generateTotp = (secret, time = Date.now()) =>
+  hotp(secret, counterAt(time));
+
+// Accepts the previous and next step too, to allow for clock drift
+export const verifyTotp = async (secret, code, time = Date.now()) => {
+  const counter = counterAt(time);
+  for (const step of [counter - 1, counter, counter + 1]) {
+    if ((await hotp(secret, step)) === String(code).trim()) {
+      return true;
+    }
+  }
+  return false;
+};
@@ -0,0 +1,288 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axiosInstance from "../../utils/axiosConfig";
+import { translate } from "../../i18n";
+
+// Async thunks
+// Resolves with the updated user; authSlice merges it into `auth.user`.
+// A new email isn't applied until it's verified: the API keeps `emailId`
+// and reports the new address as `pendingEmail`.
+export const updateProfile = createAsyncThunk(
+  "account/updateProfile",
+  async ({ fullName, email }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.patch("/auth/me", {
+        fullName,
+        email,
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("account.profileFailed"),
+      );
+    }
+  },
+);
+
+export const changePassword = createAsyncThunk(
+  "account/changePassword",
+  async ({ currentPassword, newPassword }, { rejectWithValue }) => {
+    try {
+      await axiosInstance.post("/auth/change-password", {
+        currentPassword,
+        newPassword,
+      });
+      return null;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("account.passwordFailed"),
+      );
+    }
+  },
+);
+
+export const fetchSessions = createAsyncThunk(
+  "account/fetchSessions",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get("/auth/sessions");
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("account.sessionsFailed"),
+      );
+    }
+  },
+);
+
+export const revokeSession = createAsyncThunk(
+  "account/revokeSession",
+  async (sessionId, { rejectWithValue }) => {
+    try {
+      await axiosInstance.delete(`/auth/sessions/${sessionId}`);
+      return sessionId;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message ||
+          translate("account.revokeSessionFailed"),
+      );
+    }
+  },
+);
+
+// authSlice clears the user when this succeeds
+export const deleteAccount = createAsyncThunk(
+  "account/deleteAccount",
+  async (_, { rejectWithValue }) => {
+    try {
+      await axiosInstance.delete("/auth/me");
+      return null;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("account.deleteFailed"),
+      );
+    }
+  },
+);
+
+// Two-factor setup is two calls: `startTwoFactorSetup` gets a fresh secret
+// (shown as a QR code), then `confirmTwoFactorSetup` turns 2FA on once the
+// user proves their app works by entering a code from it.
+export const startTwoFactorSetup = createAsyncThunk(
+  "account/startTwoFactorSetup",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post("/auth/2fa/setup");
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message ||
+          translate("account.twoFactorSetupFailed"),
+      );
+    }
+  },
+);
+
+// Resolves with the one-time recovery codes; they're only shown once
+export const confirmTwoFactorSetup = createAsyncThunk(
+  "account/confirmTwoFactorSetup",
+  async (code, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post("/auth/2fa/enable", { code });
+      return response.data.recoveryCodes || [];
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message ||
+          translate("account.twoFactorCodeFailed"),
+      );
+    }
+  },
+);
+
+export const disableTwoFactor = createAsyncThunk(
+  "account/disableTwoFactor",
+  async ({ password, code }, { rejectWithValue }) => {
+    try {
+      await axiosInstance.post("/auth/2fa/disable", { password, code });
+      return null;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message ||
+          translate("account.twoFactorDisableFailed"),
+      );
+    }
+  },
+);
+
+const initialTwoFactor = {
+  step: "idle", // idle | setup | recovery-codes
+  secret: null,
+  otpauthUrl: null,
+  recoveryCodes: [],
+  isSaving: false,
+  error: null,
+};
+
+const initialSection = {
+  isSaving: false,
+  error: null,
+  successMessage: null,
+};
+
+const initialState = {
+  profile: initialSection,
+  password: initialSection,
+  deletion: initialSection,
+  twoFactor: initialTwoFactor,
+  sessions: [],
+  sessionsLoading: false,
+  sessionsError: null,
+  revokingIds: [],
+};
+
+// pending/fulfilled/rejected handlers for one settings section.
+// `successKey` is a catalog key, translated when the save finishes.
+const addSectionCases = (builder, thunk, section, successKey) => {
+  builder
+    .addCase(thunk.pending, (state) => {
+      state[section] = { ...initialSection, isSaving: true };
+    })
+    .addCase(thunk.fulfilled, (state) => {
+      state[section] = {
+        ...initialSection,
+        successMessage: successKey && translate(successKey),
+      };
+    })
+    .addCase(thunk.rejected, (state, action) => {
+      state[section] = { ...initialSection, error: action.payload };
+    });
+};
+
+const accountSlice = createSlice({
+  name: "account",
+  initialState,
+  reducers: {
+    clearSectionStatus: (state, action) => {
+      state[action.payload] = initialSection;
+    },
+    // Leaves setup, also dropping the secret and recovery codes
+    resetTwoFactorSetup: (state) => {
+      state.twoFactor = initialTwoFactor;
+    },
+  },
+  extraReducers: (builder) => {
+    // Profile, password and deletion forms
+    addSectionCases(
+      builder,
+      updateProfile,
+      "profile",
+      "account.profileUpdated",
+    );
+    addSectionCases(
+      builder,
+      changePassword,
+      "password",
+      "account.passwordChanged",
+    );
+    addSectionCases(builder, deleteAccount, "deletion", null);
+
+    // Two-factor authentication
+    builder
+      .addCase(startTwoFactorSetup.pending, (state) => {
+        state.twoFactor = { ...initialTwoFactor, isSaving: true };
+      })
+      .addCase(startTwoFactorSetup.fulfilled, (state, action) => {
+        state.twoFactor = {
+          ...initialTwoFactor,
+          step: "setup",
+          secret: action.payload.secret,
+          otpauthUrl: action.payload.otpauthUrl,
+        };
+      })
+      .addCase(startTwoFactorSetup.rejected, (state, action) => {
+        state.twoFactor = { ...initialTwoFactor, error: action.payload };
+      })
+      .addCase(confirmTwoFactorSetup.pending, (state) => {
+        state.twoFactor.isSaving = true;
+        state.twoFactor.error = null;
+      })
+      .addCase(confirmTwoFactorSetup.fulfilled, (state, action) => {
+        state.twoFactor = {
+          ...initialTwoFactor,
+          step: "recovery-codes",
+          recoveryCodes: action.payload,
+        };
+      })
+      .addCase(confirmTwoFactorSetup.rejected, (state, action) => {
+        state.twoFactor.isSaving = false;
+        state.twoFactor.error = action.payload;
+      })
+      .addCase(disableTwoFactor.pending, (state) => {
+        state.twoFactor = { ...initialTwoFactor, isSaving: true };
+      })
+      .addCase(disableTwoFactor.fulfilled, (state) => {
+        state.twoFactor = initialTwoFactor;
+      })
+      .addCase(disableTwoFactor.rejected, (state, action) => {
+        state.twoFactor = { ...initialTwoFactor, error: action.payload };
+      });
+
+    // Sessions
+    builder
+      .addCase(fetchSessions.pending, (state) => {
+        state.sessionsLoading = true;
+        state.sessionsError = null;
+      })
+      .addCase(fetchSessions.fulfilled, (state, action) => {
+        state.sessionsLoading = false;
+        state.sessions = action.payload;
+      })
+      .addCase(fetchSessions.rejected, (state, action) => {
+        state.sessionsLoading = false;
+        state.sessionsError = action.payload;
+      });
+
+    // Revoke session
+    builder
+      .addCase(revokeSession.pending, (state, action) => {
+        state.revokingIds.push(action.meta.arg);
+        state.sessionsError = null;
+      })
+      .addCase(revokeSession.fulfilled, (state, action) => {
+        state.revokingIds = state.revokingIds.filter(
+          (id) => id !== action.payload,
+        );
+        state.sessions = state.sessions.filter(
+          (session) => session.id !== action.payload,
+        );
+      })
+      .addCase(revokeSession.rejected, (state, action) => {
+        state.revokingIds = state.revokingIds.filter(
+          (id) => id !== action.meta.arg,
+        );
+        state.sessionsError = action.payload;
+      });
+  },
+});
+
+export const { clearSectionStatus, resetTwoFactorSetup } = accountSlice.actions;
+export default accountSlice.reducer;
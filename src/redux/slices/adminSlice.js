@@ -0,0 +1,308 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axiosInstance from "../../utils/axiosConfig";
+import { translate } from "../../i18n";
+
+// Why a link was taken down; labels are the admin.reason.* strings
+export const ABUSE_REASONS = ["phishing", "malware", "spam", "other"];
+
+// Report queue filters; "open" is the queue itself
+export const REPORT_STATUSES = ["open", "resolved", "dismissed", "all"];
+
+// Async thunks
+export const fetchAdminUsers = createAsyncThunk(
+  "admin/fetchAdminUsers",
+  async (query = {}, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get("/admin/users", {
+        params: query,
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("admin.usersFailed"),
+      );
+    }
+  },
+);
+
+// Also signs the user out everywhere
+export const suspendUser = createAsyncThunk(
+  "admin/suspendUser",
+  async ({ userId, reason }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post(
+        `/admin/users/${userId}/suspend`,
+        { reason },
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("admin.suspendFailed"),
+      );
+    }
+  },
+);
+
+export const reactivateUser = createAsyncThunk(
+  "admin/reactivateUser",
+  async (userId, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post(
+        `/admin/users/${userId}/reactivate`,
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("admin.reactivateFailed"),
+      );
+    }
+  },
+);
+
+// Every user's links. `status` narrows to "disabled" or "reported" ones.
+export const fetchAdminUrls = createAsyncThunk(
+  "admin/fetchAdminUrls",
+  async (query = {}, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get("/admin/urls", {
+        params: query,
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("admin.linksFailed"),
+      );
+    }
+  },
+);
+
+// A disabled link stops redirecting, and its open reports are resolved
+export const disableUrl = createAsyncThunk(
+  "admin/disableUrl",
+  async ({ urlId, reason, note }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post(
+        `/admin/urls/${urlId}/disable`,
+        { reason, note },
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("admin.disableFailed"),
+      );
+    }
+  },
+);
+
+export const enableUrl = createAsyncThunk(
+  "admin/enableUrl",
+  async (urlId, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post(`/admin/urls/${urlId}/enable`);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("admin.enableFailed"),
+      );
+    }
+  },
+);
+
+export const fetchAbuseReports = createAsyncThunk(
+  "admin/fetchAbuseReports",
+  async (status = "open", { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get("/admin/reports", {
+        params: { status },
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("admin.reportsFailed"),
+      );
+    }
+  },
+);
+
+// `action` is "disable" (with a reason and note, as for disableUrl) or
+// "dismiss". Resolves with the updated report.
+export const resolveReport = createAsyncThunk(
+  "admin/resolveReport",
+  async ({ reportId, action, reason, note }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post(
+        `/admin/reports/${reportId}/resolve`,
+        { action, reason, note },
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("admin.resolveFailed"),
+      );
+    }
+  },
+);
+
+const emptyPage = () => ({
+  items: [],
+  total: 0,
+  page: 1,
+  limit: 25,
+  isLoading: false,
+  pendingIds: [],
+});
+
+const initialState = {
+  users: emptyPage(),
+  urls: emptyPage(),
+  reports: { items: [], status: "open", isLoading: false, pendingIds: [] },
+};
+
+const removePending = (list, id) => {
+  list.pendingIds = list.pendingIds.filter((item) => item !== id);
+};
+
+const replaceItem = (list, item) => {
+  const index = list.items.findIndex((existing) => existing.id === item.id);
+  if (index !== -1) {
+    list.items[index] = item;
+  }
+};
+
+// A disabled link settles every open report against it
+const settleReports = (reports, urlId) => {
+  if (reports.status === "open") {
+    reports.items = reports.items.filter((report) => report.urlId !== urlId);
+    return;
+  }
+  reports.items.forEach((report) => {
+    if (report.urlId === urlId && report.status === "open") {
+      report.status = "resolved";
+    }
+  });
+};
+
+const adminSlice = createSlice({
+  name: "admin",
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    // Users
+    builder
+      .addCase(fetchAdminUsers.pending, (state) => {
+        state.users.isLoading = true;
+      })
+      .addCase(fetchAdminUsers.fulfilled, (state, action) => {
+        const { users, total, page, limit } = action.payload;
+        Object.assign(state.users, {
+          items: users,
+          total,
+          page,
+          limit,
+          isLoading: false,
+        });
+      })
+      .addCase(fetchAdminUsers.rejected, (state) => {
+        state.users.isLoading = false;
+      })
+      .addCase(suspendUser.pending, (state, action) => {
+        state.users.pendingIds.push(action.meta.arg.userId);
+      })
+      .addCase(suspendUser.fulfilled, (state, action) => {
+        removePending(state.users, action.meta.arg.userId);
+        replaceItem(state.users, action.payload);
+      })
+      .addCase(suspendUser.rejected, (state, action) => {
+        removePending(state.users, action.meta.arg.userId);
+      })
+      .addCase(reactivateUser.pending, (state, action) => {
+        state.users.pendingIds.push(action.meta.arg);
+      })
+      .addCase(reactivateUser.fulfilled, (state, action) => {
+        removePending(state.users, action.meta.arg);
+        replaceItem(state.users, action.payload);
+      })
+      .addCase(reactivateUser.rejected, (state, action) => {
+        removePending(state.users, action.meta.arg);
+      });
+
+    // Links
+    builder
+      .addCase(fetchAdminUrls.pending, (state) => {
+        state.urls.isLoading = true;
+      })
+      .addCase(fetchAdminUrls.fulfilled, (state, action) => {
+        const { urls, total, page, limit } = action.payload;
+        Object.assign(state.urls, {
+          items: urls,
+          total,
+          page,
+          limit,
+          isLoading: false,
+        });
+      })
+      .addCase(fetchAdminUrls.rejected, (state) => {
+        state.urls.isLoading = false;
+      })
+      .addCase(disableUrl.pending, (state, action) => {
+        state.urls.pendingIds.push(action.meta.arg.urlId);
+      })
+      .addCase(disableUrl.fulfilled, (state, action) => {
+        removePending(state.urls, action.meta.arg.urlId);
+        replaceItem(state.urls, action.payload);
+        settleReports(state.reports, action.payload.id);
+      })
+      .addCase(disableUrl.rejected, (state, action) => {
+        removePending(state.urls, action.meta.arg.urlId);
+      })
+      .addCase(enableUrl.pending, (state, action) => {
+        state.urls.pendingIds.push(action.meta.arg);
+      })
+      .addCase(enableUrl.fulfilled, (state, action) => {
+        removePending(state.urls, action.meta.arg);
+        replaceItem(state.urls, action.payload);
+      })
+      .addCase(enableUrl.rejected, (state, action) => {
+        removePending(state.urls, action.meta.arg);
+      });
+
+    // Abuse reports
+    builder
+      .addCase(fetchAbuseReports.pending, (state, action) => {
+        state.reports.isLoading = true;
+        state.reports.status = action.meta.arg || "open";
+      })
+      .addCase(fetchAbuseReports.fulfilled, (state, action) => {
+        state.reports.isLoading = false;
+        state.reports.items = action.payload;
+      })
+      .addCase(fetchAbuseReports.rejected, (state) => {
+        state.reports.isLoading = false;
+      })
+      .addCase(resolveReport.pending, (state, action) => {
+        state.reports.pendingIds.push(action.meta.arg.reportId);
+      })
+      .addCase(resolveReport.fulfilled, (state, action) => {
+        const report = action.payload;
+        removePending(state.reports, report.id);
+        if (report.status === "resolved") {
+          settleReports(state.reports, report.urlId);
+          if (report.url) {
+            replaceItem(state.urls, report.url);
+          }
+        }
+        if (state.reports.status === "open") {
+          state.reports.items = state.reports.items.filter(
+            (item) => item.id !== report.id,
+          );
+        } else {
+          replaceItem(state.reports, report);
+        }
+      })
+      .addCase(resolveReport.rejected, (state, action) => {
+        removePending(state.reports, action.meta.arg.reportId);
+      });
+  },
+});
+
+export default adminSlice.reducer;
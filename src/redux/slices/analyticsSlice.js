@@ -0,0 +1,121 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axiosInstance from "../../utils/axiosConfig";
+import { translate } from "../../i18n";
+
+// `labelKey`s are catalog keys (see src/i18n)
+export const ANALYTICS_RANGES = [
+  { id: "24h", labelKey: "analytics.range.24h" },
+  { id: "7d", labelKey: "analytics.range.7d" },
+  { id: "30d", labelKey: "analytics.range.30d" },
+  { id: "90d", labelKey: "analytics.range.90d" },
+  { id: "all", labelKey: "analytics.range.all" },
+];
+
+// The API may return breakdowns either as arrays of { name, count } or as
+// plain { name: count } maps; normalise both to sorted arrays.
+const toBreakdown = (value) => {
+  const entries = Array.isArray(value)
+    ? value.map((item) => ({
+        name:
+          item.name ?? item.label ?? item.key ?? translate("analytics.unknown"),
+        count: Number(item.count ?? item.clicks ?? 0),
+      }))
+    : Object.entries(value || {}).map(([name, count]) => ({
+        name,
+        count: Number(count),
+      }));
+  return entries.sort((a, b) => b.count - a.count);
+};
+
+const normaliseAnalytics = (data) => {
+  const clicksOverTime = (data?.clicksOverTime || data?.timeline || []).map(
+    (point) => ({
+      date: point.date ?? point.bucket,
+      clicks: Number(point.clicks ?? point.count ?? 0),
+    }),
+  );
+  return {
+    url: data?.url || null,
+    totalClicks: Number(
+      data?.totalClicks ??
+        clicksOverTime.reduce((sum, point) => sum + point.clicks, 0),
+    ),
+    clicksOverTime,
+    referrers: toBreakdown(data?.referrers),
+    countries: toBreakdown(data?.countries),
+    devices: toBreakdown(data?.devices),
+    browsers: toBreakdown(data?.browsers),
+  };
+};
+
+// Async thunks
+export const fetchUrlAnalytics = createAsyncThunk(
+  "analytics/fetchUrlAnalytics",
+  async ({ urlId, range }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get(
+        `/urls/${encodeURIComponent(urlId)}/analytics`,
+        {
+          params: { range },
+        },
+      );
+      return normaliseAnalytics(response.data);
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("analytics.loadFailed"),
+      );
+    }
+  },
+);
+
+const initialState = {
+  urlId: null,
+  range: "7d",
+  data: null,
+  requestId: null,
+  isLoading: false,
+  error: null,
+};
+
+const analyticsSlice = createSlice({
+  name: "analytics",
+  initialState,
+  reducers: {
+    setRange: (state, action) => {
+      state.range = action.payload;
+    },
+    clearAnalytics: () => initialState,
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchUrlAnalytics.pending, (state, action) => {
+        const { urlId } = action.meta.arg;
+        // Drop stale data when switching to a different link
+        if (state.urlId !== urlId) {
+          state.data = null;
+        }
+        state.urlId = urlId;
+        state.requestId = action.meta.requestId;
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchUrlAnalytics.fulfilled, (state, action) => {
+        // Ignore responses for a range the user has already moved away from
+        if (state.requestId !== action.meta.requestId) {
+          return;
+        }
+        state.isLoading = false;
+        state.data = action.payload;
+      })
+      .addCase(fetchUrlAnalytics.rejected, (state, action) => {
+        if (state.requestId !== action.meta.requestId) {
+          return;
+        }
+        state.isLoading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export const { setRange, clearAnalytics } = analyticsSlice.actions;
+export default analyticsSlice.reducer;
@@ -0,0 +1,140 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axiosInstance from "../../utils/axiosConfig";
+import { translate } from "../../i18n";
+
+// `labelKey`s are catalog keys (see src/i18n)
+export const API_KEY_SCOPES = [
+  { id: "links:read", labelKey: "apiKeys.scope.read" },
+  { id: "links:create", labelKey: "apiKeys.scope.create" },
+  { id: "links:delete", labelKey: "apiKeys.scope.delete" },
+];
+
+// Async thunks
+export const fetchApiKeys = createAsyncThunk(
+  "apiKeys/fetchApiKeys",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get("/api-keys");
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("apiKeys.fetchFailed"),
+      );
+    }
+  },
+);
+
+// The API answers with `{ key, secret }`. The secret is never returned
+// again, so it's kept in `createdSecret` only until the user dismisses it.
+export const createApiKey = createAsyncThunk(
+  "apiKeys/createApiKey",
+  async ({ name, scopes, expiresAt }, { rejectWithValue }) => {
+    try {
+      const payload = { name, scopes };
+      if (expiresAt) {
+        payload.expires_at = expiresAt;
+      }
+      const response = await axiosInstance.post("/api-keys", payload);
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("apiKeys.createFailed"),
+      );
+    }
+  },
+);
+
+export const revokeApiKey = createAsyncThunk(
+  "apiKeys/revokeApiKey",
+  async (keyId, { rejectWithValue }) => {
+    try {
+      await axiosInstance.delete(`/api-keys/${keyId}`);
+      return keyId;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("apiKeys.revokeFailed"),
+      );
+    }
+  },
+);
+
+const initialState = {
+  keys: [],
+  createdSecret: null, // { keyId, name, secret } right after creation
+  revokingIds: [],
+  isLoading: false,
+  isCreating: false,
+  error: null,
+};
+
+const apiKeySlice = createSlice({
+  name: "apiKeys",
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+    clearCreatedSecret: (state) => {
+      state.createdSecret = null;
+    },
+  },
+  extraReducers: (builder) => {
+    // Fetch API keys
+    builder
+      .addCase(fetchApiKeys.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchApiKeys.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.keys = action.payload;
+      })
+      .addCase(fetchApiKeys.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      });
+
+    // Create API key
+    builder
+      .addCase(createApiKey.pending, (state) => {
+        state.isCreating = true;
+        state.error = null;
+        state.createdSecret = null;
+      })
+      .addCase(createApiKey.fulfilled, (state, action) => {
+        const { key, secret } = action.payload;
+        state.isCreating = false;
+        state.keys.unshift(key);
+        state.createdSecret = { keyId: key.id, name: key.name, secret };
+      })
+      .addCase(createApiKey.rejected, (state, action) => {
+        state.isCreating = false;
+        state.error = action.payload;
+      });
+
+    // Revoke API key
+    builder
+      .addCase(revokeApiKey.pending, (state, action) => {
+        state.revokingIds.push(action.meta.arg);
+        state.error = null;
+      })
+      .addCase(revokeApiKey.fulfilled, (state, action) => {
+        state.revokingIds = state.revokingIds.filter(
+          (id) => id !== action.payload,
+        );
+        state.keys = state.keys.filter((key) => key.id !== action.payload);
+        if (state.createdSecret?.keyId === action.payload) {
+          state.createdSecret = null;
+        }
+      })
+      .addCase(revokeApiKey.rejected, (state, action) => {
+        state.revokingIds = state.revokingIds.filter(
+          (id) => id !== action.meta.arg,
+        );
+        state.error = action.payload;
+      });
+  },
+});
+
+export const { clearError, clearCreatedSecret } = apiKeySlice.actions;
+export default apiKeySlice.reducer;
@@ -1,17 +1,38 @@
 import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
 import axiosInstance from "../../utils/axiosConfig";
+import { translate } from "../../i18n";
+import {
+  updateProfile,
+  deleteAccount,
+  confirmTwoFactorSetup,
+  disableTwoFactor,
+} from "./accountSlice";
+
+// Minimum wait between verification emails. The server enforces its own
+// limit and answers 429 with `retryAfter` (seconds) when it's hit.
+export const RESEND_COOLDOWN_MS = 60 * 1000;
+
+const isUnverifiedError = (err) =>
+  err.response?.status === 403 &&
+  err.response?.data?.code === "EMAIL_NOT_VERIFIED";
 
 // Async thunks
+// With 2FA on, the API answers a correct password with
+// `{ twoFactorRequired: true, challengeToken }` instead of the user, and
+// verifyTwoFactor finishes the login.
 export const login = createAsyncThunk(
   "auth/login",
   async (credentials, { rejectWithValue }) => {
     try {
-      const response = await axiosInstance.post("/auth/login", credentials);
+      const response = await axiosInstance.post("/auth/login", credentials, {
+        skipAuthRefresh: true,
+      });
       return response.data;
     } catch (err) {
-      return rejectWithValue(
-        err.response?.data?.message || "Login failed. Please try again.",
-      );
+      return rejectWithValue({
+        message: err.response?.data?.message || translate("auth.loginFailed"),
+        unverified: isUnverifiedError(err),
+      });
     }
   },
 );
@@ -20,24 +41,58 @@ export const signup = createAsyncThunk(
   "auth/signup",
   async (formData, { rejectWithValue }) => {
     try {
-      const response = await axiosInstance.post("/auth/signup", formData);
-      return response.data;
+      const response = await axiosInstance.post("/auth/signup", formData, {
+        skipAuthRefresh: true,
+      });
+      // Signing up sends the first verification email, so the resend
+      // cooldown starts now
+      return {
+        user: response.data,
+        resendAvailableAt: Date.now() + RESEND_COOLDOWN_MS,
+      };
     } catch (err) {
       return rejectWithValue(
-        err.response?.data?.message || "Registration failed. Please try again.",
+        err.response?.data?.message || translate("auth.signupFailed"),
       );
     }
   },
 );
 
+// Second login step: `code` from the authenticator app, or a one-time
+// `recoveryCode`
+export const verifyTwoFactor = createAsyncThunk(
+  "auth/verifyTwoFactor",
+  async ({ code, recoveryCode }, { getState, rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post(
+        "/auth/login/2fa",
+        {
+          challengeToken: getState().auth.twoFactorChallenge?.token,
+          code,
+          recoveryCode,
+        },
+        { skipAuthRefresh: true },
+      );
+      return response.data;
+    } catch (err) {
+      return rejectWithValue({
+        message: err.response?.data?.message || translate("auth.codeFailed"),
+        // The challenge only lives a few minutes; start over from the password
+        challengeExpired: err.response?.status === 410,
+      });
+    }
+  },
+);
+
 export const verifyAuth = createAsyncThunk(
   "auth/verify",
   async (_, { rejectWithValue }) => {
     try {
-      const response = await axiosInstance.get("/auth/verify");
+      const response = await axiosInstance.get("/auth/verify", {
+        silentAuthFailure: true,
+      });
       return response.data;
-    } catch (e) {
-      // eslint-disable-line no-unused-vars
+    } catch {
       return rejectWithValue("Not authenticated");
     }
   },
@@ -47,21 +102,177 @@ export const logout = createAsyncThunk(
   "auth/logout",
   async (_, { rejectWithValue }) => {
     try {
-      await axiosInstance.post("/auth/logout");
+      await axiosInstance.post("/auth/logout", null, {
+        skipAuthRefresh: true,
+      });
+      return null;
+    } catch {
+      return rejectWithValue(translate("auth.logoutFailed"));
+    }
+  },
+);
+
+// Never passes the server's message through: "no such user" would tell
+// anyone which emails are registered. An unknown email is answered exactly
+// like a known one.
+export const requestPasswordReset = createAsyncThunk(
+  "auth/requestPasswordReset",
+  async (email, { rejectWithValue }) => {
+    try {
+      await axiosInstance.post(
+        "/auth/forgot-password",
+        { email },
+        { skipAuthRefresh: true },
+      );
+      return email;
+    } catch (err) {
+      const status = err.response?.status;
+      if (status === 404) {
+        return email;
+      }
+      return rejectWithValue(
+        status === 429
+          ? translate("auth.resetRateLimited")
+          : translate("auth.resetEmailFailed"),
+      );
+    }
+  },
+);
+
+// Why a one-time link token (password reset or email verification) was
+// refused: 410 means it was valid once and the body says whether it expired
+// or was already used; 404 means it never existed. null means the failure
+// had nothing to do with the token.
+const toTokenProblem = (err) => {
+  const reason = err.response?.data?.reason;
+  if (["expired", "used", "invalid"].includes(reason)) {
+    return reason;
+  }
+  if (err.response?.status === 410) {
+    return "expired";
+  }
+  if (err.response?.status === 404) {
+    return "invalid";
+  }
+  return null;
+};
+
+export const validateResetToken = createAsyncThunk(
+  "auth/validateResetToken",
+  async (token, { rejectWithValue }) => {
+    try {
+      await axiosInstance.get(
+        `/auth/reset-password/${encodeURIComponent(token)}`,
+        { skipAuthRefresh: true },
+      );
+      return token;
+    } catch (err) {
+      return rejectWithValue({
+        tokenStatus: toTokenProblem(err) || "error",
+        message: translate("auth.resetCheckFailed"),
+      });
+    }
+  },
+);
+
+export const resetPassword = createAsyncThunk(
+  "auth/resetPassword",
+  async ({ token, password }, { rejectWithValue }) => {
+    try {
+      await axiosInstance.post(
+        `/auth/reset-password/${encodeURIComponent(token)}`,
+        { password },
+        { skipAuthRefresh: true },
+      );
       return null;
-    } catch (e) {
-      // eslint-disable-line no-unused-vars
-      return rejectWithValue("Logout failed");
+    } catch (err) {
+      return rejectWithValue({
+        tokenStatus: toTokenProblem(err),
+        message: err.response?.data?.message || translate("auth.resetFailed"),
+      });
     }
   },
 );
 
+export const verifyEmail = createAsyncThunk(
+  "auth/verifyEmail",
+  async (token, { rejectWithValue }) => {
+    try {
+      await axiosInstance.post(
+        `/auth/verify-email/${encodeURIComponent(token)}`,
+        null,
+        { skipAuthRefresh: true },
+      );
+      return token;
+    } catch (err) {
+      return rejectWithValue({
+        status: toTokenProblem(err) || "error",
+        message: translate("auth.verifyFailed"),
+      });
+    }
+  },
+);
+
+// Like requestPasswordReset, an unknown email is answered as if the link
+// was sent. Resolves with when the next resend is allowed.
+export const resendVerification = createAsyncThunk(
+  "auth/resendVerification",
+  async (email, { rejectWithValue }) => {
+    try {
+      await axiosInstance.post(
+        "/auth/resend-verification",
+        { email },
+        { skipAuthRefresh: true },
+      );
+      return Date.now() + RESEND_COOLDOWN_MS;
+    } catch (err) {
+      const status = err.response?.status;
+      if (status === 404) {
+        return Date.now() + RESEND_COOLDOWN_MS;
+      }
+      if (status === 429) {
+        const retryAfter = Number(err.response.data?.retryAfter);
+        return rejectWithValue({
+          message: translate("auth.resendRateLimited"),
+          availableAt:
+            Date.now() +
+            (retryAfter > 0 ? retryAfter * 1000 : RESEND_COOLDOWN_MS),
+        });
+      }
+      return rejectWithValue({
+        message: translate("auth.resendFailed"),
+        availableAt: null,
+      });
+    }
+  },
+);
+
+const initialPasswordReset = {
+  emailSent: false,
+  // idle | checking | valid | expired | used | invalid | error
+  tokenStatus: "idle",
+  completed: false,
+};
+
+const initialEmailVerification = {
+  // Address waiting for verification, after signup or an unverified login
+  pendingEmail: null,
+  // idle | verifying | verified | expired | used | invalid | error
+  status: "idle",
+  resendStatus: "idle", // idle | sending | sent | error
+  resendError: null,
+  resendAvailableAt: null, // epoch ms, or null when a resend is allowed
+};
+
 const initialState = {
   user: null,
   isAuthenticated: false,
   isLoading: false,
   error: null,
-  successMessage: null,
+  passwordReset: initialPasswordReset,
+  emailVerification: initialEmailVerification,
+  // { token, email } between the password and the 2FA code steps
+  twoFactorChallenge: null,
 };
 
 const authSlice = createSlice({
@@ -71,11 +282,22 @@ const authSlice = createSlice({
     clearError: (state) => {
       state.error = null;
     },
-    clearSuccessMessage: (state) => {
-      state.successMessage = null;
+    // The session could not be refreshed; the user has to log in again.
+    // notificationSlice tells them why.
+    sessionExpired: (state) => {
+      state.isAuthenticated = false;
+      state.user = null;
+      state.error = null;
+    },
+    clearPasswordReset: (state) => {
+      state.passwordReset = initialPasswordReset;
+    },
+    clearEmailVerification: (state) => {
+      state.emailVerification = initialEmailVerification;
     },
-    setSuccessMessage: (state, action) => {
-      state.successMessage = action.payload;
+    cancelTwoFactor: (state) => {
+      state.twoFactorChallenge = null;
+      state.error = null;
     },
   },
   extraReducers: (builder) => {
@@ -87,12 +309,47 @@ const authSlice = createSlice({
       })
       .addCase(login.fulfilled, (state, action) => {
         state.isLoading = false;
+        if (action.payload?.twoFactorRequired) {
+          state.twoFactorChallenge = {
+            token: action.payload.challengeToken,
+            email: action.meta.arg.email,
+          };
+          return;
+        }
         state.isAuthenticated = true;
+        state.emailVerification = initialEmailVerification;
         state.user = action.payload;
       })
       .addCase(login.rejected, (state, action) => {
         state.isLoading = false;
-        state.error = action.payload;
+        if (action.payload.unverified) {
+          // Login offers a resend instead of showing an error
+          state.emailVerification.pendingEmail = action.meta.arg.email;
+        } else {
+          state.error = action.payload.message;
+        }
+      });
+
+    // Two-factor login step
+    builder
+      .addCase(verifyTwoFactor.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(verifyTwoFactor.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.isAuthenticated = true;
+        state.twoFactorChallenge = null;
+        state.user = action.payload;
+      })
+      .addCase(verifyTwoFactor.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload.challengeExpired
+          ? translate("auth.challengeExpired")
+          : action.payload.message;
+        if (action.payload.challengeExpired) {
+          state.twoFactorChallenge = null;
+        }
       });
 
     // Signup
@@ -101,9 +358,13 @@ const authSlice = createSlice({
         state.isLoading = true;
         state.error = null;
       })
-      .addCase(signup.fulfilled, (state) => {
+      .addCase(signup.fulfilled, (state, action) => {
         state.isLoading = false;
-        state.successMessage = "Registration successful! Please log in.";
+        state.emailVerification = {
+          ...initialEmailVerification,
+          pendingEmail: action.meta.arg.email,
+          resendAvailableAt: action.payload.resendAvailableAt,
+        };
       })
       .addCase(signup.rejected, (state, action) => {
         state.isLoading = false;
@@ -136,9 +397,108 @@ const authSlice = createSlice({
       .addCase(logout.rejected, (state, action) => {
         state.error = action.payload;
       });
+
+    // Forgot password
+    builder
+      .addCase(requestPasswordReset.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(requestPasswordReset.fulfilled, (state) => {
+        state.isLoading = false;
+        state.passwordReset.emailSent = true;
+      })
+      .addCase(requestPasswordReset.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      });
+
+    // Reset password
+    builder
+      .addCase(validateResetToken.pending, (state) => {
+        state.passwordReset.tokenStatus = "checking";
+        state.error = null;
+      })
+      .addCase(validateResetToken.fulfilled, (state) => {
+        state.passwordReset.tokenStatus = "valid";
+      })
+      .addCase(validateResetToken.rejected, (state, action) => {
+        state.passwordReset.tokenStatus = action.payload.tokenStatus;
+        if (action.payload.tokenStatus === "error") {
+          state.error = action.payload.message;
+        }
+      })
+      .addCase(resetPassword.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(resetPassword.fulfilled, (state) => {
+        state.isLoading = false;
+        state.passwordReset.completed = true;
+      })
+      .addCase(resetPassword.rejected, (state, action) => {
+        state.isLoading = false;
+        if (action.payload.tokenStatus) {
+          // The token went stale while the form was open
+          state.passwordReset.tokenStatus = action.payload.tokenStatus;
+        } else {
+          state.error = action.payload.message;
+        }
+      });
+
+    // Account settings
+    builder
+      .addCase(updateProfile.fulfilled, (state, action) => {
+        state.user = { ...state.user, ...action.payload };
+      })
+      .addCase(confirmTwoFactorSetup.fulfilled, (state) => {
+        state.user.twoFactorEnabled = true;
+      })
+      .addCase(disableTwoFactor.fulfilled, (state) => {
+        state.user.twoFactorEnabled = false;
+      })
+      .addCase(deleteAccount.fulfilled, (state) => {
+        state.isAuthenticated = false;
+        state.user = null;
+      });
+
+    // Email verification
+    builder
+      .addCase(verifyEmail.pending, (state) => {
+        state.emailVerification.status = "verifying";
+        state.error = null;
+      })
+      .addCase(verifyEmail.fulfilled, (state) => {
+        state.emailVerification.status = "verified";
+        state.emailVerification.pendingEmail = null;
+      })
+      .addCase(verifyEmail.rejected, (state, action) => {
+        state.emailVerification.status = action.payload.status;
+        if (action.payload.status === "error") {
+          state.error = action.payload.message;
+        }
+      })
+      .addCase(resendVerification.pending, (state) => {
+        state.emailVerification.resendStatus = "sending";
+        state.emailVerification.resendError = null;
+      })
+      .addCase(resendVerification.fulfilled, (state, action) => {
+        state.emailVerification.resendStatus = "sent";
+        state.emailVerification.resendAvailableAt = action.payload;
+      })
+      .addCase(resendVerification.rejected, (state, action) => {
+        state.emailVerification.resendStatus = "error";
+        state.emailVerification.resendError = action.payload.message;
+        state.emailVerification.resendAvailableAt = action.payload.availableAt;
+      });
   },
 });
 
-export const { clearError, clearSuccessMessage, setSuccessMessage } =
-  authSlice.actions;
+export const {
+  clearError,
+  sessionExpired,
+  clearPasswordReset,
+  clearEmailVerification,
+  cancelTwoFactor,
+} = authSlice.actions;
 export default authSlice.reducer;
@@ -0,0 +1,121 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axiosInstance from "../../utils/axiosConfig";
+import { translate } from "../../i18n";
+import { setActiveWorkspace, workspaceScope } from "./workspaceSlice";
+
+// Async thunks
+export const fetchFolders = createAsyncThunk(
+  "folders/fetchFolders",
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get("/folders", {
+        params: workspaceScope(getState),
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("folders.fetchFailed"),
+      );
+    }
+  },
+);
+
+export const createFolder = createAsyncThunk(
+  "folders/createFolder",
+  async (name, { getState, rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post("/folders", {
+        name,
+        ...workspaceScope(getState),
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("folders.createFailed"),
+      );
+    }
+  },
+);
+
+export const deleteFolder = createAsyncThunk(
+  "folders/deleteFolder",
+  async (folderId, { getState, rejectWithValue }) => {
+    try {
+      await axiosInstance.delete(`/folders/${folderId}`, {
+        params: workspaceScope(getState),
+      });
+      return folderId;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("folders.deleteFailed"),
+      );
+    }
+  },
+);
+
+const initialState = {
+  folders: [],
+  requestId: null,
+  isLoading: false,
+  error: null,
+};
+
+const folderSlice = createSlice({
+  name: "folders",
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    // Fetch folders
+    builder
+      .addCase(fetchFolders.pending, (state, action) => {
+        state.requestId = action.meta.requestId;
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchFolders.fulfilled, (state, action) => {
+        // A fetch for the workspace they just switched to supersedes this
+        if (state.requestId !== action.meta.requestId) {
+          return;
+        }
+        state.isLoading = false;
+        state.folders = action.payload;
+      })
+      .addCase(fetchFolders.rejected, (state, action) => {
+        if (state.requestId !== action.meta.requestId) {
+          return;
+        }
+        state.isLoading = false;
+        state.error = action.payload;
+      });
+
+    // Create folder
+    builder
+      .addCase(createFolder.fulfilled, (state, action) => {
+        state.folders.push(action.payload);
+      })
+      .addCase(createFolder.rejected, (state, action) => {
+        state.error = action.payload;
+      });
+
+    // Delete folder
+    builder
+      .addCase(deleteFolder.fulfilled, (state, action) => {
+        state.folders = state.folders.filter(
+          (folder) => folder.id !== action.payload,
+        );
+      })
+      .addCase(deleteFolder.rejected, (state, action) => {
+        state.error = action.payload;
+      });
+
+    // Each workspace has its own folders
+    builder.addCase(setActiveWorkspace, () => initialState);
+  },
+});
+
+export const { clearError } = folderSlice.actions;
+export default folderSlice.reducer;
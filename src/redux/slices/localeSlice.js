@@ -0,0 +1,23 @@
+import { createSlice } from "@reduxjs/toolkit";
+import { getLocale, applyLocale } from "../../i18n";
+
+const localeSlice = createSlice({
+  name: "locale",
+  initialState: {
+    current: getLocale(), // "en" | "de" | "es"
+  },
+  reducers: {
+    localeChanged: (state, action) => {
+      state.current = action.payload;
+    },
+  },
+});
+
+export const { localeChanged } = localeSlice.actions;
+
+// Switches the UI language and remembers it in this browser
+export const changeLocale = (locale) => (dispatch) => {
+  dispatch(localeChanged(applyLocale(locale)));
+};
+
+export default localeSlice.reducer;
@@ -0,0 +1,291 @@
+import { createSlice, nanoid } from "@reduxjs/toolkit";
+import { translate } from "../../i18n";
+import { shortenUrl, restoreUrl, purgeUrl, emptyTrash } from "./urlSlice";
+import { login, verifyTwoFactor, sessionExpired } from "./authSlice";
+import { deleteAccount } from "./accountSlice";
+import {
+  suspendUser,
+  reactivateUser,
+  disableUrl,
+  enableUrl,
+  resolveReport,
+} from "./adminSlice";
+
+// How long a toast stays up, in ms. Errors and toasts with a button get
+// longer to be read and acted on; `duration: null` keeps one up until it's
+// dismissed.
+const DEFAULT_DURATION = 5000;
+const LONG_DURATION = 8000;
+
+// The session toast has a fixed id so it's replaced rather than repeated,
+// and can be taken down once the user has logged back in
+const SESSION_NOTICE_ID = "session";
+
+// Toast buttons and confirmation answers are functions, which don't belong
+// in the store. They're kept here by notification id instead.
+const actionHandlers = new Map();
+let resolveConfirmation = null;
+
+const toNotification = ({
+  id = nanoid(),
+  level = "info", // success | error | info
+  message,
+  actions = [],
+  duration,
+}) => ({
+  id,
+  level,
+  message,
+  actions,
+  duration:
+    duration !== undefined
+      ? duration
+      : level === "error" || actions.length
+        ? LONG_DURATION
+        : DEFAULT_DURATION,
+});
+
+const pushNotification = (state, notification) => {
+  const item = toNotification(notification);
+  const index = state.items.findIndex((existing) => existing.id === item.id);
+  if (index === -1) {
+    state.items.push(item);
+  } else {
+    state.items[index] = item;
+  }
+};
+
+// Case reducer for thunks whose rejection payload is the message to show
+const pushRejection = (state, action) => {
+  pushNotification(state, {
+    id: action.meta.requestId,
+    level: "error",
+    message: action.payload,
+  });
+};
+
+const removeNotification = (state, id) => {
+  state.items = state.items.filter((item) => item.id !== id);
+};
+
+const initialState = {
+  items: [], // oldest first; the toaster shows the first few
+  // { title, message, confirmLabel, danger } while a confirmation is open
+  confirmation: null,
+};
+
+const notificationSlice = createSlice({
+  name: "notifications",
+  initialState,
+  reducers: {
+    // `actions` here are button labels only; use notify() to attach handlers
+    addNotification: {
+      reducer: (state, action) => {
+        pushNotification(state, action.payload);
+      },
+      prepare: (notification) => ({
+        payload: { ...notification, id: notification.id || nanoid() },
+      }),
+    },
+    dismissNotification: (state, action) => {
+      removeNotification(state, action.payload);
+    },
+    openConfirmation: (state, action) => {
+      state.confirmation = action.payload;
+    },
+    closeConfirmation: (state) => {
+      state.confirmation = null;
+    },
+  },
+  extraReducers: (builder) => {
+    // Link results. Edits and deletes are announced by Home, which can
+    // offer an undo or sum up a bulk action in one toast.
+    builder
+      .addCase(shortenUrl.fulfilled, (state, action) => {
+        pushNotification(state, {
+          id: action.meta.requestId,
+          level: "success",
+          message: translate("urls.shortened"),
+        });
+      })
+      .addCase(shortenUrl.rejected, (state, action) => {
+        // Field errors are shown next to their inputs instead
+        if (Object.keys(action.payload?.fieldErrors || {}).length) {
+          return;
+        }
+        pushNotification(state, {
+          id: action.meta.requestId,
+          level: "error",
+          message: action.payload?.message || translate("urls.shortenFailed"),
+        });
+      });
+
+    // Trash
+    builder
+      .addCase(restoreUrl.fulfilled, (state, action) => {
+        pushNotification(state, {
+          id: action.meta.requestId,
+          level: "success",
+          message: translate("trash.restored"),
+        });
+      })
+      .addCase(purgeUrl.fulfilled, (state, action) => {
+        pushNotification(state, {
+          id: action.meta.requestId,
+          level: "success",
+          message: translate("trash.purged"),
+        });
+      })
+      .addCase(emptyTrash.fulfilled, (state, action) => {
+        pushNotification(state, {
+          id: action.meta.requestId,
+          level: "success",
+          message: translate("trash.emptied"),
+        });
+      })
+      .addCase(restoreUrl.rejected, pushRejection)
+      .addCase(purgeUrl.rejected, pushRejection)
+      .addCase(emptyTrash.rejected, pushRejection);
+
+    // Admin console
+    builder
+      .addCase(suspendUser.fulfilled, (state, action) => {
+        pushNotification(state, {
+          id: action.meta.requestId,
+          level: "success",
+          message: translate("admin.suspended", {
+            email: action.payload.emailId,
+          }),
+        });
+      })
+      .addCase(reactivateUser.fulfilled, (state, action) => {
+        pushNotification(state, {
+          id: action.meta.requestId,
+          level: "success",
+          message: translate("admin.reactivated", {
+            email: action.payload.emailId,
+          }),
+        });
+      })
+      .addCase(disableUrl.fulfilled, (state, action) => {
+        pushNotification(state, {
+          id: action.meta.requestId,
+          level: "success",
+          message: translate("admin.disabled"),
+        });
+      })
+      .addCase(enableUrl.fulfilled, (state, action) => {
+        pushNotification(state, {
+          id: action.meta.requestId,
+          level: "success",
+          message: translate("admin.enabled"),
+        });
+      })
+      .addCase(resolveReport.fulfilled, (state, action) => {
+        pushNotification(state, {
+          id: action.meta.requestId,
+          level: "success",
+          message: translate(
+            action.payload.status === "dismissed"
+              ? "admin.reportDismissed"
+              : "admin.disabled",
+          ),
+        });
+      })
+      .addCase(suspendUser.rejected, pushRejection)
+      .addCase(reactivateUser.rejected, pushRejection)
+      .addCase(disableUrl.rejected, pushRejection)
+      .addCase(enableUrl.rejected, pushRejection)
+      .addCase(resolveReport.rejected, pushRejection);
+
+    // Session notices stay up until dismissed or the user logs back in
+    builder
+      .addCase(sessionExpired, (state) => {
+        pushNotification(state, {
+          id: SESSION_NOTICE_ID,
+          message: translate("auth.sessionExpired"),
+          duration: null,
+        });
+      })
+      .addCase(deleteAccount.fulfilled, (state) => {
+        pushNotification(state, {
+          id: SESSION_NOTICE_ID,
+          message: translate("auth.accountDeleted"),
+          duration: null,
+        });
+      })
+      .addCase(login.fulfilled, (state) => {
+        removeNotification(state, SESSION_NOTICE_ID);
+      })
+      .addCase(verifyTwoFactor.fulfilled, (state) => {
+        removeNotification(state, SESSION_NOTICE_ID);
+      });
+  },
+});
+
+export const {
+  addNotification,
+  dismissNotification,
+  openConfirmation,
+  closeConfirmation,
+} = notificationSlice.actions;
+
+// Shows a toast. `actions` are `{ label, onClick }` buttons, e.g. Undo or
+// Retry; clicking one runs it and dismisses the toast. Returns the id.
+export const notify =
+  ({ actions = [], ...notification }) =>
+  (dispatch) => {
+    const { payload } = dispatch(
+      addNotification({
+        ...notification,
+        actions: actions.map((item) => item.label),
+      }),
+    );
+    if (actions.length) {
+      actionHandlers.set(
+        payload.id,
+        actions.map((item) => item.onClick),
+      );
+    }
+    return payload.id;
+  };
+
+export const closeNotification = (id) => (dispatch) => {
+  actionHandlers.delete(id);
+  dispatch(dismissNotification(id));
+};
+
+export const runNotificationAction = (id, index) => (dispatch) => {
+  const handler = actionHandlers.get(id)?.[index];
+  dispatch(closeNotification(id));
+  handler?.();
+};
+
+// Asks the user to confirm in the ConfirmDialog, in place of
+// window.confirm(). Resolves with true or false; opening another
+// confirmation answers the pending one with false.
+export const confirm =
+  ({ title, message, confirmLabel, danger = false }) =>
+  (dispatch) => {
+    resolveConfirmation?.(false);
+    dispatch(
+      openConfirmation({
+        title: title || translate("common.areYouSure"),
+        message,
+        confirmLabel: confirmLabel || translate("common.ok"),
+        danger,
+      }),
+    );
+    return new Promise((resolve) => {
+      resolveConfirmation = resolve;
+    });
+  };
+
+export const answerConfirmation = (confirmed) => (dispatch) => {
+  const resolve = resolveConfirmation;
+  resolveConfirmation = null;
+  dispatch(closeConfirmation());
+  resolve?.(confirmed);
+};
+
+export default notificationSlice.reducer;
@@ -0,0 +1,113 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axiosInstance from "../../utils/axiosConfig";
+import { translate } from "../../i18n";
+
+// Backs the public /go/:code page that protected short links redirect to.
+// Visitors aren't logged in, so none of these calls touch the session.
+
+// Async thunks
+export const fetchPublicLink = createAsyncThunk(
+  "publicLink/fetchPublicLink",
+  async (code, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get(
+        `/public/links/${encodeURIComponent(code)}`,
+        {
+          skipAuthRefresh: true,
+        },
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue({
+        message:
+          error.response?.data?.message || translate("publicLink.openFailed"),
+        notFound: error.response?.status === 404,
+      });
+    }
+  },
+);
+
+// Counts the visit and resolves with `{ longUrl }`. Rejects with `reason`
+// when the link stopped being usable in the meantime (e.g. a single-use
+// link someone else opened first).
+export const visitPublicLink = createAsyncThunk(
+  "publicLink/visitPublicLink",
+  async ({ code, password }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post(
+        `/public/links/${encodeURIComponent(code)}/visit`,
+        password ? { password } : {},
+        { skipAuthRefresh: true },
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue({
+        message:
+          error.response?.data?.message || translate("publicLink.openFailed"),
+        reason: error.response?.data?.reason || null,
+      });
+    }
+  },
+);
+
+const initialState = {
+  // { shortCode, passwordRequired, status, startsAt }; status is one of
+  // active | expired | limit-reached | not-started
+  link: null,
+  status: "idle", // idle | loading | ready | not-found | error
+  error: null,
+  isVisiting: false,
+  visitError: null,
+};
+
+const publicLinkSlice = createSlice({
+  name: "publicLink",
+  initialState,
+  reducers: {
+    clearVisitError: (state) => {
+      state.visitError = null;
+    },
+  },
+  extraReducers: (builder) => {
+    // Fetch link
+    builder
+      .addCase(fetchPublicLink.pending, (state) => {
+        state.link = null;
+        state.status = "loading";
+        state.error = null;
+        state.visitError = null;
+      })
+      .addCase(fetchPublicLink.fulfilled, (state, action) => {
+        state.link = action.payload;
+        state.status = "ready";
+      })
+      .addCase(fetchPublicLink.rejected, (state, action) => {
+        state.status = action.payload?.notFound ? "not-found" : "error";
+        state.error =
+          action.payload?.message || translate("publicLink.openFailed");
+      });
+
+    // Visit link
+    builder
+      .addCase(visitPublicLink.pending, (state) => {
+        state.isVisiting = true;
+        state.visitError = null;
+      })
+      .addCase(visitPublicLink.fulfilled, (state) => {
+        // Stays "visiting" while the browser navigates away
+        state.visitError = null;
+      })
+      .addCase(visitPublicLink.rejected, (state, action) => {
+        state.isVisiting = false;
+        const { message, reason } = action.payload || {};
+        if (reason && state.link) {
+          state.link.status = reason;
+        } else {
+          state.visitError = message || translate("publicLink.openFailed");
+        }
+      });
+  },
+});
+
+export const { clearVisitError } = publicLinkSlice.actions;
+export default publicLinkSlice.reducer;
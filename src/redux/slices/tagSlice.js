@@ -0,0 +1,131 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axiosInstance from "../../utils/axiosConfig";
+import { translate } from "../../i18n";
+import { setActiveWorkspace, workspaceScope } from "./workspaceSlice";
+
+export const TAG_COLORS = [
+  "#007bff",
+  "#28a745",
+  "#dc3545",
+  "#ffc107",
+  "#17a2b8",
+  "#6f42c1",
+  "#fd7e14",
+  "#6c757d",
+];
+
+// Async thunks
+export const fetchTags = createAsyncThunk(
+  "tags/fetchTags",
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get("/tags", {
+        params: workspaceScope(getState),
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("tags.fetchFailed"),
+      );
+    }
+  },
+);
+
+export const createTag = createAsyncThunk(
+  "tags/createTag",
+  async ({ name, color }, { getState, rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post("/tags", {
+        name,
+        color,
+        ...workspaceScope(getState),
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("tags.createFailed"),
+      );
+    }
+  },
+);
+
+export const deleteTag = createAsyncThunk(
+  "tags/deleteTag",
+  async (tagId, { getState, rejectWithValue }) => {
+    try {
+      await axiosInstance.delete(`/tags/${tagId}`, {
+        params: workspaceScope(getState),
+      });
+      return tagId;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("tags.deleteFailed"),
+      );
+    }
+  },
+);
+
+const initialState = {
+  tags: [],
+  requestId: null,
+  isLoading: false,
+  error: null,
+};
+
+const tagSlice = createSlice({
+  name: "tags",
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    // Fetch tags
+    builder
+      .addCase(fetchTags.pending, (state, action) => {
+        state.requestId = action.meta.requestId;
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchTags.fulfilled, (state, action) => {
+        // A fetch for the workspace they just switched to supersedes this
+        if (state.requestId !== action.meta.requestId) {
+          return;
+        }
+        state.isLoading = false;
+        state.tags = action.payload;
+      })
+      .addCase(fetchTags.rejected, (state, action) => {
+        if (state.requestId !== action.meta.requestId) {
+          return;
+        }
+        state.isLoading = false;
+        state.error = action.payload;
+      });
+
+    // Create tag
+    builder
+      .addCase(createTag.fulfilled, (state, action) => {
+        state.tags.push(action.payload);
+      })
+      .addCase(createTag.rejected, (state, action) => {
+        state.error = action.payload;
+      });
+
+    // Delete tag
+    builder
+      .addCase(deleteTag.fulfilled, (state, action) => {
+        state.tags = state.tags.filter((tag) => tag.id !== action.payload);
+      })
+      .addCase(deleteTag.rejected, (state, action) => {
+        state.error = action.payload;
+      });
+
+    // Each workspace has its own tags
+    builder.addCase(setActiveWorkspace, () => initialState);
+  },
+});
+
+export const { clearError } = tagSlice.actions;
+export default tagSlice.reducer;
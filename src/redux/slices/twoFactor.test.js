@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { createStore } from "../store";
+import { login, verifyTwoFactor, verifyAuth, logout } from "./authSlice";
+import {
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  disableTwoFactor,
+} from "./accountSlice";
+import { generateTotp } from "../../mocks/totp";
+import { getMockDb } from "../../mocks/mockApi";
+import {
+  installMockApi,
+  createLoggedInStore,
+  SEEDED_PASSWORD,
+} from "../../mocks/testing";
+
+// The seeded 2fa@example.com account (see mockDb.js)
+const EMAIL = "2fa@example.com";
+const SECRET = "JBSWY3DPEHPK3PXP";
+
+const startLogin = async (email = EMAIL) => {
+  const store = createStore();
+  await store.dispatch(login({ email, password: SEEDED_PASSWORD })).unwrap();
+  return store;
+};
+
+describe("two-factor login", () => {
+  beforeEach(() => {
+    installMockApi();
+    // The mock logs the current code for developers
+    vi.spyOn(console, "info").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("asks for a second step instead of logging in", async () => {
+    const store = await startLogin();
+    const { auth } = store.getState();
+    expect(auth.isAuthenticated).toBe(false);
+    expect(auth.twoFactorChallenge).toMatchObject({ email: EMAIL });
+    expect(auth.twoFactorChallenge.token).toEqual(expect.any(String));
+  });
+
+  it("finishes with a code from the authenticator app", async () => {
+    const store = await startLogin();
+    const code = await generateTotp(SECRET);
+    await store.dispatch(verifyTwoFactor({ code })).unwrap();
+
+    const { auth } = store.getState();
+    expect(auth.isAuthenticated).toBe(true);
+    expect(auth.twoFactorChallenge).toBeNull();
+    expect(auth.user.emailId).toBe(EMAIL);
+    await expect(store.dispatch(verifyAuth()).unwrap()).resolves.toMatchObject({
+      emailId: EMAIL,
+    });
+  });
+
+  it("keeps the challenge after a wrong code", async () => {
+    const store = await startLogin();
+    const result = await store.dispatch(verifyTwoFactor({ code: "000000" }));
+    expect(result.meta.requestStatus).toBe("rejected");
+    const { auth } = store.getState();
+    expect(auth.isAuthenticated).toBe(false);
+    expect(auth.error).toBe("That code didn't work. Try again.");
+    expect(auth.twoFactorChallenge).not.toBeNull();
+  });
+
+  it("accepts each recovery code once", async () => {
+    const store = await startLogin();
+    await store
+      .dispatch(verifyTwoFactor({ recoveryCode: "AAAA-1111" }))
+      .unwrap();
+    expect(store.getState().auth.isAuthenticated).toBe(true);
+    await store.dispatch(logout());
+
+    const again = await startLogin();
+    const result = await again.dispatch(
+      verifyTwoFactor({ recoveryCode: "aaaa-1111" }),
+    );
+    expect(result.meta.requestStatus).toBe("rejected");
+    expect(again.getState().auth.isAuthenticated).toBe(false);
+  });
+
+  it("drops an expired challenge so the user starts over", async () => {
+    const store = await startLogin();
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(Date.now() + 6 * 60 * 1000);
+
+    const code = await generateTotp(SECRET);
+    const result = await store.dispatch(verifyTwoFactor({ code }));
+    expect(result.payload).toMatchObject({ challengeExpired: true });
+    const { auth } = store.getState();
+    expect(auth.twoFactorChallenge).toBeNull();
+    expect(auth.error).toBe("That took too long. Please log in again.");
+  });
+});
+
+describe("two-factor settings", () => {
+  beforeEach(() => {
+    installMockApi();
+    vi.spyOn(console, "info").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("turns two-factor on with a code for the new secret", async () => {
+    const store = await createLoggedInStore();
+    const { secret, otpauthUrl } = await store
+      .dispatch(startTwoFactorSetup())
+      .unwrap();
+    expect(otpauthUrl).toContain(`secret=${secret}`);
+    expect(store.getState().account.twoFactor.step).toBe("setup");
+
+    const wrong = await store.dispatch(confirmTwoFactorSetup("000000"));
+    expect(wrong.meta.requestStatus).toBe("rejected");
+    expect(store.getState().auth.user.twoFactorEnabled).toBeFalsy();
+
+    const recoveryCodes = await store
+      .dispatch(confirmTwoFactorSetup(await generateTotp(secret)))
+      .unwrap();
+    expect(recoveryCodes).toHaveLength(10);
+    expect(store.getState().auth.user.twoFactorEnabled).toBe(true);
+    expect(store.getState().account.twoFactor).toMatchObject({
+      step: "recovery-codes",
+      recoveryCodes,
+    });
+
+    // The next login needs the second step
+    await store.dispatch(logout());
+    const next = await startLogin("demo@example.com");
+    expect(next.getState().auth.twoFactorChallenge).not.toBeNull();
+    await next.dispatch(verifyTwoFactor({ code: await generateTotp(secret) }));
+    expect(next.getState().auth.isAuthenticated).toBe(true);
+  });
+
+  it("turns two-factor off with the password and a code", async () => {
+    const store = await startLogin();
+    await store
+      .dispatch(verifyTwoFactor({ code: await generateTotp(SECRET) }))
+      .unwrap();
+
+    const wrongPassword = await store.dispatch(
+      disableTwoFactor({
+        password: "nope",
+        code: await generateTotp(SECRET),
+      }),
+    );
+    expect(wrongPassword.payload).toBe("Password is incorrect");
+
+    await store
+      .dispatch(
+        disableTwoFactor({
+          password: SEEDED_PASSWORD,
+          code: await generateTotp(SECRET),
+        }),
+      )
+      .unwrap();
+    expect(store.getState().auth.user.twoFactorEnabled).toBe(false);
+    const user = getMockDb().users.find((item) => item.emailId === EMAIL);
+    expect(user).toMatchObject({ twoFactorEnabled: false, recoveryCodes: [] });
+
+    // Logging in is back to one step
+    await store.dispatch(logout());
+    const next = await startLogin();
+    expect(next.getState().auth.isAuthenticated).toBe(true);
+  });
+});
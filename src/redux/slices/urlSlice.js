@@ -1,16 +1,125 @@
 import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
 import axiosInstance from "../../utils/axiosConfig";
+import { translate } from "../../i18n";
+import { mapServerFieldErrors } from "../../utils/urlValidation";
+import { deleteTag } from "./tagSlice";
+import { deleteFolder } from "./folderSlice";
+import { setActiveWorkspace, workspaceScope } from "./workspaceSlice";
+import { parseUtm } from "../../utils/utm";
+import { connectLiveUpdates } from "../../utils/liveUpdates";
+
+// Request body for POST /urls/create
+const buildCreatePayload = ({
+  longUrl,
+  customAlias,
+  expiresAt,
+  tagIds,
+  folderId,
+  password,
+  maxClicks,
+  startsAt,
+}) => {
+  const payload = { base_url: longUrl };
+  if (customAlias) {
+    payload.custom_alias = customAlias;
+  }
+  if (expiresAt) {
+    payload.expires_at = expiresAt;
+  }
+  if (tagIds?.length) {
+    payload.tag_ids = tagIds;
+  }
+  if (folderId) {
+    payload.folder_id = folderId;
+  }
+  if (password) {
+    payload.password = password;
+  }
+  if (maxClicks) {
+    payload.max_clicks = maxClicks;
+  }
+  if (startsAt) {
+    payload.starts_at = startsAt;
+  }
+  return payload;
+};
+
+// GET /urls/user answers with either a plain array (no paging) or
+// { urls, total, page, limit }.
+const normaliseUrlPage = (data, query) => {
+  if (Array.isArray(data)) {
+    return { urls: data, total: data.length, page: 1, limit: data.length };
+  }
+  const urls = data?.urls || data?.data || [];
+  return {
+    urls,
+    total: Number(data?.total ?? urls.length),
+    page: Number(data?.page ?? query.page ?? 1),
+    limit: Number(data?.limit ?? query.limit ?? urls.length),
+  };
+};
+
+const EXPORT_PAGE_SIZE = 100;
 
 // Async thunks
 export const fetchUserUrls = createAsyncThunk(
   "urls/fetchUserUrls",
-  async (_, { rejectWithValue }) => {
+  async (query = {}, { getState, rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get("/urls/user", {
+        params: { ...query, ...workspaceScope(getState) },
+      });
+      return normaliseUrlPage(response.data, query);
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("urls.fetchFailed"),
+      );
+    }
+  },
+);
+
+// Walks every page for `query` and returns the combined list without
+// touching the list state. Used to export more than the visible page.
+export const fetchAllUrls = createAsyncThunk(
+  "urls/fetchAllUrls",
+  async (query = {}, { getState, rejectWithValue }) => {
     try {
-      const response = await axiosInstance.get("/urls/user");
+      const scope = workspaceScope(getState);
+      const urls = [];
+      for (let page = 1; ; page += 1) {
+        const response = await axiosInstance.get("/urls/user", {
+          params: { ...query, ...scope, page, limit: EXPORT_PAGE_SIZE },
+        });
+        const result = normaliseUrlPage(response.data, { page });
+        urls.push(...result.urls);
+        if (
+          Array.isArray(response.data) ||
+          result.urls.length < EXPORT_PAGE_SIZE ||
+          urls.length >= result.total
+        ) {
+          return urls;
+        }
+      }
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("urls.fetchFailed"),
+      );
+    }
+  },
+);
+
+// Distinct utm_campaign values in the active workspace, with link counts
+export const fetchCampaigns = createAsyncThunk(
+  "urls/fetchCampaigns",
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get("/urls/campaigns", {
+        params: workspaceScope(getState),
+      });
       return response.data;
     } catch (error) {
       return rejectWithValue(
-        error.response?.data?.message || "Failed to fetch URLs",
+        error.response?.data?.message || translate("urls.campaignsFailed"),
       );
     }
   },
@@ -18,107 +127,520 @@ export const fetchUserUrls = createAsyncThunk(
 
 export const shortenUrl = createAsyncThunk(
   "urls/shortenUrl",
-  async (longUrl, { rejectWithValue }) => {
+  async (urlData, { getState, rejectWithValue }) => {
     try {
       const response = await axiosInstance.post("/urls/create", {
-        base_url: "http://www.activity-time.com",
-        // custom_alias: "my-link",
-        expires_at: "2024-12-31T23:59:59.000Z",
+        ...buildCreatePayload(urlData),
+        ...workspaceScope(getState),
+      });
+      return response.data;
+    } catch (error) {
+      const data = error.response?.data;
+      return rejectWithValue({
+        message: data?.message || translate("urls.shortenFailed"),
+        fieldErrors: mapServerFieldErrors(data),
+      });
+    }
+  },
+);
+
+// Used by bulk import: creates one link without touching the shorten
+// form's state or raising a toast, so many can run side by side.
+export const shortenUrlInBulk = createAsyncThunk(
+  "urls/shortenUrlInBulk",
+  async (urlData, { getState, rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post("/urls/create", {
+        ...buildCreatePayload(urlData),
+        ...workspaceScope(getState),
       });
       return response.data;
     } catch (error) {
       return rejectWithValue(
-        error.response?.data?.message || "Failed to shorten URL",
+        error.response?.data?.message || translate("urls.shortenFailed"),
       );
     }
   },
 );
 
+export const checkAliasAvailability = createAsyncThunk(
+  "urls/checkAliasAvailability",
+  async (alias, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get("/urls/check-alias", {
+        params: { alias },
+      });
+      return { alias, available: Boolean(response.data?.available) };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("urls.aliasCheckFailed"),
+      );
+    }
+  },
+);
+
+// PATCH body: only the fields being changed, with null clearing an expiry,
+// password, click limit or start date
+const buildUpdatePayload = (changes) => {
+  const payload = {};
+  if (changes.longUrl !== undefined) {
+    payload.base_url = changes.longUrl;
+  }
+  if (changes.customAlias !== undefined) {
+    payload.custom_alias = changes.customAlias;
+  }
+  if (changes.expiresAt !== undefined) {
+    payload.expires_at = changes.expiresAt;
+  }
+  if (changes.tagIds !== undefined) {
+    payload.tag_ids = changes.tagIds;
+  }
+  if (changes.folderId !== undefined) {
+    payload.folder_id = changes.folderId;
+  }
+  if (changes.password !== undefined) {
+    payload.password = changes.password;
+  }
+  if (changes.maxClicks !== undefined) {
+    payload.max_clicks = changes.maxClicks;
+  }
+  if (changes.startsAt !== undefined) {
+    payload.starts_at = changes.startsAt;
+  }
+  return payload;
+};
+
+// Applied optimistically: the list shows `changes` straight away and
+// rolls back if the server rejects them.
+export const updateUrl = createAsyncThunk(
+  "urls/updateUrl",
+  async ({ urlId, changes }, { getState, rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.patch(
+        `/urls/${urlId}`,
+        buildUpdatePayload(changes),
+        { params: workspaceScope(getState) },
+      );
+      return response.data;
+    } catch (error) {
+      const data = error.response?.data;
+      return rejectWithValue({
+        message: data?.message || translate("urls.updateFailed"),
+        fieldErrors: mapServerFieldErrors(data),
+      });
+    }
+  },
+);
+
+// Moves a link to the trash. Resolves with the trashed link, including
+// `deletedAt` and the `purgeAt` the server will remove it for good.
 export const deleteUrl = createAsyncThunk(
   "urls/deleteUrl",
-  async (urlId, { rejectWithValue }) => {
+  async (urlId, { getState, rejectWithValue }) => {
     try {
-      await axiosInstance.delete(`/urls/${urlId}`);
+      const response = await axiosInstance.delete(`/urls/${urlId}`, {
+        params: workspaceScope(getState),
+      });
+      return {
+        id: urlId,
+        deletedAt: new Date().toISOString(),
+        ...response.data,
+      };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("urls.deleteFailed"),
+      );
+    }
+  },
+);
+
+export const fetchTrash = createAsyncThunk(
+  "urls/fetchTrash",
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get("/urls/trash", {
+        params: workspaceScope(getState),
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("trash.fetchFailed"),
+      );
+    }
+  },
+);
+
+// Resolves with the link, back in the active list
+export const restoreUrl = createAsyncThunk(
+  "urls/restoreUrl",
+  async (urlId, { getState, rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post(
+        `/urls/${urlId}/restore`,
+        null,
+        { params: workspaceScope(getState) },
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("trash.restoreFailed"),
+      );
+    }
+  },
+);
+
+// Deletes a trashed link permanently
+export const purgeUrl = createAsyncThunk(
+  "urls/purgeUrl",
+  async (urlId, { getState, rejectWithValue }) => {
+    try {
+      await axiosInstance.delete(`/urls/${urlId}/purge`, {
+        params: workspaceScope(getState),
+      });
       return urlId;
     } catch (error) {
       return rejectWithValue(
-        error.response?.data?.message || "Failed to delete URL",
+        error.response?.data?.message || translate("trash.purgeFailed"),
+      );
+    }
+  },
+);
+
+export const emptyTrash = createAsyncThunk(
+  "urls/emptyTrash",
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      await axiosInstance.delete("/urls/trash", {
+        params: workspaceScope(getState),
+      });
+      return null;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("trash.emptyFailed"),
       );
     }
   },
 );
 
+const removePending = (state, urlId) => {
+  state.pendingIds = state.pendingIds.filter((id) => id !== urlId);
+};
+
+const removeTrashPending = (state, urlId) => {
+  state.trash.pendingIds = state.trash.pendingIds.filter((id) => id !== urlId);
+};
+
+// Keeps `campaigns` counts in step as links come and go
+const countCampaign = (state, longUrl, delta) => {
+  const name = parseUtm(longUrl)?.campaign;
+  if (!name) {
+    return;
+  }
+  const entry = state.campaigns.find((item) => item.name === name);
+  if (entry) {
+    entry.count += delta;
+  } else if (delta > 0) {
+    state.campaigns.push({ name, count: delta });
+  }
+  state.campaigns = state.campaigns.filter((item) => item.count > 0);
+};
+
+// Adding and removing links is safe to repeat: a live event for a change
+// made in this tab can arrive before or after the response to it
+const addUrl = (state, url) => {
+  const index = state.urls.findIndex((item) => item.id === url.id);
+  if (index !== -1) {
+    state.urls[index] = { ...state.urls[index], ...url };
+    return;
+  }
+  // Shown at the top of the list, like a new link
+  state.urls.unshift(url);
+  state.pagination.total += 1;
+  countCampaign(state, url.longUrl, 1);
+};
+
+const removeUrl = (state, urlId) => {
+  const removed = state.urls.find((url) => url.id === urlId);
+  if (!removed) {
+    return null;
+  }
+  state.urls = state.urls.filter((url) => url.id !== urlId);
+  state.pagination.total = Math.max(0, state.pagination.total - 1);
+  countCampaign(state, removed.longUrl, -1);
+  return removed;
+};
+
+const addToTrash = (state, url) => {
+  if (!state.trash.urls.some((item) => item.id === url.id)) {
+    state.trash.urls.unshift(url);
+  }
+};
+
 const initialState = {
   urls: [],
-  isLoading: false,
-  error: null,
-  successMessage: null,
+  campaigns: [], // [{ name, count }]
+  pagination: { page: 1, limit: 25, total: 0 },
+  listRequestId: null,
+  // Snapshots of links with an edit in flight, keyed by id, for rollback
+  previousVersions: {},
+  isLoading: false, // the list itself
+  isShortening: false,
+  // Links with an edit or delete in flight, so only their rows wait
+  pendingIds: [],
+  // Messages go to notificationSlice; only per-field errors live here
+  fieldErrors: {},
+  // off | connecting | live | reconnecting | paused
+  liveStatus: "off",
+  // Deleted links, newest first, until restored or purged by the server
+  trash: {
+    urls: [], // link fields plus `deletedAt` and `purgeAt`
+    isLoading: false,
+    pendingIds: [], // links being restored or purged
+  },
 };
 
 const urlSlice = createSlice({
   name: "urls",
   initialState,
   reducers: {
-    clearError: (state) => {
-      state.error = null;
+    clearFieldError: (state, action) => {
+      delete state.fieldErrors[action.payload];
     },
-    clearSuccessMessage: (state) => {
-      state.successMessage = null;
+    // An event from the live update stream (see subscribeToLiveUpdates)
+    liveEventReceived: (state, action) => {
+      const event = action.payload;
+      if (event.type === "click") {
+        const url = state.urls.find((item) => item.id === event.urlId);
+        if (url) {
+          url.clicks = event.clicks;
+        }
+      } else if (event.type === "url.created") {
+        addUrl(state, event.url);
+      } else if (event.type === "url.restored") {
+        state.trash.urls = state.trash.urls.filter(
+          (url) => url.id !== event.url.id,
+        );
+        addUrl(state, event.url);
+      } else if (event.type === "url.updated") {
+        const index = state.urls.findIndex((url) => url.id === event.url.id);
+        // An edit in flight here settles with its own response
+        if (index === -1 || state.previousVersions[event.url.id]) {
+          return;
+        }
+        countCampaign(state, state.urls[index].longUrl, -1);
+        countCampaign(state, event.url.longUrl, 1);
+        state.urls[index] = { ...state.urls[index], ...event.url };
+      } else if (event.type === "url.deleted") {
+        removeUrl(state, event.urlId);
+        addToTrash(state, event.url);
+      }
     },
-    setSuccessMessage: (state, action) => {
-      state.successMessage = action.payload;
+    liveStatusChanged: (state, action) => {
+      state.liveStatus = action.payload;
     },
   },
   extraReducers: (builder) => {
     // Fetch user URLs
     builder
-      .addCase(fetchUserUrls.pending, (state) => {
+      .addCase(fetchUserUrls.pending, (state, action) => {
+        state.listRequestId = action.meta.requestId;
         state.isLoading = true;
-        state.error = null;
       })
       .addCase(fetchUserUrls.fulfilled, (state, action) => {
+        // A newer search or page request supersedes this one
+        if (state.listRequestId !== action.meta.requestId) {
+          return;
+        }
+        const { urls, ...pagination } = action.payload;
         state.isLoading = false;
-        state.urls = action.payload;
+        state.urls = urls;
+        state.pagination = pagination;
       })
       .addCase(fetchUserUrls.rejected, (state, action) => {
+        if (state.listRequestId !== action.meta.requestId) {
+          return;
+        }
         state.isLoading = false;
-        state.error = action.payload;
       });
 
     // Shorten URL
     builder
       .addCase(shortenUrl.pending, (state) => {
-        state.isLoading = true;
-        state.error = null;
+        state.isShortening = true;
+        state.fieldErrors = {};
       })
       .addCase(shortenUrl.fulfilled, (state, action) => {
-        state.isLoading = false;
-        state.urls.unshift(action.payload);
-        state.successMessage = "URL shortened successfully!";
+        state.isShortening = false;
+        addUrl(state, action.payload);
       })
       .addCase(shortenUrl.rejected, (state, action) => {
-        state.isLoading = false;
-        state.error = action.payload;
+        state.isShortening = false;
+        state.fieldErrors = action.payload?.fieldErrors || {};
+      });
+
+    // Bulk shorten
+    builder.addCase(shortenUrlInBulk.fulfilled, (state, action) => {
+      addUrl(state, action.payload);
+    });
+
+    // Update URL (optimistic)
+    builder
+      .addCase(updateUrl.pending, (state, action) => {
+        const { urlId, changes } = action.meta.arg;
+        state.pendingIds.push(urlId);
+        const url = state.urls.find((item) => item.id === urlId);
+        if (url) {
+          // Keep the oldest snapshot if edits overlap
+          if (!state.previousVersions[urlId]) {
+            state.previousVersions[urlId] = { ...url };
+          }
+          // The password itself never goes into state, only whether it's set
+          const { password, ...visible } = changes;
+          Object.assign(url, visible);
+          if (password !== undefined) {
+            url.hasPassword = Boolean(password);
+          }
+        }
+      })
+      .addCase(updateUrl.fulfilled, (state, action) => {
+        const { urlId } = action.meta.arg;
+        removePending(state, urlId);
+        const index = state.urls.findIndex((item) => item.id === urlId);
+        if (index !== -1 && action.payload) {
+          state.urls[index] = { ...state.urls[index], ...action.payload };
+        }
+        const previous = state.previousVersions[urlId];
+        if (previous && action.payload?.longUrl) {
+          countCampaign(state, previous.longUrl, -1);
+          countCampaign(state, action.payload.longUrl, 1);
+        }
+        delete state.previousVersions[urlId];
+      })
+      .addCase(updateUrl.rejected, (state, action) => {
+        const { urlId } = action.meta.arg;
+        removePending(state, urlId);
+        const previous = state.previousVersions[urlId];
+        const index = state.urls.findIndex((item) => item.id === urlId);
+        if (previous && index !== -1) {
+          state.urls[index] = previous;
+        }
+        delete state.previousVersions[urlId];
       });
 
     // Delete URL
     builder
-      .addCase(deleteUrl.pending, (state) => {
-        state.isLoading = true;
-        state.error = null;
+      .addCase(deleteUrl.pending, (state, action) => {
+        state.pendingIds.push(action.meta.arg);
       })
       .addCase(deleteUrl.fulfilled, (state, action) => {
-        state.isLoading = false;
-        state.urls = state.urls.filter((url) => url.id !== action.payload);
-        state.successMessage = "URL deleted successfully!";
+        const urlId = action.meta.arg;
+        removePending(state, urlId);
+        const deleted = removeUrl(state, urlId);
+        addToTrash(state, { ...deleted, ...action.payload });
       })
       .addCase(deleteUrl.rejected, (state, action) => {
-        state.isLoading = false;
-        state.error = action.payload;
+        removePending(state, action.meta.arg);
+      });
+
+    // Trash
+    builder
+      .addCase(fetchTrash.pending, (state) => {
+        state.trash.isLoading = true;
+      })
+      .addCase(fetchTrash.fulfilled, (state, action) => {
+        state.trash.isLoading = false;
+        state.trash.urls = action.payload;
+      })
+      .addCase(fetchTrash.rejected, (state) => {
+        state.trash.isLoading = false;
+      })
+      .addCase(restoreUrl.pending, (state, action) => {
+        state.trash.pendingIds.push(action.meta.arg);
+      })
+      .addCase(restoreUrl.fulfilled, (state, action) => {
+        const urlId = action.meta.arg;
+        removeTrashPending(state, urlId);
+        state.trash.urls = state.trash.urls.filter((url) => url.id !== urlId);
+        addUrl(state, action.payload);
+      })
+      .addCase(restoreUrl.rejected, (state, action) => {
+        removeTrashPending(state, action.meta.arg);
+      })
+      .addCase(purgeUrl.pending, (state, action) => {
+        state.trash.pendingIds.push(action.meta.arg);
+      })
+      .addCase(purgeUrl.fulfilled, (state, action) => {
+        removeTrashPending(state, action.payload);
+        state.trash.urls = state.trash.urls.filter(
+          (url) => url.id !== action.payload,
+        );
+      })
+      .addCase(purgeUrl.rejected, (state, action) => {
+        removeTrashPending(state, action.meta.arg);
+      })
+      .addCase(emptyTrash.fulfilled, (state) => {
+        state.trash.urls = [];
+      });
+
+    // Another workspace's links are loaded from scratch; a list request
+    // still in flight belongs to the old one and is ignored
+    builder.addCase(setActiveWorkspace, (state) => {
+      state.urls = [];
+      state.campaigns = [];
+      state.pagination = initialState.pagination;
+      state.listRequestId = null;
+      state.previousVersions = {};
+      state.pendingIds = [];
+      state.fieldErrors = {};
+      state.trash = initialState.trash;
+    });
+
+    // Campaigns
+    builder.addCase(fetchCampaigns.fulfilled, (state, action) => {
+      state.campaigns = action.payload;
+    });
+
+    // Keep links consistent when a tag or folder is removed
+    builder
+      .addCase(deleteTag.fulfilled, (state, action) => {
+        state.urls.forEach((url) => {
+          if (url.tagIds) {
+            url.tagIds = url.tagIds.filter((id) => id !== action.payload);
+          }
+        });
+      })
+      .addCase(deleteFolder.fulfilled, (state, action) => {
+        state.urls.forEach((url) => {
+          if (url.folderId === action.payload) {
+            url.folderId = null;
+          }
+        });
       });
   },
 });
 
-export const { clearError, clearSuccessMessage, setSuccessMessage } =
+export const { clearFieldError, liveEventReceived, liveStatusChanged } =
   urlSlice.actions;
+
+// Keeps the list current with clicks and with changes made in other tabs
+// or on other devices, in the active workspace. Returns a function that
+// closes the connection. `onResync` is called when events were missed that
+// the server can no longer replay, so the list should be loaded again.
+export const subscribeToLiveUpdates =
+  ({ onResync } = {}) =>
+  (dispatch, getState) => {
+    const connection = connectLiveUpdates({
+      params: workspaceScope(getState),
+      onEvent: (event) => {
+        if (event.type === "resync") {
+          onResync?.();
+        } else {
+          dispatch(liveEventReceived(event));
+        }
+      },
+      onStatus: (status) => dispatch(liveStatusChanged(status)),
+    });
+    return connection.close;
+  };
+
 export default urlSlice.reducer;
@@ -0,0 +1,102 @@
+import { describe, it, expect } from "vitest";
+import reducer, { liveEventReceived } from "./urlSlice";
+
+const link = (id, fields = {}) => ({
+  id,
+  longUrl: `https://example.com/${id}`,
+  shortCode: `code${id}`,
+  clicks: 0,
+  ...fields,
+});
+
+const withCampaign = (id, campaign) =>
+  link(id, { longUrl: `https://example.com/${id}?utm_campaign=${campaign}` });
+
+// A page of links as fetchUserUrls would leave it
+const listState = (urls, extra = {}) => {
+  const state = reducer(undefined, { type: "init" });
+  return {
+    ...state,
+    urls,
+    pagination: { ...state.pagination, total: urls.length },
+    ...extra,
+  };
+};
+
+const receive = (state, ...events) =>
+  events.reduce(
+    (next, event) => reducer(next, liveEventReceived(event)),
+    state,
+  );
+
+describe("liveEventReceived", () => {
+  it("updates click counts of links on the page", () => {
+    const state = receive(
+      listState([link("1"), link("2")]),
+      { type: "click", urlId: "2", clicks: 7 },
+      { type: "click", urlId: "9", clicks: 3 },
+    );
+    expect(state.urls.map((url) => url.clicks)).toEqual([0, 7]);
+  });
+
+  it("adds created links to the top once", () => {
+    const created = withCampaign("3", "launch");
+    // The response to this tab's own create may land first
+    const state = receive(
+      listState([link("1")]),
+      { type: "url.created", url: created },
+      { type: "url.created", url: { ...created, clicks: 1 } },
+    );
+    expect(state.urls.map((url) => url.id)).toEqual(["3", "1"]);
+    expect(state.urls[0].clicks).toBe(1);
+    expect(state.pagination.total).toBe(2);
+    expect(state.campaigns).toEqual([{ name: "launch", count: 1 }]);
+  });
+
+  it("merges updates and moves the campaign count", () => {
+    const state = receive(
+      listState([withCampaign("1", "spring")], {
+        campaigns: [{ name: "spring", count: 1 }],
+      }),
+      {
+        type: "url.updated",
+        url: { ...withCampaign("1", "summer"), customAlias: "sun" },
+      },
+    );
+    expect(state.urls[0]).toMatchObject({
+      longUrl: "https://example.com/1?utm_campaign=summer",
+      customAlias: "sun",
+      shortCode: "code1",
+    });
+    expect(state.campaigns).toEqual([{ name: "summer", count: 1 }]);
+  });
+
+  it("leaves links with an edit in flight, or not on the page, alone", () => {
+    const editing = listState([link("1")], {
+      previousVersions: { 1: link("1") },
+    });
+    const state = receive(
+      editing,
+      { type: "url.updated", url: link("1", { longUrl: "https://a.example" }) },
+      { type: "url.updated", url: link("5") },
+    );
+    expect(state.urls).toEqual(editing.urls);
+  });
+
+  it("moves deleted links to the trash and restored ones back", () => {
+    const deleted = { ...link("2"), deletedAt: "2026-01-01T00:00:00.000Z" };
+    let state = receive(
+      listState([link("1"), link("2")]),
+      { type: "url.deleted", urlId: "2", url: deleted },
+      { type: "url.deleted", urlId: "2", url: deleted },
+    );
+    expect(state.urls.map((url) => url.id)).toEqual(["1"]);
+    expect(state.pagination.total).toBe(1);
+    expect(state.trash.urls).toEqual([deleted]);
+
+    state = receive(state, { type: "url.restored", url: link("2") });
+    expect(state.trash.urls).toEqual([]);
+    expect(state.urls.map((url) => url.id)).toEqual(["2", "1"]);
+    expect(state.pagination.total).toBe(2);
+  });
+});
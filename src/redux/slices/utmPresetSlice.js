@@ -0,0 +1,115 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axiosInstance from "../../utils/axiosConfig";
+import { translate } from "../../i18n";
+
+// Saved UTM values, e.g. "Newsletter" = source newsletter / medium email.
+// Presets belong to the user, not to a workspace.
+
+// Async thunks
+export const fetchUtmPresets = createAsyncThunk(
+  "utmPresets/fetchUtmPresets",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get("/utm-presets");
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("utmPresets.fetchFailed"),
+      );
+    }
+  },
+);
+
+// `values` is `{ source, medium, campaign, term, content }`
+export const saveUtmPreset = createAsyncThunk(
+  "utmPresets/saveUtmPreset",
+  async ({ name, values }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post("/utm-presets", {
+        name,
+        ...values,
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("utmPresets.saveFailed"),
+      );
+    }
+  },
+);
+
+export const deleteUtmPreset = createAsyncThunk(
+  "utmPresets/deleteUtmPreset",
+  async (presetId, { rejectWithValue }) => {
+    try {
+      await axiosInstance.delete(`/utm-presets/${presetId}`);
+      return presetId;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("utmPresets.deleteFailed"),
+      );
+    }
+  },
+);
+
+const initialState = {
+  presets: [],
+  isLoading: false,
+  isSaving: false,
+  error: null,
+};
+
+const utmPresetSlice = createSlice({
+  name: "utmPresets",
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    // Fetch presets
+    builder
+      .addCase(fetchUtmPresets.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchUtmPresets.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.presets = action.payload;
+      })
+      .addCase(fetchUtmPresets.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      });
+
+    // Save preset
+    builder
+      .addCase(saveUtmPreset.pending, (state) => {
+        state.isSaving = true;
+        state.error = null;
+      })
+      .addCase(saveUtmPreset.fulfilled, (state, action) => {
+        state.isSaving = false;
+        state.presets.push(action.payload);
+      })
+      .addCase(saveUtmPreset.rejected, (state, action) => {
+        state.isSaving = false;
+        state.error = action.payload;
+      });
+
+    // Delete preset
+    builder
+      .addCase(deleteUtmPreset.fulfilled, (state, action) => {
+        state.presets = state.presets.filter(
+          (preset) => preset.id !== action.payload,
+        );
+      })
+      .addCase(deleteUtmPreset.rejected, (state, action) => {
+        state.error = action.payload;
+      });
+  },
+});
+
+export const { clearError } = utmPresetSlice.actions;
+export default utmPresetSlice.reducer;
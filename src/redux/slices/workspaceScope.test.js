@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import { fetchTags, createTag, deleteTag } from "./tagSlice";
+import { fetchFolders, createFolder } from "./folderSlice";
+import { fetchWorkspaces, setActiveWorkspace } from "./workspaceSlice";
+import { installMockApi, createLoggedInStore } from "../../mocks/testing";
+
+// Demo owns "Marketing" and is a viewer in "Product" (see mockDb.js)
+const openWorkspace = async (store, name) => {
+  await store.dispatch(fetchWorkspaces()).unwrap();
+  const workspace = store
+    .getState()
+    .workspaces.workspaces.find((item) => item.name === name);
+  store.dispatch(setActiveWorkspace(workspace.id));
+  return workspace;
+};
+
+const names = (items) => items.map((item) => item.name).sort();
+
+describe("tags and folders in workspaces", () => {
+  beforeEach(() => {
+    installMockApi();
+  });
+
+  it("lists the active workspace's tags and folders", async () => {
+    const store = await createLoggedInStore();
+    await store.dispatch(fetchTags()).unwrap();
+    await store.dispatch(fetchFolders()).unwrap();
+    expect(names(store.getState().tags.tags)).toEqual(["social", "spring"]);
+    expect(names(store.getState().folders.folders)).toEqual([
+      "Campaigns",
+      "Docs",
+    ]);
+
+    await openWorkspace(store, "Marketing");
+    expect(store.getState().tags.tags).toEqual([]);
+    await store.dispatch(fetchTags()).unwrap();
+    await store.dispatch(fetchFolders()).unwrap();
+    expect(names(store.getState().tags.tags)).toEqual(["summer"]);
+    expect(names(store.getState().folders.folders)).toEqual(["Launches"]);
+  });
+
+  it("creates and deletes them in the active workspace", async () => {
+    const store = await createLoggedInStore();
+    const marketing = await openWorkspace(store, "Marketing");
+    const tag = await store
+      .dispatch(createTag({ name: "q3", color: "#007bff" }))
+      .unwrap();
+    const folder = await store.dispatch(createFolder("Events")).unwrap();
+    expect(tag.workspaceId).toBe(marketing.id);
+    expect(folder.workspaceId).toBe(marketing.id);
+
+    // Not among the personal ones
+    store.dispatch(setActiveWorkspace(null));
+    await store.dispatch(fetchTags()).unwrap();
+    expect(names(store.getState().tags.tags)).not.toContain("q3");
+    const result = await store.dispatch(deleteTag(tag.id));
+    expect(result.payload).toBe("Tag not found");
+
+    store.dispatch(setActiveWorkspace(marketing.id));
+    await store.dispatch(deleteTag(tag.id)).unwrap();
+    await store.dispatch(fetchTags()).unwrap();
+    expect(names(store.getState().tags.tags)).toEqual(["summer"]);
+  });
+
+  it("keeps viewers from changing them", async () => {
+    const store = await createLoggedInStore();
+    await openWorkspace(store, "Product");
+    await expect(store.dispatch(fetchTags()).unwrap()).resolves.toEqual([]);
+    const result = await store.dispatch(createFolder("Mine"));
+    expect(result.meta.requestStatus).toBe("rejected");
+  });
+});
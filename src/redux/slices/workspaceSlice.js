@@ -0,0 +1,298 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axiosInstance from "../../utils/axiosConfig";
+import { translate } from "../../i18n";
+import { logout, sessionExpired } from "./authSlice";
+import { deleteAccount } from "./accountSlice";
+
+// Async thunks
+export const fetchWorkspaces = createAsyncThunk(
+  "workspaces/fetchWorkspaces",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get("/workspaces");
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("workspaces.fetchFailed"),
+      );
+    }
+  },
+);
+
+export const createWorkspace = createAsyncThunk(
+  "workspaces/createWorkspace",
+  async (name, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post("/workspaces", { name });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("workspaces.createFailed"),
+      );
+    }
+  },
+);
+
+export const fetchMembers = createAsyncThunk(
+  "workspaces/fetchMembers",
+  async (workspaceId, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.get(
+        `/workspaces/${encodeURIComponent(workspaceId)}/members`,
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("workspaces.membersFailed"),
+      );
+    }
+  },
+);
+
+// Someone without an account yet is added as "invited" and joins when
+// they sign up with that email
+export const inviteMember = createAsyncThunk(
+  "workspaces/inviteMember",
+  async ({ workspaceId, email, role }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.post(
+        `/workspaces/${encodeURIComponent(workspaceId)}/members`,
+        { email, role },
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("workspaces.inviteFailed"),
+      );
+    }
+  },
+);
+
+export const updateMemberRole = createAsyncThunk(
+  "workspaces/updateMemberRole",
+  async ({ workspaceId, memberId, role }, { rejectWithValue }) => {
+    try {
+      const response = await axiosInstance.patch(
+        `/workspaces/${encodeURIComponent(workspaceId)}/members/${encodeURIComponent(memberId)}`,
+        { role },
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("workspaces.roleFailed"),
+      );
+    }
+  },
+);
+
+// Also how a member leaves: removing yourself drops the workspace from
+// your list
+export const removeMember = createAsyncThunk(
+  "workspaces/removeMember",
+  async ({ workspaceId, memberId }, { getState, rejectWithValue }) => {
+    try {
+      await axiosInstance.delete(
+        `/workspaces/${encodeURIComponent(workspaceId)}/members/${encodeURIComponent(memberId)}`,
+      );
+      const member = getState().workspaces.members.find(
+        (item) => item.id === memberId,
+      );
+      const left = Boolean(
+        member && member.userId === getState().auth.user?.id,
+      );
+      return { workspaceId, memberId, left };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.message || translate("workspaces.removeFailed"),
+      );
+    }
+  },
+);
+
+const initialState = {
+  workspaces: [],
+  // null is the user's personal links
+  activeId: null,
+  isLoading: false,
+  isCreating: false,
+  error: null,
+  members: [],
+  membersLoading: false,
+  membersError: null,
+  isInviting: false,
+  savingMemberIds: [],
+};
+
+// Role in the active workspace; always "owner" of your personal links
+export const selectActiveRole = (state) => {
+  const { workspaces, activeId } = state.workspaces;
+  if (!activeId) {
+    return "owner";
+  }
+  return workspaces.find((item) => item.id === activeId)?.role || "viewer";
+};
+
+// Links, tags and folders live in the active workspace, or are the user's
+// own when none is active. Sent as a query param, or in the body when
+// creating.
+export const workspaceScope = (getState) => {
+  const { activeId } = getState().workspaces;
+  return activeId ? { workspace_id: activeId } : {};
+};
+
+const workspaceSlice = createSlice({
+  name: "workspaces",
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+    clearMembersError: (state) => {
+      state.membersError = null;
+    },
+    setActiveWorkspace: (state, action) => {
+      state.activeId = action.payload || null;
+    },
+  },
+  extraReducers: (builder) => {
+    // Fetch workspaces
+    builder
+      .addCase(fetchWorkspaces.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchWorkspaces.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.workspaces = action.payload;
+        // Removed from the active workspace since the last fetch
+        if (!action.payload.some((item) => item.id === state.activeId)) {
+          state.activeId = null;
+        }
+      })
+      .addCase(fetchWorkspaces.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      });
+
+    // Create workspace
+    builder
+      .addCase(createWorkspace.pending, (state) => {
+        state.isCreating = true;
+        state.error = null;
+      })
+      .addCase(createWorkspace.fulfilled, (state, action) => {
+        state.isCreating = false;
+        state.workspaces.push(action.payload);
+      })
+      .addCase(createWorkspace.rejected, (state, action) => {
+        state.isCreating = false;
+        state.error = action.payload;
+      });
+
+    // Fetch members
+    builder
+      .addCase(fetchMembers.pending, (state) => {
+        state.members = [];
+        state.membersLoading = true;
+        state.membersError = null;
+      })
+      .addCase(fetchMembers.fulfilled, (state, action) => {
+        state.membersLoading = false;
+        state.members = action.payload;
+      })
+      .addCase(fetchMembers.rejected, (state, action) => {
+        state.membersLoading = false;
+        state.membersError = action.payload;
+      });
+
+    // Invite member
+    builder
+      .addCase(inviteMember.pending, (state) => {
+        state.isInviting = true;
+        state.membersError = null;
+      })
+      .addCase(inviteMember.fulfilled, (state, action) => {
+        const { workspaceId } = action.meta.arg;
+        state.isInviting = false;
+        state.members.push(action.payload);
+        const workspace = state.workspaces.find(
+          (item) => item.id === workspaceId,
+        );
+        if (workspace) {
+          workspace.memberCount += 1;
+        }
+      })
+      .addCase(inviteMember.rejected, (state, action) => {
+        state.isInviting = false;
+        state.membersError = action.payload;
+      });
+
+    // Change a member's role
+    builder
+      .addCase(updateMemberRole.pending, (state, action) => {
+        state.savingMemberIds.push(action.meta.arg.memberId);
+        state.membersError = null;
+      })
+      .addCase(updateMemberRole.fulfilled, (state, action) => {
+        const { memberId } = action.meta.arg;
+        state.savingMemberIds = state.savingMemberIds.filter(
+          (id) => id !== memberId,
+        );
+        const index = state.members.findIndex((item) => item.id === memberId);
+        if (index !== -1) {
+          state.members[index] = action.payload;
+        }
+      })
+      .addCase(updateMemberRole.rejected, (state, action) => {
+        state.savingMemberIds = state.savingMemberIds.filter(
+          (id) => id !== action.meta.arg.memberId,
+        );
+        state.membersError = action.payload;
+      });
+
+    // Remove member or leave
+    builder
+      .addCase(removeMember.pending, (state, action) => {
+        state.savingMemberIds.push(action.meta.arg.memberId);
+        state.membersError = null;
+      })
+      .addCase(removeMember.fulfilled, (state, action) => {
+        const { workspaceId, memberId, left } = action.payload;
+        state.savingMemberIds = state.savingMemberIds.filter(
+          (id) => id !== memberId,
+        );
+        state.members = state.members.filter((item) => item.id !== memberId);
+        if (left) {
+          state.workspaces = state.workspaces.filter(
+            (item) => item.id !== workspaceId,
+          );
+          if (state.activeId === workspaceId) {
+            state.activeId = null;
+          }
+          return;
+        }
+        const workspace = state.workspaces.find(
+          (item) => item.id === workspaceId,
+        );
+        if (workspace) {
+          workspace.memberCount -= 1;
+        }
+      })
+      .addCase(removeMember.rejected, (state, action) => {
+        state.savingMemberIds = state.savingMemberIds.filter(
+          (id) => id !== action.meta.arg.memberId,
+        );
+        state.membersError = action.payload;
+      });
+
+    // The next person to log in starts in their personal workspace
+    builder
+      .addCase(logout.fulfilled, () => initialState)
+      .addCase(sessionExpired, () => initialState)
+      .addCase(deleteAccount.fulfilled, () => initialState);
+  },
+});
+
+export const { clearError, clearMembersError, setActiveWorkspace } =
+  workspaceSlice.actions;
+export default workspaceSlice.reducer;
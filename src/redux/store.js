@@ -1,12 +1,38 @@
 import { configureStore } from "@reduxjs/toolkit";
 import authReducer from "./slices/authSlice";
 import urlReducer from "./slices/urlSlice";
+import analyticsReducer from "./slices/analyticsSlice";
+import tagReducer from "./slices/tagSlice";
+import folderReducer from "./slices/folderSlice";
+import accountReducer from "./slices/accountSlice";
+import apiKeyReducer from "./slices/apiKeySlice";
+import workspaceReducer from "./slices/workspaceSlice";
+import publicLinkReducer from "./slices/publicLinkSlice";
+import utmPresetReducer from "./slices/utmPresetSlice";
+import notificationReducer from "./slices/notificationSlice";
+import localeReducer from "./slices/localeSlice";
+import adminReducer from "./slices/adminSlice";
 
-const store = configureStore({
-  reducer: {
-    auth: authReducer,
-    urls: urlReducer,
-  },
-});
+const reducer = {
+  auth: authReducer,
+  urls: urlReducer,
+  analytics: analyticsReducer,
+  tags: tagReducer,
+  folders: folderReducer,
+  account: accountReducer,
+  apiKeys: apiKeyReducer,
+  workspaces: workspaceReducer,
+  publicLink: publicLinkReducer,
+  utmPresets: utmPresetReducer,
+  notifications: notificationReducer,
+  locale: localeReducer,
+  admin: adminReducer,
+};
+
+// A store of its own, e.g. a fresh one per test
+export const createStore = (preloadedState) =>
+  configureStore({ reducer, preloadedState });
+
+const store = createStore();
 
 export default store;
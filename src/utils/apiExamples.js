@@ -0,0 +1,25 @@
+// Example requests for the API keys page's "try it" panel
+
+// Wraps a value in single quotes for a POSIX shell
+const shellQuote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+export const buildCurlExample = ({ endpoint, apiKey, body }) =>
+  [
+    `curl -X POST ${shellQuote(endpoint)}`,
+    `  -H ${shellQuote(`Authorization: Bearer ${apiKey}`)}`,
+    `  -H 'Content-Type: application/json'`,
+    `  -d ${shellQuote(JSON.stringify(body))}`,
+  ].join(" \\\n");
+
+export const buildFetchExample = ({ endpoint, apiKey, body }) =>
+  [
+    `const response = await fetch(${JSON.stringify(endpoint)}, {`,
+    `  method: "POST",`,
+    `  headers: {`,
+    `    Authorization: ${JSON.stringify(`Bearer ${apiKey}`)},`,
+    `    "Content-Type": "application/json",`,
+    `  },`,
+    `  body: JSON.stringify(${JSON.stringify(body, null, 2).replace(/\n/g, "\n  ")}),`,
+    `});`,
+    `const link = await response.json();`,
+  ].join("\n");
@@ -9,3 +9,7 @@ export const checkAuth = async () => {
     throw new Error("Not authenticated");
   }
 };
+
+// Site admins moderate every account and link from /admin. The role comes
+// with the user from /auth/verify; everyone else has none or "user".
+export const isAdmin = (user) => user?.role === "admin";
@@ -1,4 +1,5 @@
 import axios from "axios";
+import { getLocale } from "../i18n";
 
 const baseUrl = import.meta.env.VITE_SERVER_BASEURL;
 console.log("Server Base Url: ", baseUrl);
@@ -10,4 +11,125 @@ const axiosInstance = axios.create({
   },
 });
 
+// Opt-in in-browser backend (see src/mocks/mockApi.js). Loaded lazily so
+// it stays out of the bundle unless VITE_MOCK_API is set at build time.
+if (import.meta.env.VITE_MOCK_API === "true") {
+  axiosInstance.defaults.adapter = async (config) => {
+    const { mockAdapter } = await import("../mocks/mockApi");
+    return mockAdapter(config);
+  };
+}
+
+/*
+ * Per-request options understood by the interceptors below:
+ *   skipAuthRefresh   - don't try to refresh the session on a 401
+ *                       (login, signup, logout and the refresh call itself)
+ *   silentAuthFailure - refresh on a 401 but don't report an expired
+ *                       session if that fails (the route loader's verify)
+ *   retry             - false to disable retries, or an object overriding
+ *                       the defaults from configureRetry
+ */
+
+const IDEMPOTENT_METHODS = ["get", "head", "options", "put", "delete"];
+
+// Retries for network errors and 5xx on idempotent requests.
+// VITE_API_RETRIES overrides the default count.
+let retryOptions = {
+  retries: Number(import.meta.env.VITE_API_RETRIES ?? 2),
+  baseDelayMs: 300,
+  maxDelayMs: 3000,
+};
+
+export const configureRetry = (options) => {
+  retryOptions = { ...retryOptions, ...options };
+};
+
+let sessionExpiredHandler = null;
+
+// Registered by the app so this module doesn't need to import the store
+export const setSessionExpiredHandler = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+const shouldRetry = (error, config) => {
+  if (config.retry === false) {
+    return false;
+  }
+  const { retries } = { ...retryOptions, ...config.retry };
+  const method = (config.method || "get").toLowerCase();
+  const status = error.response?.status;
+  const isNetworkError = !error.response && error.code !== "ERR_CANCELED";
+  return (
+    IDEMPOTENT_METHODS.includes(method) &&
+    (isNetworkError || status >= 500) &&
+    (config.retryCount || 0) < retries
+  );
+};
+
+// Exponential backoff with full jitter
+const retryDelay = (config) => {
+  const { baseDelayMs, maxDelayMs } = { ...retryOptions, ...config.retry };
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** config.retryCount);
+  return Math.random() * ceiling;
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Every request that gets a 401 while a refresh is running waits on the
+// same promise, so only one refresh call is made.
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = axiosInstance
+      .post("/auth/refresh", null, { skipAuthRefresh: true, retry: false })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Lets the server answer in the user's language where it can
+axiosInstance.interceptors.request.use((config) => {
+  config.headers["Accept-Language"] = getLocale();
+  return config;
+});
+
+axiosInstance.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const config = error.config;
+    if (!config) {
+      throw error;
+    }
+
+    if (shouldRetry(error, config)) {
+      config.retryCount = (config.retryCount || 0) + 1;
+      await wait(retryDelay(config));
+      return axiosInstance(config);
+    }
+
+    if (
+      error.response?.status === 401 &&
+      !config.skipAuthRefresh &&
+      !config.refreshedSession
+    ) {
+      config.refreshedSession = true;
+      try {
+        await refreshSession();
+      } catch {
+        if (!config.silentAuthFailure && sessionExpiredHandler) {
+          sessionExpiredHandler();
+        }
+        throw error;
+      }
+      // Replay the original request with the refreshed session
+      return axiosInstance(config);
+    }
+
+    throw error;
+  },
+);
+
 export default axiosInstance;
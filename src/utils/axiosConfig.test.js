@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import axiosInstance, {
+  configureRetry,
+  setSessionExpiredHandler,
+} from "./axiosConfig";
+import { mockAdapter, failNextRequest } from "../mocks/mockApi";
+import { installMockApi, createLoggedInStore } from "../mocks/testing";
+
+describe("axios instance", () => {
+  // Every request that reaches the mock API, as "METHOD /path"
+  let requests = [];
+  const sent = (request) => requests.filter((item) => item === request);
+
+  beforeEach(async () => {
+    installMockApi();
+    await createLoggedInStore();
+    requests = [];
+    axiosInstance.defaults.adapter = (config) => {
+      requests.push(`${config.method.toUpperCase()} ${config.url}`);
+      return mockAdapter(config);
+    };
+  });
+
+  afterEach(() => {
+    setSessionExpiredHandler(null);
+  });
+
+  it("refreshes once for 401s that arrive together and replays both", async () => {
+    failNextRequest("get", "/urls/user", { status: 401, times: 2 });
+
+    const responses = await Promise.all([
+      axiosInstance.get("/urls/user"),
+      axiosInstance.get("/urls/user"),
+    ]);
+
+    expect(responses.map((response) => response.status)).toEqual([200, 200]);
+    expect(sent("POST /auth/refresh")).toHaveLength(1);
+    expect(sent("GET /urls/user")).toHaveLength(4);
+  });
+
+  it("reports an expired session once when the refresh fails", async () => {
+    const onExpired = vi.fn();
+    setSessionExpiredHandler(onExpired);
+    failNextRequest("get", "/urls/user", { status: 401 });
+    failNextRequest("post", "/auth/refresh", { status: 401 });
+
+    await expect(axiosInstance.get("/urls/user")).rejects.toMatchObject({
+      response: { status: 401 },
+    });
+    expect(onExpired).toHaveBeenCalledTimes(1);
+    expect(sent("GET /urls/user")).toHaveLength(1);
+  });
+
+  it("doesn't retry a POST that fails with a 5xx", async () => {
+    configureRetry({ retries: 2, baseDelayMs: 0, maxDelayMs: 0 });
+    failNextRequest("post", "/urls/create", { status: 503 });
+
+    await expect(
+      axiosInstance.post("/urls/create", { longUrl: "https://example.org" }),
+    ).rejects.toMatchObject({ response: { status: 503 } });
+    expect(sent("POST /urls/create")).toHaveLength(1);
+  });
+});
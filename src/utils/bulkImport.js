@@ -0,0 +1,96 @@
+import { translate } from "../i18n";
+import { parseCsv } from "./csv";
+import {
+  validateLongUrl,
+  validateAlias,
+  validateExpiry,
+} from "./urlValidation";
+
+export const MAX_BULK_ROWS = 1000;
+
+const HEADER_ALIASES = {
+  longUrl: ["url", "long_url", "longurl", "base_url", "destination"],
+  customAlias: ["alias", "custom_alias", "customalias", "slug"],
+  expiresAt: ["expiry", "expires", "expires_at", "expiresat"],
+};
+
+// Works out which column holds which value. Without a recognisable header
+// row the columns are positional: URL, alias, expiry.
+const detectColumns = (firstRow) => {
+  const normalised = firstRow.map((cell) => cell.trim().toLowerCase());
+  const columns = {};
+  Object.entries(HEADER_ALIASES).forEach(([field, names]) => {
+    const index = normalised.findIndex((cell) => names.includes(cell));
+    if (index !== -1) {
+      columns[field] = index;
+    }
+  });
+
+  if (columns.longUrl !== undefined) {
+    return { columns, hasHeader: true };
+  }
+  return {
+    columns: { longUrl: 0, customAlias: 1, expiresAt: 2 },
+    hasHeader: false,
+  };
+};
+
+// Accepts a date or date-time in any format Date understands and returns an
+// ISO string, or null when the cell is empty.
+const parseExpiry = (value) => {
+  if (!value) {
+    return { expiresAt: null, error: null };
+  }
+  const date = new Date(value);
+  const error = validateExpiry(value);
+  if (error) {
+    return { expiresAt: null, error };
+  }
+  return { expiresAt: date.toISOString(), error: null };
+};
+
+// Turns pasted text or CSV file contents into rows ready to submit. Every
+// row carries its own `errors` so invalid ones can be shown but skipped.
+export const parseBulkInput = (text) => {
+  const records = parseCsv(text).filter((cells) =>
+    cells.some((cell) => cell.trim()),
+  );
+  if (records.length === 0) {
+    return [];
+  }
+
+  const { columns, hasHeader } = detectColumns(records[0]);
+  const dataRows = hasHeader ? records.slice(1) : records;
+  const seenAliases = new Set();
+
+  return dataRows.slice(0, MAX_BULK_ROWS).map((cells, index) => {
+    const cell = (field) =>
+      columns[field] === undefined ? "" : (cells[columns[field]] || "").trim();
+
+    const longUrl = cell("longUrl");
+    const customAlias = cell("customAlias");
+    const expiry = parseExpiry(cell("expiresAt"));
+    const errors = [
+      validateLongUrl(longUrl),
+      validateAlias(customAlias),
+      expiry.error,
+    ].filter(Boolean);
+
+    if (customAlias) {
+      const key = customAlias.toLowerCase();
+      if (seenAliases.has(key)) {
+        errors.push(translate("validation.aliasRepeated"));
+      }
+      seenAliases.add(key);
+    }
+
+    return {
+      id: index,
+      rowNumber: index + 1,
+      longUrl,
+      customAlias: customAlias || null,
+      expiresAt: expiry.expiresAt,
+      errors,
+    };
+  });
+};
@@ -0,0 +1,27 @@
+// Runs `worker` over `items` with at most `limit` calls in flight at once.
+// Resolves with one { status, value | reason } entry per item, in order,
+// like Promise.allSettled.
+export const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      try {
+        const value = await worker(items[index], index);
+        results[index] = { status: "fulfilled", value };
+      } catch (reason) {
+        results[index] = { status: "rejected", reason };
+      }
+    }
+  };
+
+  const runners = Array.from(
+    { length: Math.min(limit, items.length) },
+    runNext,
+  );
+  await Promise.all(runners);
+  return results;
+};
@@ -0,0 +1,78 @@
+// Minimal RFC 4180 style CSV parsing: quoted fields, escaped quotes ("")
+// and newlines inside quotes are supported.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Cells starting with these characters are treated as formulas by
+// spreadsheet apps, so they are prefixed with a quote when exporting.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Serialises `records` (plain objects) using `columns`, a list of
+// { key, header } pairs that fixes column order.
+export const toCsv = (records, columns) => {
+  const lines = [columns.map((column) => escapeCell(column.header)).join(",")];
+  records.forEach((record) => {
+    lines.push(
+      columns.map((column) => escapeCell(record[column.key])).join(","),
+    );
+  });
+  return lines.join("\r\n");
+};
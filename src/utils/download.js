@@ -0,0 +1,14 @@
+// Triggers a browser download for content generated on the client
+export const downloadFile = (filename, content, mimeType) => {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const href = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = href;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(href), 1000);
+};
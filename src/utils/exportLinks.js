@@ -0,0 +1,52 @@
+import { toCsv } from "./csv";
+import { downloadFile } from "./download";
+import { translate } from "../i18n";
+
+export const EXPORT_COLUMNS = [
+  { key: "longUrl", headerKey: "export.columnOriginalUrl" },
+  { key: "shortUrl", headerKey: "export.columnShortUrl" },
+  { key: "alias", headerKey: "export.columnAlias" },
+  { key: "createdAt", headerKey: "export.columnCreated" },
+  { key: "expiresAt", headerKey: "export.columnExpires" },
+  { key: "clicks", headerKey: "export.columnClicks" },
+];
+
+// Flattens a link from the API into the fields we export. Missing values
+// stay null so the JSON export doesn't invent data the server didn't send.
+export const toExportRecord = (url) => ({
+  id: url.id,
+  longUrl: url.longUrl,
+  shortUrl: url.shortUrl,
+  alias: url.customAlias ?? url.alias ?? url.shortCode ?? null,
+  createdAt: url.createdAt ?? null,
+  expiresAt: url.expiresAt ?? null,
+  clicks: url.clicks ?? url.clickCount ?? null,
+});
+
+const timestamp = () => new Date().toISOString().slice(0, 10);
+
+export const exportLinks = (urls, format, label = "links") => {
+  const records = urls.map(toExportRecord);
+  const filename = `short-${label}-${timestamp()}.${format}`;
+
+  if (format === "json") {
+    downloadFile(
+      filename,
+      JSON.stringify(records, null, 2),
+      "application/json",
+    );
+    return;
+  }
+
+  // Headers in the language the user has picked now
+  const columns = EXPORT_COLUMNS.map(({ key, headerKey }) => ({
+    key,
+    header: translate(headerKey),
+  }));
+  // Leading BOM so Excel picks up UTF-8 correctly
+  downloadFile(
+    filename,
+    `\uFEFF${toCsv(records, columns)}`,
+    "text/csv;charset=utf-8",
+  );
+};
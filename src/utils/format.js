@@ -0,0 +1,20 @@
+// Display helpers for link metadata
+
+import { formatDateTime } from "../i18n";
+
+export const formatDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : formatDateTime(date);
+};
+
+export const isExpired = (url, now = Date.now()) =>
+  Boolean(url.expiresAt) && new Date(url.expiresAt).getTime() <= now;
+
+export const isNotStarted = (url, now = Date.now()) =>
+  Boolean(url.startsAt) && new Date(url.startsAt).getTime() > now;
+
+export const isClickLimitReached = (url) =>
+  Boolean(url.maxClicks) && (url.clicks ?? 0) >= url.maxClicks;
@@ -0,0 +1,105 @@
+// The URL list's search, sort, filter and page state lives in the query
+// string so a filtered view can be bookmarked and shared. These helpers
+// convert between URLSearchParams and a plain query object.
+
+export const PAGE_SIZES = [10, 25, 50, 100];
+
+// `labelKey`s are catalog keys (see src/i18n)
+export const SORT_OPTIONS = [
+  { id: "createdAt:desc", labelKey: "listControls.sort.newest" },
+  { id: "createdAt:asc", labelKey: "listControls.sort.oldest" },
+  { id: "expiresAt:asc", labelKey: "listControls.sort.expiringSoonest" },
+  { id: "expiresAt:desc", labelKey: "listControls.sort.expiringLatest" },
+  { id: "clicks:desc", labelKey: "listControls.sort.mostClicks" },
+  { id: "clicks:asc", labelKey: "listControls.sort.fewestClicks" },
+];
+
+export const STATUS_FILTERS = [
+  { id: "all", labelKey: "listControls.status.all" },
+  { id: "active", labelKey: "listControls.status.active" },
+  { id: "expired", labelKey: "listControls.status.expired" },
+];
+
+export const DEFAULT_QUERY = {
+  q: "",
+  sort: "createdAt",
+  order: "desc",
+  status: "all",
+  folder: "",
+  tag: "",
+  campaign: "",
+  page: 1,
+  limit: 25,
+};
+
+const SORT_FIELDS = ["createdAt", "expiresAt", "clicks"];
+
+const toPositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Unknown or malformed values fall back to the defaults, so a hand-edited
+// link never produces an invalid API request.
+export const parseListQuery = (searchParams) => {
+  const sort = searchParams.get("sort");
+  const order = searchParams.get("order");
+  const status = searchParams.get("status");
+  const limit = toPositiveInt(searchParams.get("limit"), DEFAULT_QUERY.limit);
+
+  return {
+    q: searchParams.get("q") || DEFAULT_QUERY.q,
+    sort: SORT_FIELDS.includes(sort) ? sort : DEFAULT_QUERY.sort,
+    order: order === "asc" || order === "desc" ? order : DEFAULT_QUERY.order,
+    status: STATUS_FILTERS.some((filter) => filter.id === status)
+      ? status
+      : DEFAULT_QUERY.status,
+    folder: searchParams.get("folder") || DEFAULT_QUERY.folder,
+    tag: searchParams.get("tag") || DEFAULT_QUERY.tag,
+    campaign: searchParams.get("campaign") || DEFAULT_QUERY.campaign,
+    page: toPositiveInt(searchParams.get("page"), DEFAULT_QUERY.page),
+    limit: PAGE_SIZES.includes(limit) ? limit : DEFAULT_QUERY.limit,
+  };
+};
+
+// Only non-default values are written, which keeps shared links short
+export const toSearchParams = (query) => {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== DEFAULT_QUERY[key] && value !== "" && value !== null) {
+      params.set(key, String(value));
+    }
+  });
+  return params;
+};
+
+export const isFiltered = (query) =>
+  Boolean(query.q || query.folder || query.tag || query.campaign) ||
+  query.status !== DEFAULT_QUERY.status;
+
+// Request params for GET /urls/user; defaults that mean "no filter" are
+// left out.
+export const toApiParams = (query) => {
+  const params = {
+    page: query.page,
+    limit: query.limit,
+    sort: query.sort,
+    order: query.order,
+  };
+  if (query.q) {
+    params.q = query.q;
+  }
+  if (query.status !== "all") {
+    params.status = query.status;
+  }
+  if (query.folder) {
+    params.folder = query.folder;
+  }
+  if (query.tag) {
+    params.tag = query.tag;
+  }
+  if (query.campaign) {
+    params.campaign = query.campaign;
+  }
+  return params;
+};
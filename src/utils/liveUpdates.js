@@ -0,0 +1,205 @@
+/*
+ * Live updates for the link list: click counts and changes made in other
+ * tabs or on other devices, pushed from GET /api/urls/live. Uses an event
+ * stream (SSE) and falls back to a WebSocket on the same path when the
+ * stream can't be opened, e.g. behind a proxy that buffers responses.
+ * Dropped connections are retried with backoff, and the connection is
+ * closed while the tab is hidden and resumed from the last event seen.
+ */
+
+const baseUrl = import.meta.env.VITE_SERVER_BASEURL;
+const LIVE_PATH = "/api/urls/live";
+
+let transports = {
+  EventSource: globalThis.EventSource,
+  WebSocket: globalThis.WebSocket,
+};
+
+// Exponential backoff with jitter between reconnect attempts
+let backoff = { baseDelayMs: 1000, maxDelayMs: 30000 };
+
+// Same opt-in as the mock API adapter in axiosConfig.js
+let transportsReady = Promise.resolve();
+if (import.meta.env.VITE_MOCK_API === "true") {
+  transportsReady = import("../mocks/mockApi").then((mock) => {
+    transports = {
+      EventSource: mock.MockEventSource,
+      WebSocket: mock.MockWebSocket,
+    };
+  });
+}
+
+// `EventSource` and `WebSocket` replace the browser's (tests pass the mock
+// ones from src/mocks/mockApi.js, or null for one that's missing);
+// `baseDelayMs` and `maxDelayMs` tune the reconnect backoff
+export const configureLiveUpdates = ({
+  EventSource = transports.EventSource,
+  WebSocket = transports.WebSocket,
+  ...options
+}) => {
+  transports = { EventSource, WebSocket };
+  backoff = { ...backoff, ...options };
+};
+
+const liveUrl = (query, protocol) => {
+  const url = new URL(
+    `${baseUrl}${LIVE_PATH}`,
+    globalThis.location?.href || "http://localhost",
+  );
+  url.search = query.toString();
+  if (protocol === "ws") {
+    url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+  }
+  return url.toString();
+};
+
+const reconnectDelay = (attempt) => {
+  const ceiling = Math.min(
+    backoff.maxDelayMs,
+    backoff.baseDelayMs * 2 ** attempt,
+  );
+  return ceiling / 2 + (Math.random() * ceiling) / 2;
+};
+
+/*
+ * Opens the live connection. `params` go in the query string (e.g.
+ * workspace_id); `onEvent` gets each parsed event and `onStatus` one of
+ * "connecting", "live", "reconnecting", "paused" or "off". Returns
+ * { pause, resume, close }.
+ */
+export const connectLiveUpdates = ({ params = {}, onEvent, onStatus }) => {
+  let source = null;
+  let timer = null;
+  let attempt = 0;
+  let lastEventId = null;
+  let useWebSocket = false;
+  let paused = false;
+  let closed = false;
+
+  const disconnect = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (source) {
+      source.onopen = null;
+      source.onmessage = null;
+      source.onerror = null;
+      source.onclose = null;
+      source.close();
+      source = null;
+    }
+  };
+
+  const handleMessage = (data, eventId) => {
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch {
+      return;
+    }
+    lastEventId = eventId || event.id || lastEventId;
+    onEvent(event);
+  };
+
+  const handleDrop = (opened) => {
+    disconnect();
+    // A stream that never opened is likely blocked; a WebSocket may not be
+    if (!opened && !useWebSocket && transports.WebSocket) {
+      useWebSocket = true;
+    } else {
+      attempt += 1;
+    }
+    onStatus?.("reconnecting");
+    timer = setTimeout(open, reconnectDelay(attempt));
+  };
+
+  const open = async () => {
+    timer = null;
+    await transportsReady;
+    if (source || paused || closed) {
+      return;
+    }
+    if (!transports.EventSource) {
+      useWebSocket = true;
+    }
+    const Transport = useWebSocket
+      ? transports.WebSocket
+      : transports.EventSource;
+    // Neither is available; the list just doesn't update by itself
+    if (!Transport) {
+      onStatus?.("off");
+      return;
+    }
+    const query = new URLSearchParams(params);
+    if (lastEventId) {
+      query.set("last_event_id", lastEventId);
+    }
+    let opened = false;
+    const handleOpen = () => {
+      opened = true;
+      attempt = 0;
+      onStatus?.("live");
+    };
+
+    try {
+      if (useWebSocket) {
+        source = new Transport(liveUrl(query, "ws"));
+        source.onmessage = (e) => handleMessage(e.data);
+        source.onclose = () => handleDrop(opened);
+      } else {
+        source = new Transport(liveUrl(query), { withCredentials: true });
+        source.onmessage = (e) => handleMessage(e.data, e.lastEventId);
+        // EventSource would retry on its own; the backoff here replaces that
+        source.onerror = () => handleDrop(opened);
+      }
+    } catch {
+      // e.g. a URL the browser refuses; counts as a connection that never
+      // opened
+      source = null;
+      handleDrop(false);
+      return;
+    }
+    source.onopen = handleOpen;
+  };
+
+  const pause = () => {
+    if (paused || closed) {
+      return;
+    }
+    paused = true;
+    disconnect();
+    onStatus?.("paused");
+  };
+
+  const resume = () => {
+    if (!paused || closed) {
+      return;
+    }
+    paused = false;
+    attempt = 0;
+    onStatus?.("connecting");
+    open();
+  };
+
+  const handleVisibility = () => (document.hidden ? pause() : resume());
+
+  const close = () => {
+    closed = true;
+    disconnect();
+    globalThis.document?.removeEventListener(
+      "visibilitychange",
+      handleVisibility,
+    );
+    onStatus?.("off");
+  };
+
+  globalThis.document?.addEventListener("visibilitychange", handleVisibility);
+  if (globalThis.document?.hidden) {
+    paused = true;
+    onStatus?.("paused");
+  } else {
+    onStatus?.("connecting");
+    open();
+  }
+
+  return { pause, resume, close };
+};
@@ -0,0 +1,247 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { configureLiveUpdates, connectLiveUpdates } from "./liveUpdates";
+import {
+  MockEventSource,
+  MockWebSocket,
+  configureMock,
+  emitLiveEvent,
+  dropLiveConnections,
+} from "../mocks/mockApi";
+import { installMockApi, createLoggedInStore } from "../mocks/testing";
+import { subscribeToLiveUpdates } from "../redux/slices/urlSlice";
+
+// Every connection the client makes, oldest first
+let created = [];
+
+class TestEventSource extends MockEventSource {
+  constructor(...args) {
+    super(...args);
+    created.push(this);
+  }
+}
+
+class TestWebSocket extends MockWebSocket {
+  constructor(...args) {
+    super(...args);
+    created.push(this);
+  }
+}
+
+const OPEN = 1;
+const CLOSED = 2;
+
+let hidden = false;
+const setHidden = (value) => {
+  hidden = value;
+  document.dispatchEvent(new Event("visibilitychange"));
+};
+
+// Opens a connection that records what it reports
+const connect = (params) => {
+  const statuses = [];
+  const events = [];
+  const connection = connectLiveUpdates({
+    params,
+    onEvent: (event) => events.push(event),
+    onStatus: (status) => statuses.push(status),
+  });
+  return { ...connection, statuses, events };
+};
+
+// The mock connections answer on a zero-delay timer, which fake timers run
+// a millisecond later when it's set from inside another timer (a reconnect)
+const answered = () => vi.advanceTimersByTimeAsync(1);
+
+const click = (clicks) => emitLiveEvent({ type: "click", urlId: "1", clicks });
+
+describe("live updates", () => {
+  let connection = null;
+
+  beforeEach(async () => {
+    installMockApi();
+    await createLoggedInStore();
+    created = [];
+    hidden = false;
+    Object.defineProperty(document, "hidden", {
+      configurable: true,
+      get: () => hidden,
+    });
+    configureLiveUpdates({
+      EventSource: TestEventSource,
+      WebSocket: TestWebSocket,
+      baseDelayMs: 1000,
+      maxDelayMs: 4000,
+    });
+    // No jitter: each delay is half the backoff ceiling
+    vi.spyOn(Math, "random").mockReturnValue(0);
+    vi.useFakeTimers({ toFake: ["setTimeout", "clearTimeout"] });
+  });
+
+  afterEach(() => {
+    connection?.close();
+    connection = null;
+    delete document.hidden;
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it("passes on events from the event stream", async () => {
+    connection = connect();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(created).toHaveLength(1);
+    expect(created[0]).toBeInstanceOf(MockEventSource);
+    expect(created[0].url).toBe("http://localhost:3000/api/urls/live");
+    expect(connection.statuses).toEqual(["connecting", "live"]);
+
+    click(5);
+    expect(connection.events).toEqual([
+      { type: "click", urlId: "1", clicks: 5, id: "1" },
+    ]);
+  });
+
+  it("waits longer after each failed attempt, up to the maximum", async () => {
+    // Not a member, so every attempt is refused
+    connection = connect({ workspace_id: "nope" });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(created).toHaveLength(1);
+
+    // The stream never opened, so a WebSocket is tried next, after the
+    // first delay; the backoff only grows from there
+    for (const delay of [500, 1000, 2000, 2000]) {
+      const before = created.length;
+      await vi.advanceTimersByTimeAsync(delay - 1);
+      expect(created).toHaveLength(before);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(created).toHaveLength(before + 1);
+      expect(created.at(-1)).toBeInstanceOf(MockWebSocket);
+      await answered();
+    }
+    expect(connection.statuses).not.toContain("live");
+    expect(connection.statuses.at(-1)).toBe("reconnecting");
+  });
+
+  it("reconnects after a drop, starting the backoff over", async () => {
+    connection = connect();
+    await vi.advanceTimersByTimeAsync(0);
+
+    for (let drop = 0; drop < 3; drop += 1) {
+      dropLiveConnections();
+      expect(connection.statuses.at(-1)).toBe("reconnecting");
+      await vi.advanceTimersByTimeAsync(999);
+      expect(created).toHaveLength(drop + 1);
+      await vi.advanceTimersByTimeAsync(1);
+      await answered();
+      expect(connection.statuses.at(-1)).toBe("live");
+    }
+    // The stream had worked, so it's kept
+    expect(created.every((item) => item instanceof MockEventSource)).toBe(true);
+  });
+
+  it("falls back to a WebSocket when the stream never opens", async () => {
+    configureMock({ blockEventStream: true });
+    connection = connect();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(created[0].readyState).toBe(CLOSED);
+
+    await vi.advanceTimersByTimeAsync(500);
+    await answered();
+    const socket = created[1];
+    expect(socket).toBeInstanceOf(MockWebSocket);
+    expect(socket.url).toBe("ws://localhost:3000/api/urls/live");
+    expect(socket.readyState).toBe(OPEN);
+    expect(connection.statuses).toEqual(["connecting", "reconnecting", "live"]);
+
+    // Later drops stay on the WebSocket
+    dropLiveConnections();
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(created[2]).toBeInstanceOf(MockWebSocket);
+  });
+
+  it("uses a WebSocket when there's no EventSource", async () => {
+    configureLiveUpdates({ EventSource: null });
+    connection = connect();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(created).toHaveLength(1);
+    expect(created[0]).toBeInstanceOf(MockWebSocket);
+    expect(connection.statuses).toEqual(["connecting", "live"]);
+  });
+
+  it("stays off when neither transport exists", async () => {
+    configureLiveUpdates({ EventSource: null, WebSocket: null });
+    connection = connect();
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(connection.statuses).toEqual(["connecting", "off"]);
+
+    // Nor does showing the tab again try
+    setHidden(true);
+    setHidden(false);
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(connection.statuses.at(-1)).toBe("off");
+  });
+
+  it("closes while the tab is hidden and resumes from the last event", async () => {
+    connection = connect();
+    await vi.advanceTimersByTimeAsync(0);
+    click(1);
+
+    setHidden(true);
+    expect(connection.statuses.at(-1)).toBe("paused");
+    expect(created[0].readyState).toBe(CLOSED);
+    click(2);
+    click(3);
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(created).toHaveLength(1);
+
+    setHidden(false);
+    await vi.advanceTimersByTimeAsync(0);
+    expect(created[1].url).toContain("last_event_id=1");
+    expect(connection.statuses.slice(-2)).toEqual(["connecting", "live"]);
+    expect(connection.events.map((event) => event.clicks)).toEqual([1, 2, 3]);
+  });
+
+  it("starts paused in a hidden tab", async () => {
+    hidden = true;
+    connection = connect();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(created).toHaveLength(0);
+    expect(connection.statuses).toEqual(["paused"]);
+
+    setHidden(false);
+    await vi.advanceTimersByTimeAsync(0);
+    expect(created).toHaveLength(1);
+  });
+
+  it("stops for good when closed", async () => {
+    connection = connect();
+    await vi.advanceTimersByTimeAsync(0);
+    dropLiveConnections();
+    connection.close();
+    await vi.advanceTimersByTimeAsync(60000);
+    setHidden(false);
+    expect(created).toHaveLength(1);
+    expect(connection.statuses.at(-1)).toBe("off");
+  });
+
+  it("asks for a reload when the missed events are no longer kept", async () => {
+    const store = await createLoggedInStore();
+    const onResync = vi.fn();
+    connection = {
+      close: store.dispatch(subscribeToLiveUpdates({ onResync })),
+    };
+    await vi.advanceTimersByTimeAsync(0);
+    expect(store.getState().urls.liveStatus).toBe("live");
+    click(1);
+
+    setHidden(true);
+    expect(store.getState().urls.liveStatus).toBe("paused");
+    // More than the server keeps
+    for (let clicks = 2; clicks < 300; clicks += 1) {
+      click(clicks);
+    }
+    setHidden(false);
+    await vi.advanceTimersByTimeAsync(0);
+    expect(onResync).toHaveBeenCalledTimes(1);
+    expect(store.getState().urls.liveStatus).toBe("live");
+  });
+});
@@ -0,0 +1,16 @@
+// Password rules shared by signup and password reset, so both forms
+// accept exactly the same passwords.
+
+import { translate } from "../i18n";
+
+export const MIN_PASSWORD_LENGTH = 6;
+
+export const validateNewPassword = (password, confirmPassword) => {
+  if (password !== confirmPassword) {
+    return translate("password.mismatch");
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return translate("password.tooShort", { count: MIN_PASSWORD_LENGTH });
+  }
+  return null;
+};
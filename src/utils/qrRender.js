@@ -0,0 +1,95 @@
+// Renders the module matrix from qrcode.js as SVG markup or a PNG blob.
+
+export const QUIET_ZONE = 4;
+
+// One path for all dark modules, in module units including the quiet zone
+export const qrToSvgPath = (qr, margin = QUIET_ZONE) => {
+  const parts = [];
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        parts.push(`M${x + margin},${y + margin}h1v1h-1z`);
+      }
+    });
+  });
+  return parts.join("");
+};
+
+export const qrToSvg = (
+  qr,
+  {
+    size = 256,
+    margin = QUIET_ZONE,
+    foreground = "#000000",
+    background = "#ffffff",
+  } = {},
+) => {
+  const total = qr.size + margin * 2;
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" ` +
+    `viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="${background}"/>` +
+    `<path d="${qrToSvgPath(qr, margin)}" fill="${foreground}"/>` +
+    `</svg>`
+  );
+};
+
+export const qrToPngBlob = (
+  qr,
+  {
+    size = 256,
+    margin = QUIET_ZONE,
+    foreground = "#000000",
+    background = "#ffffff",
+  } = {},
+) => {
+  const total = qr.size + margin * 2;
+  const scale = size / total;
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext("2d");
+
+  context.fillStyle = background;
+  context.fillRect(0, 0, size, size);
+  context.fillStyle = foreground;
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        // Round both edges so neighbouring modules meet without gaps
+        const left = Math.round((x + margin) * scale);
+        const top = Math.round((y + margin) * scale);
+        context.fillRect(
+          left,
+          top,
+          Math.round((x + margin + 1) * scale) - left,
+          Math.round((y + margin + 1) * scale) - top,
+        );
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error("Failed to render PNG"));
+      }
+    }, "image/png");
+  });
+};
+
+// Relative luminance, used to warn when the colours won't scan well
+export const luminance = (hex) => {
+  const value = parseInt(hex.replace("#", ""), 16);
+  const channels = [
+    (value >> 16) & 0xff,
+    (value >> 8) & 0xff,
+    value & 0xff,
+  ].map((channel) => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * channels[0] + 0.7152 * channels[1] + 0.0722 * channels[2];
+};
@@ -0,0 +1,520 @@
+// QR Code encoder (ISO/IEC 18004), byte mode, versions 1-40.
+//
+// encodeQr(text, { ecl, mask }) returns { version, size, ecl, mask, modules }
+// where modules[y][x] is true for a dark module. Rendering lives in
+// qrRender.js so this module stays free of DOM access.
+
+export const ERROR_CORRECTION_LEVELS = ["L", "M", "Q", "H"];
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+// Two-bit values written into the format information
+const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Error correction codewords per block, indexed by [ecl][version]
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [
+    -1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30,
+    28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    30, 30, 30,
+  ],
+  M: [
+    -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26,
+    26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+    28, 28, 28,
+  ],
+  Q: [
+    -1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28,
+    26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    30, 30, 30,
+  ],
+  H: [
+    -1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28,
+    26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    30, 30, 30,
+  ],
+};
+
+// Number of error correction blocks, indexed by [ecl][version]
+const NUM_ERROR_CORRECTION_BLOCKS = {
+  L: [
+    -1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10,
+    12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25,
+  ],
+  M: [
+    -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17,
+    17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49,
+  ],
+  Q: [
+    -1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23,
+    23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68,
+  ],
+  H: [
+    -1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25,
+    25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77,
+    81,
+  ],
+};
+
+// Penalty weights used when choosing a mask
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+/* ---------- Capacity ---------- */
+
+// Modules available for data and error correction, after function patterns
+const getNumRawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+};
+
+const getNumDataCodewords = (version, ecl) =>
+  Math.floor(getNumRawDataModules(version) / 8) -
+  ECC_CODEWORDS_PER_BLOCK[ecl][version] *
+    NUM_ERROR_CORRECTION_BLOCKS[ecl][version];
+
+const getCharCountBits = (version) => (version <= 9 ? 8 : 16);
+
+/* ---------- Reed-Solomon over GF(2^8) with polynomial 0x11D ---------- */
+
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i -= 1) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+const reedSolomonDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i += 1) {
+    for (let j = 0; j < result.length; j += 1) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+const reedSolomonRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0);
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+};
+
+/* ---------- Data codewords ---------- */
+
+const encodeDataCodewords = (bytes, version, ecl) => {
+  const bits = [];
+  const appendBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i -= 1) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+
+  appendBits(0x4, 4); // Byte mode indicator
+  appendBits(bytes.length, getCharCountBits(version));
+  bytes.forEach((byte) => appendBits(byte, 8));
+
+  const capacityBits = getNumDataCodewords(version, ecl) * 8;
+  appendBits(0, Math.min(4, capacityBits - bits.length)); // Terminator
+  appendBits(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    appendBits(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(
+      bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0),
+    );
+  }
+  return codewords;
+};
+
+// Splits data into blocks, appends error correction to each and
+// interleaves the result as the final codeword sequence.
+const addEccAndInterleave = (data, version, ecl) => {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl][version];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecl][version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = reedSolomonDivisor(blockEccLen);
+  const blocks = [];
+  let offset = 0;
+  for (let i = 0; i < numBlocks; i += 1) {
+    const dataLen = shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1);
+    const block = data.slice(offset, offset + dataLen);
+    offset += dataLen;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < numShortBlocks) {
+      block.push(0); // Placeholder so all blocks line up when interleaving
+    }
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i += 1) {
+    blocks.forEach((block, j) => {
+      // Skip the placeholder byte of short blocks
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+};
+
+/* ---------- Matrix construction ---------- */
+
+const getAlignmentPatternPositions = (version) => {
+  if (version === 1) {
+    return [];
+  }
+  const size = version * 4 + 17;
+  const numAlign = Math.floor(version / 7) + 2;
+  const step =
+    version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+};
+
+const createMatrix = (version) => {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () =>
+    new Array(size).fill(false),
+  );
+  const isFunction = Array.from({ length: size }, () =>
+    new Array(size).fill(false),
+  );
+  const setFunctionModule = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+  return { version, size, modules, isFunction, setFunctionModule };
+};
+
+const drawFinderPattern = (matrix, x, y) => {
+  for (let dy = -4; dy <= 4; dy += 1) {
+    for (let dx = -4; dx <= 4; dx += 1) {
+      const distance = Math.max(Math.abs(dx), Math.abs(dy));
+      const xx = x + dx;
+      const yy = y + dy;
+      if (xx >= 0 && xx < matrix.size && yy >= 0 && yy < matrix.size) {
+        matrix.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+};
+
+const drawAlignmentPattern = (matrix, x, y) => {
+  for (let dy = -2; dy <= 2; dy += 1) {
+    for (let dx = -2; dx <= 2; dx += 1) {
+      matrix.setFunctionModule(
+        x + dx,
+        y + dy,
+        Math.max(Math.abs(dx), Math.abs(dy)) !== 1,
+      );
+    }
+  }
+};
+
+const drawFormatBits = (matrix, ecl, mask) => {
+  const data = (FORMAT_BITS[ecl] << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i += 1) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+  const { size, setFunctionModule } = matrix;
+
+  // First copy, around the top-left finder
+  for (let i = 0; i <= 5; i += 1) {
+    setFunctionModule(8, i, getBit(bits, i));
+  }
+  setFunctionModule(8, 7, getBit(bits, 6));
+  setFunctionModule(8, 8, getBit(bits, 7));
+  setFunctionModule(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i += 1) {
+    setFunctionModule(14 - i, 8, getBit(bits, i));
+  }
+
+  // Second copy, split between the other two finders
+  for (let i = 0; i < 8; i += 1) {
+    setFunctionModule(size - 1 - i, 8, getBit(bits, i));
+  }
+  for (let i = 8; i < 15; i += 1) {
+    setFunctionModule(8, size - 15 + i, getBit(bits, i));
+  }
+  setFunctionModule(8, size - 8, true); // Always-dark module
+};
+
+const drawVersionBits = (matrix) => {
+  const { version, size, setFunctionModule } = matrix;
+  if (version < 7) {
+    return;
+  }
+  let remainder = version;
+  for (let i = 0; i < 12; i += 1) {
+    remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+  }
+  const bits = (version << 12) | remainder;
+  for (let i = 0; i < 18; i += 1) {
+    const dark = getBit(bits, i);
+    const a = size - 11 + (i % 3);
+    const b = Math.floor(i / 3);
+    setFunctionModule(a, b, dark);
+    setFunctionModule(b, a, dark);
+  }
+};
+
+const drawFunctionPatterns = (matrix, ecl) => {
+  const { size, setFunctionModule } = matrix;
+  for (let i = 0; i < size; i += 1) {
+    setFunctionModule(6, i, i % 2 === 0);
+    setFunctionModule(i, 6, i % 2 === 0);
+  }
+
+  drawFinderPattern(matrix, 3, 3);
+  drawFinderPattern(matrix, size - 4, 3);
+  drawFinderPattern(matrix, 3, size - 4);
+
+  const positions = getAlignmentPatternPositions(matrix.version);
+  const last = positions.length - 1;
+  positions.forEach((py, i) => {
+    positions.forEach((px, j) => {
+      // The three corners already hold finder patterns
+      const overlapsFinder =
+        (i === 0 && j === 0) ||
+        (i === 0 && j === last) ||
+        (i === last && j === 0);
+      if (!overlapsFinder) {
+        drawAlignmentPattern(matrix, px, py);
+      }
+    });
+  });
+
+  // Reserve the format area; real bits are drawn once the mask is known
+  drawFormatBits(matrix, ecl, 0);
+  drawVersionBits(matrix);
+};
+
+// Places codewords in the zigzag order, two columns at a time from the
+// bottom-right corner, skipping the vertical timing pattern.
+const drawCodewords = (matrix, codewords) => {
+  const { size, modules, isFunction } = matrix;
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) {
+      right = 5;
+    }
+    for (let vert = 0; vert < size; vert += 1) {
+      for (let j = 0; j < 2; j += 1) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+          bitIndex += 1;
+        }
+      }
+    }
+  }
+};
+
+const applyMask = (matrix, mask) => {
+  const { size, modules, isFunction } = matrix;
+  const test = MASKS[mask];
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      if (!isFunction[y][x] && test(x, y)) {
+        modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+};
+
+/* ---------- Mask penalty ---------- */
+
+const getPenaltyScore = ({ size, modules }) => {
+  let penalty = 0;
+  let darkCount = 0;
+
+  for (let a = 0; a < size; a += 1) {
+    let runRow = 0;
+    let runCol = 0;
+    let lastRow = null;
+    let lastCol = null;
+    let bitsRow = 0;
+    let bitsCol = 0;
+
+    for (let b = 0; b < size; b += 1) {
+      const rowModule = modules[a][b];
+      const colModule = modules[b][a];
+
+      // Rule 1: runs of five or more same-coloured modules
+      if (rowModule === lastRow) {
+        runRow += 1;
+      } else {
+        if (runRow >= 5) {
+          penalty += PENALTY_N1 + (runRow - 5);
+        }
+        lastRow = rowModule;
+        runRow = 1;
+      }
+      if (colModule === lastCol) {
+        runCol += 1;
+      } else {
+        if (runCol >= 5) {
+          penalty += PENALTY_N1 + (runCol - 5);
+        }
+        lastCol = colModule;
+        runCol = 1;
+      }
+
+      // Rule 3: finder-like 1:1:3:1:1 patterns with four light modules
+      bitsRow = ((bitsRow << 1) & 0x7ff) | (rowModule ? 1 : 0);
+      bitsCol = ((bitsCol << 1) & 0x7ff) | (colModule ? 1 : 0);
+      if (b >= 10) {
+        if (bitsRow === 0x5d0 || bitsRow === 0x05d) {
+          penalty += PENALTY_N3;
+        }
+        if (bitsCol === 0x5d0 || bitsCol === 0x05d) {
+          penalty += PENALTY_N3;
+        }
+      }
+
+      if (rowModule) {
+        darkCount += 1;
+      }
+    }
+
+    if (runRow >= 5) {
+      penalty += PENALTY_N1 + (runRow - 5);
+    }
+    if (runCol >= 5) {
+      penalty += PENALTY_N1 + (runCol - 5);
+    }
+  }
+
+  // Rule 2: 2x2 blocks of the same colour
+  for (let y = 0; y < size - 1; y += 1) {
+    for (let x = 0; x < size - 1; x += 1) {
+      const colour = modules[y][x];
+      if (
+        colour === modules[y][x + 1] &&
+        colour === modules[y + 1][x] &&
+        colour === modules[y + 1][x + 1]
+      ) {
+        penalty += PENALTY_N2;
+      }
+    }
+  }
+
+  // Rule 4: balance of dark and light modules
+  const k = Math.abs(Math.ceil((darkCount * 100) / (size * size) / 5) - 10);
+  penalty += k * PENALTY_N4;
+
+  return penalty;
+};
+
+/* ---------- Public API ---------- */
+
+const toUtf8Bytes = (text) => Array.from(new TextEncoder().encode(text));
+
+export const encodeQr = (text, { ecl = "M", mask = null } = {}) => {
+  if (!ERROR_CORRECTION_LEVELS.includes(ecl)) {
+    throw new Error(`Unknown error correction level: ${ecl}`);
+  }
+  if (mask !== null && (mask < 0 || mask > 7)) {
+    throw new Error(`Mask must be between 0 and 7, got ${mask}`);
+  }
+
+  const bytes = toUtf8Bytes(text);
+  let version = MIN_VERSION;
+  for (; version <= MAX_VERSION; version += 1) {
+    const usedBits = 4 + getCharCountBits(version) + bytes.length * 8;
+    if (usedBits <= getNumDataCodewords(version, ecl) * 8) {
+      break;
+    }
+  }
+  if (version > MAX_VERSION) {
+    throw new Error("Text is too long to fit in a QR code");
+  }
+
+  const codewords = addEccAndInterleave(
+    encodeDataCodewords(bytes, version, ecl),
+    version,
+    ecl,
+  );
+
+  const matrix = createMatrix(version);
+  drawFunctionPatterns(matrix, ecl);
+  drawCodewords(matrix, codewords);
+
+  let chosenMask = mask;
+  if (chosenMask === null) {
+    let minPenalty = Infinity;
+    for (let candidate = 0; candidate < MASKS.length; candidate += 1) {
+      applyMask(matrix, candidate);
+      drawFormatBits(matrix, ecl, candidate);
+      const penalty = getPenaltyScore(matrix);
+      if (penalty < minPenalty) {
+        minPenalty = penalty;
+        chosenMask = candidate;
+      }
+      applyMask(matrix, candidate); // XOR again to undo
+    }
+  }
+
+  applyMask(matrix, chosenMask);
+  drawFormatBits(matrix, ecl, chosenMask);
+
+  return {
+    version,
+    size: matrix.size,
+    ecl,
+    mask: chosenMask,
+    modules: matrix.modules,
+  };
+};
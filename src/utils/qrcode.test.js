@@ -0,0 +1,118 @@
+import { describe, it, expect } from "vitest";
+import { encodeQr } from "./qrcode";
+
+// Reference outputs from the `qrcode` npm package (1.5.4) with the input
+// forced into byte mode, which is the only mode this encoder writes
+const KNOWN_OUTPUTS = [
+  { text: "https://sho.rt/a", ecl: "L", version: 1, mask: 3, dark: 228 },
+  { text: "https://sho.rt/a", ecl: "M", version: 2, mask: 0, dark: 310 },
+  { text: "https://sho.rt/a", ecl: "Q", version: 2, mask: 6, dark: 332 },
+  { text: "https://sho.rt/a", ecl: "H", version: 3, mask: 0, dark: 422 },
+  {
+    text: "https://example.com/some/longer/path?utm_source=newsletter&utm_medium=email",
+    ecl: "M",
+    version: 5,
+    mask: 2,
+    dark: 730,
+  },
+  { text: "Grüße aus Köln", ecl: "Q", version: 2, mask: 2, dark: 324 },
+  { text: "x".repeat(300), ecl: "L", version: 11, mask: 0, dark: 1932 },
+  { text: "x".repeat(300), ecl: "H", version: 18, mask: 0, dark: 3962 },
+  {
+    text: `https://example.com/${"a".repeat(1000)}`,
+    ecl: "M",
+    version: 26,
+    mask: 1,
+    dark: 7413,
+  },
+];
+
+// "https://sho.rt/a" at L and M, one row per line, # for dark modules
+const VERSION_1_L = [
+  "#######.##....#######",
+  "#.....#..#....#.....#",
+  "#.###.#.#.###.#.###.#",
+  "#.###.#.##.#..#.###.#",
+  "#.###.#.#####.#.###.#",
+  "#.....#.......#.....#",
+  "#######.#.#.#.#######",
+  ".........###.........",
+  "####..#.#.##.#..###.#",
+  "####.......#.########",
+  "#.##.###.....#...#.##",
+  ".#..#..####.#..#.#.#.",
+  "####.##.##..###.##..#",
+  "........#.#.#.#.#....",
+  "#######....#..#.#....",
+  "#.....#..#...#.####..",
+  "#.###.#..#..#...#.#.#",
+  "#.###.#.#.#.####.....",
+  "#.###.#.##..#..#..#..",
+  "#.....#.#.#.#####...#",
+  "#######.#######.###..",
+];
+
+const VERSION_2_M = [
+  "#######...#.#.#...#######",
+  "#.....#.##..##....#.....#",
+  "#.###.#...#.#..#..#.###.#",
+  "#.###.#..###.#....#.###.#",
+  "#.###.#.##.###..#.#.###.#",
+  "#.....#..#.#..###.#.....#",
+  "#######.#.#.#.#.#.#######",
+  ".........#..#..#.........",
+  "#.#.#.#...##....#...#..#.",
+  "#....#..##.###..###.....#",
+  "#####.#.#.#...#....#..###",
+  "###.#.....#####.##.#...#.",
+  "...#.##..#....######.#.##",
+  "...##...#.##..#..##..#..#",
+  "#..#####..#..#..##.#..###",
+  ".###.#.....#...##.#.#..#.",
+  "#..#..###...#...######...",
+  "........##.###..#...##.##",
+  "#######...###.###.#.##.##",
+  "#.....#..##.###.#...##.#.",
+  "#.###.#.#.##..#.######..#",
+  "#.###.#...##..####.####..",
+  "#.###.#.##...#..#...#...#",
+  "#.....#..#.#....#.#.##.#.",
+  "#######.###.#..##..#...##",
+];
+
+const toRows = (modules) =>
+  modules.map((row) => row.map((dark) => (dark ? "#" : ".")).join(""));
+
+const countDark = (modules) => modules.flat().filter((dark) => dark).length;
+
+describe("encodeQr", () => {
+  it.each([
+    ["L", VERSION_1_L],
+    ["M", VERSION_2_M],
+  ])("matches the reference matrix at %s", (ecl, expected) => {
+    const qr = encodeQr("https://sho.rt/a", { ecl });
+    expect(qr.size).toBe(expected.length);
+    expect(toRows(qr.modules)).toEqual(expected);
+  });
+
+  it.each(KNOWN_OUTPUTS)(
+    "picks version $version and mask $mask at $ecl",
+    ({ text, ecl, version, mask, dark }) => {
+      const qr = encodeQr(text, { ecl });
+      expect(qr).toMatchObject({ version, mask, ecl, size: version * 4 + 17 });
+      expect(countDark(qr.modules)).toBe(dark);
+    },
+  );
+
+  it("uses the mask it's given", () => {
+    const qr = encodeQr("https://sho.rt/a", { ecl: "M", mask: 5 });
+    expect(qr.mask).toBe(5);
+    expect(toRows(qr.modules)).not.toEqual(VERSION_2_M);
+  });
+
+  it("rejects bad options and text that doesn't fit", () => {
+    expect(() => encodeQr("a", { ecl: "X" })).toThrow(/error correction/);
+    expect(() => encodeQr("a", { mask: 8 })).toThrow(/Mask/);
+    expect(() => encodeQr("x".repeat(3000), { ecl: "H" })).toThrow(/too long/);
+  });
+});
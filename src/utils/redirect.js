@@ -0,0 +1,35 @@
+// Helpers for carrying the page a user asked for through login/signup
+
+export const REDIRECT_PARAM = "redirectTo";
+
+// Accepts only same-origin paths, so a crafted ?redirectTo= can't send the
+// user to another site after they log in.
+export const getSafeRedirect = (value, fallback = "/") => {
+  if (!value || !value.startsWith("/") || value.startsWith("//")) {
+    return fallback;
+  }
+  try {
+    const url = new URL(value, window.location.origin);
+    if (url.origin !== window.location.origin) {
+      return fallback;
+    }
+    const path = `${url.pathname}${url.search}${url.hash}`;
+    // Never bounce back into the auth pages themselves
+    if (url.pathname === "/login" || url.pathname === "/signup") {
+      return fallback;
+    }
+    return path;
+  } catch {
+    return fallback;
+  }
+};
+
+// e.g. "/login?redirectTo=%2Furls%2F42", or just `base` when the target
+// is home or not safe
+export const withRedirectParam = (base, path) => {
+  const safe = getSafeRedirect(path, null);
+  if (!safe || safe === "/") {
+    return base;
+  }
+  return `${base}?${new URLSearchParams({ [REDIRECT_PARAM]: safe })}`;
+};
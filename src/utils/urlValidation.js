@@ -0,0 +1,164 @@
+// Validation helpers shared by the shorten form and anything else that
+// creates or edits links.
+
+import { translate } from "../i18n";
+
+export const ALIAS_PATTERN = /^[A-Za-z0-9_-]{3,30}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const EXPIRY_PRESETS = [
+  { id: "1d", labelKey: "linkForm.preset.1d", durationMs: DAY_MS },
+  { id: "1w", labelKey: "linkForm.preset.1w", durationMs: 7 * DAY_MS },
+  { id: "never", labelKey: "linkForm.preset.never", durationMs: null },
+];
+
+// Request body keys used by the API, mapped to the form field names
+const SERVER_FIELD_MAP = {
+  base_url: "longUrl",
+  long_url: "longUrl",
+  url: "longUrl",
+  custom_alias: "customAlias",
+  alias: "customAlias",
+  expires_at: "expiresAt",
+  tag_ids: "tagIds",
+  folder_id: "folderId",
+  password: "password",
+  max_clicks: "maxClicks",
+  starts_at: "startsAt",
+};
+
+export const validateLongUrl = (value) => {
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return translate("validation.urlRequired");
+  }
+  try {
+    const parsed = new URL(trimmed);
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+      return translate("validation.urlScheme");
+    }
+  } catch {
+    return translate("validation.urlInvalid");
+  }
+  return null;
+};
+
+export const validateAlias = (value) => {
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return null; // Alias is optional
+  }
+  if (!ALIAS_PATTERN.test(trimmed)) {
+    return translate("validation.aliasFormat");
+  }
+  return null;
+};
+
+export const validateExpiry = (value, now = Date.now()) => {
+  if (!value) {
+    return null; // Never expires
+  }
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    return translate("validation.expiryInvalid");
+  }
+  if (time <= now) {
+    return translate("validation.expiryPast");
+  }
+  return null;
+};
+
+export const MIN_LINK_PASSWORD_LENGTH = 4;
+
+export const validateLinkPassword = (value) => {
+  if (!value) {
+    return null; // No password
+  }
+  if (value.length < MIN_LINK_PASSWORD_LENGTH) {
+    return translate("validation.linkPasswordShort", {
+      count: MIN_LINK_PASSWORD_LENGTH,
+    });
+  }
+  return null;
+};
+
+// `clicks` is what an existing link already has; the limit can't go below
+export const validateMaxClicks = (value, clicks = 0) => {
+  if (value === "" || value === null || value === undefined) {
+    return null; // Unlimited
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return translate("validation.clickLimitInvalid");
+  }
+  if (limit < clicks) {
+    return translate("validation.clickLimitBelow", { count: clicks });
+  }
+  return null;
+};
+
+// The start of the window only has to come before its end (the expiry)
+export const validateStartsAt = (startsAt, expiresAt) => {
+  if (!startsAt) {
+    return null; // Available straight away
+  }
+  const start = new Date(startsAt).getTime();
+  if (Number.isNaN(start)) {
+    return translate("validation.startInvalid");
+  }
+  if (expiresAt && start >= new Date(expiresAt).getTime()) {
+    return translate("validation.startAfterExpiry");
+  }
+  return null;
+};
+
+// Formats a Date for an <input type="datetime-local"> in local time
+export const toDateTimeLocal = (date) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+  );
+};
+
+// Converts a datetime-local value to an ISO string, or null for "never"
+export const toIsoOrNull = (value) =>
+  value ? new Date(value).toISOString() : null;
+
+// Click limit input value to a number, or null for unlimited
+export const toLimitOrNull = (value) =>
+  value === "" || value === null ? null : Number(value);
+
+// Pulls per-field messages out of an API error body. Accepts either
+// `errors: [{ field, message }]` or `errors: { field: message }`, and falls
+// back to recognising an "alias taken" message on its own.
+export const mapServerFieldErrors = (data) => {
+  const fieldErrors = {};
+  const errors = data?.errors;
+
+  if (Array.isArray(errors)) {
+    errors.forEach((item) => {
+      const key = item.field || item.path || item.param;
+      const field = SERVER_FIELD_MAP[key] || key;
+      if (field) {
+        fieldErrors[field] = item.message || item.msg;
+      }
+    });
+  } else if (errors && typeof errors === "object") {
+    Object.entries(errors).forEach(([key, message]) => {
+      fieldErrors[SERVER_FIELD_MAP[key] || key] = message;
+    });
+  }
+
+  const message = data?.message || "";
+  if (
+    !fieldErrors.customAlias &&
+    /alias/i.test(message) &&
+    /(taken|exists|in use|unavailable)/i.test(message)
+  ) {
+    fieldErrors.customAlias = message;
+  }
+
+  return fieldErrors;
+};
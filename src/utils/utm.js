@@ -0,0 +1,87 @@
+// UTM campaign parameters: reading them out of a destination URL and
+// writing them back in, leaving every other part of the URL alone.
+
+// `labelKey`s are catalog keys (see src/i18n). Placeholders are example
+// values, so they aren't translated.
+export const UTM_FIELDS = [
+  {
+    id: "source",
+    param: "utm_source",
+    labelKey: "utm.field.source",
+    placeholder: "newsletter",
+  },
+  {
+    id: "medium",
+    param: "utm_medium",
+    labelKey: "utm.field.medium",
+    placeholder: "email",
+  },
+  {
+    id: "campaign",
+    param: "utm_campaign",
+    labelKey: "utm.field.campaign",
+    placeholder: "spring-sale",
+  },
+  {
+    id: "term",
+    param: "utm_term",
+    labelKey: "utm.field.term",
+    placeholder: "running shoes",
+  },
+  {
+    id: "content",
+    param: "utm_content",
+    labelKey: "utm.field.content",
+    placeholder: "header-link",
+  },
+];
+
+export const EMPTY_UTM = Object.fromEntries(
+  UTM_FIELDS.map((field) => [field.id, ""]),
+);
+
+const parseUrl = (value) => {
+  try {
+    return new URL(value.trim());
+  } catch {
+    return null;
+  }
+};
+
+// `{ source, medium, ... }` with "" for missing params, or null when
+// `value` isn't a valid URL
+export const parseUtm = (value) => {
+  const url = parseUrl(value || "");
+  if (!url) {
+    return null;
+  }
+  return Object.fromEntries(
+    UTM_FIELDS.map((field) => [
+      field.id,
+      url.searchParams.get(field.param) || "",
+    ]),
+  );
+};
+
+export const hasUtm = (utm) =>
+  Boolean(utm) && UTM_FIELDS.some((field) => utm[field.id]?.trim());
+
+// Sets the non-empty values on the URL and removes the empty ones. A URL
+// without UTM params either way is returned as typed (the URL parser would
+// otherwise normalise it), and so is an invalid one, for validation to
+// report.
+export const applyUtm = (value, utm) => {
+  const url = parseUrl(value);
+  if (!url || (!hasUtm(utm) && !hasUtm(parseUtm(value)))) {
+    return value;
+  }
+  UTM_FIELDS.forEach((field) => {
+    const fieldValue = utm[field.id]?.trim();
+    if (fieldValue) {
+      url.searchParams.set(field.param, fieldValue);
+    } else {
+      url.searchParams.delete(field.param);
+    }
+  });
+  return url.toString();
+};
@@ -0,0 +1,36 @@
+// Member roles in a shared workspace, from most to least access. Your
+// personal workspace behaves as if you were its owner. `labelKey` and
+// `descriptionKey` are catalog keys (see src/i18n).
+
+import { translate } from "../i18n";
+
+export const WORKSPACE_ROLES = [
+  {
+    id: "owner",
+    labelKey: "workspaces.role.owner",
+    descriptionKey: "workspaces.role.ownerDescription",
+  },
+  {
+    id: "editor",
+    labelKey: "workspaces.role.editor",
+    descriptionKey: "workspaces.role.editorDescription",
+  },
+  {
+    id: "viewer",
+    labelKey: "workspaces.role.viewer",
+    descriptionKey: "workspaces.role.viewerDescription",
+  },
+];
+
+const RANK = { viewer: 1, editor: 2, owner: 3 };
+
+export const hasRole = (role, minimum) => (RANK[role] || 0) >= RANK[minimum];
+
+export const canEditLinks = (role) => hasRole(role, "editor");
+
+export const canManageMembers = (role) => hasRole(role, "owner");
+
+export const roleLabel = (role) => {
+  const item = WORKSPACE_ROLES.find((entry) => entry.id === role);
+  return item ? translate(item.labelKey) : role;
+};
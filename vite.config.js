@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  test: {
+    include: ['src/**/*.test.{js,jsx}'],
+    env: { VITE_SERVER_BASEURL: 'http://localhost:3000' },
+  },
 })